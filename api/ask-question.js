@@ -1,5 +1,6 @@
 const { answerQuestion } = require('../shared/aiProcessor');
-const { loadVectorStore, getCacheInfo } = require('./vector-cache');
+const { resolveApiKey, requiresApiKey } = require('../shared/llmProvider');
+const { loadVectorStore, loadSheets, getCacheInfo } = require('./vector-cache');
 
 function sendError(res, status, message, extra = {}) {
   res.status(status).json({ error: message, ...extra });
@@ -13,13 +14,14 @@ module.exports = async function handler(req, res) {
   if (req.method !== 'POST') return sendError(res, 405, 'Method not allowed');
 
   const { filename, question, companyName } = req.body;
-  const apiKey = process.env.OPENAI_API_KEY;
+  const apiKey = resolveApiKey();
+  const missingKey = !apiKey && requiresApiKey();
 
-  if (!filename || !question || !companyName || !apiKey) {
+  if (!filename || !question || !companyName || missingKey) {
     return sendError(
       res,
       400,
-      `Missing required parameters: ${[!filename && 'filename', !question && 'question', !companyName && 'companyName', !apiKey && 'OPENAI_API_KEY'].filter(Boolean).join(', ')}`
+      `Missing required parameters: ${[!filename && 'filename', !question && 'question', !companyName && 'companyName', missingKey && 'OPENAI_API_KEY'].filter(Boolean).join(', ')}`
     );
   }
 
@@ -32,14 +34,15 @@ module.exports = async function handler(req, res) {
 
   try {
     // Pass bm25Index for hybrid search in Q&A
-    const answer = await answerQuestion(
+    const { answer, sources, verification } = await answerQuestion(
       cached.vectorStore,
       question,
       companyName,
       apiKey,
-      cached.bm25Index
+      cached.bm25Index,
+      { sheets: await loadSheets(filename) }
     );
-    res.status(200).json({ answer });
+    res.status(200).json({ answer, sources, verification });
   } catch (err) {
     console.error('Ask question error:', err.message);
     sendError(res, 500, 'Failed to get an answer.');
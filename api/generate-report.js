@@ -1,7 +1,12 @@
 const { processDocument } = require('../shared/documentProcessor');
 const { extractCompanyName, generateReportSections } = require('../shared/aiProcessor');
+const { resolveApiKey, requiresApiKey } = require('../shared/llmProvider');
+const { TemplateStore } = require('../shared/reportTemplates');
 const { saveVectorStore } = require('./vector-cache');
 
+// Templates are read from TEMPLATES_DIR (managed through the backend's /api/templates)
+const templateStore = new TemplateStore();
+
 function sendError(res, status, message) {
   res.status(status).json({ error: message });
 }
@@ -13,22 +18,27 @@ module.exports = async function handler(req, res) {
   if (req.method === 'OPTIONS') return res.status(200).end();
   if (req.method !== 'POST') return sendError(res, 405, 'Method not allowed');
 
-  const { filename, companyName: requestedCompanyName, fileBuffer, mimetype } = req.body;
-  const apiKey = process.env.OPENAI_API_KEY;
+  const { filename, companyName: requestedCompanyName, fileBuffer, mimetype, templateId } = req.body;
+  const apiKey = resolveApiKey();
+  const missingKey = !apiKey && requiresApiKey();
 
-  if (!filename || !fileBuffer || !apiKey) {
+  if (!filename || !fileBuffer || missingKey) {
     return sendError(
       res,
       400,
-      `Missing required parameters: ${[!filename && 'filename', !fileBuffer && 'fileBuffer', !apiKey && 'OPENAI_API_KEY'].filter(Boolean).join(', ')}`
+      `Missing required parameters: ${[!filename && 'filename', !fileBuffer && 'fileBuffer', missingKey && 'OPENAI_API_KEY'].filter(Boolean).join(', ')}`
     );
   }
 
+  // No template: sections are chosen by document type
+  const template = templateId ? templateStore.get(templateId) : null;
+  if (templateId && !template) return sendError(res, 404, 'Template not found.');
+
   try {
     const buffer = Buffer.from(fileBuffer, 'base64');
 
     // Multi-format document processing
-    const { text: extractedText, format } = await processDocument(buffer, {
+    const { text: extractedText, format, facts, ocr, sheets } = await processDocument(buffer, {
       filename,
       mimeType: mimetype,
     });
@@ -42,14 +52,22 @@ module.exports = async function handler(req, res) {
       companyName = await extractCompanyName(extractedText, apiKey);
     }
 
-    const { sections, vectorStore, bm25Index, documentType } =
-      await generateReportSections(extractedText, companyName, apiKey);
+    const { sections, template: layout, sources, verification, financials, ratios, tone, scorecard, vectorStore, bm25Index, documentType, cleanedText } =
+      await generateReportSections(extractedText, companyName, apiKey, { facts, ocr, sheets, template });
 
-    // Save vector store (and bm25 docs for reconstruction) to cache
-    await saveVectorStore(filename, vectorStore, bm25Index);
+    // Save vectors + BM25 stats so Q&A never re-embeds the document
+    await saveVectorStore(filename, vectorStore, bm25Index, {
+      sections, template: layout, sources, verification, financials, companyName, documentType, format, cleanedText, sheets,
+    });
 
     res.status(200).json({
       ...sections,
+      template: layout,
+      sources,
+      verification,
+      ratios,
+      tone,
+      scorecard,
       companyName,
       documentType: documentType?.label,
       documentFormat: format,
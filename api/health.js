@@ -1,3 +1,5 @@
+const config = require('../shared/config');
+
 module.exports = async function handler(req, res) {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -20,6 +22,7 @@ module.exports = async function handler(req, res) {
     environment: {
       nodeVersion: process.version,
       hasOpenAIKey: hasOpenAIKey,
+      llmProvider: config.llm.provider,
       platform: process.platform
     },
     message: 'Financial LLM Analyzer API is running'
@@ -13,7 +13,7 @@ const upload = multer({
     if (supportedMimes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error(`Unsupported file type: ${file.mimetype}. Supported: PDF, CSV, Excel, Text`), false);
+      cb(new Error(`Unsupported file type: ${file.mimetype}. Supported: PDF, HTML, CSV, Excel, Text`), false);
     }
   }
 });
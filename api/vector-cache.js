@@ -1,95 +1,54 @@
-const { OpenAIEmbeddings } = require('@langchain/openai');
-const { MemoryVectorStore } = require('langchain/vectorstores/memory');
-const { Document } = require('langchain/document');
-const { BM25Index } = require('../shared/hybridSearch');
+const { createAnalysisStore } = require('../shared/analysisStore');
 const fs = require('fs');
-const path = require('path');
 
-// Persistent cache directory for vector stores
-const CACHE_DIR = '/tmp/vector_cache';
-if (!fs.existsSync(CACHE_DIR)) {
-  fs.mkdirSync(CACHE_DIR, { recursive: true });
-}
+// Persistent cache directory for analyses (vectors are stored, never re-embedded)
+const CACHE_DIR = process.env.ANALYSIS_STORE_DIR || '/tmp/vector_cache';
 
-// In-memory cache as fallback for Vercel
-const memoryCache = new Map();
+const analysisStore = createAnalysisStore({ dir: CACHE_DIR });
 
 // Cache management functions
-const saveVectorStore = async (filename, vectorStore, bm25Index) => {
+const saveVectorStore = async (filename, vectorStore, bm25Index, details = {}) => {
   try {
-    // Save documents to file cache (used for both vector + BM25 reconstruction)
-    const cacheFile = path.join(CACHE_DIR, `${filename}.json`);
-    const documents = vectorStore.memoryVectors.map(v => ({
-      pageContent: v.pageContent,
-      metadata: v.metadata
-    }));
-    fs.writeFileSync(cacheFile, JSON.stringify(documents));
-    console.log(`Vector store saved to file for ${filename}`);
-    
-    // Also save to memory cache as backup (includes BM25 index)
-    memoryCache.set(filename, { vectorStore, bm25Index });
-    console.log(`Vector store + BM25 saved to memory cache for ${filename}`);
+    await analysisStore.save(filename, { vectorStore, bm25Index, ...details });
+    console.log(`Analysis (vectors + BM25) saved to store for ${filename}`);
   } catch (error) {
     console.error('Error saving vector store:', error);
-    // Fallback to memory cache only
-    memoryCache.set(filename, { vectorStore, bm25Index });
-    console.log(`Vector store + BM25 saved to memory cache only for ${filename}`);
   }
 };
 
 const loadVectorStore = async (filename, apiKey) => {
   try {
-    // First try to load from memory cache
-    if (memoryCache.has(filename)) {
-      console.log(`Loaded from memory cache for ${filename}`);
-      return memoryCache.get(filename);
-    }
-    
-    // Then try to load from file cache
-    const cacheFile = path.join(CACHE_DIR, `${filename}.json`);
-    if (fs.existsSync(cacheFile)) {
-      const documentsData = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
-      const documents = documentsData.map(doc => new Document({
-        pageContent: doc.pageContent,
-        metadata: doc.metadata
-      }));
-      
-      const embeddings = new OpenAIEmbeddings({
-        openAIApiKey: apiKey,
-        batchSize: 50,
-      });
-      
-      const vectorStore = await MemoryVectorStore.fromDocuments(documents, embeddings);
-
-      // Rebuild BM25 index from the same documents
-      const bm25Index = new BM25Index(documents);
-
-      // Store in memory cache for future use
-      const cached = { vectorStore, bm25Index };
-      memoryCache.set(filename, cached);
-      console.log(`Loaded from file and cached in memory for ${filename}`);
-      return cached;
-    }
-    
-    console.log(`No cache found for ${filename}`);
-    return null;
+    const cached = await analysisStore.load(filename, apiKey);
+    if (!cached) console.log(`No cache found for ${filename}`);
+    return cached;
   } catch (error) {
     console.error('Error loading vector store:', error);
     return null;
   }
 };
 
+// Typed CSV/Excel sheets for exact cell lookup (null for other formats)
+const loadSheets = async (filename) => {
+  try {
+    return await analysisStore.getSheets(filename);
+  } catch (error) {
+    console.error('Error loading sheets:', error);
+    return null;
+  }
+};
+
 const getCacheInfo = () => {
   return {
     cacheDir: CACHE_DIR,
     cacheExists: fs.existsSync(CACHE_DIR),
     cacheFiles: fs.existsSync(CACHE_DIR) ? fs.readdirSync(CACHE_DIR) : [],
-    memoryCacheKeys: Array.from(memoryCache.keys())
+    memoryCacheKeys: analysisStore.cacheInfo().cachedDocuments
   };
 };
 
 module.exports = {
   saveVectorStore,
   loadVectorStore,
+  loadSheets,
   getCacheInfo
 };
@@ -0,0 +1,201 @@
+/**
+ * Server-side chat sessions for document Q&A.
+ *
+ * A session belongs to one analyzed document and records its turns, so a
+ * follow-up ("and how did that compare to last year?") can be answered
+ * with the earlier questions in view, and the conversation survives a
+ * page reload or a server restart.
+ *
+ * Sessions are persisted as one JSON file per session:
+ *
+ *   { id, documentId, companyName, turns: [{ id, question, standaloneQuestion,
+ *     answer, sources, verification, createdAt }], createdAt, updatedAt }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class ChatSessionStore {
+  /**
+   * @param {object} options
+   * @param {string} options.dir  Directory for persisted sessions
+   * @param {number} [options.maxTurns=200]  Oldest turns beyond this are dropped
+   */
+  constructor({ dir, maxTurns = 200 }) {
+    this.dir = dir;
+    this.maxTurns = maxTurns;
+
+    /** @type {Map<string, object>} */
+    this.sessions = new Map();
+
+    fs.mkdirSync(dir, { recursive: true });
+    this._restore();
+  }
+
+  /**
+   * Start a session for a document.
+   * @param {string} documentId  Analysis store id (the upload filename)
+   * @param {string} [companyName]
+   */
+  create(documentId, companyName) {
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      documentId,
+      companyName: companyName || null,
+      turns: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+    this.sessions.set(session.id, session);
+    this._persist(session);
+    return session;
+  }
+
+  get(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  /**
+   * Sessions of one document, most recently active first.
+   */
+  listForDocument(documentId) {
+    return [...this.sessions.values()]
+      .filter((session) => session.documentId === documentId)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Earlier turns as answer-pipeline history, oldest first.
+   * @returns {{ question: string, answer: string }[]}
+   */
+  history(id) {
+    return (this.sessions.get(id)?.turns || []).map(({ question, answer }) => ({ question, answer }));
+  }
+
+  /**
+   * Record an answered question.
+   * @param {string} id
+   * @param {{ question: string, standaloneQuestion?: string, answer: string, sources?: object[], verification?: object }} turn
+   * @returns {object|null} the stored turn
+   */
+  addTurn(id, { question, standaloneQuestion, answer, sources = [], verification = null }) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+
+    const stored = {
+      id: crypto.randomUUID(),
+      question,
+      standaloneQuestion: standaloneQuestion && standaloneQuestion !== question ? standaloneQuestion : null,
+      answer,
+      sources,
+      verification,
+      createdAt: new Date().toISOString(),
+    };
+    session.turns.push(stored);
+    if (session.turns.length > this.maxTurns) session.turns.splice(0, session.turns.length - this.maxTurns);
+    session.updatedAt = stored.createdAt;
+    this._persist(session);
+    return stored;
+  }
+
+  /**
+   * Remove every turn, keeping the session itself.
+   * @returns {object|null}
+   */
+  clear(id) {
+    const session = this.sessions.get(id);
+    if (!session) return null;
+    session.turns = [];
+    session.updatedAt = new Date().toISOString();
+    this._persist(session);
+    return session;
+  }
+
+  /**
+   * Delete all sessions of a document (when the document is deleted).
+   */
+  removeForDocument(documentId) {
+    for (const session of this.listForDocument(documentId)) {
+      this.sessions.delete(session.id);
+      fs.rm(path.join(this.dir, `${session.id}.json`), { force: true }, () => {});
+    }
+  }
+
+  /**
+   * Public view of a session (without its turns).
+   */
+  summarize(session) {
+    return {
+      id: session.id,
+      documentId: session.documentId,
+      companyName: session.companyName,
+      turnCount: session.turns.length,
+      firstQuestion: session.turns[0]?.question || null,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+    };
+  }
+
+  /**
+   * The conversation as Markdown: each question with its answer and the
+   * sources it cited.
+   */
+  toMarkdown(session) {
+    const lines = [
+      `# Q&A — ${session.companyName || session.documentId}`,
+      '',
+      `Document: ${session.documentId}  `,
+      `Started: ${session.createdAt}`,
+    ];
+
+    session.turns.forEach((turn, i) => {
+      lines.push('', `## ${i + 1}. ${turn.question}`, '');
+      if (turn.standaloneQuestion) lines.push(`_Interpreted as: ${turn.standaloneQuestion}_`, '');
+      // Citation links point into the app; keep just the [n] markers
+      lines.push(turn.answer.replace(/\[(\d+)\]\(#cite-[^)\s]+\)/g, '[$1]'));
+
+      const cited = [...turn.answer.matchAll(/\[(\d+)\]\(#cite-([^)\s]+)\)/g)];
+      const labels = new Map(cited.map(([, n, id]) => [id, n]));
+      const sources = turn.sources.filter((source) => labels.has(source.id));
+      if (sources.length > 0) {
+        lines.push('', 'Sources:');
+        for (const source of sources) {
+          const where = [source.sectionLabel, source.page != null ? `p. ${source.page}` : null].filter(Boolean).join(', ');
+          lines.push(`- [${labels.get(source.id)}] ${where || source.id}`);
+        }
+      }
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /* ---------------------------------------------------------------- */
+  /*  Internals                                                         */
+  /* ---------------------------------------------------------------- */
+
+  _persist(session) {
+    try {
+      fs.writeFileSync(path.join(this.dir, `${session.id}.json`), JSON.stringify(session));
+    } catch (err) {
+      console.error(`[Chat] Failed to persist session ${session.id}:`, err.message);
+    }
+  }
+
+  _restore() {
+    for (const entry of fs.readdirSync(this.dir)) {
+      if (!entry.endsWith('.json')) continue;
+      try {
+        const session = JSON.parse(fs.readFileSync(path.join(this.dir, entry), 'utf-8'));
+        this.sessions.set(session.id, session);
+      } catch (err) {
+        console.error(`[Chat] Skipping unreadable session file ${entry}:`, err.message);
+      }
+    }
+
+    if (this.sessions.size > 0) console.log(`[Chat] Restored ${this.sessions.size} session(s)`);
+  }
+}
+
+module.exports = { ChatSessionStore };
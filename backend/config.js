@@ -1,6 +1,23 @@
 /**
  * Backend server configuration.
  */
+const path = require('path');
+
 module.exports = {
   port: parseInt(process.env.PORT, 10) || 3001,
+  jobs: {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+    dir: process.env.JOBS_DIR || path.join(__dirname, '..', 'data', 'jobs'),
+    retentionHours: parseInt(process.env.JOB_RETENTION_HOURS, 10) || 24,
+  },
+  chat: {
+    dir: process.env.CHAT_SESSIONS_DIR || path.join(__dirname, '..', 'data', 'sessions'),
+    maxTurns: parseInt(process.env.CHAT_MAX_TURNS, 10) || 200,
+  },
+  comparison: {
+    maxPeers: parseInt(process.env.COMPARISON_MAX_PEERS, 10) || 10,
+  },
+  timeline: {
+    maxDocuments: parseInt(process.env.TIMELINE_MAX_DOCUMENTS, 10) || 10,
+  },
 };
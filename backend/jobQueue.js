@@ -0,0 +1,263 @@
+/**
+ * Background job queue for report generation.
+ *
+ * Jobs run outside the HTTP request with bounded concurrency, so a
+ * browser disconnect no longer throws the analysis away. Every event a
+ * job emits is recorded with a sequence number; clients can attach to a
+ * job's event stream at any time and replay what they missed.
+ *
+ * Job state is persisted as one JSON file per job. Jobs that were queued
+ * or running when the server stopped come back as `interrupted`, and a
+ * retry hands the runner the sections that already finished so they are
+ * not generated (or paid for) twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled', 'interrupted']);
+const RETRYABLE_STATUSES = new Set(['failed', 'cancelled', 'interrupted']);
+
+class JobQueue extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {(job: object, ctx: { emit: Function, signal: AbortSignal, completedSections: object }) => Promise<object>} options.runner
+   *   Does the work; resolves with the payload of the final `complete` event.
+   * @param {number} [options.concurrency=2]  Max jobs running at once
+   * @param {string} options.dir  Directory for persisted job state
+   * @param {number} [options.retentionHours=24]  Finished jobs older than this are pruned
+   */
+  constructor({ runner, concurrency = 2, dir, retentionHours = 24 }) {
+    super();
+    this.runner = runner;
+    this.concurrency = concurrency;
+    this.dir = dir;
+    this.retentionMs = retentionHours * 60 * 60 * 1000;
+
+    /** @type {Map<string, object>} */
+    this.jobs = new Map();
+    /** @type {string[]} job ids waiting for a free slot */
+    this.pending = [];
+    /** @type {Map<string, AbortController>} */
+    this.running = new Map();
+
+    // One SSE listener per connected client
+    this.setMaxListeners(0);
+
+    fs.mkdirSync(dir, { recursive: true });
+    this._restore();
+  }
+
+  /**
+   * Queue a new job.
+   * @param {object} params  Runner input (must be JSON-serializable — never put secrets here)
+   * @returns {object} job
+   */
+  create(params) {
+    this._prune();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      params,
+      events: [],
+      completedSections: {},
+      result: null,
+      error: null,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.jobs.set(job.id, job);
+    this._record(job, { type: 'progress', message: 'Queued for analysis...', stage: 'queued' });
+    this.pending.push(job.id);
+    this._drain();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return [...this.jobs.values()];
+  }
+
+  isTerminal(job) {
+    return TERMINAL_STATUSES.has(job.status);
+  }
+
+  /**
+   * Cancel a queued or running job. Running jobs stop at the next
+   * section boundary.
+   * @returns {boolean} false if the job was already finished
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || this.isTerminal(job)) return false;
+
+    const controller = this.running.get(id);
+    if (controller) {
+      controller.abort();
+    } else {
+      this.pending = this.pending.filter((pendingId) => pendingId !== id);
+      job.status = 'cancelled';
+      this._record(job, { type: 'cancelled', message: 'Job cancelled.' });
+    }
+    return true;
+  }
+
+  /**
+   * Re-queue a failed, cancelled or interrupted job. Sections that already
+   * finished are kept and skipped by the runner.
+   * @returns {boolean} false if the job cannot be retried
+   */
+  retry(id) {
+    const job = this.jobs.get(id);
+    if (!job || !RETRYABLE_STATUSES.has(job.status)) return false;
+
+    const done = Object.keys(job.completedSections).length;
+    job.status = 'queued';
+    job.error = null;
+    this._record(job, {
+      type: 'progress',
+      message: done > 0 ? `Retrying (${done} section${done === 1 ? '' : 's'} already complete)...` : 'Retrying...',
+      stage: 'queued',
+    });
+    this.pending.push(id);
+    this._drain();
+    return true;
+  }
+
+  /**
+   * Listen for live events of one job.
+   * @returns {() => void} unsubscribe
+   */
+  subscribe(id, listener) {
+    const eventName = `event:${id}`;
+    this.on(eventName, listener);
+    return () => this.off(eventName, listener);
+  }
+
+  /**
+   * Public view of a job (without the event log).
+   */
+  summarize(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      filename: job.params.filename,
+      completedSections: Object.keys(job.completedSections),
+      result: job.result,
+      error: job.error,
+      attempts: job.attempts,
+      eventCount: job.events.length,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+    };
+  }
+
+  /* ---------------------------------------------------------------- */
+  /*  Internals                                                         */
+  /* ---------------------------------------------------------------- */
+
+  _drain() {
+    while (this.running.size < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job) this._run(job);
+    }
+  }
+
+  async _run(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+    job.status = 'running';
+    job.attempts++;
+    this._persist(job);
+
+    const emit = (event) => {
+      // A cancelled runner may still be finishing its current LLM call
+      if (controller.signal.aborted) return;
+      if (event.type === 'section') job.completedSections[event.sectionKey] = event.content;
+      this._record(job, event);
+    };
+
+    try {
+      const result = await this.runner(job, {
+        emit,
+        signal: controller.signal,
+        completedSections: { ...job.completedSections },
+      });
+      controller.signal.throwIfAborted();
+
+      job.status = 'completed';
+      job.result = result;
+      this._record(job, { type: 'complete', ...result });
+    } catch (err) {
+      if (controller.signal.aborted) {
+        job.status = 'cancelled';
+        this._record(job, { type: 'cancelled', message: 'Job cancelled.' });
+      } else {
+        console.error(`[Jobs] ${job.id} failed:`, err);
+        job.status = 'failed';
+        job.error = err.message || 'Failed to generate financial analysis.';
+        this._record(job, { type: 'error', message: job.error });
+      }
+    } finally {
+      this.running.delete(job.id);
+      this._drain();
+    }
+  }
+
+  _record(job, event) {
+    const stored = { ...event, seq: job.events.length + 1 };
+    job.events.push(stored);
+    job.updatedAt = new Date().toISOString();
+    this._persist(job);
+    this.emit(`event:${job.id}`, stored);
+  }
+
+  _persist(job) {
+    try {
+      fs.writeFileSync(path.join(this.dir, `${job.id}.json`), JSON.stringify(job));
+    } catch (err) {
+      console.error(`[Jobs] Failed to persist ${job.id}:`, err.message);
+    }
+  }
+
+  _restore() {
+    for (const entry of fs.readdirSync(this.dir)) {
+      if (!entry.endsWith('.json')) continue;
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(this.dir, entry), 'utf-8'));
+        this.jobs.set(job.id, job);
+
+        if (!this.isTerminal(job)) {
+          job.status = 'interrupted';
+          job.error = 'Interrupted by a server restart.';
+          this._record(job, { type: 'error', message: `${job.error} Retry to resume.`, interrupted: true });
+        }
+      } catch (err) {
+        console.error(`[Jobs] Skipping unreadable job file ${entry}:`, err.message);
+      }
+    }
+
+    if (this.jobs.size > 0) console.log(`[Jobs] Restored ${this.jobs.size} job(s)`);
+  }
+
+  _prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const job of this.jobs.values()) {
+      if (this.isTerminal(job) && Date.parse(job.updatedAt) < cutoff) {
+        this.jobs.delete(job.id);
+        fs.rm(path.join(this.dir, `${job.id}.json`), { force: true }, () => {});
+      }
+    }
+  }
+}
+
+module.exports = { JobQueue };
@@ -12,17 +12,41 @@ const {
   generateReportSectionsStreaming,
   answerQuestion,
   answerQuestionStream,
+  answerLibraryQuestion,
   generateComparisonSections,
+  generateTimelineSections,
+  generateFilingDiff,
+  assessManagementTone,
 } = require('../shared/aiProcessor');
+const { createAnalysisStore } = require('../shared/analysisStore');
+const { extractFinancialStatements } = require('../shared/financialStatements');
+const { computeRatios } = require('../shared/ratioEngine');
+const { groupByCompany, latestPerPeriod, alignMetrics } = require('../shared/companyTimeline');
+const { REDLINE_SECTIONS } = require('../shared/filingDiff');
+const { scoreDocumentTone, toneRows } = require('../shared/sentiment');
+const { loadScorecardModel, scoreCredit } = require('../shared/creditScorecard');
+const { resolveApiKey, requiresApiKey } = require('../shared/llmProvider');
+const { DEFAULT_TEMPLATE, TemplateStore, validateTemplate, templateLayout } = require('../shared/reportTemplates');
+const { EXPORT_FORMATS, exportReport, exportComparison } = require('../shared/reportExport');
+const { WORKBOOK_FORMAT, buildWorkbook } = require('../shared/workbookExport');
+const { JobQueue } = require('./jobQueue');
+const { ChatSessionStore } = require('./chatSessions');
 const config = require('./config');
 
 const app = express();
 
 /**
- * Cache stores both the vectorStore and bm25Index per document
- * so that Q&A can use hybrid search.
+ * Persists each document's chunks, embeddings and BM25 stats so Q&A
+ * survives restarts. Indices are hydrated lazily and kept in an LRU.
  */
-const analysisCache = new Map();
+const analysisStore = createAnalysisStore();
+
+/**
+ * Q&A turns per document, so follow-up questions keep their context and
+ * the chat can be restored after a reload.
+ */
+const chatSessions = new ChatSessionStore({ dir: config.chat.dir, maxTurns: config.chat.maxTurns });
+const templateStore = new TemplateStore();
 
 const uploadsDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadsDir)) {
@@ -60,6 +84,26 @@ function sendError(res, status, message) {
   res.status(status).json({ error: message });
 }
 
+/**
+ * Uploads are kept alongside their stored analysis (the library owns them)
+ * and only removed when analysis fails or the document is deleted.
+ */
+function discardUpload(filePath) {
+  fs.unlink(filePath, (err) => {
+    if (err && err.code !== 'ENOENT') console.error('Failed to delete upload:', filePath, err);
+  });
+}
+
+/**
+ * The chat session a document question belongs to: the one the client
+ * sent, or a new session when it sent none (or one for another document).
+ */
+function resolveChatSession(sessionId, filename, companyName) {
+  const session = sessionId && chatSessions.get(sessionId);
+  if (session && session.documentId === filename) return session;
+  return chatSessions.create(filename, companyName);
+}
+
 /* ------------------------------------------------------------------ */
 /*  Routes                                                              */
 /* ------------------------------------------------------------------ */
@@ -89,10 +133,11 @@ app.post('/api/upload', upload.single('report'), (req, res) => {
 });
 
 app.post('/api/generate-report', async (req, res) => {
-  const { filename, companyName: requestedCompanyName } = req.body;
-  const apiKey = process.env.OPENAI_API_KEY;
+  const { filename, companyName: requestedCompanyName, templateId } = req.body;
+  const apiKey = resolveApiKey();
+  const missingKey = !apiKey && requiresApiKey();
 
-  if (!filename || !apiKey) {
+  if (!filename || missingKey) {
     return sendError(res, 400, 'Missing filename or OPENAI_API_KEY.');
   }
 
@@ -101,9 +146,15 @@ app.post('/api/generate-report', async (req, res) => {
     return sendError(res, 404, 'Uploaded file not found.');
   }
 
+  // No template: sections are chosen by document type
+  const template = templateId ? templateStore.get(templateId) : null;
+  if (templateId && !template) return sendError(res, 404, 'Template not found.');
+
+  let stored = false;
+
   try {
     // Multi-format document processing
-    const { text: extractedText, format } = await processDocument(filePath, {
+    const { text: extractedText, format, facts, ocr, sheets } = await processDocument(filePath, {
       filename,
     });
 
@@ -116,14 +167,23 @@ app.post('/api/generate-report', async (req, res) => {
       companyName = await extractCompanyName(extractedText, apiKey);
     }
 
-    const { sections, vectorStore, bm25Index, documentType } =
-      await generateReportSections(extractedText, companyName, apiKey);
+    const { sections, template: layout, sources, verification, financials, ratios, tone, scorecard, vectorStore, bm25Index, documentType, cleanedText } =
+      await generateReportSections(extractedText, companyName, apiKey, { facts, ocr, sheets, template });
 
-    // Cache both indices for Q&A
-    analysisCache.set(filename, { vectorStore, bm25Index });
+    // Persist both indices for Q&A
+    await analysisStore.save(filename, {
+      vectorStore, bm25Index, sections, template: layout, sources, verification, financials, companyName, documentType, format, cleanedText, sheets,
+    });
+    stored = true;
 
     res.status(200).json({
       ...sections,
+      template: layout,
+      sources,
+      verification,
+      ratios,
+      tone,
+      scorecard,
       companyName,
       documentType: documentType?.label,
       documentFormat: format,
@@ -132,35 +192,57 @@ app.post('/api/generate-report', async (req, res) => {
     console.error('Generate report error:', err);
     sendError(res, 500, err.message || 'Failed to generate financial analysis.');
   } finally {
-    fs.unlink(filePath, (err) => {
-      if (err) console.error('Failed to delete temp file:', filePath, err);
-    });
+    if (!stored) discardUpload(filePath);
   }
 });
 
 app.post('/api/ask-question', async (req, res) => {
-  const { filename, question, companyName } = req.body;
-  const apiKey = process.env.OPENAI_API_KEY;
+  const { filename, question, companyName, scope, documentIds, sessionId } = req.body;
+  const apiKey = resolveApiKey();
+  const missingKey = !apiKey && requiresApiKey();
+
+  if (scope === 'library') {
+    if (!question || missingKey) return sendError(res, 400, 'Missing required parameters.');
+
+    const entries = await libraryEntries(documentIds, apiKey);
+    if (entries.length === 0) return sendError(res, 404, 'No analyzed documents in the selected scope.');
+
+    try {
+      const { answer, sources, verification } = await answerLibraryQuestion(entries, question, apiKey);
+      return res.status(200).json({ answer, sources, verification });
+    } catch (err) {
+      console.error('Library question error:', err.message);
+      return sendError(res, 500, 'Failed to get an answer.');
+    }
+  }
 
-  if (!filename || !question || !companyName || !apiKey) {
+  if (!filename || !question || !companyName || missingKey) {
     return sendError(res, 400, 'Missing required parameters.');
   }
 
-  const cached = analysisCache.get(filename);
+  const cached = await analysisStore.load(filename, apiKey);
   if (!cached) {
     return sendError(res, 404, 'Analysis context not found. Please generate a report first.');
   }
 
+  const session = resolveChatSession(sessionId, filename, companyName);
+
   try {
     // Pass bm25Index for hybrid search in Q&A
-    const answer = await answerQuestion(
+    const { answer, sources, verification, standaloneQuestion } = await answerQuestion(
       cached.vectorStore,
       question,
       companyName,
       apiKey,
-      cached.bm25Index
+      cached.bm25Index,
+      {
+        fullText: await analysisStore.getText(filename),
+        sheets: await analysisStore.getSheets(filename),
+        history: chatSessions.history(session.id),
+      }
     );
-    res.status(200).json({ answer });
+    chatSessions.addTurn(session.id, { question, standaloneQuestion, answer, sources, verification });
+    res.status(200).json({ answer, sources, verification, standaloneQuestion, sessionId: session.id });
   } catch (err) {
     console.error('Ask question error:', err.message);
     sendError(res, 500, 'Failed to get an answer.');
@@ -183,15 +265,156 @@ function sendSSE(res, data) {
   res.write(`data: ${JSON.stringify(data)}\n\n`);
 }
 
+/* ------------------------------------------------------------------ */
+/*  Background report jobs                                              */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Runs one report job: the same pipeline as /api/generate-report-stream,
+ * but outside any HTTP request. The upload is kept on failure so the job
+ * can be retried.
+ */
+async function runReportJob(job, { emit, signal, completedSections }) {
+  const { filename, companyName: requestedCompanyName, templateId } = job.params;
+  const apiKey = resolveApiKey();
+  if (!apiKey && requiresApiKey()) throw new Error('Missing OPENAI_API_KEY.');
+
+  const filePath = path.join(uploadsDir, filename);
+  if (!fs.existsSync(filePath)) throw new Error('Uploaded file not found.');
+
+  // Looked up on every attempt: the template may have been edited or deleted since
+  const template = templateId ? templateStore.get(templateId) : null;
+  if (templateId && !template) throw new Error(`Template "${templateId}" not found.`);
+
+  emit({ type: 'progress', message: 'Processing document...', stage: 'processing' });
+  const { text: extractedText, format, facts, ocr, sheets } = await processDocument(filePath, { filename, onProgress: emit });
+  if (!extractedText) throw new Error('Text extraction returned empty.');
+
+  // Reuse the company name identified by an earlier attempt
+  let companyName =
+    (requestedCompanyName && String(requestedCompanyName).trim()) ||
+    job.events.find((e) => e.stage === 'analysis' && e.companyName)?.companyName ||
+    null;
+  if (!companyName) {
+    emit({ type: 'progress', message: 'Identifying company...', stage: 'company' });
+    companyName = await extractCompanyName(extractedText, apiKey);
+  }
+
+  emit({ type: 'progress', message: 'Starting analysis...', stage: 'analysis', companyName });
+
+  const { sections, template: layout, sources, verification, financials, ratios, tone, scorecard, vectorStore, bm25Index, documentType, cleanedText } =
+    await generateReportSectionsStreaming(extractedText, companyName, apiKey, emit, {
+      completedSections,
+      signal,
+      facts,
+      ocr,
+      sheets,
+      template,
+    });
+
+  await analysisStore.save(filename, {
+    vectorStore, bm25Index, sections, template: layout, sources, verification, financials, companyName, documentType, format, cleanedText, sheets,
+  });
+
+  return {
+    companyName,
+    template: layout,
+    ratios,
+    tone,
+    scorecard,
+    documentType: documentType?.label,
+    documentFormat: format,
+  };
+}
+
+const jobQueue = new JobQueue({
+  runner: runReportJob,
+  concurrency: config.jobs.concurrency,
+  dir: config.jobs.dir,
+  retentionHours: config.jobs.retentionHours,
+});
+
+app.post('/api/jobs', (req, res) => {
+  const { filename, companyName, templateId } = req.body;
+
+  if (!filename || (!resolveApiKey() && requiresApiKey())) {
+    return sendError(res, 400, 'Missing filename or OPENAI_API_KEY.');
+  }
+  if (!fs.existsSync(path.join(uploadsDir, filename))) {
+    return sendError(res, 404, 'Uploaded file not found.');
+  }
+  if (templateId && !templateStore.get(templateId)) {
+    return sendError(res, 404, 'Template not found.');
+  }
+
+  const job = jobQueue.create({ filename, companyName: companyName || null, templateId: templateId || null });
+  res.status(202).json({ jobId: job.id, status: job.status });
+});
+
+app.get('/api/jobs', (_req, res) => {
+  res.status(200).json({ jobs: jobQueue.list().map((job) => jobQueue.summarize(job)) });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) return sendError(res, 404, 'Job not found.');
+  res.status(200).json(jobQueue.summarize(job));
+});
+
+/**
+ * Replays recorded events (after `?after=<seq>`) and then follows live
+ * ones until the job reaches a terminal state.
+ */
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) return sendError(res, 404, 'Job not found.');
+
+  const after = parseInt(req.query.after, 10) || 0;
+
+  setupSSE(res);
+
+  for (const event of job.events) {
+    if (event.seq > after) sendSSE(res, event);
+  }
+
+  if (jobQueue.isTerminal(job)) return res.end();
+
+  const unsubscribe = jobQueue.subscribe(job.id, (event) => {
+    sendSSE(res, event);
+    if (jobQueue.isTerminal(job)) {
+      unsubscribe();
+      res.end();
+    }
+  });
+
+  // Client went away — the job keeps running
+  req.on('close', unsubscribe);
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) return sendError(res, 404, 'Job not found.');
+  if (!jobQueue.cancel(job.id)) return sendError(res, 409, `Job is already ${job.status}.`);
+  res.status(202).json(jobQueue.summarize(job));
+});
+
+app.post('/api/jobs/:id/retry', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) return sendError(res, 404, 'Job not found.');
+  if (!jobQueue.retry(job.id)) return sendError(res, 409, `Job is ${job.status} and cannot be retried.`);
+  res.status(202).json(jobQueue.summarize(job));
+});
+
 /* ------------------------------------------------------------------ */
 /*  Streaming report generation                                         */
 /* ------------------------------------------------------------------ */
 
 app.post('/api/generate-report-stream', async (req, res) => {
-  const { filename, companyName: requestedCompanyName } = req.body;
-  const apiKey = process.env.OPENAI_API_KEY;
+  const { filename, companyName: requestedCompanyName, templateId } = req.body;
+  const apiKey = resolveApiKey();
+  const missingKey = !apiKey && requiresApiKey();
 
-  if (!filename || !apiKey) {
+  if (!filename || missingKey) {
     return sendError(res, 400, 'Missing filename or OPENAI_API_KEY.');
   }
 
@@ -200,12 +423,20 @@ app.post('/api/generate-report-stream', async (req, res) => {
     return sendError(res, 404, 'Uploaded file not found.');
   }
 
+  // No template: sections are chosen by document type
+  const template = templateId ? templateStore.get(templateId) : null;
+  if (templateId && !template) return sendError(res, 404, 'Template not found.');
+
   setupSSE(res);
+  let stored = false;
 
   try {
     sendSSE(res, { type: 'progress', message: 'Processing document...', stage: 'processing' });
 
-    const { text: extractedText, format } = await processDocument(filePath, { filename });
+    const { text: extractedText, format, facts, ocr, sheets } = await processDocument(filePath, {
+      filename,
+      onProgress: (event) => sendSSE(res, event),
+    });
     if (!extractedText) {
       sendSSE(res, { type: 'error', message: 'Text extraction returned empty.' });
       return res.end();
@@ -219,16 +450,24 @@ app.post('/api/generate-report-stream', async (req, res) => {
 
     sendSSE(res, { type: 'progress', message: 'Starting analysis...', stage: 'analysis', companyName });
 
-    const { sections, vectorStore, bm25Index, documentType } =
+    const { sections, template: layout, sources, verification, financials, ratios, tone, scorecard, vectorStore, bm25Index, documentType, cleanedText } =
       await generateReportSectionsStreaming(extractedText, companyName, apiKey, (event) => {
         sendSSE(res, event);
-      });
+      }, { facts, ocr, sheets, template });
 
-    analysisCache.set(filename, { vectorStore, bm25Index });
+    await analysisStore.save(filename, {
+      vectorStore, bm25Index, sections, template: layout, sources, verification, financials, companyName, documentType, format, cleanedText, sheets,
+    });
+    stored = true;
 
     sendSSE(res, {
       type: 'complete',
       companyName,
+      template: layout,
+      sources,
+      ratios,
+      tone,
+      scorecard,
       documentType: documentType?.label,
       documentFormat: format,
     });
@@ -237,9 +476,7 @@ app.post('/api/generate-report-stream', async (req, res) => {
     sendSSE(res, { type: 'error', message: err.message || 'Failed to generate financial analysis.' });
   } finally {
     res.end();
-    fs.unlink(filePath, (unlinkErr) => {
-      if (unlinkErr) console.error('Failed to delete temp file:', filePath, unlinkErr);
-    });
+    if (!stored) discardUpload(filePath);
   }
 });
 
@@ -248,22 +485,45 @@ app.post('/api/generate-report-stream', async (req, res) => {
 /* ------------------------------------------------------------------ */
 
 app.post('/api/ask-question-stream', async (req, res) => {
-  const { filename, question, companyName } = req.body;
-  const apiKey = process.env.OPENAI_API_KEY;
+  const { filename, question, companyName, scope, documentIds, sessionId } = req.body;
+  const apiKey = resolveApiKey();
+  const missingKey = !apiKey && requiresApiKey();
+
+  if (scope === 'library') {
+    if (!question || missingKey) return sendError(res, 400, 'Missing required parameters.');
+
+    const entries = await libraryEntries(documentIds, apiKey);
+    if (entries.length === 0) return sendError(res, 404, 'No analyzed documents in the selected scope.');
+
+    setupSSE(res);
+    try {
+      const { answer, sources, verification } = await answerLibraryQuestion(entries, question, apiKey, {
+        onChunk: (chunk) => sendSSE(res, { type: 'chunk', content: chunk }),
+      });
+      sendSSE(res, { type: 'done', content: answer, sources, verification });
+    } catch (err) {
+      console.error('Stream library Q&A error:', err.message);
+      sendSSE(res, { type: 'error', message: 'Failed to get an answer.' });
+    } finally {
+      res.end();
+    }
+    return;
+  }
 
-  if (!filename || !question || !companyName || !apiKey) {
+  if (!filename || !question || !companyName || missingKey) {
     return sendError(res, 400, 'Missing required parameters.');
   }
 
-  const cached = analysisCache.get(filename);
+  const cached = await analysisStore.load(filename, apiKey);
   if (!cached) {
     return sendError(res, 404, 'Analysis context not found. Please generate a report first.');
   }
 
+  const session = resolveChatSession(sessionId, filename, companyName);
   setupSSE(res);
 
   try {
-    const fullContent = await answerQuestionStream(
+    const { answer, sources, verification, standaloneQuestion } = await answerQuestionStream(
       cached.vectorStore,
       question,
       companyName,
@@ -271,9 +531,16 @@ app.post('/api/ask-question-stream', async (req, res) => {
       cached.bm25Index,
       (chunk) => {
         sendSSE(res, { type: 'chunk', content: chunk });
+      },
+      {
+        fullText: await analysisStore.getText(filename),
+        sheets: await analysisStore.getSheets(filename),
+        history: chatSessions.history(session.id),
       }
     );
-    sendSSE(res, { type: 'done', content: fullContent });
+    chatSessions.addTurn(session.id, { question, standaloneQuestion, answer, sources, verification });
+    // Final content has the [n] markers resolved to chunk-id links
+    sendSSE(res, { type: 'done', content: answer, sources, verification, standaloneQuestion, sessionId: session.id });
   } catch (err) {
     console.error('Stream Q&A error:', err.message);
     sendSSE(res, { type: 'error', message: 'Failed to get an answer.' });
@@ -283,132 +550,252 @@ app.post('/api/ask-question-stream', async (req, res) => {
 });
 
 /* ------------------------------------------------------------------ */
-/*  Comparison endpoints                                                */
+/*  Chat sessions                                                       */
 /* ------------------------------------------------------------------ */
 
-app.post('/api/compare-reports', async (req, res) => {
-  const { filenameA, filenameB } = req.body;
-  const apiKey = process.env.OPENAI_API_KEY;
+app.get('/api/documents/:id/sessions', (req, res) => {
+  const sessions = chatSessions.listForDocument(req.params.id).map((s) => chatSessions.summarize(s));
+  res.status(200).json({ sessions });
+});
+
+app.get('/api/sessions/:id', (req, res) => {
+  const session = chatSessions.get(req.params.id);
+  if (!session) return sendError(res, 404, 'Chat session not found.');
+  res.status(200).json(session);
+});
+
+app.post('/api/sessions/:id/clear', (req, res) => {
+  const session = chatSessions.clear(req.params.id);
+  if (!session) return sendError(res, 404, 'Chat session not found.');
+  res.status(200).json(chatSessions.summarize(session));
+});
+
+app.get('/api/sessions/:id/export', (req, res) => {
+  const session = chatSessions.get(req.params.id);
+  if (!session) return sendError(res, 404, 'Chat session not found.');
+
+  const format = req.query.format || 'md';
+  if (format !== 'md' && format !== 'json') return sendError(res, 400, 'Format must be "md" or "json".');
 
-  if (!filenameA || !filenameB || !apiKey) {
-    return sendError(res, 400, 'Missing filenames or OPENAI_API_KEY.');
+  const documentName = path.basename(session.documentId, path.extname(session.documentId)).replace(/[^\w.-]+/g, '_');
+  const basename = `chat-${documentName}-${session.id.slice(0, 8)}`;
+  res.setHeader('Content-Disposition', `attachment; filename="${basename}.${format}"`);
+  if (format === 'json') {
+    res.status(200).json(session);
+  } else {
+    res.type('text/markdown').status(200).send(chatSessions.toMarkdown(session));
   }
+});
+
+/* ------------------------------------------------------------------ */
+/*  Report templates                                                    */
+/* ------------------------------------------------------------------ */
+
+app.get('/api/templates', (_req, res) => {
+  res.status(200).json({
+    templates: templateStore.list().map((template) => ({
+      ...templateLayout(template),
+      description: template.description,
+      builtIn: template.builtIn,
+      updatedAt: template.updatedAt || null,
+    })),
+  });
+});
+
+app.get('/api/templates/:id', (req, res) => {
+  const template = templateStore.get(req.params.id);
+  if (!template) return sendError(res, 404, 'Template not found.');
+  res.status(200).json(template);
+});
 
-  const filePathA = path.join(__dirname, 'uploads', filenameA);
-  const filePathB = path.join(__dirname, 'uploads', filenameB);
+app.post('/api/templates', (req, res) => {
+  const { template, errors } = validateTemplate(req.body);
+  if (!template) return sendError(res, 400, errors.join(' '));
 
-  if (!fs.existsSync(filePathA) || !fs.existsSync(filePathB)) {
-    return sendError(res, 404, 'One or both uploaded files not found.');
+  const stored = templateStore.create(template, req.body.id || undefined);
+  if (!stored) return sendError(res, 409, 'A template with this id already exists, or the id is invalid.');
+  res.status(201).json(stored);
+});
+
+app.put('/api/templates/:id', (req, res) => {
+  if (templateStore.isBuiltIn(req.params.id)) return sendError(res, 409, 'The built-in template cannot be changed.');
+
+  const { template, errors } = validateTemplate(req.body);
+  if (!template) return sendError(res, 400, errors.join(' '));
+
+  const stored = templateStore.update(req.params.id, template);
+  if (!stored) return sendError(res, 404, 'Template not found.');
+  res.status(200).json(stored);
+});
+
+app.delete('/api/templates/:id', (req, res) => {
+  if (templateStore.isBuiltIn(req.params.id)) return sendError(res, 409, 'The built-in template cannot be deleted.');
+  if (!templateStore.delete(req.params.id)) return sendError(res, 404, 'Template not found.');
+  res.status(200).json({ message: 'Template deleted', id: req.params.id });
+});
+
+/* ------------------------------------------------------------------ */
+/*  Comparison endpoints                                                */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Uploaded documents named by a comparison request, in request order.
+ * @returns {{ uploads?: { filename: string, filePath: string }[], status?: number, error?: string }}
+ */
+function comparisonUploads(filenames) {
+  const { maxPeers } = config.comparison;
+  if (!Array.isArray(filenames) || filenames.length < 2 || filenames.length > maxPeers
+    || !filenames.every((f) => typeof f === 'string' && f) || new Set(filenames).size !== filenames.length) {
+    return { status: 400, error: `Expected "filenames": 2 to ${maxPeers} different uploaded files.` };
+  }
+
+  const uploads = filenames.map((filename) => ({ filename, filePath: path.join(__dirname, 'uploads', filename) }));
+  const missing = uploads.filter(({ filePath }) => !fs.existsSync(filePath));
+  if (missing.length > 0) {
+    return { status: 404, error: `Uploaded file not found: ${missing.map((u) => u.filename).join(', ')}.` };
   }
+  return { uploads };
+}
+
+function toPeerReport(documentId, companyName, result) {
+  return {
+    documentId,
+    companyName,
+    report: {
+      ...result.sections,
+      sources: result.sources,
+      verification: result.verification,
+      ratios: result.ratios,
+      tone: result.tone,
+      scorecard: result.scorecard,
+      documentType: result.documentType?.label,
+      companyName,
+      generatedAt: new Date().toISOString(),
+    },
+  };
+}
+
+app.post('/api/compare-reports', async (req, res) => {
+  const apiKey = resolveApiKey();
+  if (!apiKey && requiresApiKey()) return sendError(res, 400, 'Missing OPENAI_API_KEY.');
+
+  const { uploads, status, error } = comparisonUploads(req.body?.filenames);
+  if (!uploads) return sendError(res, status, error);
+
+  const stored = new Set();
 
   try {
-    const [docA, docB] = await Promise.all([
-      processDocument(filePathA, { filename: filenameA }),
-      processDocument(filePathB, { filename: filenameB }),
-    ]);
+    const docs = await Promise.all(uploads.map(({ filename, filePath }) => processDocument(filePath, { filename })));
 
-    if (!docA.text || !docB.text) {
-      return sendError(res, 400, 'Text extraction returned empty for one or both documents.');
+    const empty = uploads.filter((_, i) => !docs[i].text);
+    if (empty.length > 0) {
+      return sendError(res, 400, `Text extraction returned empty for: ${empty.map((u) => u.filename).join(', ')}.`);
     }
 
-    const [companyA, companyB] = await Promise.all([
-      extractCompanyName(docA.text, apiKey),
-      extractCompanyName(docB.text, apiKey),
-    ]);
+    const companies = await Promise.all(docs.map((doc) => extractCompanyName(doc.text, apiKey)));
 
-    const [resultA, resultB] = await Promise.all([
-      generateReportSections(docA.text, companyA, apiKey),
-      generateReportSections(docB.text, companyB, apiKey),
-    ]);
-
-    analysisCache.set(filenameA, { vectorStore: resultA.vectorStore, bm25Index: resultA.bm25Index });
-    analysisCache.set(filenameB, { vectorStore: resultB.vectorStore, bm25Index: resultB.bm25Index });
+    // One report at a time, so a large peer group does not multiply concurrent LLM calls
+    const peers = [];
+    const results = [];
+    for (const [i, { filename }] of uploads.entries()) {
+      const doc = docs[i];
+      const result = await generateReportSections(doc.text, companies[i], apiKey, {
+        facts: doc.facts, ocr: doc.ocr, sheets: doc.sheets, template: DEFAULT_TEMPLATE,
+      });
+      await analysisStore.save(filename, { ...result, companyName: companies[i], format: doc.format, sheets: doc.sheets });
+      stored.add(filename);
+      results.push(result);
+      peers.push(toPeerReport(filename, companies[i], result));
+    }
 
-    const { comparison } = await generateComparisonSections(docA.text, docB.text, companyA, companyB, apiKey);
+    const { comparison, matrix } = await generateComparisonSections(
+      results.map((result, i) => ({ ...result, id: uploads[i].filename, companyName: companies[i] })),
+      apiKey
+    );
 
     res.status(200).json({
-      companyA,
-      companyB,
-      reportA: { ...resultA.sections, companyName: companyA, generatedAt: new Date().toISOString() },
-      reportB: { ...resultB.sections, companyName: companyB, generatedAt: new Date().toISOString() },
+      peers,
       comparison,
+      matrix,
       generatedAt: new Date().toISOString(),
     });
   } catch (err) {
     console.error('Compare reports error:', err);
     sendError(res, 500, err.message || 'Failed to generate comparison.');
   } finally {
-    fs.unlink(filePathA, () => {});
-    fs.unlink(filePathB, () => {});
+    for (const { filename, filePath } of uploads) {
+      if (!stored.has(filename)) discardUpload(filePath);
+    }
   }
 });
 
+/**
+ * Streaming comparison. Events about one document carry its id in
+ * `document`; comparative sections arrive as `comparison_<key>` sections
+ * without one.
+ */
 app.post('/api/compare-reports-stream', async (req, res) => {
-  const { filenameA, filenameB } = req.body;
-  const apiKey = process.env.OPENAI_API_KEY;
-
-  if (!filenameA || !filenameB || !apiKey) {
-    return sendError(res, 400, 'Missing filenames or OPENAI_API_KEY.');
-  }
-
-  const filePathA = path.join(__dirname, 'uploads', filenameA);
-  const filePathB = path.join(__dirname, 'uploads', filenameB);
+  const apiKey = resolveApiKey();
+  if (!apiKey && requiresApiKey()) return sendError(res, 400, 'Missing OPENAI_API_KEY.');
 
-  if (!fs.existsSync(filePathA) || !fs.existsSync(filePathB)) {
-    return sendError(res, 404, 'One or both uploaded files not found.');
-  }
+  const { uploads, status, error } = comparisonUploads(req.body?.filenames);
+  if (!uploads) return sendError(res, status, error);
 
   setupSSE(res);
+  const stored = new Set();
 
   try {
-    sendSSE(res, { type: 'progress', message: 'Processing both documents...', stage: 'processing' });
+    sendSSE(res, { type: 'progress', message: `Processing ${uploads.length} documents...`, stage: 'processing' });
 
-    const [docA, docB] = await Promise.all([
-      processDocument(filePathA, { filename: filenameA }),
-      processDocument(filePathB, { filename: filenameB }),
-    ]);
+    const docs = await Promise.all(uploads.map(({ filename, filePath }) =>
+      processDocument(filePath, { filename, onProgress: (event) => sendSSE(res, { ...event, document: filename }) })
+    ));
 
-    if (!docA.text || !docB.text) {
-      sendSSE(res, { type: 'error', message: 'Text extraction returned empty for one or both documents.' });
-      return res.end();
+    const empty = uploads.filter((_, i) => !docs[i].text);
+    if (empty.length > 0) {
+      sendSSE(res, { type: 'error', message: `Text extraction returned empty for: ${empty.map((u) => u.filename).join(', ')}.` });
+      return;
     }
 
     sendSSE(res, { type: 'progress', message: 'Identifying companies...', stage: 'company' });
 
-    const [companyA, companyB] = await Promise.all([
-      extractCompanyName(docA.text, apiKey),
-      extractCompanyName(docB.text, apiKey),
-    ]);
-
-    sendSSE(res, { type: 'progress', message: `Analyzing ${companyA}...`, stage: 'reportA', companyA, companyB });
-
-    // Generate individual reports with streaming
-    const resultA = await generateReportSectionsStreaming(docA.text, companyA, apiKey, (event) => {
-      sendSSE(res, { ...event, document: 'A' });
+    const companies = await Promise.all(docs.map((doc) => extractCompanyName(doc.text, apiKey)));
+    sendSSE(res, {
+      type: 'progress',
+      message: `Comparing ${companies.length} companies...`,
+      stage: 'peers',
+      peers: uploads.map(({ filename }, i) => ({ documentId: filename, companyName: companies[i] })),
     });
 
-    sendSSE(res, { type: 'progress', message: `Analyzing ${companyB}...`, stage: 'reportB' });
+    const peers = [];
+    const results = [];
+    for (const [i, { filename }] of uploads.entries()) {
+      const doc = docs[i];
+      sendSSE(res, { type: 'progress', message: `Analyzing ${companies[i]} (${i + 1}/${uploads.length})...`, stage: 'report', document: filename });
 
-    const resultB = await generateReportSectionsStreaming(docB.text, companyB, apiKey, (event) => {
-      sendSSE(res, { ...event, document: 'B' });
-    });
+      const result = await generateReportSectionsStreaming(doc.text, companies[i], apiKey, (event) => {
+        sendSSE(res, { ...event, document: filename });
+      }, { facts: doc.facts, ocr: doc.ocr, sheets: doc.sheets, template: DEFAULT_TEMPLATE });
 
-    analysisCache.set(filenameA, { vectorStore: resultA.vectorStore, bm25Index: resultA.bm25Index });
-    analysisCache.set(filenameB, { vectorStore: resultB.vectorStore, bm25Index: resultB.bm25Index });
+      await analysisStore.save(filename, { ...result, companyName: companies[i], format: doc.format, sheets: doc.sheets });
+      stored.add(filename);
+      results.push(result);
+      peers.push(toPeerReport(filename, companies[i], result));
+    }
 
     sendSSE(res, { type: 'progress', message: 'Generating comparative analysis...', stage: 'comparison' });
 
-    const { comparison } = await generateComparisonSections(docA.text, docB.text, companyA, companyB, apiKey, (event) => {
-      sendSSE(res, event);
-    });
+    const { comparison, matrix } = await generateComparisonSections(
+      results.map((result, i) => ({ ...result, id: uploads[i].filename, companyName: companies[i] })),
+      apiKey,
+      (event) => sendSSE(res, event)
+    );
 
     sendSSE(res, {
       type: 'complete',
-      companyA,
-      companyB,
-      reportA: { ...resultA.sections, companyName: companyA, generatedAt: new Date().toISOString() },
-      reportB: { ...resultB.sections, companyName: companyB, generatedAt: new Date().toISOString() },
+      peers,
       comparison,
+      matrix,
       generatedAt: new Date().toISOString(),
     });
   } catch (err) {
@@ -416,8 +803,497 @@ app.post('/api/compare-reports-stream', async (req, res) => {
     sendSSE(res, { type: 'error', message: err.message || 'Failed to generate comparison.' });
   } finally {
     res.end();
-    fs.unlink(filePathA, () => {});
-    fs.unlink(filePathB, () => {});
+    for (const { filename, filePath } of uploads) {
+      if (!stored.has(filename)) discardUpload(filePath);
+    }
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/*  Report export                                                       */
+/* ------------------------------------------------------------------ */
+
+/** Single documents can also be exported as a data workbook. */
+const DOCUMENT_EXPORT_FORMATS = { ...EXPORT_FORMATS, xlsx: WORKBOOK_FORMAT };
+
+/** `?format=` of an export request; null when unsupported. */
+function exportFormat(req, formats = EXPORT_FORMATS) {
+  const format = req.query.format || 'pdf';
+  return Object.hasOwn(formats, format) ? format : null;
+}
+
+function sendExport(res, { body, contentType, extension }, basename) {
+  const safeName = basename.replace(/[^\w.-]+/g, '_').replace(/^_+|_+$/g, '') || 'report';
+  res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${extension}"`);
+  res.type(contentType).status(200).send(body);
+}
+
+/**
+ * Export a comparison the client already holds: comparative sections are
+ * not stored, so the result of /api/compare-reports(-stream) is posted back.
+ */
+app.post('/api/compare-reports/export', async (req, res) => {
+  const format = exportFormat(req);
+  if (!format) return sendError(res, 400, `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+
+  const { peers, comparison, matrix, generatedAt } = req.body || {};
+  const isPeer = (peer) => peer && typeof peer.companyName === 'string'
+    && peer.report && typeof peer.report === 'object' && peer.report.sections && typeof peer.report.sections === 'object';
+  if (!Array.isArray(peers) || peers.length < 2 || !peers.every(isPeer) || !comparison || typeof comparison !== 'object') {
+    return sendError(res, 400, 'Expected comparison and peers (two or more, each with companyName and a report with its sections).');
+  }
+
+  try {
+    const exported = await exportComparison({
+      peers,
+      comparison,
+      matrix: matrix || null,
+      generatedAt: generatedAt || new Date().toISOString(),
+    }, format);
+    sendExport(res, exported, peers.length === 2
+      ? `${peers[0].companyName}-vs-${peers[1].companyName}-comparison`
+      : `${peers[0].companyName}-and-${peers.length - 1}-peers-comparison`);
+  } catch (err) {
+    console.error('Comparison export error:', err);
+    sendError(res, 500, 'Failed to export comparison.');
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/*  Document library                                                    */
+/* ------------------------------------------------------------------ */
+
+function toDocumentSummary(meta) {
+  return {
+    id: meta.id,
+    originalName: meta.id.replace(/^\d+-/, ''),
+    companyName: meta.companyName,
+    documentType: meta.documentType?.label || null,
+    documentFormat: meta.format,
+    chunkCount: meta.chunkCount,
+    createdAt: meta.createdAt,
+    updatedAt: meta.updatedAt,
+  };
+}
+
+/**
+ * Scorecard of a stored report, scored with the current scorecard file so
+ * tuned weights apply to earlier analyses; null when the file is invalid
+ * (GET /api/scorecard reports why).
+ */
+function storedScorecard(meta, ratios) {
+  try {
+    return scoreCredit({ ratios, sections: meta.sections || {} });
+  } catch (err) {
+    console.error('Scorecard error:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Library Q&A targets: every stored analysis, or the requested subset.
+ * Indices are loaded by answerLibraryQuestion one document at a time.
+ *
+ * @param {string[]} [documentIds]
+ * @param {string} apiKey
+ */
+async function libraryEntries(documentIds, apiKey) {
+  const wanted = Array.isArray(documentIds) && documentIds.length > 0 ? new Set(documentIds) : null;
+  const metas = await analysisStore.list();
+
+  return metas
+    .filter((meta) => !wanted || wanted.has(meta.id))
+    .map(toDocumentSummary)
+    .map((doc) => ({
+      id: doc.id,
+      companyName: doc.companyName || doc.originalName,
+      documentName: doc.originalName,
+      load: () => analysisStore.load(doc.id, apiKey),
+    }));
+}
+
+app.get('/api/documents', async (_req, res) => {
+  try {
+    const metas = await analysisStore.list();
+    const documents = metas
+      .map(toDocumentSummary)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    res.status(200).json({ documents });
+  } catch (err) {
+    console.error('List documents error:', err);
+    sendError(res, 500, 'Failed to list documents.');
+  }
+});
+
+app.get('/api/documents/:id', async (req, res) => {
+  try {
+    const meta = await analysisStore.getMeta(req.params.id);
+    if (!meta) return sendError(res, 404, 'Document not found.');
+
+    const financials = await analysisStore.getFinancials(req.params.id, extractFinancialStatements);
+    const chunks = await analysisStore.getChunks(req.params.id);
+    const ratios = computeRatios(financials);
+
+    res.status(200).json({
+      ...toDocumentSummary(meta),
+      sections: meta.sections || {},
+      template: meta.template || null,
+      sources: meta.sources || [],
+      verification: meta.verification || {},
+      ratios,
+      tone: chunks ? scoreDocumentTone(chunks) : null,
+      scorecard: storedScorecard(meta, ratios),
+    });
+  } catch (err) {
+    console.error('Load document error:', err);
+    sendError(res, 500, 'Failed to load document.');
+  }
+});
+
+/**
+ * Management tone of a stored document. `?llm=true` adds the model's
+ * read of the same passages (`llm`; null when it could not be read).
+ */
+app.get('/api/documents/:id/tone', async (req, res) => {
+  const withModel = req.query.llm === 'true';
+  const apiKey = resolveApiKey();
+  if (withModel && !apiKey && requiresApiKey()) return sendError(res, 400, 'Missing OPENAI_API_KEY.');
+
+  try {
+    const meta = await analysisStore.getMeta(req.params.id);
+    if (!meta) return sendError(res, 404, 'Document not found.');
+
+    const chunks = (await analysisStore.getChunks(req.params.id)) || [];
+    res.status(200).json({
+      id: meta.id,
+      companyName: meta.companyName,
+      ...scoreDocumentTone(chunks),
+      llm: withModel ? await assessManagementTone(chunks, meta.companyName, apiKey) : null,
+    });
+  } catch (err) {
+    console.error('Tone error:', err);
+    sendError(res, 500, 'Failed to score tone.');
+  }
+});
+
+app.get('/api/documents/:id/export', async (req, res) => {
+  const format = exportFormat(req, DOCUMENT_EXPORT_FORMATS);
+  if (!format) return sendError(res, 400, `Format must be one of: ${Object.keys(DOCUMENT_EXPORT_FORMATS).join(', ')}.`);
+
+  try {
+    const meta = await analysisStore.getMeta(req.params.id);
+    if (!meta) return sendError(res, 404, 'Document not found.');
+
+    const financials = await analysisStore.getFinancials(req.params.id, extractFinancialStatements);
+    const ratios = computeRatios(financials);
+    const basename = `${meta.companyName || path.parse(meta.id).name}-analysis`;
+
+    if (format === 'xlsx') {
+      const body = buildWorkbook({
+        companyName: meta.companyName,
+        documentName: meta.id.replace(/^\d+-/, ''),
+        documentType: meta.documentType?.label || null,
+        generatedAt: meta.updatedAt,
+        sectionTitles: meta.template?.sections || [],
+        sections: meta.sections || {},
+        verification: meta.verification || {},
+        chunks: (await analysisStore.getChunks(req.params.id)) || [],
+        financials,
+        ratios,
+        sessions: chatSessions.listForDocument(req.params.id),
+      });
+      return sendExport(res, { body, ...WORKBOOK_FORMAT }, `${basename}-data`);
+    }
+
+    const exported = await exportReport({
+      companyName: meta.companyName,
+      documentType: meta.documentType?.label || null,
+      generatedAt: meta.updatedAt,
+      template: meta.template || null,
+      sections: meta.sections || {},
+      verification: meta.verification || {},
+      sources: meta.sources || [],
+      ratios,
+      scorecard: storedScorecard(meta, ratios),
+    }, format);
+    sendExport(res, exported, basename);
+  } catch (err) {
+    console.error('Export error:', err);
+    sendError(res, 500, 'Failed to export report.');
+  }
+});
+
+app.get('/api/documents/:id/financials', async (req, res) => {
+  try {
+    const meta = await analysisStore.getMeta(req.params.id);
+    if (!meta) return sendError(res, 404, 'Document not found.');
+
+    const financials = await analysisStore.getFinancials(req.params.id, extractFinancialStatements);
+    res.status(200).json({
+      id: meta.id,
+      companyName: meta.companyName,
+      ...financials,
+      ratios: computeRatios(financials),
+    });
+  } catch (err) {
+    console.error('Financials error:', err);
+    sendError(res, 500, 'Failed to extract financial statements.');
+  }
+});
+
+app.delete('/api/documents/:id', async (req, res) => {
+  const { id } = req.params;
+  try {
+    const meta = await analysisStore.getMeta(id);
+    if (!meta) return sendError(res, 404, 'Document not found.');
+
+    await analysisStore.delete(id);
+    chatSessions.removeForDocument(id);
+    // path.basename guards against ids that try to escape the uploads dir
+    discardUpload(path.join(uploadsDir, path.basename(id)));
+    res.status(200).json({ message: 'Document deleted', id });
+  } catch (err) {
+    console.error('Delete document error:', err);
+    sendError(res, 500, 'Failed to delete document.');
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/*  Credit scorecard                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * The scorecard model reports are scored with: factor weights, bands,
+ * risk flags and rating grades, as read from the scorecard file.
+ */
+app.get('/api/scorecard', (_req, res) => {
+  try {
+    const { riskFlags, ...model } = loadScorecardModel();
+    res.status(200).json({
+      ...model,
+      riskFlags: riskFlags && { ...riskFlags, flags: riskFlags.flags.map(({ regex, ...flag }) => flag) },
+    });
+  } catch (err) {
+    console.error('Scorecard error:', err.message);
+    sendError(res, 500, err.message);
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/*  Company timelines                                                   */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Every stored analysis with the fiscal period it reports on (null when
+ * no statements were extracted), as kept in its metadata. Records saved
+ * before the period was stored are dated one at a time, once.
+ */
+async function datedDocuments() {
+  const documents = [];
+  for (const meta of await analysisStore.list()) {
+    documents.push({ ...toDocumentSummary(meta), ...(await analysisStore.getPeriod(meta, extractFinancialStatements)) });
+  }
+  return documents;
+}
+
+/**
+ * The filings a timeline request names, oldest first: a company's dated
+ * documents (`{ company }`, a key from /api/companies; the latest
+ * `maxDocuments` of them), or the listed ones (`{ documentIds }`), which
+ * must all be dated and belong to one company. Only the latest filing of
+ * each period is kept, and at least two periods are needed.
+ *
+ * @returns {Promise<{ group?: { key: string, companyName: string, documents: object[] }, status?: number, error?: string }>}
+ */
+async function timelineFilings({ company, documentIds } = {}) {
+  const { maxDocuments } = config.timeline;
+  const byIds = Array.isArray(documentIds);
+  if (!(typeof company === 'string' && company) && !byIds) {
+    return { status: 400, error: 'Expected "company" or "documentIds".' };
+  }
+  if (byIds && (documentIds.length < 2 || documentIds.length > maxDocuments)) {
+    return { status: 400, error: `Expected "documentIds": 2 to ${maxDocuments} stored documents.` };
+  }
+
+  let documents = await datedDocuments();
+  if (byIds) {
+    const missing = documentIds.filter((id) => !documents.some((doc) => doc.id === id));
+    if (missing.length > 0) return { status: 404, error: `Document not found: ${missing.join(', ')}.` };
+    documents = documents.filter((doc) => documentIds.includes(doc.id));
+  }
+
+  const groups = groupByCompany(documents).filter((g) => byIds || g.key === company);
+  if (groups.length === 0) return { status: 404, error: 'Company not found.' };
+  if (groups.length > 1) {
+    return { status: 400, error: `Documents belong to different companies: ${groups.map((g) => g.companyName).join(', ')}.` };
+  }
+
+  const [group] = groups;
+  const undated = group.documents.filter((doc) => !doc.period);
+  if (byIds && undated.length > 0) {
+    return { status: 400, error: `No fiscal period found in: ${undated.map((doc) => doc.originalName).join(', ')}.` };
+  }
+  const dated = latestPerPeriod(group.documents.filter((doc) => doc.period)).slice(-maxDocuments);
+  if (dated.length < 2) return { status: 400, error: `${group.companyName} needs filings for two or more periods for a timeline.` };
+
+  return { group: { ...group, documents: dated } };
+}
+
+async function buildTimeline(group, apiKey, onProgress) {
+  // Only the timeline's own filings have their statements read
+  const filings = [];
+  for (const doc of group.documents) {
+    filings.push({
+      id: doc.id,
+      documentName: doc.originalName,
+      period: doc.period,
+      financials: await analysisStore.getFinancials(doc.id, extractFinancialStatements),
+    });
+  }
+  const timeline = alignMetrics(filings);
+
+  // Tone per filing, in its own period's column; chunks are read one filing at a time
+  const tones = new Map();
+  for (const doc of group.documents) {
+    const chunks = await analysisStore.getChunks(doc.id);
+    if (chunks) tones.set(doc.period, scoreDocumentTone(chunks));
+  }
+  timeline.tone = toneRows(timeline.periods.map((period) => tones.get(period) || null));
+
+  const entries = group.documents.map((doc) => ({
+    id: doc.id,
+    companyName: group.companyName,
+    documentName: doc.originalName,
+    period: doc.period,
+    load: () => analysisStore.load(doc.id, apiKey),
+  }));
+
+  const result = await generateTimelineSections(entries, timeline, apiKey, onProgress);
+  return {
+    companyName: group.companyName,
+    timeline,
+    ...result,
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+app.get('/api/companies', async (_req, res) => {
+  try {
+    const companies = groupByCompany(await datedDocuments()).map(({ key, companyName, documents }) => ({
+      key,
+      companyName,
+      documents,
+    }));
+    res.status(200).json({ companies });
+  } catch (err) {
+    console.error('List companies error:', err);
+    sendError(res, 500, 'Failed to list companies.');
+  }
+});
+
+app.post('/api/timeline', async (req, res) => {
+  const apiKey = resolveApiKey();
+  if (!apiKey && requiresApiKey()) return sendError(res, 400, 'Missing OPENAI_API_KEY.');
+
+  try {
+    const { group, status, error } = await timelineFilings(req.body);
+    if (!group) return sendError(res, status, error);
+
+    res.status(200).json(await buildTimeline(group, apiKey));
+  } catch (err) {
+    console.error('Timeline error:', err);
+    sendError(res, 500, err.message || 'Failed to generate timeline.');
+  }
+});
+
+/**
+ * Streaming timeline. Retrieval progress names the filing in `document`.
+ */
+app.post('/api/timeline-stream', async (req, res) => {
+  const apiKey = resolveApiKey();
+  if (!apiKey && requiresApiKey()) return sendError(res, 400, 'Missing OPENAI_API_KEY.');
+
+  let filings;
+  try {
+    filings = await timelineFilings(req.body);
+  } catch (err) {
+    console.error('Timeline error:', err);
+    return sendError(res, 500, 'Failed to read the document library.');
+  }
+  if (!filings.group) return sendError(res, filings.status, filings.error);
+
+  setupSSE(res);
+  try {
+    const { group } = filings;
+    sendSSE(res, {
+      type: 'progress',
+      message: `Lining up ${group.documents.length} filings of ${group.companyName}...`,
+      stage: 'timeline',
+      companyName: group.companyName,
+    });
+    const result = await buildTimeline(group, apiKey, (event) => sendSSE(res, event));
+    sendSSE(res, { type: 'complete', ...result });
+  } catch (err) {
+    console.error('Stream timeline error:', err);
+    sendSSE(res, { type: 'error', message: err.message || 'Failed to generate timeline.' });
+  } finally {
+    res.end();
+  }
+});
+
+/* ------------------------------------------------------------------ */
+/*  Filing redlines                                                     */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Redline risk factors and MD&A between two filings of one company.
+ * Body: `{ documentIds: [id, id], sections?: ['risk_factors', 'mda'] }`.
+ * The filings are ordered by fiscal period, so either order works;
+ * undated filings are taken in the order given.
+ */
+app.post('/api/filing-diff', async (req, res) => {
+  const apiKey = resolveApiKey();
+  if (!apiKey && requiresApiKey()) return sendError(res, 400, 'Missing OPENAI_API_KEY.');
+
+  const { documentIds, sections = REDLINE_SECTIONS } = req.body || {};
+  if (!Array.isArray(documentIds) || documentIds.length !== 2 || documentIds[0] === documentIds[1]) {
+    return sendError(res, 400, 'Expected "documentIds": two different stored documents.');
+  }
+  if (!Array.isArray(sections) || sections.length === 0 || sections.some((name) => !REDLINE_SECTIONS.includes(name))) {
+    return sendError(res, 400, `Expected "sections" from: ${REDLINE_SECTIONS.join(', ')}.`);
+  }
+
+  try {
+    const documents = (await datedDocuments()).filter((doc) => documentIds.includes(doc.id));
+    const missing = documentIds.filter((id) => !documents.some((doc) => doc.id === id));
+    if (missing.length > 0) return sendError(res, 404, `Document not found: ${missing.join(', ')}.`);
+
+    const groups = groupByCompany(documents);
+    if (groups.length > 1) {
+      return sendError(res, 400, `Documents belong to different companies: ${groups.map((g) => g.companyName).join(', ')}.`);
+    }
+    const [group] = groups;
+    const ordered = group.documents.every((doc) => doc.period)
+      ? group.documents
+      : documentIds.map((id) => group.documents.find((doc) => doc.id === id));
+
+    const filings = [];
+    for (const doc of ordered) {
+      const text = await analysisStore.getText(doc.id);
+      if (!text) return sendError(res, 400, `No stored text for ${doc.originalName}; analyze it again.`);
+      filings.push({ id: doc.id, companyName: group.companyName, documentName: doc.originalName, period: doc.period, text });
+    }
+
+    const result = await generateFilingDiff(filings, sections, apiKey);
+    res.status(200).json({
+      companyName: group.companyName,
+      documents: filings.map(({ id, documentName, period }) => ({ id, documentName, period })),
+      ...result,
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error('Filing diff error:', err);
+    sendError(res, 500, err.message || 'Failed to compare filings.');
   }
 });
 
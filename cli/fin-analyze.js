@@ -0,0 +1,469 @@
+#!/usr/bin/env node
+/**
+ * fin-analyze – run the shared/ pipeline from the command line.
+ *
+ *   fin-analyze report <file|dir> [--out dir] [--concurrency n] [--format md|json|both] [--template id|file]
+ *   fin-analyze ask <doc> "question" [--json]
+ *   fin-analyze compare <a> <b> [more...] [--out dir]
+ *
+ * `report` writes `<name>.json` and `<name>.md` per filing. Reruns skip
+ * filings whose output is complete and whose source is unchanged, and
+ * resume interrupted filings from the sections they already finished
+ * (kept in `<name>.partial.json`). Analyses are also saved to the
+ * analysis store, so `ask` and the web app's library can reuse them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { processDocument, getSupportedFormats } = require('../shared/documentProcessor');
+const {
+  extractCompanyName,
+  generateReportSectionsStreaming,
+  answerQuestion,
+  generateComparisonSections,
+  cleanText,
+  splitTextIntoSemanticChunks,
+  createSearchIndices,
+} = require('../shared/aiProcessor');
+const { classifyDocument } = require('../shared/documentClassifier');
+const { createAnalysisStore } = require('../shared/analysisStore');
+const { resolveApiKey, requiresApiKey } = require('../shared/llmProvider');
+const { TemplateStore, validateTemplate } = require('../shared/reportTemplates');
+const { renderReport, renderComparison } = require('./markdown');
+const config = require('../shared/config');
+
+const USAGE = `Usage:
+  fin-analyze report <file|dir> [options]   Generate a report per filing
+  fin-analyze ask <doc> "question" [--json] Answer a question about one filing
+  fin-analyze compare <a> <b>... [options]  Compare a peer group of filings
+
+Options:
+  -o, --out <dir>          Output directory (default: ${config.cli.outputDir})
+  -c, --concurrency <n>    Filings processed in parallel (default: ${config.cli.concurrency})
+  -f, --format <fmt>       md, json or both (default: both)
+  -t, --template <id|file> Report template: a saved template id or a .json file
+                           (default: sections chosen by document type)
+  -r, --recursive          Include subdirectories
+      --company <name>     Company name (single file only; skips detection)
+      --force              Regenerate even if complete output exists
+      --json               Print the answer as JSON (ask)
+  -v, --verbose            Show pipeline logs
+  -h, --help               Show this help`;
+
+const OPTIONS = {
+  out: { type: 'string', short: 'o' },
+  concurrency: { type: 'string', short: 'c' },
+  format: { type: 'string', short: 'f', default: 'both' },
+  template: { type: 'string', short: 't' },
+  recursive: { type: 'boolean', short: 'r', default: false },
+  company: { type: 'string' },
+  force: { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  verbose: { type: 'boolean', short: 'v', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+class UsageError extends Error {}
+
+/* ------------------------------------------------------------------ */
+/*  Output helpers                                                      */
+/* ------------------------------------------------------------------ */
+
+/** Progress goes to stderr so stdout stays clean for `ask` output. */
+function log(prefix, message) {
+  process.stderr.write(`${prefix ? `[${prefix}] ` : ''}${message}\n`);
+}
+
+/** Write via a temp file so an interrupted run never leaves half a file. */
+function writeFileAtomic(filePath, contents) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, filePath);
+}
+
+function readJSON(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function requireApiKey() {
+  const apiKey = resolveApiKey();
+  if (!apiKey && requiresApiKey()) {
+    throw new UsageError('Set LLM_API_KEY (or OPENAI_API_KEY), or choose a provider that needs no key.');
+  }
+  return apiKey;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Inputs                                                              */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Supported files under `target` (or `target` itself), sorted by path.
+ */
+function collectFiles(target, recursive) {
+  const stat = fs.statSync(target, { throwIfNoEntry: false });
+  if (!stat) throw new UsageError(`No such file or directory: ${target}`);
+  if (stat.isFile()) return [path.resolve(target)];
+
+  const { extensions } = getSupportedFormats();
+  const files = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (recursive) walk(full);
+      } else if (extensions.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(path.resolve(full));
+      }
+    }
+  };
+  walk(target);
+  return files.sort();
+}
+
+/**
+ * Output base name: the path relative to the input root, flattened, so
+ * same-named filings in different subdirectories do not collide.
+ */
+function outputName(file, root) {
+  const relative = fs.statSync(root).isFile() ? path.basename(file) : path.relative(root, file);
+  return relative.replace(/\.[^.]+$/, '').split(path.sep).join('__');
+}
+
+/**
+ * Analysis-store id for a file. The numeric prefix mirrors upload
+ * filenames (`<timestamp>-<name>`), which the web library strips for display.
+ */
+function storeId(file) {
+  let hash = 0;
+  for (const ch of file) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return `${hash}-${path.basename(file)}`;
+}
+
+function sourceInfo(file) {
+  const { size, mtimeMs } = fs.statSync(file);
+  return { path: file, size, mtimeMs };
+}
+
+function isUpToDate(previous, source) {
+  return previous?.status === 'complete'
+    && previous.source?.size === source.size
+    && previous.source?.mtimeMs === source.mtimeMs;
+}
+
+/**
+ * The report template for `--template`: a `.json` file, or the id of a
+ * template saved through the web app. Without one (null), sections are
+ * chosen by each filing's document type.
+ */
+function loadTemplate(value) {
+  if (!value) return null;
+  if (value.toLowerCase().endsWith('.json')) {
+    const raw = readJSON(value);
+    if (!raw) throw new UsageError(`Cannot read template file ${value}.`);
+    const { template, errors } = validateTemplate(raw);
+    if (!template) throw new UsageError(`Invalid template ${value}: ${errors.join(' ')}`);
+    return { id: path.basename(value, '.json'), ...template };
+  }
+
+  const template = new TemplateStore().get(value);
+  if (!template) throw new UsageError(`No template with id "${value}".`);
+  return template;
+}
+
+/* ------------------------------------------------------------------ */
+/*  report                                                              */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Analyze one filing and write its outputs.
+ *
+ * @returns {Promise<'done'|'skipped'>}
+ */
+async function reportFile(file, { outDir, name, format, force, company, template, apiKey, store, signal }) {
+  const jsonPath = path.join(outDir, `${name}.json`);
+  const mdPath = path.join(outDir, `${name}.md`);
+  const partialPath = path.join(outDir, `${name}.partial.json`);
+  const source = sourceInfo(file);
+
+  if (!force && isUpToDate(readJSON(jsonPath), source)) {
+    log(name, 'up to date, skipping');
+    return 'skipped';
+  }
+
+  // Sections finished by an interrupted run are reused if the file is unchanged
+  let partial = force ? null : readJSON(partialPath);
+  if (partial && (partial.source?.size !== source.size || partial.source?.mtimeMs !== source.mtimeMs)) {
+    partial = null;
+  }
+  const completedSections = partial?.completedSections || {};
+  const resumed = Object.keys(completedSections).length;
+  log(name, resumed ? `resuming (${resumed} section${resumed === 1 ? '' : 's'} done)` : 'starting');
+
+  const { text, format: docFormat, facts, ocr, sheets } = await processDocument(file, {
+    filename: file,
+    onProgress: (event) => log(name, event.message),
+  });
+  signal.throwIfAborted();
+
+  const companyName = company || partial?.companyName || await extractCompanyName(text, apiKey);
+  const savePartial = () => writeFileAtomic(partialPath, JSON.stringify({ source, companyName, completedSections }, null, 2));
+  savePartial();
+
+  const onProgress = (event) => {
+    if (event.type === 'progress') {
+      log(name, event.message);
+    } else if (event.type === 'section') {
+      completedSections[event.sectionKey] = event.content;
+      savePartial();
+      log(name, `${event.sectionKey} done`);
+    }
+  };
+
+  const result = await generateReportSectionsStreaming(text, companyName, apiKey, onProgress, {
+    completedSections: { ...completedSections },
+    signal,
+    facts,
+    ocr,
+    sheets,
+    template,
+  });
+
+  const id = storeId(file);
+  await store.save(id, { ...result, companyName, format: docFormat, sheets });
+
+  const report = {
+    status: 'complete',
+    source,
+    storeId: id,
+    companyName,
+    documentType: result.documentType?.label || null,
+    format: docFormat,
+    sections: result.sections,
+    template: result.template,
+    sources: result.sources,
+    verification: result.verification,
+    ratios: result.ratios,
+    tone: result.tone,
+    scorecard: result.scorecard,
+    generatedAt: new Date().toISOString(),
+  };
+
+  if (format !== 'json') writeFileAtomic(mdPath, renderReport(report));
+  // The JSON file is the completion marker, so it is written last
+  writeFileAtomic(jsonPath, JSON.stringify(report, null, 2));
+  fs.rmSync(partialPath, { force: true });
+
+  log(name, `done → ${path.relative(process.cwd(), format === 'json' ? jsonPath : mdPath)}`);
+  return 'done';
+}
+
+async function runReport(positionals, values, signal) {
+  const [target] = positionals;
+  if (!target) throw new UsageError('report needs a file or directory.');
+  if (!['md', 'json', 'both'].includes(values.format)) {
+    throw new UsageError(`Unknown format "${values.format}" (expected md, json or both).`);
+  }
+  const concurrency = parseInt(values.concurrency, 10) || config.cli.concurrency;
+  if (concurrency < 1) throw new UsageError('--concurrency must be at least 1.');
+
+  const files = collectFiles(target, values.recursive);
+  if (files.length === 0) throw new UsageError(`No supported files in ${target}.`);
+  if (values.company && files.length > 1) throw new UsageError('--company only applies to a single file.');
+  const template = loadTemplate(values.template);
+
+  const apiKey = requireApiKey();
+  const outDir = path.resolve(values.out || config.cli.outputDir);
+  fs.mkdirSync(outDir, { recursive: true });
+  const store = createAnalysisStore();
+
+  log(null, `${files.length} filing${files.length === 1 ? '' : 's'}, concurrency ${Math.min(concurrency, files.length)}, output ${outDir}`);
+
+  const counts = { done: 0, skipped: 0, failed: 0 };
+  const queue = [...files];
+
+  // A fixed pool of workers pulls from the shared queue
+  const worker = async () => {
+    while (queue.length > 0 && !signal.aborted) {
+      const file = queue.shift();
+      const name = outputName(file, target);
+      try {
+        const outcome = await reportFile(file, {
+          outDir, name, format: values.format, force: values.force, company: values.company, template, apiKey, store, signal,
+        });
+        counts[outcome]++;
+      } catch (err) {
+        if (signal.aborted) break;
+        counts.failed++;
+        log(name, `failed: ${err.message}`);
+      }
+      log(null, `progress: ${counts.done + counts.skipped + counts.failed}/${files.length}`);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, files.length) }, worker));
+
+  if (signal.aborted) {
+    log(null, 'Interrupted. Rerun the same command to resume.');
+    return 130;
+  }
+  log(null, `Finished: ${counts.done} generated, ${counts.skipped} skipped, ${counts.failed} failed.`);
+  return counts.failed > 0 ? 1 : 0;
+}
+
+/* ------------------------------------------------------------------ */
+/*  ask                                                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Indices for a filing: from the analysis store if `report` (or the web
+ * app) has analyzed it, otherwise built now and saved for next time.
+ */
+async function loadOrIndex(doc, apiKey, store) {
+  const id = fs.existsSync(doc) ? storeId(path.resolve(doc)) : doc;
+  const cached = await store.load(id, apiKey);
+  if (cached) {
+    return { ...cached, companyName: cached.meta.companyName, fullText: await store.getText(id), sheets: await store.getSheets(id) };
+  }
+  if (!fs.existsSync(doc)) throw new UsageError(`No such file or stored analysis: ${doc}`);
+
+  log(null, 'Indexing document...');
+  const { text, format, facts, ocr, sheets } = await processDocument(doc, {
+    filename: doc,
+    onProgress: (event) => log(null, event.message),
+  });
+  const cleanedText = cleanText(text);
+  const [companyName, documentType] = await Promise.all([
+    extractCompanyName(text, apiKey),
+    classifyDocument(cleanedText, apiKey),
+  ]);
+  const documents = await splitTextIntoSemanticChunks(cleanedText, documentType, { facts, ocr, sheets });
+  const { vectorStore, bm25Index } = await createSearchIndices(documents, apiKey);
+  await store.save(id, { vectorStore, bm25Index, companyName, documentType, format, cleanedText, sheets });
+
+  return { vectorStore, bm25Index, companyName, fullText: cleanedText, sheets };
+}
+
+async function runAsk(positionals, values) {
+  const [doc, ...words] = positionals;
+  const question = words.join(' ').trim();
+  if (!doc || !question) throw new UsageError('ask needs a document and a question.');
+
+  const apiKey = requireApiKey();
+  const store = createAnalysisStore();
+  const { vectorStore, bm25Index, companyName, fullText, sheets } = await loadOrIndex(doc, apiKey, store);
+  const company = values.company || companyName;
+
+  log(null, `Answering for ${company}...`);
+  const { answer, sources, verification } = await answerQuestion(
+    vectorStore, question, company, apiKey, bm25Index, { fullText, sheets }
+  );
+
+  if (values.json) {
+    process.stdout.write(`${JSON.stringify({ question, companyName: company, answer, sources, verification }, null, 2)}\n`);
+  } else {
+    const cited = sources.map((s) => `  ${s.id}${s.page != null ? ` (p. ${s.page})` : ''}${s.cell ? ` (${s.sheet}!${s.cell})` : ''}`).join('\n');
+    process.stdout.write(`${answer}\n${cited ? `\nSources:\n${cited}\n` : ''}`);
+  }
+  return 0;
+}
+
+/* ------------------------------------------------------------------ */
+/*  compare                                                             */
+/* ------------------------------------------------------------------ */
+
+async function runCompare(positionals, values) {
+  if (positionals.length < 2) throw new UsageError('compare needs two or more files.');
+  for (const file of positionals) {
+    if (!fs.statSync(file, { throwIfNoEntry: false })?.isFile()) throw new UsageError(`No such file: ${file}`);
+  }
+
+  const apiKey = requireApiKey();
+  const outDir = path.resolve(values.out || config.cli.outputDir);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const docs = await Promise.all(positionals.map((file) =>
+    processDocument(file, { filename: file, onProgress: (event) => log(path.basename(file), event.message) })
+  ));
+  const companies = await Promise.all(docs.map((doc) => extractCompanyName(doc.text, apiKey)));
+  log(null, `Comparing ${companies.join(', ')}`);
+
+  const peers = positionals.map((file, i) => ({ id: path.resolve(file), companyName: companies[i], text: docs[i].text }));
+  const { comparison, matrix } = await generateComparisonSections(peers, apiKey, (event) => {
+    if (event.type === 'progress') log(null, event.message);
+    else if (event.type === 'section') log(null, `${event.sectionKey} done`);
+  });
+
+  const result = {
+    peers: peers.map(({ id, companyName }) => ({ companyName, source: id })),
+    comparison,
+    matrix,
+    generatedAt: new Date().toISOString(),
+  };
+
+  const names = positionals.map((file) => outputName(file, file));
+  const stem = names.length === 2 ? names.join('-vs-') : `${names[0]}-and-${names.length - 1}-peers`;
+  const base = path.join(outDir, `${stem}.comparison`);
+  if (values.format !== 'json') writeFileAtomic(`${base}.md`, renderComparison(result));
+  if (values.format !== 'md') writeFileAtomic(`${base}.json`, JSON.stringify(result, null, 2));
+  log(null, `done → ${path.relative(process.cwd(), base)}.*`);
+  return 0;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Entry point                                                         */
+/* ------------------------------------------------------------------ */
+
+const COMMANDS = { report: runReport, ask: runAsk, compare: runCompare };
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    log(null, `${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values, positionals: [command, ...positionals] } = parsed;
+
+  if (values.help || !command) {
+    process.stdout.write(`${USAGE}\n`);
+    return values.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) {
+    log(null, `Unknown command "${command}".\n\n${USAGE}`);
+    return 2;
+  }
+
+  // The pipeline logs to stdout; keep it out of command output
+  console.log = values.verbose ? console.error : () => {};
+
+  // First Ctrl-C stops between sections so progress is kept; a second exits
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    log(null, 'Stopping after the current step... (Ctrl-C again to quit now)');
+    controller.abort();
+    process.once('SIGINT', () => process.exit(130));
+  });
+
+  try {
+    return await COMMANDS[command](positionals, values, controller.signal);
+  } catch (err) {
+    if (err instanceof UsageError) {
+      log(null, err.message);
+      return 2;
+    }
+    log(null, `Error: ${err.message}`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => process.exit(code));
+}
+
+module.exports = { main };
@@ -0,0 +1,173 @@
+/**
+ * Markdown rendering for CLI output files.
+ */
+
+const { formatRatioValue } = require('../shared/ratioEngine');
+
+const SECTION_TITLES = {
+  overview: 'Overview',
+  financialHighlights: 'Financials',
+  keyRisks: 'Risks',
+  managementCommentary: 'Management Commentary',
+};
+
+/** Section prompts already use "##" headings; nest them one level down. */
+function demoteHeadings(markdown) {
+  return markdown.replace(/^(#{1,5})\s/gm, '#$1 ');
+}
+
+function describeSource(source) {
+  const pages = source.page == null
+    ? null
+    : source.pageEnd != null && source.pageEnd !== source.page
+      ? `pp. ${source.page}–${source.pageEnd}`
+      : `p. ${source.page}`;
+  return [source.sectionLabel, pages].filter(Boolean).join(', ');
+}
+
+function renderSources(sources) {
+  if (!sources?.length) return '';
+  const lines = sources.map((s) => {
+    const where = describeSource(s);
+    const excerpt = s.text.replace(/\s+/g, ' ').slice(0, 160);
+    return `- **${s.id}**${where ? ` (${where})` : ''}: ${excerpt}…`;
+  });
+  return `## Sources\n\n${lines.join('\n')}\n`;
+}
+
+function renderRatios(ratios) {
+  if (!ratios?.length) return '';
+  const periods = [...new Set(ratios.map((r) => r.period))].slice(0, 3);
+  const rows = new Map();
+  for (const r of ratios) {
+    if (!periods.includes(r.period)) continue;
+    if (!rows.has(r.label)) rows.set(r.label, {});
+    rows.get(r.label)[r.period] = formatRatioValue(r);
+  }
+
+  const header = `| Metric | ${periods.join(' | ')} |\n|---|${periods.map(() => '---:').join('|')}|`;
+  const body = [...rows.entries()]
+    .map(([label, values]) => `| ${label} | ${periods.map((p) => values[p] ?? '—').join(' | ')} |`)
+    .join('\n');
+  return `## Computed Ratios\n\n${header}\n${body}\n`;
+}
+
+const formatTone = (tone) => (tone == null ? '—' : tone > 0 ? `+${tone.toFixed(2)}` : tone.toFixed(2));
+
+function renderTone(tone) {
+  if (!tone?.overall?.words) return '';
+  const groups = [
+    ['Whole document', tone.overall],
+    ...(tone.management ? [['Management', tone.management]] : []),
+    ...tone.sections.map((s) => [s.label, s]),
+    ...tone.speakers.map((s) => [s.role && s.role !== 'unknown' ? `${s.speaker} (${s.role.toUpperCase()})` : s.speaker, s]),
+  ];
+  const body = groups
+    .map(([label, s]) => `| ${label} | ${formatTone(s.tone)} | ${s.rates.negative.toFixed(2)}% | ${s.rates.uncertainty.toFixed(2)}% | ${s.rates.litigious.toFixed(2)}% | ${s.rates.constraining.toFixed(2)}% |`)
+    .join('\n');
+  return `## Tone\n\n| | Net tone | Negative | Uncertainty | Litigious | Constraining |\n|---|---:|---:|---:|---:|---:|\n${body}\n`;
+}
+
+function renderScorecard(scorecard) {
+  if (!scorecard?.factors?.length) return '';
+  const summary = scorecard.rating
+    ? `**${scorecard.rating.grade} — ${scorecard.rating.label}** (score ${scorecard.score.toFixed(1)} / 100; ${scorecard.model.name}${scorecard.model.version ? ` ${scorecard.model.version}` : ''})`
+    : scorecard.note;
+  const rows = scorecard.factors.map((f) => {
+    const value = f.kind === 'flags'
+      ? f.flags.map((flag) => `${flag.label} (-${flag.penalty})`).join('; ') || (f.missing ? '—' : 'None')
+      : f.metric.display ? `${f.metric.display} (${f.metric.period}), ${f.band}` : '—';
+    const points = f.contribution == null ? f.missing : f.contribution.toFixed(1);
+    return `| ${f.label} | ${value} | ${f.score ?? '—'} | ${(f.share * 100).toFixed(0)}% | ${points} |`;
+  });
+  const flags = scorecard.factors.flatMap((f) => f.flags || []).map((flag) => `- **${flag.label} (-${flag.penalty}):** ${flag.evidence}`);
+  return `## Credit Scorecard\n\n${summary}\n\n| Factor | Value | Score | Weight | Points |\n|---|---|---:|---:|---:|\n${rows.join('\n')}\n${
+    flags.length ? `\n${flags.join('\n')}\n` : ''
+  }`;
+}
+
+function renderVerification(verification, titles = SECTION_TITLES) {
+  const rows = Object.entries(verification || {})
+    .filter(([, v]) => v?.summary?.total)
+    .map(([key, v]) => `| ${titles[key] || key} | ${v.summary.total} | ${v.summary.verified} | ${v.summary.derived} | ${v.summary.unverified} |`);
+  if (rows.length === 0) return '';
+  return `## Figure Checks\n\n| Section | Figures | Verified | Derived | Unverified |\n|---|---:|---:|---:|---:|\n${rows.join('\n')}\n`;
+}
+
+/**
+ * Section keys and titles of a report, in template order. Reports written
+ * before templates existed have no layout and use SECTION_TITLES.
+ */
+function reportSections(report) {
+  return report.template?.sections.map(({ key, title }) => [key, title]) || Object.entries(SECTION_TITLES);
+}
+
+/**
+ * @param {object} report  Contents of a `<name>.json` report file
+ * @returns {string}
+ */
+function renderReport(report) {
+  const parts = [
+    `# ${report.companyName} — Financial Analysis`,
+    [
+      `- **Source:** ${report.source.path}`,
+      report.documentType ? `- **Document type:** ${report.documentType}` : null,
+      `- **Generated:** ${report.generatedAt}`,
+    ].filter(Boolean).join('\n'),
+  ];
+
+  for (const [key, title] of reportSections(report)) {
+    if (report.sections[key]) parts.push(`## ${title}\n\n${demoteHeadings(report.sections[key])}`);
+  }
+
+  const titles = Object.fromEntries(reportSections(report));
+  parts.push(renderRatios(report.ratios), renderTone(report.tone), renderScorecard(report.scorecard), renderVerification(report.verification, titles), renderSources(report.sources));
+  return `${parts.filter(Boolean).join('\n\n').trim()}\n`;
+}
+
+function peerHeader(matrix) {
+  const names = matrix.peers.map((p) => p.companyName);
+  return `| Metric | ${names.join(' | ')} |\n|---|${names.map(() => '---:').join('|')}|`;
+}
+
+function renderPeerMatrix(matrix) {
+  if (!matrix?.rows?.length) return '';
+  const body = matrix.rows
+    .map(({ label, cells }) => `| ${label} | ${cells.map((c) => (c ? `${c.display} (${c.period}${c.rank ? `, #${c.rank}` : ''})` : '—')).join(' | ')} |`)
+    .join('\n');
+  return `## Peer Ratios\n\n${peerHeader(matrix)}\n${body}\n`;
+}
+
+function renderPeerTone(matrix) {
+  if (!matrix?.tone?.length) return '';
+  const body = matrix.tone
+    .map(({ label, cells }) => `| ${label} | ${cells.map((c) => c?.display ?? '—').join(' | ')} |`)
+    .join('\n');
+  return `## Peer Tone\n\n${peerHeader(matrix)}\n${body}\n`;
+}
+
+/**
+ * @param {object} result  Contents of a comparison JSON file
+ * @returns {string}
+ */
+function renderComparison(result) {
+  const names = result.peers.map((p) => p.companyName);
+  const parts = [
+    `# ${names.length === 2 ? names.join(' vs ') : `Peer Group: ${names.join(', ')}`} — Comparative Analysis`,
+    [
+      ...result.peers.map((p, i) => `- **${i + 1}. ${p.companyName}:** ${p.source}`),
+      `- **Generated:** ${result.generatedAt}`,
+    ].join('\n'),
+  ];
+  for (const [key, title] of Object.entries(SECTION_TITLES)) {
+    if (result.comparison[key]) parts.push(`## ${title}\n\n${demoteHeadings(result.comparison[key])}`);
+  }
+  parts.push(renderPeerMatrix(result.matrix), renderPeerTone(result.matrix));
+  return `${parts.filter(Boolean).join('\n\n').trim()}\n`;
+}
+
+module.exports = {
+  renderReport,
+  renderComparison,
+  SECTION_TITLES,
+};
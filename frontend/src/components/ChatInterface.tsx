@@ -1,12 +1,18 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
+import type { AnswerWithSources, ChatSession, QAScope, Source } from '@/types';
+import { CitationLink, SourceList } from './SourceCitation';
+import { ScopeSelector } from './ScopeSelector';
+import { SourcesContext, extractFootnotes } from '@/lib/citations';
+import { listChatSessions, getChatSession, clearChatSession, chatSessionExportUrl } from '@/lib/api';
 import {
   Send,
   Loader2,
   RotateCcw,
+  Download,
   TrendingUp,
   ShieldAlert,
   BarChart3,
@@ -35,6 +41,7 @@ const chatMdComponents = {
   em: ({ children }: { children?: React.ReactNode }) => (
     <em className="italic text-[#6b7280]">{children}</em>
   ),
+  a: CitationLink,
 };
 
 const TypingIndicator: React.FC = () => (
@@ -61,15 +68,20 @@ const SUGGESTED_QUESTIONS: SuggestedQuestion[] = [
 
 const WelcomeState: React.FC<{
   companyName: string;
+  isLibrary: boolean;
   onAsk: (q: string) => void;
   disabled: boolean;
-}> = ({ companyName, onAsk, disabled }) => (
+}> = ({ companyName, isLibrary, onAsk, disabled }) => (
   <div className="chat-welcome flex-1 flex flex-col items-center justify-center px-4 py-8">
     <h3 className="text-base font-semibold text-[#171717] mb-1 text-center">
       What would you like to know?
     </h3>
     <p className="text-sm text-[#6b7280] mb-6 text-center max-w-sm">
-      Ask anything about <strong className="text-[#171717] font-medium">{companyName}</strong>.
+      {isLibrary ? (
+        <>Ask across your analyzed documents. Answers name the company and document behind each point.</>
+      ) : (
+        <>Ask anything about <strong className="text-[#171717] font-medium">{companyName}</strong>.</>
+      )}
     </p>
     <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 w-full max-w-md">
       {SUGGESTED_QUESTIONS.map((sq) => {
@@ -101,15 +113,36 @@ interface ChatMessage {
   type: 'user' | 'assistant';
   content: string;
   timestamp: Date;
+  sources?: Source[];
+  /** Who answered: the company, or the library for cross-document answers */
+  author?: string;
 }
 
+/** Messages for the stored turns of a session */
+const sessionMessages = (session: ChatSession): ChatMessage[] =>
+  session.turns.flatMap((turn) => [
+    { id: `${turn.id}-q`, type: 'user' as const, content: turn.question, timestamp: new Date(turn.createdAt) },
+    {
+      id: `${turn.id}-a`,
+      type: 'assistant' as const,
+      content: turn.answer,
+      timestamp: new Date(turn.createdAt),
+      sources: turn.sources,
+    },
+  ]);
+
 const MessageBubble: React.FC<{ message: ChatMessage; companyName: string }> = ({ message, companyName }) => {
   const isUser = message.type === 'user';
 
+  const footnotes = useMemo(
+    () => (isUser ? [] : extractFootnotes(message.content, message.sources)),
+    [isUser, message.content, message.sources]
+  );
+
   return (
     <div className={`chat-message flex flex-col ${isUser ? 'items-end' : 'items-start'}`}>
       <span className="text-[10px] text-[#9ca3af] mb-1 px-1">
-        {isUser ? 'You' : companyName}
+        {isUser ? 'You' : message.author ?? companyName}
       </span>
       <div
         className={`max-w-[80%] sm:max-w-lg rounded px-4 py-3 ${
@@ -121,9 +154,12 @@ const MessageBubble: React.FC<{ message: ChatMessage; companyName: string }> = (
         {isUser ? (
           <p className="text-sm leading-relaxed whitespace-pre-wrap">{message.content}</p>
         ) : (
-          <ReactMarkdown remarkPlugins={[remarkGfm]} components={chatMdComponents as any}>
-            {message.content}
-          </ReactMarkdown>
+          <SourcesContext.Provider value={message.sources ?? []}>
+            <ReactMarkdown remarkPlugins={[remarkGfm]} components={chatMdComponents as any}>
+              {message.content}
+            </ReactMarkdown>
+            <SourceList footnotes={footnotes} />
+          </SourcesContext.Provider>
         )}
         <p className={`text-[0.65rem] mt-2 ${isUser ? 'text-white/40' : 'text-[#9ca3af]'}`}>
           {message.timestamp.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
@@ -135,13 +171,22 @@ const MessageBubble: React.FC<{ message: ChatMessage; companyName: string }> = (
 
 interface ChatInterfaceProps {
   companyName: string;
-  onAskQuestion: (question: string) => Promise<string>;
-  onAskQuestionStream?: (question: string, onChunk: (chunk: string) => void) => Promise<string>;
+  /** Open document; its latest chat session is restored on mount */
+  documentId?: string | null;
+  /** Document questions pass the chat session to continue (none starts one) */
+  onAskQuestion: (question: string, scope: QAScope, sessionId?: string) => Promise<AnswerWithSources>;
+  onAskQuestionStream?: (
+    question: string,
+    onChunk: (chunk: string) => void,
+    scope: QAScope,
+    sessionId?: string
+  ) => Promise<AnswerWithSources>;
   isLoading?: boolean;
 }
 
 export const ChatInterface: React.FC<ChatInterfaceProps> = ({
   companyName,
+  documentId,
   onAskQuestion,
   onAskQuestionStream,
   isLoading = false,
@@ -149,8 +194,31 @@ export const ChatInterface: React.FC<ChatInterfaceProps> = ({
   const [messages, setMessages] = useState<ChatMessage[]>([]);
   const [currentQuestion, setCurrentQuestion] = useState('');
   const [isAsking, setIsAsking] = useState(false);
+  const [scope, setScope] = useState<QAScope>({ type: 'document' });
+  const [sessionId, setSessionId] = useState<string | undefined>();
   const messagesEndRef = useRef<HTMLDivElement>(null);
 
+  // Restore the document's most recent conversation (e.g. after a reload)
+  useEffect(() => {
+    setMessages([]);
+    setSessionId(undefined);
+    if (!documentId) return;
+
+    let cancelled = false;
+    listChatSessions(documentId)
+      .then(async ([latest]) => {
+        if (!latest || latest.turnCount === 0) return;
+        const session = await getChatSession(latest.id);
+        if (cancelled) return;
+        setSessionId(session.id);
+        setMessages(sessionMessages(session));
+      })
+      .catch((err) => console.error('Failed to restore chat session:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [documentId]);
+
   const hasConversation = messages.length > 0;
 
   const scrollToBottom = () => {
@@ -173,6 +241,7 @@ export const ChatInterface: React.FC<ChatInterfaceProps> = ({
       };
 
       const assistantId = (Date.now() + 1).toString();
+      const author = scope.type === 'library' ? 'Library' : companyName;
 
       setMessages((prev) => [...prev, userMessage]);
       setCurrentQuestion('');
@@ -182,21 +251,32 @@ export const ChatInterface: React.FC<ChatInterfaceProps> = ({
         if (onAskQuestionStream) {
           setMessages((prev) => [
             ...prev,
-            { id: assistantId, type: 'assistant', content: '', timestamp: new Date() },
+            { id: assistantId, type: 'assistant', content: '', timestamp: new Date(), author },
           ]);
 
-          await onAskQuestionStream(question.trim(), (chunk) => {
-            setMessages((prev) =>
-              prev.map((m) =>
-                m.id === assistantId ? { ...m, content: m.content + chunk } : m
-              )
-            );
-          });
+          const { answer, sources, sessionId: answeredIn } = await onAskQuestionStream(
+            question.trim(),
+            (chunk) => {
+              setMessages((prev) =>
+                prev.map((m) =>
+                  m.id === assistantId ? { ...m, content: m.content + chunk } : m
+                )
+              );
+            },
+            scope,
+            sessionId
+          );
+          if (answeredIn) setSessionId(answeredIn);
+          // Swap in the final answer, whose citation markers link to sources
+          setMessages((prev) =>
+            prev.map((m) => (m.id === assistantId ? { ...m, content: answer || m.content, sources } : m))
+          );
         } else {
-          const answer = await onAskQuestion(question.trim());
+          const { answer, sources, sessionId: answeredIn } = await onAskQuestion(question.trim(), scope, sessionId);
+          if (answeredIn) setSessionId(answeredIn);
           setMessages((prev) => [
             ...prev,
-            { id: assistantId, type: 'assistant', content: answer, timestamp: new Date() },
+            { id: assistantId, type: 'assistant', content: answer, timestamp: new Date(), sources, author },
           ]);
         }
       } catch {
@@ -218,12 +298,15 @@ export const ChatInterface: React.FC<ChatInterfaceProps> = ({
         setIsAsking(false);
       }
     },
-    [isAsking, onAskQuestion, onAskQuestionStream]
+    [isAsking, onAskQuestion, onAskQuestionStream, scope, companyName, sessionId]
   );
 
   const handleClear = () => {
     setMessages([]);
     setCurrentQuestion('');
+    if (sessionId) {
+      clearChatSession(sessionId).catch((err) => console.error('Failed to clear chat session:', err));
+    }
   };
 
   const handleSubmit = (e: React.FormEvent) => {
@@ -246,24 +329,42 @@ export const ChatInterface: React.FC<ChatInterfaceProps> = ({
     <div className="flex-1 flex flex-col overflow-hidden">
       <div className="pb-3 border-b border-[#e5e7eb] shrink-0">
         <div className="flex items-center justify-between">
-          <h3 className="font-medium text-[#171717] text-sm">Ask about {companyName}</h3>
-          {hasConversation && (
-            <Button
-              onClick={handleClear}
-              variant="ghost"
-              size="sm"
-              className="text-[#9ca3af] hover:text-[#171717] gap-1.5 h-7"
-            >
-              <RotateCcw className="h-3.5 w-3.5" />
-              <span className="hidden sm:inline text-xs">Clear</span>
-            </Button>
-          )}
+          <h3 className="font-medium text-[#171717] text-sm">
+            {scope.type === 'library' ? 'Ask across the library' : `Ask about ${companyName}`}
+          </h3>
+          <div className="flex items-center gap-1.5">
+            <ScopeSelector scope={scope} onChange={setScope} documentLabel={companyName} disabled={isAsking} />
+            {hasConversation && sessionId && (
+              <Button asChild variant="ghost" size="sm" className="text-[#9ca3af] hover:text-[#171717] gap-1.5 h-7">
+                <a href={chatSessionExportUrl(sessionId)} download>
+                  <Download className="h-3.5 w-3.5" />
+                  <span className="hidden sm:inline text-xs">Export</span>
+                </a>
+              </Button>
+            )}
+            {hasConversation && (
+              <Button
+                onClick={handleClear}
+                variant="ghost"
+                size="sm"
+                className="text-[#9ca3af] hover:text-[#171717] gap-1.5 h-7"
+              >
+                <RotateCcw className="h-3.5 w-3.5" />
+                <span className="hidden sm:inline text-xs">Clear</span>
+              </Button>
+            )}
+          </div>
         </div>
       </div>
 
       <div className="flex-1 overflow-y-auto report-scroll">
         {!hasConversation ? (
-          <WelcomeState companyName={companyName} onAsk={handleAskQuestion} disabled={isAsking} />
+          <WelcomeState
+            companyName={companyName}
+            isLibrary={scope.type === 'library'}
+            onAsk={handleAskQuestion}
+            disabled={isAsking}
+          />
         ) : (
           <div className="py-4 space-y-4">
             {messages.map((message) => (
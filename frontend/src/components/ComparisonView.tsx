@@ -116,14 +116,13 @@ export const ComparisonView: React.FC<ComparisonViewProps> = ({
 }) => {
   const section = REPORT_SECTIONS.find((s) => s.key === sectionKey)!;
   const comparisonContent = comparisonReport.comparison?.[sectionKey] ?? '';
-  const individualA = comparisonReport.reportA?.[sectionKey] ?? '';
-  const individualB = comparisonReport.reportB?.[sectionKey] ?? '';
+  const names = comparisonReport.peers.map((p) => p.companyName);
 
   return (
     <div key={sectionKey} className="report-panel space-y-4">
       <div className="mb-6">
         <h3 className="text-lg font-semibold text-[#171717]">
-          {section.title} — {comparisonReport.companyA} vs {comparisonReport.companyB}
+          {section.title} — {names.length === 2 ? names.join(' vs ') : `${names.length} companies`}
         </h3>
         <p className="text-sm text-[#9ca3af] mt-0.5">{section.description}</p>
       </div>
@@ -143,8 +142,13 @@ export const ComparisonView: React.FC<ComparisonViewProps> = ({
       </div>
 
       <div className="space-y-3">
-        <IndividualPanel companyName={comparisonReport.companyA} content={individualA} />
-        <IndividualPanel companyName={comparisonReport.companyB} content={individualB} />
+        {comparisonReport.peers.map((peer) => (
+          <IndividualPanel
+            key={peer.documentId}
+            companyName={peer.companyName}
+            content={peer.report.sections[sectionKey] ?? ''}
+          />
+        ))}
       </div>
     </div>
   );
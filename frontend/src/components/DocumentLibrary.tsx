@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FileText, Trash2, Loader2, RotateCcw, TrendingUp, FileDiff } from 'lucide-react';
+import type { DocumentSummary, CompanyGroup } from '@/types';
+import { listDocuments, listCompanies, deleteDocument } from '@/lib/api';
+
+const formatDate = (iso: string) =>
+  new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+/** Companies with two or more filings that report a fiscal period, for timelines and redlines */
+const timelineGroups = (companies: CompanyGroup[]) =>
+  companies
+    .map((group) => ({ ...group, documents: group.documents.filter((doc) => doc.period) }))
+    .filter((group) => group.documents.length >= 2);
+
+interface DocumentLibraryProps {
+  onOpen: (id: string) => void;
+  onDeleted?: (id: string) => void;
+  activeId?: string | null;
+  disabled?: boolean;
+  /** Called with a company's filings, oldest first; companies with several dated filings are listed when set */
+  onTimeline?: (group: CompanyGroup) => void;
+  /** Called with a company's filings to redline its latest two */
+  onRedline?: (group: CompanyGroup) => void;
+}
+
+export const DocumentLibrary: React.FC<DocumentLibraryProps> = ({
+  onOpen,
+  onDeleted,
+  activeId,
+  disabled = false,
+  onTimeline,
+  onRedline,
+}) => {
+  const [documents, setDocuments] = useState<DocumentSummary[]>([]);
+  const [companies, setCompanies] = useState<CompanyGroup[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [deletingId, setDeletingId] = useState<string | null>(null);
+  const showTimelines = !!onTimeline || !!onRedline;
+
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      const [docs, groups] = await Promise.all([listDocuments(), showTimelines ? listCompanies() : Promise.resolve([])]);
+      setDocuments(docs);
+      setCompanies(timelineGroups(groups));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load library.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [showTimelines]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleDelete = async (doc: DocumentSummary) => {
+    if (!window.confirm(`Delete the analysis of ${doc.companyName || doc.originalName}?`)) return;
+    setDeletingId(doc.id);
+    try {
+      await deleteDocument(doc.id);
+      setDocuments((prev) => prev.filter((d) => d.id !== doc.id));
+      setCompanies((prev) => timelineGroups(prev.map((g) => ({ ...g, documents: g.documents.filter((d) => d.id !== doc.id) }))));
+      onDeleted?.(doc.id);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete document.');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center gap-2 py-6 justify-center text-sm text-[#9ca3af]">
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Loading library...
+      </div>
+    );
+  }
+
+  return (
+    <div className="report-panel">
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-[0.65rem] font-medium uppercase tracking-widest text-[#9ca3af]">
+          Library · {documents.length}
+        </p>
+        <button
+          type="button"
+          onClick={refresh}
+          className="text-[#9ca3af] hover:text-[#171717]"
+          title="Refresh"
+        >
+          <RotateCcw className="h-3.5 w-3.5" />
+        </button>
+      </div>
+
+      {error && <p className="text-xs text-red-600 mb-3">{error}</p>}
+
+      {showTimelines && companies.length > 0 && (
+        <>
+          <p className="text-[0.65rem] font-medium uppercase tracking-widest text-[#9ca3af] mb-2">Companies</p>
+          <ul className="divide-y divide-[#f3f4f6] border border-[#e5e7eb] rounded mb-4">
+            {companies.map((group) => {
+              const first = group.documents[0].period;
+              const last = group.documents[group.documents.length - 1].period;
+              return (
+                <li key={group.key} className="flex items-center gap-3 px-3 py-2.5">
+                  <TrendingUp className="h-4 w-4 text-[#9ca3af] shrink-0" />
+                  <button
+                    type="button"
+                    onClick={() => onTimeline?.(group)}
+                    disabled={disabled || !onTimeline}
+                    className="min-w-0 flex-1 text-left disabled:cursor-default"
+                    title={onTimeline ? 'Open the timeline' : undefined}
+                  >
+                    <p className="text-sm font-medium text-[#171717] truncate">{group.companyName}</p>
+                    <p className="text-xs text-[#9ca3af] truncate">
+                      {first === last ? first : `${first}–${last}`} · {group.documents.length} filings
+                    </p>
+                  </button>
+                  {onRedline && (
+                    <button
+                      type="button"
+                      onClick={() => onRedline(group)}
+                      disabled={disabled}
+                      className="text-[#d4d4d4] hover:text-[#171717] disabled:opacity-40 shrink-0"
+                      title={`Redline ${group.documents[group.documents.length - 2].period} → ${last}`}
+                    >
+                      <FileDiff className="h-3.5 w-3.5" />
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+
+      {documents.length === 0 ? (
+        <p className="text-sm text-[#9ca3af] py-4 text-center">No analyzed documents yet.</p>
+      ) : (
+        <ul className="divide-y divide-[#f3f4f6] border border-[#e5e7eb] rounded">
+          {documents.map((doc) => {
+            const isActive = doc.id === activeId;
+            return (
+              <li key={doc.id} className={`flex items-center gap-3 px-3 py-2.5 ${isActive ? 'bg-[#fafafa]' : ''}`}>
+                <FileText className="h-4 w-4 text-[#9ca3af] shrink-0" />
+                <button
+                  type="button"
+                  onClick={() => onOpen(doc.id)}
+                  disabled={disabled || isActive}
+                  className="min-w-0 flex-1 text-left disabled:cursor-default"
+                >
+                  <p className="text-sm font-medium text-[#171717] truncate">
+                    {doc.companyName || doc.originalName}
+                  </p>
+                  <p className="text-xs text-[#9ca3af] truncate">
+                    {[doc.documentType, doc.documentFormat?.toUpperCase(), `${doc.chunkCount} chunks`, formatDate(doc.updatedAt)]
+                      .filter(Boolean)
+                      .join(' · ')}
+                  </p>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(doc)}
+                  disabled={deletingId === doc.id}
+                  className="text-[#d4d4d4] hover:text-[#171717] disabled:opacity-40 shrink-0"
+                  title="Delete"
+                >
+                  {deletingId === doc.id ? (
+                    <Loader2 className="h-3.5 w-3.5 animate-spin" />
+                  ) : (
+                    <Trash2 className="h-3.5 w-3.5" />
+                  )}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
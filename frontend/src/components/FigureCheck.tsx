@@ -0,0 +1,49 @@
+import React from 'react';
+import type { FigureVerification } from '@/types';
+
+const STATUS_CLASSES: Record<string, string> = {
+  verified: 'decoration-[#d4d4d4]',
+  derived: 'decoration-[#6b7280] decoration-dashed',
+  unverified: 'bg-[#fef3c7] decoration-[#d97706]',
+};
+
+/**
+ * Markdown `mark` renderer for figures tagged by remarkFigureChecks.
+ */
+export const FigureMark: React.FC<{ children?: React.ReactNode; title?: string; 'data-status'?: string }> = ({
+  children,
+  title,
+  'data-status': status = 'verified',
+}) => (
+  <mark
+    title={title}
+    data-status={status}
+    className={`bg-transparent text-inherit underline decoration-dotted underline-offset-4 rounded-sm ${STATUS_CLASSES[status] ?? ''}`}
+  >
+    {children}
+  </mark>
+);
+
+/**
+ * One-line tally of a section's figure checks.
+ */
+export const VerificationSummary: React.FC<{ verification?: FigureVerification; omittedChartValues?: number }> = ({
+  verification,
+  omittedChartValues = 0,
+}) => {
+  const summary = verification?.summary;
+  if (!summary?.total) return null;
+
+  return (
+    <p className="text-[0.7rem] text-[#9ca3af] mb-4">
+      {summary.total} figure{summary.total === 1 ? '' : 's'} checked · {summary.verified} verified ·{' '}
+      {summary.derived} derived ·{' '}
+      <span className={summary.unverified > 0 ? 'text-[#b45309]' : undefined}>
+        {summary.unverified} not found in document
+      </span>
+      {omittedChartValues > 0 && (
+        <> · {omittedChartValues} unverified chart value{omittedChartValues === 1 ? '' : 's'} hidden</>
+      )}
+    </p>
+  );
+};
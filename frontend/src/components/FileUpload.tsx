@@ -2,12 +2,15 @@ import React, { useState, useRef } from 'react';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
-import { Upload, CheckCircle2 } from 'lucide-react';
+import { Upload, CheckCircle2, X } from 'lucide-react';
+
+/** Matches the server's default COMPARISON_MAX_PEERS */
+const MAX_COMPARE_FILES = 10;
 
 interface FileUploadProps {
   onAnalyze: (file: File) => void;
   onUrlSubmit: (url: string) => void;
-  onCompare?: (fileA: File, fileB: File) => void;
+  onCompare?: (files: File[]) => void;
   onDemo?: () => void;
   isAnalyzing?: boolean;
   isLoading?: boolean;
@@ -19,21 +22,20 @@ export const FileUpload: React.FC<FileUploadProps> = ({ onAnalyze, onUrlSubmit,
   const [isDragOver, setIsDragOver] = useState(false);
   const fileInputRef = useRef<HTMLInputElement>(null);
 
-  const [compareFileA, setCompareFileA] = useState<File | null>(null);
-  const [compareFileB, setCompareFileB] = useState<File | null>(null);
-  const [isDragOverA, setIsDragOverA] = useState(false);
-  const [isDragOverB, setIsDragOverB] = useState(false);
-  const fileInputRefA = useRef<HTMLInputElement>(null);
-  const fileInputRefB = useRef<HTMLInputElement>(null);
+  const [compareFiles, setCompareFiles] = useState<File[]>([]);
+  const [isDragOverCompare, setIsDragOverCompare] = useState(false);
+  const compareInputRef = useRef<HTMLInputElement>(null);
 
   const supportedTypes = [
     'application/pdf',
+    'text/html',
+    'application/xhtml+xml',
     'text/csv',
     'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
     'application/vnd.ms-excel',
     'text/plain',
   ];
-  const supportedExtensions = ['.pdf', '.csv', '.xlsx', '.xls', '.txt'];
+  const supportedExtensions = ['.pdf', '.htm', '.html', '.xhtml', '.csv', '.xlsx', '.xls', '.txt'];
 
   const isFileSupported = (file: File) => {
     if (supportedTypes.includes(file.type)) return true;
@@ -72,83 +74,29 @@ export const FileUpload: React.FC<FileUploadProps> = ({ onAnalyze, onUrlSubmit,
     setUrl('');
   };
 
-  const handleCompareFileSelect = (slot: 'A' | 'B') => (event: React.ChangeEvent<HTMLInputElement>) => {
-    const file = event.target.files?.[0];
-    if (file && isFileSupported(file)) {
-      if (slot === 'A') setCompareFileA(file);
-      else setCompareFileB(file);
-    }
+  const addCompareFiles = (files: FileList | null) => {
+    const added = Array.from(files ?? []).filter(isFileSupported);
+    setCompareFiles((prev) => {
+      const names = new Set(prev.map((f) => f.name));
+      return [...prev, ...added.filter((f) => !names.has(f.name))].slice(0, MAX_COMPARE_FILES);
+    });
   };
 
-  const handleCompareDrop = (slot: 'A' | 'B') => (event: React.DragEvent<HTMLDivElement>) => {
+  const handleCompareFileSelect = (event: React.ChangeEvent<HTMLInputElement>) => {
+    addCompareFiles(event.target.files);
+    event.target.value = '';
+  };
+
+  const handleCompareDrop = (event: React.DragEvent<HTMLDivElement>) => {
     event.preventDefault();
-    if (slot === 'A') setIsDragOverA(false);
-    else setIsDragOverB(false);
-    const file = event.dataTransfer.files[0];
-    if (file && isFileSupported(file)) {
-      if (slot === 'A') setCompareFileA(file);
-      else setCompareFileB(file);
-    }
+    setIsDragOverCompare(false);
+    addCompareFiles(event.dataTransfer.files);
   };
 
   const handleCompareClick = () => {
-    if (compareFileA && compareFileB && onCompare) onCompare(compareFileA, compareFileB);
+    if (compareFiles.length >= 2 && onCompare) onCompare(compareFiles);
   };
 
-  const CompareDropZone: React.FC<{
-    slot: 'A' | 'B';
-    file: File | null;
-    isDragOverSlot: boolean;
-    setDragOver: (v: boolean) => void;
-    inputRef: React.RefObject<HTMLInputElement>;
-  }> = ({ slot, file, isDragOverSlot, setDragOver, inputRef }) => (
-    <div className="flex-1 min-w-0">
-      <p className="text-xs font-medium text-[#6b7280] uppercase tracking-wide mb-2">
-        Document {slot}
-      </p>
-      {file ? (
-        <div className="p-3 border border-[#e5e7eb] rounded">
-          <div className="flex items-center gap-3">
-            <CheckCircle2 className="h-4 w-4 text-[#171717] shrink-0" />
-            <div className="min-w-0 flex-1">
-              <p className="font-medium text-[#171717] text-sm truncate">{file.name}</p>
-              <p className="text-xs text-[#9ca3af]">{(file.size / 1024 / 1024).toFixed(2)} MB</p>
-            </div>
-            <button
-              type="button"
-              onClick={() => slot === 'A' ? setCompareFileA(null) : setCompareFileB(null)}
-              className="text-xs text-[#9ca3af] hover:text-[#171717]"
-            >
-              Change
-            </button>
-          </div>
-        </div>
-      ) : (
-        <div
-          className={`py-8 border border-dashed rounded cursor-pointer transition-colors min-h-[120px] flex flex-col justify-center ${
-            isDragOverSlot ? 'border-[#171717] bg-[#fafafa]' : 'border-[#d4d4d4] hover:bg-[#fafafa]'
-          }`}
-          onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
-          onDragLeave={(e) => { e.preventDefault(); setDragOver(false); }}
-          onDrop={handleCompareDrop(slot)}
-          onClick={() => inputRef.current?.click()}
-        >
-          <div className="text-center space-y-1.5">
-            <Upload className="h-4 w-4 mx-auto text-[#9ca3af]" />
-            <p className="text-sm text-[#6b7280]">Drop file or click to browse</p>
-          </div>
-          <input
-            ref={inputRef}
-            type="file"
-            accept=".pdf,.csv,.xlsx,.xls,.txt"
-            onChange={handleCompareFileSelect(slot)}
-            className="hidden"
-          />
-        </div>
-      )}
-    </div>
-  );
-
   return (
     <Tabs defaultValue="upload" className="w-full">
       <TabsList className={`grid w-full ${onCompare ? 'grid-cols-3' : 'grid-cols-2'} h-9 bg-transparent border-b border-[#e5e7eb] rounded-none p-0`}>
@@ -190,12 +138,12 @@ export const FileUpload: React.FC<FileUploadProps> = ({ onAnalyze, onUrlSubmit,
               <p className="text-sm text-[#6b7280]">
                 {isDragOver ? 'Drop your file here' : 'Drop file or click to browse'}
               </p>
-              <p className="text-xs text-[#9ca3af]">PDF, CSV, Excel, TXT</p>
+              <p className="text-xs text-[#9ca3af]">PDF, HTML, CSV, Excel, TXT</p>
             </div>
             <input
               ref={fileInputRef}
               type="file"
-              accept=".pdf,.csv,.xlsx,.xls,.txt"
+              accept=".pdf,.htm,.html,.xhtml,.csv,.xlsx,.xls,.txt"
               onChange={handleFileSelect}
               className="hidden"
             />
@@ -264,29 +212,58 @@ export const FileUpload: React.FC<FileUploadProps> = ({ onAnalyze, onUrlSubmit,
       {onCompare && (
         <TabsContent value="compare" className="mt-4">
           <div className="space-y-4">
-            <p className="text-sm text-[#6b7280]">Upload two financial documents for side-by-side analysis</p>
-            <div className="flex flex-col sm:flex-row gap-4">
-              <CompareDropZone
-                slot="A"
-                file={compareFileA}
-                isDragOverSlot={isDragOverA}
-                setDragOver={setIsDragOverA}
-                inputRef={fileInputRefA as React.RefObject<HTMLInputElement>}
-              />
-              <CompareDropZone
-                slot="B"
-                file={compareFileB}
-                isDragOverSlot={isDragOverB}
-                setDragOver={setIsDragOverB}
-                inputRef={fileInputRefB as React.RefObject<HTMLInputElement>}
-              />
-            </div>
+            <p className="text-sm text-[#6b7280]">Upload 2 to {MAX_COMPARE_FILES} financial documents to benchmark as a peer group</p>
+            {compareFiles.length > 0 && (
+              <ul className="border border-[#e5e7eb] rounded divide-y divide-[#f3f4f6]">
+                {compareFiles.map((file) => (
+                  <li key={file.name} className="flex items-center gap-3 px-3 py-2">
+                    <CheckCircle2 className="h-4 w-4 text-[#171717] shrink-0" />
+                    <div className="min-w-0 flex-1">
+                      <p className="font-medium text-[#171717] text-sm truncate">{file.name}</p>
+                      <p className="text-xs text-[#9ca3af]">{(file.size / 1024 / 1024).toFixed(2)} MB</p>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setCompareFiles((prev) => prev.filter((f) => f !== file))}
+                      className="text-[#9ca3af] hover:text-[#171717]"
+                      title="Remove"
+                    >
+                      <X className="h-3.5 w-3.5" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {compareFiles.length < MAX_COMPARE_FILES && (
+              <div
+                className={`py-6 border border-dashed rounded cursor-pointer transition-colors flex flex-col justify-center ${
+                  isDragOverCompare ? 'border-[#171717] bg-[#fafafa]' : 'border-[#d4d4d4] hover:bg-[#fafafa]'
+                }`}
+                onDragOver={(e) => { e.preventDefault(); setIsDragOverCompare(true); }}
+                onDragLeave={(e) => { e.preventDefault(); setIsDragOverCompare(false); }}
+                onDrop={handleCompareDrop}
+                onClick={() => compareInputRef.current?.click()}
+              >
+                <div className="text-center space-y-1.5">
+                  <Upload className="h-4 w-4 mx-auto text-[#9ca3af]" />
+                  <p className="text-sm text-[#6b7280]">Drop files or click to browse</p>
+                </div>
+                <input
+                  ref={compareInputRef}
+                  type="file"
+                  multiple
+                  accept=".pdf,.htm,.html,.xhtml,.csv,.xlsx,.xls,.txt"
+                  onChange={handleCompareFileSelect}
+                  className="hidden"
+                />
+              </div>
+            )}
             <Button
               onClick={handleCompareClick}
-              disabled={!compareFileA || !compareFileB || isAnalyzing}
+              disabled={compareFiles.length < 2 || isAnalyzing}
               className="w-full bg-[#171717] hover:bg-[#333] text-white h-8 rounded text-sm font-medium"
             >
-              {isAnalyzing ? 'Comparing...' : 'Compare & Analyze'}
+              {isAnalyzing ? 'Comparing...' : compareFiles.length >= 2 ? `Compare ${compareFiles.length} documents` : 'Compare & Analyze'}
             </Button>
           </div>
         </TabsContent>
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import ReactMarkdown, { type Components } from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import type { FilingDiff, RedlineItem, RedlineStatus } from '@/types';
+
+const STATUS_STYLES: Record<RedlineStatus, { label: string; badge: string }> = {
+  added: { label: 'Added', badge: 'bg-[#ecfdf5] text-[#047857]' },
+  removed: { label: 'Removed', badge: 'bg-[#fef2f2] text-[#b91c1c]' },
+  reworded: { label: 'Reworded', badge: 'bg-[#fffbeb] text-[#b45309]' },
+  unchanged: { label: 'Unchanged', badge: 'bg-[#f3f4f6] text-[#6b7280]' },
+};
+
+const mdComponents: Components = {
+  h2: ({ children }) => <h3 className="text-sm font-semibold text-[#171717] mt-5 mb-2 first:mt-0">{children}</h3>,
+  h3: ({ children }) => <h3 className="text-sm font-semibold text-[#171717] mt-5 mb-2 first:mt-0">{children}</h3>,
+  p: ({ children }) => <p className="text-[0.8125rem] text-[#374151] leading-[1.7] mb-3">{children}</p>,
+  ul: ({ children }) => <ul className="space-y-1 mb-4">{children}</ul>,
+  li: ({ children }) => (
+    <li className="flex gap-2.5 py-1 text-[0.8125rem] text-[#374151] leading-[1.7]">
+      <span className="mt-[9px] w-1 h-1 rounded-full shrink-0 bg-[#d4d4d4]" />
+      <span className="flex-1">{children}</span>
+    </li>
+  ),
+  strong: ({ children }) => <strong className="font-semibold text-[#171717]">{children}</strong>,
+  em: ({ children }) => <em className="italic text-[#6b7280]">{children}</em>,
+};
+
+/** The item's text with deletions struck through and insertions underlined */
+const RedlineText: React.FC<{ item: RedlineItem }> = ({ item }) => {
+  if (item.status === 'added') {
+    return <ins className="no-underline bg-[#ecfdf5] text-[#065f46]">{item.after}</ins>;
+  }
+  if (item.status === 'removed') {
+    return <del className="bg-[#fef2f2] text-[#991b1b]">{item.before}</del>;
+  }
+  if (!item.diff) return <>{item.after}</>;
+  return (
+    <>
+      {item.diff.map((part, i) => {
+        const text = i > 0 ? ` ${part.text}` : part.text;
+        if (part.op === 'insert') return <ins key={i} className="bg-[#ecfdf5] text-[#065f46] decoration-[#10b981]">{text}</ins>;
+        if (part.op === 'delete') return <del key={i} className="bg-[#fef2f2] text-[#991b1b]">{text}</del>;
+        return <span key={i}>{text}</span>;
+      })}
+    </>
+  );
+};
+
+interface FilingRedlineProps {
+  diff: FilingDiff;
+  /** Name of the section to show (risk_factors, mda) */
+  sectionName: string;
+}
+
+/**
+ * One section of two filings, item by item: a summary of the material
+ * changes, then every added, removed and reworded item as a redline.
+ * Unchanged items are hidden unless asked for.
+ */
+export const FilingRedline: React.FC<FilingRedlineProps> = ({ diff, sectionName }) => {
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const section = diff.sections.find((s) => s.name === sectionName) ?? diff.sections[0];
+  const [older, newer] = diff.documents;
+  const label = (doc: FilingDiff['documents'][number]) => doc.period ?? doc.documentName;
+
+  if (!section) return null;
+
+  const items = section.items.filter((item) => showUnchanged || item.status !== 'unchanged');
+  const missingFrom = [!section.found.before && older, !section.found.after && newer].filter(Boolean) as FilingDiff['documents'];
+
+  return (
+    <div key={section.name} className="report-panel space-y-4">
+      <div className="mb-6">
+        <h3 className="text-lg font-semibold text-[#171717]">{section.label}</h3>
+        <p className="text-sm text-[#9ca3af] mt-0.5">
+          {label(older)} → {label(newer)} · changes in the {label(newer)} filing
+        </p>
+      </div>
+
+      {missingFrom.length > 0 ? (
+        <p className="text-[#9ca3af] text-sm py-4 text-center">
+          This section was not found in {missingFrom.map((doc) => doc.documentName).join(' or ')}.
+        </p>
+      ) : (
+        <>
+          {section.counts && (
+            <div className="flex flex-wrap items-center gap-2 text-xs">
+              {(Object.keys(STATUS_STYLES) as RedlineStatus[]).map((status) => (
+                <span key={status} className={`rounded px-2 py-0.5 font-medium ${STATUS_STYLES[status].badge}`}>
+                  {section.counts![status]} {STATUS_STYLES[status].label.toLowerCase()}
+                </span>
+              ))}
+              <label className="ml-auto flex items-center gap-1.5 text-[#6b7280]">
+                <input type="checkbox" checked={showUnchanged} onChange={(e) => setShowUnchanged(e.target.checked)} />
+                Show unchanged
+              </label>
+            </div>
+          )}
+
+          {section.summary && (
+            <div className="section-body border-b border-[#f3f4f6] pb-4">
+              <ReactMarkdown remarkPlugins={[remarkGfm]} components={mdComponents}>
+                {section.summary}
+              </ReactMarkdown>
+            </div>
+          )}
+
+          {items.length === 0 ? (
+            <p className="text-[#9ca3af] text-sm py-4 text-center">No changes in this section.</p>
+          ) : (
+            <ul className="space-y-3">
+              {items.map((item, i) => (
+                <li key={i} className="rounded border border-[#e5e7eb] p-4">
+                  <div className="flex items-center gap-2 mb-2">
+                    <span className={`rounded px-1.5 py-0.5 text-[0.65rem] font-medium uppercase tracking-wider ${STATUS_STYLES[item.status].badge}`}>
+                      {STATUS_STYLES[item.status].label}
+                    </span>
+                    {item.category && <span className="text-xs text-[#9ca3af] truncate">{item.category}</span>}
+                    {item.similarity != null && item.status !== 'unchanged' && (
+                      <span
+                        className="ml-auto text-xs text-[#9ca3af] tabular-nums"
+                        title={item.embeddingSimilarity != null ? `Meaning similarity ${Math.round(item.embeddingSimilarity * 100)}%` : undefined}
+                      >
+                        {Math.round(item.similarity * 100)}% of wording kept
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-[0.8125rem] text-[#374151] leading-[1.7] whitespace-pre-wrap">
+                    <RedlineText item={item} />
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,84 @@
+import React from 'react';
+import type { PeerMatrix as PeerMatrixData, PeerMatrixCell } from '@/types';
+import { ToneTable } from './ToneTable';
+
+const describeCell = (cell: PeerMatrixCell, better: 'higher' | 'lower' | null, peerCount: number) =>
+  [
+    cell.period,
+    cell.rank ? `Rank ${cell.rank} of ${peerCount} (${better} is better)` : null,
+  ].filter(Boolean).join('\n');
+
+interface PeerMatrixProps {
+  matrix: PeerMatrixData | undefined;
+  isStreaming?: boolean;
+}
+
+/**
+ * Computed ratios across the peer group, one column per company. Each
+ * value is the company's most recent period; the group leader on each
+ * ranked metric is set in bold, and its rank is shown beside every value.
+ * The peers' tone follows in the same columns.
+ */
+export const PeerMatrix: React.FC<PeerMatrixProps> = ({ matrix, isStreaming = false }) => {
+  const peers = matrix?.peers ?? [];
+  const rows = matrix?.rows ?? [];
+
+  return (
+    <div className="report-panel space-y-4">
+      <div className="mb-6">
+        <h3 className="text-lg font-semibold text-[#171717]">Peer Matrix</h3>
+        <p className="text-sm text-[#9ca3af] mt-0.5">
+          Ratios computed from each company's financial statements, ranked within the group
+        </p>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-[#9ca3af] text-sm py-4 text-center">
+          {isStreaming ? 'The matrix is filled in once every report is complete.' : 'No ratios could be computed for this peer group.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto rounded border border-[#e5e7eb]">
+          <table className="w-full text-sm">
+            <thead className="bg-[#f9fafb] text-[#6b7280] text-xs font-medium uppercase tracking-wider">
+              <tr>
+                <th className="sticky left-0 bg-[#f9fafb] px-4 py-2.5 text-left border-b border-[#e5e7eb]">Metric</th>
+                {peers.map((peer) => (
+                  <th key={peer.id} className="px-4 py-2.5 text-right border-b border-[#e5e7eb] max-w-[140px] truncate" title={peer.companyName}>
+                    {peer.companyName}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.key}>
+                  <td className="sticky left-0 bg-white px-4 py-2 border-b border-[#f3f4f6] text-[#374151] whitespace-nowrap">{row.label}</td>
+                  {row.cells.map((cell, i) => (
+                    <td
+                      key={peers[i]?.id ?? i}
+                      className={`px-4 py-2 border-b border-[#f3f4f6] text-right tabular-nums whitespace-nowrap ${
+                        cell?.rank === 1 ? 'font-semibold text-[#171717]' : 'text-[#374151]'
+                      }`}
+                      title={cell ? describeCell(cell, row.better, peers.length) : undefined}
+                    >
+                      {cell ? (
+                        <>
+                          {cell.display}
+                          {cell.rank && <span className="ml-1.5 text-[0.65rem] font-normal text-[#9ca3af]">#{cell.rank}</span>}
+                        </>
+                      ) : (
+                        <span className="text-[#d4d4d4]">—</span>
+                      )}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <ToneTable columns={peers.map((peer) => ({ key: peer.id, label: peer.companyName }))} rows={matrix?.tone} />
+    </div>
+  );
+};
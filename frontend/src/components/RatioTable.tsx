@@ -0,0 +1,92 @@
+import React, { useMemo } from 'react';
+import type { FinancialRatio } from '@/types';
+
+const MAX_PERIODS = 3;
+
+const formatAmount = (value: number, currency: string | null) => {
+  const abs = Math.abs(value);
+  const [divisor, suffix] =
+    abs >= 1e9 ? [1e9, 'B'] : abs >= 1e6 ? [1e6, 'M'] : abs >= 1e3 ? [1e3, 'K'] : [1, ''];
+  const symbol = currency === 'USD' ? '$' : currency ? `${currency} ` : '';
+  return `${value < 0 ? '-' : ''}${symbol}${(abs / divisor).toFixed(2)}${suffix}`;
+};
+
+const formatRatio = ({ value, unit, currency }: FinancialRatio) => {
+  switch (unit) {
+    case '%': return `${value.toFixed(1)}%`;
+    case 'x': return `${value.toFixed(2)}x`;
+    case 'days': return `${value.toFixed(0)} days`;
+    default: return formatAmount(value, currency);
+  }
+};
+
+const describeInputs = (ratio: FinancialRatio) =>
+  [
+    ratio.formula,
+    ...ratio.inputs.map(
+      (i) => `${i.name} (${i.period}): ${i.value.toLocaleString()}${i.scale ? ` ${i.scale}` : ''}`
+    ),
+  ].join('\n');
+
+interface RatioTableProps {
+  ratios: FinancialRatio[];
+}
+
+/**
+ * Ratios computed by the server from the extracted statements, one column
+ * per period (most recent first). Hovering a value shows its formula and
+ * the line items it was computed from.
+ */
+export const RatioTable: React.FC<RatioTableProps> = ({ ratios }) => {
+  const { periods, rows } = useMemo(() => {
+    const periods = [...new Set(ratios.map((r) => r.period))].slice(0, MAX_PERIODS);
+    const rows = new Map<string, { label: string; byPeriod: Record<string, FinancialRatio> }>();
+    for (const ratio of ratios) {
+      if (!periods.includes(ratio.period)) continue;
+      if (!rows.has(ratio.key)) rows.set(ratio.key, { label: ratio.label, byPeriod: {} });
+      rows.get(ratio.key)!.byPeriod[ratio.period] = ratio;
+    }
+    return { periods, rows: [...rows.values()] };
+  }, [ratios]);
+
+  if (rows.length === 0) return null;
+
+  return (
+    <div className="mb-6">
+      <h4 className="text-xs font-medium text-[#9ca3af] uppercase tracking-wide mb-3">
+        Computed Ratios
+      </h4>
+      <div className="overflow-x-auto rounded border border-[#e5e7eb]">
+        <table className="w-full text-sm">
+          <thead className="bg-[#f9fafb] text-[#6b7280] text-xs font-medium uppercase tracking-wider">
+            <tr>
+              <th className="px-4 py-2.5 text-left border-b border-[#e5e7eb]">Metric</th>
+              {periods.map((p) => (
+                <th key={p} className="px-4 py-2.5 text-right border-b border-[#e5e7eb]">{p}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ label, byPeriod }) => (
+              <tr key={label}>
+                <td className="px-4 py-2 border-b border-[#f3f4f6] text-[#374151]">{label}</td>
+                {periods.map((p) => {
+                  const ratio = byPeriod[p];
+                  return (
+                    <td
+                      key={p}
+                      className="px-4 py-2 border-b border-[#f3f4f6] text-right tabular-nums text-[#171717]"
+                      title={ratio ? describeInputs(ratio) : undefined}
+                    >
+                      {ratio ? formatRatio(ratio) : '—'}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
@@ -2,11 +2,18 @@ import React, { useMemo } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import type { CreditReport, ReportSectionKey, ChartSpec } from '@/types';
-import { REPORT_SECTIONS, type ReportSectionConfig } from '@/constants/reportSections';
+import { reportSectionConfigs } from '@/constants/reportSections';
 import { FinancialCharts } from './FinancialCharts';
+import { RatioTable } from './RatioTable';
+import { FigureMark, VerificationSummary } from './FigureCheck';
+import { CitationLink, SourceList } from './SourceCitation';
+import { SourcesContext, extractFootnotes } from '@/lib/citations';
+import { remarkFigureChecks, filterVerifiedCharts } from '@/lib/figures';
 
 function buildMarkdownComponents() {
   return {
+    a: CitationLink,
+    mark: FigureMark,
     h2: ({ children }: { children?: React.ReactNode }) => (
       <h2 className="text-xs font-semibold uppercase tracking-widest text-[#9ca3af] mt-8 mb-3 first:mt-0">
         {children}
@@ -84,7 +91,7 @@ function parseContent(raw: string): ParsedGroup[] {
 }
 
 function looksLikeMarkdown(text: string): boolean {
-  return /^#{1,3}\s|^\*\*|\*\*$|^-\s|^\d+\.\s/m.test(text);
+  return /^#{1,3}\s|^\*\*|\*\*$|^-\s|^\d+\.\s|\]\(#cite-/m.test(text);
 }
 
 function extractChartData(content: string): { markdown: string; charts: ChartSpec[] | null } {
@@ -156,15 +163,34 @@ export const ReportDisplay: React.FC<ReportDisplayProps> = ({
   sectionKey,
   isStreaming = false,
 }) => {
-  const section = REPORT_SECTIONS.find((s) => s.key === sectionKey)!;
-  const rawContent = report[sectionKey] ?? '';
+  const section = reportSectionConfigs(report.template).find((s) => s.key === sectionKey);
+  const rawContent = report.sections[sectionKey] ?? '';
+  const hasCharts = section?.charts ?? false;
 
-  const { markdown: content, charts } = useMemo(() => {
-    if (sectionKey === 'financialHighlights') return extractChartData(rawContent);
-    return { markdown: rawContent, charts: null };
-  }, [rawContent, sectionKey]);
+  const verification = report.verification?.[sectionKey];
+
+  const { markdown: content, charts, omittedChartValues } = useMemo(() => {
+    if (!hasCharts) {
+      return { markdown: rawContent, charts: null, omittedChartValues: 0 };
+    }
+    const { markdown, charts } = extractChartData(rawContent);
+    if (!charts) return { markdown, charts, omittedChartValues: 0 };
+    // Unverified chart values never reach the chart
+    const checked = filterVerifiedCharts(charts, verification);
+    return {
+      markdown,
+      charts: checked.charts.length ? checked.charts : null,
+      omittedChartValues: checked.omitted,
+    };
+  }, [rawContent, hasCharts, verification]);
 
   const mdComponents = useMemo(() => buildMarkdownComponents(), []);
+  const remarkPlugins = useMemo(
+    () => [remarkGfm, remarkFigureChecks(verification?.figures)],
+    [verification]
+  );
+
+  const footnotes = useMemo(() => extractFootnotes(content, report.sources), [content, report.sources]);
 
   const fallbackGroups = useMemo(() => {
     if (looksLikeMarkdown(content)) return null;
@@ -178,19 +204,26 @@ export const ReportDisplay: React.FC<ReportDisplayProps> = ({
   return (
     <div key={sectionKey} className="report-panel">
       <div className="mb-6">
-        <h3 className="text-lg font-semibold text-[#171717]">{section.title}</h3>
-        <p className="text-sm text-[#9ca3af] mt-0.5">{section.description}</p>
+        <h3 className="text-lg font-semibold text-[#171717]">{section?.title ?? sectionKey}</h3>
+        {section?.description && <p className="text-sm text-[#9ca3af] mt-0.5">{section.description}</p>}
       </div>
 
       <div className="overflow-y-auto report-scroll section-body">
+        <VerificationSummary verification={verification} omittedChartValues={omittedChartValues} />
+        {section?.computedMetrics && report.ratios?.length ? (
+          <RatioTable ratios={report.ratios} />
+        ) : null}
         {charts && <FinancialCharts charts={charts} />}
         {content.trim() ? (
           fallbackGroups ? (
             <PlainTextRenderer groups={fallbackGroups} />
           ) : (
-            <ReactMarkdown remarkPlugins={[remarkGfm]} components={mdComponents as any}>
-              {content}
-            </ReactMarkdown>
+            <SourcesContext.Provider value={report.sources ?? []}>
+              <ReactMarkdown remarkPlugins={remarkPlugins} components={mdComponents as any}>
+                {content}
+              </ReactMarkdown>
+              <SourceList footnotes={footnotes} />
+            </SourcesContext.Provider>
           )
         ) : isStreaming ? (
           <SectionSkeleton />
@@ -0,0 +1,119 @@
+import React, { useState, useCallback } from 'react';
+import { ChevronDown, Loader2 } from 'lucide-react';
+import {
+  DropdownMenu,
+  DropdownMenuTrigger,
+  DropdownMenuContent,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuCheckboxItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+} from '@/components/ui/dropdown-menu';
+import type { DocumentSummary, QAScope } from '@/types';
+import { listDocuments } from '@/lib/api';
+
+interface ScopeSelectorProps {
+  scope: QAScope;
+  onChange: (scope: QAScope) => void;
+  /** Name shown for the open document */
+  documentLabel: string;
+  disabled?: boolean;
+}
+
+const describeScope = (scope: QAScope, documentLabel: string) => {
+  if (scope.type === 'document') return documentLabel;
+  if (scope.documentIds.length === 0) return 'All documents';
+  return `${scope.documentIds.length} document${scope.documentIds.length === 1 ? '' : 's'}`;
+};
+
+/**
+ * Chooses what chat questions are asked against: the open document, the
+ * whole library, or a hand-picked set of analyzed documents.
+ */
+export const ScopeSelector: React.FC<ScopeSelectorProps> = ({ scope, onChange, documentLabel, disabled = false }) => {
+  const [documents, setDocuments] = useState<DocumentSummary[] | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  // The library is fetched each time the menu opens, so new analyses show up
+  const handleOpenChange = useCallback(async (open: boolean) => {
+    if (!open) return;
+    setError(null);
+    try {
+      setDocuments(await listDocuments());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load library.');
+    }
+  }, []);
+
+  const isSelected = (id: string) =>
+    scope.type === 'library' && (scope.documentIds.length === 0 || scope.documentIds.includes(id));
+
+  const toggleDocument = (id: string) => {
+    const all = (documents ?? []).map((d) => d.id);
+    const selected = all.filter(isSelected);
+    const next = selected.includes(id) ? selected.filter((d) => d !== id) : [...selected, id];
+    if (next.length === 0) return;
+    // Every document selected is the same as "all", which also covers later additions
+    onChange({ type: 'library', documentIds: next.length === all.length ? [] : next });
+  };
+
+  return (
+    <DropdownMenu onOpenChange={handleOpenChange}>
+      <DropdownMenuTrigger
+        disabled={disabled}
+        className="flex items-center gap-1 text-xs text-[#6b7280] hover:text-[#171717] px-2 py-1 rounded border border-[#e5e7eb] disabled:opacity-50 max-w-[14rem]"
+      >
+        <span className="truncate">{describeScope(scope, documentLabel)}</span>
+        <ChevronDown className="h-3 w-3 shrink-0" />
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-72">
+        <DropdownMenuRadioGroup
+          value={scope.type === 'document' ? 'document' : scope.documentIds.length === 0 ? 'library' : ''}
+          onValueChange={(value) =>
+            onChange(value === 'document' ? { type: 'document' } : { type: 'library', documentIds: [] })
+          }
+        >
+          <DropdownMenuRadioItem value="document" className="text-xs">
+            This document ({documentLabel})
+          </DropdownMenuRadioItem>
+          <DropdownMenuRadioItem value="library" className="text-xs">
+            All analyzed documents
+          </DropdownMenuRadioItem>
+        </DropdownMenuRadioGroup>
+
+        <DropdownMenuSeparator />
+        <DropdownMenuLabel className="text-[0.65rem] font-medium uppercase tracking-widest text-[#9ca3af]">
+          Choose documents
+        </DropdownMenuLabel>
+        {error ? (
+          <p className="px-2 py-1.5 text-xs text-[#b45309]">{error}</p>
+        ) : documents === null ? (
+          <div className="flex items-center gap-2 px-2 py-1.5 text-xs text-[#9ca3af]">
+            <Loader2 className="h-3 w-3 animate-spin" /> Loading...
+          </div>
+        ) : documents.length === 0 ? (
+          <p className="px-2 py-1.5 text-xs text-[#9ca3af]">No analyzed documents yet.</p>
+        ) : (
+          <div className="max-h-64 overflow-y-auto report-scroll">
+            {documents.map((doc) => (
+              <DropdownMenuCheckboxItem
+                key={doc.id}
+                checked={isSelected(doc.id)}
+                onCheckedChange={() => toggleDocument(doc.id)}
+                // Keep the menu open while picking several documents
+                onSelect={(e) => e.preventDefault()}
+                className="text-xs"
+              >
+                <span className="truncate">
+                  {doc.companyName || doc.originalName}
+                  {doc.companyName && <span className="text-[#9ca3af]"> · {doc.originalName}</span>}
+                </span>
+              </DropdownMenuCheckboxItem>
+            ))}
+          </div>
+        )}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
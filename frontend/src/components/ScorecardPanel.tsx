@@ -0,0 +1,128 @@
+import React from 'react';
+import type { CreditScorecard, ScorecardFactor } from '@/types';
+
+/** Badge colours from the best grade to the worst, by score */
+const gradeColor = (score: number) =>
+  score >= 70 ? 'bg-[#dcfce7] text-[#166534]' : score >= 40 ? 'bg-[#fef9c3] text-[#854d0e]' : 'bg-[#fee2e2] text-[#991b1b]';
+
+const FactorValue: React.FC<{ factor: ScorecardFactor }> = ({ factor }) => {
+  if (factor.kind === 'flags') {
+    if (factor.missing) return <span className="text-[#d4d4d4]">—</span>;
+    return <span>{factor.flags?.length ? `${factor.flags.length} flagged` : 'None flagged'}</span>;
+  }
+  if (!factor.metric?.display) return <span className="text-[#d4d4d4]">—</span>;
+  return (
+    <span title={factor.metric.formula}>
+      {factor.metric.display}
+      <span className="ml-1.5 text-xs text-[#9ca3af]">{factor.metric.period}</span>
+    </span>
+  );
+};
+
+/* ------------------------------------------------------------------ */
+
+interface ScorecardPanelProps {
+  scorecard: CreditScorecard | null | undefined;
+}
+
+/**
+ * Internal credit rating from the configured scorecard: the grade and
+ * score, then every factor with its value, the threshold band it fell in,
+ * its score, its share of the weight and the points it contributed. Each
+ * risk flag's penalty is shown beside the sentence of the Risks section
+ * that raised it; factors that could not be scored say why.
+ */
+export const ScorecardPanel: React.FC<ScorecardPanelProps> = ({ scorecard }) => {
+  if (!scorecard) return null;
+  const flagFactor = scorecard.factors.find((f) => f.kind === 'flags');
+
+  return (
+    <div className="report-panel space-y-6">
+      <div className="mb-6">
+        <h3 className="text-lg font-semibold text-[#171717]">Credit Scorecard</h3>
+        <p className="text-sm text-[#9ca3af] mt-0.5">
+          Weighted points from computed ratios and risk flags; weights and thresholds come from the scorecard file
+        </p>
+      </div>
+
+      <div className="flex items-center gap-4 rounded border border-[#e5e7eb] p-4">
+        {scorecard.rating && scorecard.score != null ? (
+          <>
+            <span className={`rounded px-3 py-1.5 text-xl font-semibold ${gradeColor(scorecard.score)}`}>{scorecard.rating.grade}</span>
+            <div>
+              <p className="text-base font-semibold text-[#171717]">{scorecard.rating.label}</p>
+              <p className="text-sm text-[#6b7280] tabular-nums">Score {scorecard.score.toFixed(1)} / 100</p>
+            </div>
+          </>
+        ) : (
+          <p className="text-sm text-[#6b7280]">{scorecard.note}</p>
+        )}
+      </div>
+
+      <div className="overflow-x-auto rounded border border-[#e5e7eb]">
+        <table className="w-full text-sm">
+          <thead className="bg-[#f9fafb] text-[#6b7280] text-xs font-medium uppercase tracking-wider">
+            <tr>
+              <th className="px-4 py-2.5 text-left border-b border-[#e5e7eb]">Factor</th>
+              <th className="px-4 py-2.5 text-right border-b border-[#e5e7eb]">Value</th>
+              <th className="px-4 py-2.5 text-left border-b border-[#e5e7eb]">Band</th>
+              <th className="px-4 py-2.5 text-right border-b border-[#e5e7eb]">Score</th>
+              <th className="px-4 py-2.5 text-right border-b border-[#e5e7eb]">Weight</th>
+              <th className="px-4 py-2.5 text-left border-b border-[#e5e7eb] w-[140px]">Points</th>
+            </tr>
+          </thead>
+          <tbody>
+            {scorecard.factors.map((factor) => (
+              <tr key={factor.key} className={factor.score == null ? 'text-[#9ca3af]' : 'text-[#374151]'}>
+                <td className="px-4 py-2 border-b border-[#f3f4f6]">
+                  {factor.label}
+                  {factor.metric && <span className="ml-1.5 text-xs text-[#9ca3af]">{factor.metric.label}</span>}
+                </td>
+                <td className="px-4 py-2 border-b border-[#f3f4f6] text-right tabular-nums whitespace-nowrap">
+                  <FactorValue factor={factor} />
+                </td>
+                <td className="px-4 py-2 border-b border-[#f3f4f6] text-xs">{factor.missing ?? factor.band ?? ''}</td>
+                <td className="px-4 py-2 border-b border-[#f3f4f6] text-right tabular-nums font-medium">{factor.score ?? '—'}</td>
+                <td className="px-4 py-2 border-b border-[#f3f4f6] text-right tabular-nums" title={`Configured weight ${factor.weight}`}>
+                  {(factor.share * 100).toFixed(0)}%
+                </td>
+                <td className="px-4 py-2 border-b border-[#f3f4f6]">
+                  {factor.contribution != null && (
+                    <div className="flex items-center gap-2">
+                      <div className="h-1.5 flex-1 rounded bg-[#f3f4f6]">
+                        <div className="h-1.5 rounded bg-[#171717]" style={{ width: `${Math.min(100, factor.contribution)}%` }} />
+                      </div>
+                      <span className="tabular-nums text-xs w-8 text-right">{factor.contribution.toFixed(1)}</span>
+                    </div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {flagFactor?.flags && flagFactor.flags.length > 0 && (
+        <div>
+          <h4 className="text-xs font-medium text-[#9ca3af] uppercase tracking-wide mb-3">Risk flags</h4>
+          <ul className="space-y-2">
+            {flagFactor.flags.map((flag) => (
+              <li key={flag.key} className="flex items-start gap-3 rounded border border-[#e5e7eb] px-4 py-3">
+                <span className="shrink-0 w-10 text-right text-sm font-semibold text-[#b91c1c] tabular-nums">−{flag.penalty}</span>
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-[#171717]">{flag.label}</p>
+                  <p className="text-xs text-[#6b7280] mt-1 leading-[1.6]">“{flag.evidence}”</p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <p className="text-xs text-[#9ca3af]">
+        {scorecard.model.name}
+        {scorecard.model.version && ` · version ${scorecard.model.version}`}
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,82 @@
+import React, { useContext } from 'react';
+import { Popover, PopoverTrigger, PopoverContent } from '@/components/ui/popover';
+import type { Source } from '@/types';
+import { CITE_PREFIX, SourcesContext, describeSource, type Footnote } from '@/lib/citations';
+
+const SourceExcerpt: React.FC<{ source: Source }> = ({ source }) => (
+  <div className="space-y-2">
+    <p className="text-[0.65rem] font-medium uppercase tracking-widest text-[#9ca3af]">
+      {describeSource(source) || 'Source excerpt'}
+    </p>
+    <p className="text-xs text-[#374151] leading-relaxed whitespace-pre-wrap max-h-64 overflow-y-auto report-scroll">
+      {source.text}
+    </p>
+  </div>
+);
+
+/**
+ * Superscript footnote marker that opens the cited excerpt.
+ */
+export const CitationMarker: React.FC<{ label: React.ReactNode; source?: Source }> = ({ label, source }) => {
+  if (!source) {
+    return <sup className="text-[0.65rem] text-[#9ca3af]">[{label}]</sup>;
+  }
+
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <button
+          type="button"
+          className="align-super text-[0.65rem] font-medium text-[#6b7280] hover:text-[#171717] px-0.5"
+          title={describeSource(source)}
+        >
+          [{label}]
+        </button>
+      </PopoverTrigger>
+      <PopoverContent className="w-96 p-3" align="start">
+        <SourceExcerpt source={source} />
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+/**
+ * Markdown `a` renderer: citation links become footnote markers resolved
+ * against the surrounding SourcesContext; other links render normally.
+ */
+export const CitationLink: React.FC<{ href?: string; children?: React.ReactNode }> = ({ href, children }) => {
+  const sources = useContext(SourcesContext);
+
+  if (href?.startsWith(CITE_PREFIX)) {
+    const id = href.slice(CITE_PREFIX.length);
+    return <CitationMarker label={children} source={sources.find((s) => s.id === id)} />;
+  }
+  return (
+    <a href={href} target="_blank" rel="noreferrer" className="underline underline-offset-2">
+      {children}
+    </a>
+  );
+};
+
+/**
+ * Numbered list of the excerpts a block of markdown cites.
+ */
+export const SourceList: React.FC<{ footnotes: Footnote[] }> = ({ footnotes }) => {
+  if (footnotes.length === 0) return null;
+
+  return (
+    <div className="mt-6 pt-4 border-t border-[#e5e7eb]">
+      <p className="text-[0.65rem] font-medium uppercase tracking-widest text-[#9ca3af] mb-2">
+        Sources · {footnotes.length}
+      </p>
+      <ol className="space-y-1">
+        {footnotes.map(({ label, source }) => (
+          <li key={source.id} className="flex gap-2 text-xs text-[#6b7280]">
+            <CitationMarker label={label} source={source} />
+            <span className="truncate">{describeSource(source) || source.text.slice(0, 80)}</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
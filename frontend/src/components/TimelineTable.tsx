@@ -0,0 +1,78 @@
+import React from 'react';
+import type { CompanyTimeline, TimelineCell } from '@/types';
+import { ToneTable } from './ToneTable';
+
+const describeCell = (cell: TimelineCell, documentNames: Map<string, string>, formula?: string) =>
+  [
+    documentNames.get(cell.documentId),
+    formula,
+  ].filter(Boolean).join('\n');
+
+interface TimelineTableProps {
+  timeline: CompanyTimeline | null;
+  isStreaming?: boolean;
+}
+
+/**
+ * One company's metrics by fiscal period, oldest first. Each value comes
+ * from the latest filing that reports its period, so restated figures
+ * replace the originals; hovering a value names that filing. Each
+ * filing's tone follows under its own period.
+ */
+export const TimelineTable: React.FC<TimelineTableProps> = ({ timeline, isStreaming = false }) => {
+  const periods = timeline?.periods ?? [];
+  const rows = timeline?.rows ?? [];
+  const documentNames = new Map((timeline?.documents ?? []).map((doc) => [doc.id, doc.documentName]));
+
+  return (
+    <div className="report-panel space-y-4">
+      <div className="mb-6">
+        <h3 className="text-lg font-semibold text-[#171717]">Metrics by Period</h3>
+        <p className="text-sm text-[#9ca3af] mt-0.5">
+          Line items and ratios from each filing's financial statements, aligned by {timeline?.kind === 'quarterly' ? 'quarter' : 'fiscal year'}
+        </p>
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-[#9ca3af] text-sm py-4 text-center">
+          {isStreaming ? 'The table is filled in once the timeline is complete.' : 'No metric is reported in two or more periods.'}
+        </p>
+      ) : (
+        <div className="overflow-x-auto rounded border border-[#e5e7eb]">
+          <table className="w-full text-sm">
+            <thead className="bg-[#f9fafb] text-[#6b7280] text-xs font-medium uppercase tracking-wider">
+              <tr>
+                <th className="sticky left-0 bg-[#f9fafb] px-4 py-2.5 text-left border-b border-[#e5e7eb]">Metric</th>
+                {periods.map((period) => (
+                  <th key={period} className="px-4 py-2.5 text-right border-b border-[#e5e7eb] whitespace-nowrap">
+                    {period}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.key}>
+                  <td className="sticky left-0 bg-white px-4 py-2 border-b border-[#f3f4f6] text-[#374151] whitespace-nowrap" title={row.formula}>
+                    {row.label}
+                  </td>
+                  {row.cells.map((cell, i) => (
+                    <td
+                      key={periods[i] ?? i}
+                      className="px-4 py-2 border-b border-[#f3f4f6] text-right tabular-nums whitespace-nowrap text-[#374151]"
+                      title={cell ? describeCell(cell, documentNames, row.formula) : undefined}
+                    >
+                      {cell ? cell.display : <span className="text-[#d4d4d4]">—</span>}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <ToneTable columns={periods.map((period) => ({ key: period, label: period }))} rows={timeline?.tone} />
+    </div>
+  );
+};
@@ -0,0 +1,224 @@
+import React, { useState } from 'react';
+import { Loader2, Sparkles } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { getDocumentTone } from '@/lib/api';
+import type { DocumentTone, ModelToneRead, ToneCategory, ToneScore } from '@/types';
+
+const CATEGORIES: { key: Exclude<ToneCategory, 'positive'>; label: string }[] = [
+  { key: 'negative', label: 'Negative' },
+  { key: 'uncertainty', label: 'Uncertainty' },
+  { key: 'litigious', label: 'Litigious' },
+  { key: 'constraining', label: 'Constraining' },
+];
+
+const formatTone = (tone: number | null) =>
+  tone == null ? '—' : tone > 0 ? `+${tone.toFixed(2)}` : tone.toFixed(2);
+
+const toneLabel = (tone: number | null) =>
+  tone == null ? 'No polar words' : tone >= 0.2 ? 'Positive' : tone <= -0.2 ? 'Negative' : 'Neutral';
+
+/* ------------------------------------------------------------------ */
+
+const CX = 100;
+const CY = 95;
+const R = 80;
+
+/** Point on the gauge arc for a tone from −1 (left) to +1 (right) */
+const arcPoint = (tone: number, radius = R) => {
+  const angle = Math.PI * (1 - (tone + 1) / 2);
+  return { x: CX + radius * Math.cos(angle), y: CY - radius * Math.sin(angle) };
+};
+
+const arcPath = (from: number, to: number) => {
+  const a = arcPoint(from);
+  const b = arcPoint(to);
+  return `M ${a.x} ${a.y} A ${R} ${R} 0 0 1 ${b.x} ${b.y}`;
+};
+
+const GAUGE_BANDS = [
+  { from: -1, to: -0.2, color: '#fca5a5' },
+  { from: -0.2, to: 0.2, color: '#e5e7eb' },
+  { from: 0.2, to: 1, color: '#86efac' },
+];
+
+/** Semicircle from −1 to +1 with a needle at the net tone */
+const ToneGauge: React.FC<{ title: string; score: ToneScore | null }> = ({ title, score }) => {
+  const tone = score?.tone ?? null;
+  const needle = tone == null ? null : arcPoint(tone, R - 14);
+
+  return (
+    <div className="flex-1 min-w-[180px] rounded border border-[#e5e7eb] p-4 text-center">
+      <p className="text-xs font-medium text-[#9ca3af] uppercase tracking-wide">{title}</p>
+      <svg viewBox="0 0 200 110" className="w-full max-w-[220px] mx-auto mt-2" role="img" aria-label={`${title}: ${formatTone(tone)}`}>
+        {GAUGE_BANDS.map((band) => (
+          <path key={band.from} d={arcPath(band.from, band.to)} fill="none" stroke={band.color} strokeWidth={14} />
+        ))}
+        {needle && (
+          <>
+            <line x1={CX} y1={CY} x2={needle.x} y2={needle.y} stroke="#171717" strokeWidth={2.5} strokeLinecap="round" />
+            <circle cx={CX} cy={CY} r={4} fill="#171717" />
+          </>
+        )}
+        <text x={CX - R} y={CY + 14} textAnchor="middle" className="fill-[#9ca3af] text-[9px]">−1</text>
+        <text x={CX + R} y={CY + 14} textAnchor="middle" className="fill-[#9ca3af] text-[9px]">+1</text>
+      </svg>
+      <p className="text-xl font-semibold text-[#171717] tabular-nums">{formatTone(tone)}</p>
+      <p className="text-xs text-[#6b7280]">
+        {score ? `${toneLabel(tone)} · ${score.words.toLocaleString()} words` : 'Not enough text'}
+      </p>
+    </div>
+  );
+};
+
+/* ------------------------------------------------------------------ */
+
+type ScoredRow = ToneScore & { key: string; label: string; detail?: string };
+
+const ScoreTable: React.FC<{ title: string; rows: ScoredRow[] }> = ({ title, rows }) => {
+  if (rows.length === 0) return null;
+  return (
+    <div>
+      <h4 className="text-xs font-medium text-[#9ca3af] uppercase tracking-wide mb-3">{title}</h4>
+      <div className="overflow-x-auto rounded border border-[#e5e7eb]">
+        <table className="w-full text-sm">
+          <thead className="bg-[#f9fafb] text-[#6b7280] text-xs font-medium uppercase tracking-wider">
+            <tr>
+              <th className="px-4 py-2.5 text-left border-b border-[#e5e7eb]" />
+              <th className="px-4 py-2.5 text-right border-b border-[#e5e7eb]">Net tone</th>
+              {CATEGORIES.map(({ key, label }) => (
+                <th key={key} className="px-4 py-2.5 text-right border-b border-[#e5e7eb]">{label}</th>
+              ))}
+              <th className="px-4 py-2.5 text-right border-b border-[#e5e7eb]">Words</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key}>
+                <td className="px-4 py-2 border-b border-[#f3f4f6] text-[#374151]">
+                  {row.label}
+                  {row.detail && <span className="ml-1.5 text-xs text-[#9ca3af]">{row.detail}</span>}
+                </td>
+                <td className="px-4 py-2 border-b border-[#f3f4f6] text-right tabular-nums font-medium text-[#171717]">{formatTone(row.tone)}</td>
+                {CATEGORIES.map(({ key }) => (
+                  <td key={key} className="px-4 py-2 border-b border-[#f3f4f6] text-right tabular-nums text-[#374151]">
+                    {row.rates[key].toFixed(2)}%
+                  </td>
+                ))}
+                <td className="px-4 py-2 border-b border-[#f3f4f6] text-right tabular-nums text-[#9ca3af]">{row.words.toLocaleString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+/* ------------------------------------------------------------------ */
+
+interface TonePanelProps {
+  tone: DocumentTone | null | undefined;
+  /** Stored document id; offers the model's read when set */
+  documentId?: string | null;
+}
+
+/**
+ * Management tone from word counts against a finance lexicon
+ * (Loughran–McDonald categories): net tone gauges for the whole document
+ * and management's own voice, category rates, and the scores per section
+ * and per speaker. The model's read of the same passages is fetched on
+ * request, as a second opinion.
+ */
+export const TonePanel: React.FC<TonePanelProps> = ({ tone, documentId }) => {
+  const [modelRead, setModelRead] = useState<ModelToneRead | null>(null);
+  const [modelState, setModelState] = useState<'idle' | 'loading' | 'done' | 'error'>('idle');
+
+  const askModel = async () => {
+    if (!documentId) return;
+    setModelState('loading');
+    try {
+      const { llm } = await getDocumentTone(documentId, true);
+      setModelRead(llm);
+      setModelState('done');
+    } catch (err) {
+      console.error('Tone read failed:', err);
+      setModelState('error');
+    }
+  };
+
+  return (
+    <div className="report-panel space-y-6">
+      <div className="mb-6">
+        <h3 className="text-lg font-semibold text-[#171717]">Management Tone</h3>
+        <p className="text-sm text-[#9ca3af] mt-0.5">
+          Finance-lexicon word counts; net tone is (positive − negative) / (positive + negative), from −1 to +1
+        </p>
+      </div>
+
+      {!tone?.overall.words ? (
+        <p className="text-[#9ca3af] text-sm py-4 text-center">No narrative text to score.</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-4">
+            <ToneGauge title="Whole document" score={tone.overall} />
+            <ToneGauge title="Management" score={tone.management} />
+          </div>
+
+          <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+            {CATEGORIES.map(({ key, label }) => (
+              <div
+                key={key}
+                className="rounded border border-[#e5e7eb] px-4 py-3"
+                title={tone.terms[key].map(({ term, count }) => `${term} (${count})`).join('\n') || undefined}
+              >
+                <p className="text-xs text-[#9ca3af]">{label}</p>
+                <p className="text-base font-semibold text-[#171717] tabular-nums">{tone.overall.rates[key].toFixed(2)}%</p>
+                <p className="text-xs text-[#6b7280] truncate">{tone.terms[key].map(({ term }) => term).join(', ') || '—'}</p>
+              </div>
+            ))}
+          </div>
+
+          <ScoreTable title="By section" rows={tone.sections} />
+          <ScoreTable
+            title="By speaker"
+            rows={tone.speakers.map((s) => ({
+              ...s,
+              key: s.speaker,
+              label: s.speaker,
+              detail: [s.role && s.role !== 'unknown' ? s.role.toUpperCase() : null, s.firm].filter(Boolean).join(', ') || undefined,
+            }))}
+          />
+        </>
+      )}
+
+      {documentId && (
+        <div className="rounded border border-[#e5e7eb] p-4">
+          <div className="flex items-center gap-3">
+            <p className="text-sm font-medium text-[#171717] flex-1">Model read</p>
+            <Button variant="outline" size="sm" onClick={askModel} disabled={modelState === 'loading'} className="h-7 text-xs gap-1.5">
+              {modelState === 'loading' ? <Loader2 className="h-3 w-3 animate-spin" /> : <Sparkles className="h-3 w-3" />}
+              {modelState === 'done' ? 'Ask again' : 'Ask the model'}
+            </Button>
+          </div>
+          {modelState === 'done' && modelRead && (
+            <div className="mt-3 text-[0.8125rem] text-[#374151] leading-[1.7]">
+              <p>
+                <span className="font-semibold text-[#171717] tabular-nums">{formatTone(modelRead.score)}</span>
+                <span className="ml-2 capitalize">{modelRead.label}</span>
+                {modelRead.confidence != null && (
+                  <span className="ml-2 text-xs text-[#9ca3af]">{Math.round(modelRead.confidence * 100)}% confidence</span>
+                )}
+                <span className="ml-2 text-xs text-[#9ca3af]">from {modelRead.excerpts} excerpts</span>
+              </p>
+              {modelRead.rationale && <p className="mt-1">{modelRead.rationale}</p>}
+            </div>
+          )}
+          {modelState === 'done' && !modelRead && (
+            <p className="mt-3 text-xs text-[#9ca3af]">The model's answer could not be read.</p>
+          )}
+          {modelState === 'error' && <p className="mt-3 text-xs text-[#b91c1c]">The model read failed. Try again.</p>}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,48 @@
+import React from 'react';
+import type { ToneRow } from '@/types';
+
+interface ToneTableProps {
+  /** One per cell of each row: the peers, or the periods of a timeline */
+  columns: { key: string; label: string }[];
+  rows: ToneRow[] | undefined;
+}
+
+/**
+ * Lexicon tone side by side. Net tone runs from −1 to +1; the other rows
+ * are the share of words in each category.
+ */
+export const ToneTable: React.FC<ToneTableProps> = ({ columns, rows }) => {
+  if (!rows?.length) return null;
+
+  return (
+    <div>
+      <h4 className="text-xs font-medium text-[#9ca3af] uppercase tracking-wide mb-3">Tone</h4>
+      <div className="overflow-x-auto rounded border border-[#e5e7eb]">
+        <table className="w-full text-sm">
+          <thead className="bg-[#f9fafb] text-[#6b7280] text-xs font-medium uppercase tracking-wider">
+            <tr>
+              <th className="sticky left-0 bg-[#f9fafb] px-4 py-2.5 text-left border-b border-[#e5e7eb]">Measure</th>
+              {columns.map((column) => (
+                <th key={column.key} className="px-4 py-2.5 text-right border-b border-[#e5e7eb] max-w-[140px] truncate" title={column.label}>
+                  {column.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key}>
+                <td className="sticky left-0 bg-white px-4 py-2 border-b border-[#f3f4f6] text-[#374151] whitespace-nowrap">{row.label}</td>
+                {row.cells.map((cell, i) => (
+                  <td key={columns[i]?.key ?? i} className="px-4 py-2 border-b border-[#f3f4f6] text-right tabular-nums whitespace-nowrap text-[#374151]">
+                    {cell ? cell.display : <span className="text-[#d4d4d4]">—</span>}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
@@ -8,7 +8,8 @@ export const DEMO_REPORT: CreditReport = {
   companyName: 'Apple Inc.',
   generatedAt: '2024-11-01T00:00:00.000Z',
 
-  overview: `## Company Overview
+  sections: {
+    overview: `## Company Overview
 
 Apple Inc. is a global technology company headquartered in Cupertino, California, designing, manufacturing, and marketing consumer electronics, software, and services. The company operates through a tightly integrated hardware-software-services ecosystem that spans smartphones, personal computers, wearables, tablets, and a rapidly expanding digital services platform.
 
@@ -24,7 +25,7 @@ Apple Inc. is a global technology company headquartered in Cupertino, California
 
 Apple's competitive moat rests on deep vertical integration across silicon (Apple Silicon), software (iOS/macOS/watchOS), and services. The company's installed base exceeded **2.2 billion active devices** in 2024, providing a captive distribution channel for high-margin services. The introduction of Apple Intelligence (generative AI features) in iOS 18 and macOS Sequoia represents a significant platform investment aimed at differentiating hardware and driving upgrade cycles.`,
 
-  financialHighlights: `## Revenue & Profitability
+    financialHighlights: `## Revenue & Profitability
 
 | Metric | FY2024 | FY2023 | YoY Change |
 |--------|--------|--------|-----------|
@@ -92,7 +93,7 @@ Greater China revenue declined ~1% YoY, reflecting heightened competition from d
 }
 ~~~`,
 
-  keyRisks: `## Macroeconomic & Geopolitical Risks
+    keyRisks: `## Macroeconomic & Geopolitical Risks
 
 - **China dependency:** Apple manufactures the majority of its products in China through contract manufacturers (primarily Foxconn/Hon Hai). Escalating US-China trade tensions, potential tariffs, and export controls on semiconductors create meaningful supply chain exposure. Revenue from Greater China (~19% of total) is also at risk from consumer nationalism and regulatory pressure.
 - **Currency headwinds:** With ~57% of revenue generated outside the US, a strong dollar creates persistent translation headwinds. Apple does not fully hedge its foreign currency exposure.
@@ -113,7 +114,7 @@ Greater China revenue declined ~1% YoY, reflecting heightened competition from d
 - **Apple Intelligence adoption:** AI features require iPhone 15 Pro or later (A17 Pro chip or newer), limiting the addressable base for a key upgrade catalyst in the near term.
 - **Supply chain concentration:** Despite ongoing diversification to India and Vietnam, China still accounts for the vast majority of iPhone production, leaving Apple vulnerable to disruption.`,
 
-  managementCommentary: `## CEO Tim Cook — Strategic Direction
+    managementCommentary: `## CEO Tim Cook — Strategic Direction
 
 Tim Cook highlighted the **Services growth trajectory** as the company's most important long-term value driver, noting that the segment now serves over **1 billion paid subscriptions** across its platform. Cook emphasized Apple Intelligence as a "once-in-a-generation" opportunity to redefine the smartphone, describing the on-device processing approach as a fundamental differentiator versus cloud-dependent competitors.
 
@@ -130,4 +131,5 @@ Maestri pointed to **gross margin expansion** as a key financial achievement, wi
 Management guided for **low-to-mid single digit revenue growth** in FY2025, with Services expected to continue outpacing Products. The company sees the iPhone 16 cycle — enhanced by Apple Intelligence availability — as a meaningful upgrade catalyst, particularly among users on iPhone 12 and older devices (estimated at ~40% of the installed base).
 
 Capital expenditure is expected to remain in the **$9–11 billion** range annually, focused on data center infrastructure for Apple Intelligence and custom silicon R&D (Apple Silicon roadmap through M5/A19 generations).`,
+  },
 };
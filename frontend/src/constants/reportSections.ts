@@ -1,13 +1,21 @@
 /**
  * Report section configuration.
- * Keys align with backend: overview, financialHighlights, keyRisks, managementCommentary.
+ * REPORT_SECTIONS mirrors the backend's built-in template (overview, financialHighlights,
+ * keyRisks, managementCommentary); reports from other templates carry their own layout.
  */
-import type { ReportSectionKey } from '@/types';
+import type { ReportSectionKey, ReportTemplateLayout } from '@/types';
 import {
   Building,
   BarChart3,
   AlertTriangle,
   MessageSquare,
+  FileText,
+  Landmark,
+  Users,
+  DollarSign,
+  TrendingUp,
+  HelpCircle,
+  Target,
   type LucideIcon,
 } from 'lucide-react';
 
@@ -16,6 +24,10 @@ export interface ReportSectionConfig {
   title: string;
   description: string;
   icon: LucideIcon;
+  /** Show the computed ratio table above the section */
+  computedMetrics: boolean;
+  /** Render the section's chartdata block as charts */
+  charts: boolean;
 }
 
 export const REPORT_SECTION_KEYS: ReportSectionKey[] = [
@@ -31,23 +43,53 @@ export const REPORT_SECTIONS: ReportSectionConfig[] = [
     title: 'Overview',
     description: 'Business model and strategic positioning',
     icon: Building,
+    computedMetrics: false,
+    charts: false,
   },
   {
     key: 'financialHighlights',
     title: 'Financials',
     description: 'Key metrics and performance indicators',
     icon: BarChart3,
+    computedMetrics: true,
+    charts: true,
   },
   {
     key: 'keyRisks',
     title: 'Risks',
     description: 'Business and market risk factors',
     icon: AlertTriangle,
+    computedMetrics: false,
+    charts: false,
   },
   {
     key: 'managementCommentary',
     title: 'Management',
     description: 'Executive insights and outlook',
     icon: MessageSquare,
+    computedMetrics: false,
+    charts: false,
   },
 ];
+
+/** Icons of the backend's other built-in sections, picked by document type */
+const LIBRARY_SECTION_ICONS: Record<string, LucideIcon> = {
+  governance: Landmark,
+  board: Users,
+  executiveCompensation: DollarSign,
+  guidance: TrendingUp,
+  analystConcerns: HelpCircle,
+  strategySlides: Target,
+};
+
+/**
+ * Sections of a report in template order. Built-in section keys keep
+ * their icons; other sections get a generic one.
+ */
+export function reportSectionConfigs(template?: ReportTemplateLayout | null): ReportSectionConfig[] {
+  if (!template) return REPORT_SECTIONS;
+  return template.sections.map((section) => ({
+    ...section,
+    icon: REPORT_SECTIONS.find((s) => s.key === section.key)?.icon ?? LIBRARY_SECTION_ICONS[section.key] ?? FileText,
+  }));
+}
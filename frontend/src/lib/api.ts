@@ -1,7 +1,8 @@
 /**
  * Central API client. All backend calls go through here.
  */
-import type { CreditReport, SSEEvent } from '@/types';
+import type { CreditReport, SSEEvent, DocumentSummary, StoredDocument, ReportJob, Source, AnswerWithSources, FigureVerification, ChatSession, ChatSessionSummary, ReportPayload, ReportTemplate, ReportTemplateSummary, ComparisonReport, ExportFormat, DocumentExportFormat, CompanyGroup, TimelineReport, FilingDiff, DocumentToneResponse } from '@/types';
+import { reportSectionConfigs } from '@/constants/reportSections';
 
 const API_BASE = '/api';
 
@@ -28,6 +29,12 @@ async function handleResponse<T>(res: Response, parseJson = true): Promise<T> {
   return text ? JSON.parse(text) : ({} as T);
 }
 
+/** Binary responses (exports); errors are read like any other response */
+async function handleBlobResponse(res: Response): Promise<Blob> {
+  if (!res.ok) await handleResponse<never>(res);
+  return res.blob();
+}
+
 export async function uploadDocument(file: File): Promise<{ filename: string }> {
   const formData = new FormData();
   formData.append('report', file);
@@ -37,21 +44,35 @@ export async function uploadDocument(file: File): Promise<{ filename: string }>
   );
 }
 
-export async function generateReport(filename: string): Promise<CreditReport> {
+/**
+ * Build a CreditReport from an API report payload, picking the sections
+ * its template declares.
+ */
+export function toCreditReport(data: ReportPayload): CreditReport {
+  const sections: CreditReport['sections'] = {};
+  for (const { key } of reportSectionConfigs(data.template)) {
+    sections[key] = typeof data[key] === 'string' ? (data[key] as string) : '';
+  }
+  return {
+    companyName: data.companyName ?? 'Unknown Company',
+    sections,
+    template: data.template,
+    generatedAt: data.generatedAt ?? new Date().toISOString(),
+    sources: data.sources ?? [],
+    ratios: data.ratios ?? [],
+    tone: data.tone ?? null,
+    scorecard: data.scorecard ?? null,
+    verification: data.verification ?? {},
+  };
+}
+
+export async function generateReport(filename: string, templateId?: string): Promise<CreditReport> {
   const res = await fetch(`${API_BASE}/generate-report`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ filename }),
+    body: JSON.stringify({ filename, templateId }),
   });
-  const data = await handleResponse<Record<string, string>>(res);
-  return {
-    companyName: data.companyName ?? 'Unknown Company',
-    overview: data.overview ?? '',
-    financialHighlights: data.financialHighlights ?? '',
-    keyRisks: data.keyRisks ?? '',
-    managementCommentary: data.managementCommentary ?? '',
-    generatedAt: new Date().toISOString(),
-  };
+  return toCreditReport(await handleResponse<ReportPayload>(res));
 }
 
 export async function fetchPdfFromUrl(url: string): Promise<Blob> {
@@ -70,18 +91,175 @@ export async function fetchPdfFromUrl(url: string): Promise<Blob> {
   return res.blob();
 }
 
-export async function askQuestion(params: {
-  filename: string;
-  question: string;
-  companyName: string;
-}): Promise<string> {
+/**
+ * Q&A request body. Library questions send `scope: 'library'` and an
+ * optional `documentIds` subset instead of a filename. Document questions
+ * continue the chat session in `sessionId`, or start one.
+ */
+type AskParams =
+  | { filename: string; question: string; companyName: string; sessionId?: string }
+  | { scope: 'library'; question: string; documentIds?: string[] };
+
+export async function askQuestion(params: AskParams): Promise<AnswerWithSources> {
   const res = await fetch(`${API_BASE}/ask-question`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(params),
   });
-  const data = await handleResponse<{ answer: string }>(res);
-  return data.answer;
+  const data = await handleResponse<AnswerWithSources>(res);
+  return {
+    answer: data.answer,
+    sources: data.sources ?? [],
+    verification: data.verification,
+    sessionId: data.sessionId,
+    standaloneQuestion: data.standaloneQuestion,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Chat sessions                                                       */
+/* ------------------------------------------------------------------ */
+
+/** Chat sessions of a document, most recently active first */
+export async function listChatSessions(documentId: string): Promise<ChatSessionSummary[]> {
+  const res = await fetch(`${API_BASE}/documents/${encodeURIComponent(documentId)}/sessions`);
+  const data = await handleResponse<{ sessions: ChatSessionSummary[] }>(res);
+  return data.sessions ?? [];
+}
+
+export async function getChatSession(sessionId: string): Promise<ChatSession> {
+  const res = await fetch(`${API_BASE}/sessions/${sessionId}`);
+  return handleResponse<ChatSession>(res);
+}
+
+export async function clearChatSession(sessionId: string): Promise<ChatSessionSummary> {
+  const res = await fetch(`${API_BASE}/sessions/${sessionId}/clear`, { method: 'POST' });
+  return handleResponse<ChatSessionSummary>(res);
+}
+
+/** Download link for a session transcript */
+export const chatSessionExportUrl = (sessionId: string, format: 'md' | 'json' = 'md') =>
+  `${API_BASE}/sessions/${sessionId}/export?format=${format}`;
+
+/* ------------------------------------------------------------------ */
+/*  Report templates                                                    */
+/* ------------------------------------------------------------------ */
+
+export async function listTemplates(): Promise<ReportTemplateSummary[]> {
+  const res = await fetch(`${API_BASE}/templates`);
+  const data = await handleResponse<{ templates: ReportTemplateSummary[] }>(res);
+  return data.templates ?? [];
+}
+
+export async function getTemplate(id: string): Promise<ReportTemplate> {
+  const res = await fetch(`${API_BASE}/templates/${encodeURIComponent(id)}`);
+  return handleResponse<ReportTemplate>(res);
+}
+
+/** Fields a new or updated template is made of; `id` is only read on create */
+type TemplateInput = Omit<ReportTemplate, 'id' | 'builtIn' | 'createdAt' | 'updatedAt'> & { id?: string };
+
+export async function createTemplate(template: TemplateInput): Promise<ReportTemplate> {
+  const res = await fetch(`${API_BASE}/templates`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(template),
+  });
+  return handleResponse<ReportTemplate>(res);
+}
+
+export async function updateTemplate(id: string, template: TemplateInput): Promise<ReportTemplate> {
+  const res = await fetch(`${API_BASE}/templates/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(template),
+  });
+  return handleResponse<ReportTemplate>(res);
+}
+
+export async function deleteTemplate(id: string): Promise<void> {
+  const res = await fetch(`${API_BASE}/templates/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  await handleResponse<{ id: string }>(res);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Document library                                                    */
+/* ------------------------------------------------------------------ */
+
+export async function listDocuments(): Promise<DocumentSummary[]> {
+  const res = await fetch(`${API_BASE}/documents`);
+  const data = await handleResponse<{ documents: DocumentSummary[] }>(res);
+  return data.documents ?? [];
+}
+
+export async function getDocument(id: string): Promise<StoredDocument> {
+  const res = await fetch(`${API_BASE}/documents/${encodeURIComponent(id)}`);
+  return handleResponse<StoredDocument>(res);
+}
+
+/** Management tone of a stored document; `withModel` adds the model's read of the same passages */
+export async function getDocumentTone(id: string, withModel = false): Promise<DocumentToneResponse> {
+  const res = await fetch(`${API_BASE}/documents/${encodeURIComponent(id)}/tone${withModel ? '?llm=true' : ''}`);
+  return handleResponse<DocumentToneResponse>(res);
+}
+
+export async function deleteDocument(id: string): Promise<void> {
+  const res = await fetch(`${API_BASE}/documents/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  await handleResponse<{ id: string }>(res);
+}
+
+/** Stored documents grouped by company, each with the fiscal period it reports on */
+export async function listCompanies(): Promise<CompanyGroup[]> {
+  const res = await fetch(`${API_BASE}/companies`);
+  const data = await handleResponse<{ companies: CompanyGroup[] }>(res);
+  return data.companies ?? [];
+}
+
+/** Redline risk factors and MD&A between two filings of one company, in either order */
+export async function compareFilings(documentIds: [string, string], sections?: string[]): Promise<FilingDiff> {
+  const res = await fetch(`${API_BASE}/filing-diff`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ documentIds, sections }),
+  });
+  return handleResponse<FilingDiff>(res);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Report export                                                       */
+/* ------------------------------------------------------------------ */
+
+/** A stored report rendered as PDF, DOCX, HTML or Markdown, or its data as an Excel workbook */
+export async function exportDocument(documentId: string, format: DocumentExportFormat): Promise<Blob> {
+  const res = await fetch(`${API_BASE}/documents/${encodeURIComponent(documentId)}/export?format=${format}`);
+  return handleBlobResponse(res);
+}
+
+/** Comparisons are not stored, so the whole comparison is sent to be rendered */
+export async function exportComparison(report: ComparisonReport, format: ExportFormat): Promise<Blob> {
+  const res = await fetch(`${API_BASE}/compare-reports/export?format=${format}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(report),
+  });
+  return handleBlobResponse(res);
+}
+
+/**
+ * Rebuild a CreditReport from a stored library document.
+ */
+export function storedDocumentToReport(doc: StoredDocument): CreditReport {
+  return {
+    companyName: doc.companyName ?? 'Unknown Company',
+    sections: doc.sections,
+    template: doc.template ?? undefined,
+    generatedAt: doc.updatedAt,
+    sources: doc.sources ?? [],
+    ratios: doc.ratios ?? [],
+    tone: doc.tone ?? null,
+    scorecard: doc.scorecard ?? null,
+    verification: doc.verification ?? {},
+  };
 }
 
 /* ------------------------------------------------------------------ */
@@ -136,12 +314,13 @@ async function readSSEStream(
 
 export async function generateReportStream(
   filename: string,
-  onEvent: (event: SSEEvent) => void
+  onEvent: (event: SSEEvent) => void,
+  templateId?: string
 ): Promise<void> {
   const res = await fetch(`${API_BASE}/generate-report-stream`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ filename }),
+    body: JSON.stringify({ filename, templateId }),
   });
 
   if (!res.ok) {
@@ -159,14 +338,79 @@ export async function generateReportStream(
   await readSSEStream(res, onEvent);
 }
 
+/* ------------------------------------------------------------------ */
+/*  Background report jobs                                              */
+/* ------------------------------------------------------------------ */
+
+const TERMINAL_JOB_EVENTS = new Set(['complete', 'error', 'cancelled']);
+const JOB_RECONNECT_DELAY_MS = 2000;
+const JOB_MAX_RECONNECTS = 10;
+
+export async function createReportJob(filename: string, templateId?: string): Promise<{ jobId: string }> {
+  const res = await fetch(`${API_BASE}/jobs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ filename, templateId }),
+  });
+  return handleResponse<{ jobId: string }>(res);
+}
+
+export async function cancelJob(jobId: string): Promise<ReportJob> {
+  const res = await fetch(`${API_BASE}/jobs/${jobId}/cancel`, { method: 'POST' });
+  return handleResponse<ReportJob>(res);
+}
+
+export async function retryJob(jobId: string): Promise<ReportJob> {
+  const res = await fetch(`${API_BASE}/jobs/${jobId}/retry`, { method: 'POST' });
+  return handleResponse<ReportJob>(res);
+}
+
+/**
+ * Follow a job's event stream until it completes, fails or is cancelled.
+ * Dropped connections are re-opened from the last seen event, so nothing
+ * is missed or delivered twice. Pass `after` to skip already-seen events.
+ */
+export async function followJobEvents(
+  jobId: string,
+  onEvent: (event: SSEEvent) => void,
+  after = 0
+): Promise<void> {
+  let lastSeq = after;
+  let finished = false;
+  let reconnects = 0;
+
+  while (!finished) {
+    try {
+      const res = await fetch(`${API_BASE}/jobs/${jobId}/events?after=${lastSeq}`);
+      if (!res.ok) {
+        // Unknown job or bad request — reconnecting won't help
+        finished = true;
+        await handleResponse(res);
+      }
+
+      await readSSEStream(res, (event) => {
+        if (event.seq) lastSeq = Math.max(lastSeq, event.seq);
+        if (TERMINAL_JOB_EVENTS.has(event.type)) finished = true;
+        onEvent(event);
+      });
+      reconnects = 0;
+    } catch (err) {
+      // Errors thrown by onEvent (e.g. on an 'error' event) end the stream
+      if (finished || ++reconnects > JOB_MAX_RECONNECTS) throw err;
+    }
+
+    if (!finished) await new Promise((resolve) => setTimeout(resolve, JOB_RECONNECT_DELAY_MS));
+  }
+}
+
 /* ------------------------------------------------------------------ */
 /*  Streaming Q&A                                                       */
 /* ------------------------------------------------------------------ */
 
 export async function askQuestionStream(
-  params: { filename: string; question: string; companyName: string },
+  params: AskParams,
   onChunk: (chunk: string) => void
-): Promise<string> {
+): Promise<AnswerWithSources> {
   const res = await fetch(`${API_BASE}/ask-question-stream`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -186,34 +430,73 @@ export async function askQuestionStream(
   }
 
   let fullContent = '';
+  let sources: Source[] = [];
+  let verification: FigureVerification | undefined;
+  let sessionId: string | undefined;
+  let standaloneQuestion: string | undefined;
 
   await readSSEStream(res, (event) => {
     if (event.type === 'chunk') {
       onChunk(event.content);
       fullContent += event.content;
     } else if (event.type === 'done') {
+      // Final content has citation markers resolved to source links
       fullContent = event.content;
+      sources = event.sources ?? [];
+      verification = event.verification;
+      sessionId = event.sessionId;
+      standaloneQuestion = event.standaloneQuestion;
     } else if (event.type === 'error') {
       throw new Error(event.message);
     }
   });
 
-  return fullContent;
+  return { answer: fullContent, sources, verification, sessionId, standaloneQuestion };
 }
 
 /* ------------------------------------------------------------------ */
 /*  Streaming comparison                                                */
 /* ------------------------------------------------------------------ */
 
+/** Compare a peer group of uploaded documents, in display order */
 export async function compareReportsStream(
-  filenameA: string,
-  filenameB: string,
+  filenames: string[],
   onEvent: (event: SSEEvent) => void
 ): Promise<void> {
   const res = await fetch(`${API_BASE}/compare-reports-stream`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ filenameA, filenameB }),
+    body: JSON.stringify({ filenames }),
+  });
+
+  if (!res.ok) {
+    const text = await res.text();
+    let message = text;
+    try {
+      const json = JSON.parse(text);
+      if (json.error) message = json.error;
+    } catch {
+      // use text
+    }
+    throw new Error(message || `Request failed: ${res.status}`);
+  }
+
+  await readSSEStream(res, onEvent);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Streaming company timeline                                          */
+/* ------------------------------------------------------------------ */
+
+/** A company's filings side by side: a company key from listCompanies(), or the filings to use */
+export async function generateTimelineStream(
+  filings: { company: string } | { documentIds: string[] },
+  onEvent: (event: SSEEvent) => void
+): Promise<void> {
+  const res = await fetch(`${API_BASE}/timeline-stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(filings),
   });
 
   if (!res.ok) {
@@ -230,3 +513,20 @@ export async function compareReportsStream(
 
   await readSSEStream(res, onEvent);
 }
+
+/**
+ * Build a TimelineReport from a timeline stream's complete event.
+ */
+export function timelineEventToReport(event: SSEEvent & { type: 'complete' }): TimelineReport | null {
+  if (!event.timeline || !event.sections) return null;
+  return {
+    companyName: event.companyName ?? 'Unknown Company',
+    sections: event.sections,
+    template: event.template,
+    generatedAt: event.generatedAt ?? new Date().toISOString(),
+    sources: event.sources ?? [],
+    ratios: [],
+    verification: event.verification ?? {},
+    timeline: event.timeline,
+  };
+}
@@ -0,0 +1,45 @@
+/**
+ * Helpers for citation markers in generated markdown. The backend rewrites
+ * the model's [n] markers to links of the form `[n](#cite-<chunkId>)`.
+ */
+import { createContext } from 'react';
+import type { Source } from '@/types';
+
+export const CITE_PREFIX = '#cite-';
+
+export interface Footnote {
+  label: string;
+  source: Source;
+}
+
+/** Sources available to citation links rendered below the provider */
+export const SourcesContext = createContext<Source[]>([]);
+
+const formatPages = ({ page, pageEnd }: Source) => {
+  if (page == null) return null;
+  return pageEnd != null && pageEnd !== page ? `pp. ${page}–${pageEnd}` : `p. ${page}`;
+};
+
+export const describeSource = (source: Source) =>
+  [
+    source.companyName !== source.documentName ? source.companyName : null,
+    source.documentName,
+    source.sectionLabel,
+    formatPages(source),
+    source.position != null ? `${Math.round(source.position * 100)}% through document` : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+/**
+ * Footnotes in order of first use, resolved against the known sources.
+ */
+export function extractFootnotes(markdown: string, sources: Source[] = []): Footnote[] {
+  const byId = new Map(sources.map((s) => [s.id, s]));
+  const footnotes = new Map<string, Footnote>();
+  for (const match of markdown.matchAll(/\[(\d+)\]\(#cite-([^)\s]+)\)/g)) {
+    const source = byId.get(match[2]);
+    if (source && !footnotes.has(source.id)) footnotes.set(source.id, { label: match[1], source });
+  }
+  return [...footnotes.values()];
+}
@@ -0,0 +1,113 @@
+/**
+ * Helpers for the server's figure verification (see shared/figureVerifier.js):
+ * a remark plugin that marks checked figures in rendered markdown, and a
+ * filter that keeps unverified values out of charts.
+ */
+import type { Root, RootContent, Text, PhrasingContent } from 'mdast';
+import type { ChartSpec, CheckedFigure, FigureCheck, FigureVerification } from '@/types';
+
+export const FIGURE_STATUS_LABELS: Record<FigureCheck['status'], string> = {
+  verified: 'Verified',
+  derived: 'Derived',
+  unverified: 'Not found in document',
+};
+
+export const describeFigureCheck = (check: FigureCheck) => {
+  if (check.status === 'verified') {
+    return check.source && check.source !== 'document'
+      ? `Verified in cited excerpt (${check.source})`
+      : 'Verified in document text';
+  }
+  if (check.status === 'derived') return `Derived: ${check.basis ?? 'computed from reported figures'}`;
+  return FIGURE_STATUS_LABELS.unverified;
+};
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/** Nodes whose text is not prose: code, and citation links ("[2]") */
+const SKIPPED = new Set(['code', 'inlineCode', 'link', 'html']);
+
+function markText(node: Text, pattern: RegExp, queues: Map<string, CheckedFigure[]>): PhrasingContent[] {
+  const parts: PhrasingContent[] = [];
+  let last = 0;
+  for (const match of node.value.matchAll(pattern)) {
+    const queue = queues.get(match[0]);
+    // Occurrences are matched to checks in document order
+    const figure = queue && (queue.length > 1 ? queue.shift() : queue[0]);
+    if (!figure) continue;
+    if (match.index! > last) parts.push({ type: 'text', value: node.value.slice(last, match.index) });
+    parts.push({
+      type: 'emphasis',
+      data: {
+        hName: 'mark',
+        hProperties: { dataStatus: figure.status, title: describeFigureCheck(figure) },
+      },
+      children: [{ type: 'text', value: match[0] }],
+    });
+    last = match.index! + match[0].length;
+  }
+  if (parts.length === 0) return [node];
+  if (last < node.value.length) parts.push({ type: 'text', value: node.value.slice(last) });
+  return parts;
+}
+
+/**
+ * Remark plugin: wrap each checked figure in a `<mark data-status>` element.
+ */
+export function remarkFigureChecks(figures: CheckedFigure[] = []) {
+  return () => (tree: Root) => {
+    if (figures.length === 0) return;
+
+    const queues = new Map<string, CheckedFigure[]>();
+    for (const figure of figures) {
+      if (!queues.has(figure.text)) queues.set(figure.text, []);
+      queues.get(figure.text)!.push(figure);
+    }
+    const alternatives = [...queues.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+    const pattern = new RegExp(`(?<![\\w.,$€£¥])(?:${alternatives.join('|')})(?![\\w%])`, 'g');
+
+    const walk = (node: Root | RootContent) => {
+      if (!('children' in node) || SKIPPED.has(node.type)) return;
+      const children = node.children as RootContent[];
+      for (let i = 0; i < children.length; i++) {
+        const child = children[i];
+        if (child.type === 'text') {
+          const replaced = markText(child, pattern, queues);
+          children.splice(i, 1, ...replaced);
+          i += replaced.length - 1;
+        } else {
+          walk(child);
+        }
+      }
+    };
+    walk(tree);
+  };
+}
+
+/**
+ * Drop chart values the server could not verify, and charts left with
+ * fewer than two points. Returns how many values were removed.
+ */
+export function filterVerifiedCharts(
+  charts: ChartSpec[],
+  verification?: FigureVerification
+): { charts: ChartSpec[]; omitted: number } {
+  if (!verification?.charts?.length) return { charts, omitted: 0 };
+
+  let omitted = 0;
+  const kept = charts
+    .map((chart) => {
+      const checked = verification.charts.find((c) => c.title === chart.title);
+      if (!checked) return chart;
+      const data = chart.data.filter((point) => {
+        const check = checked.points.find((p) => p.name === point.name && p.value === point.value);
+        const ok = check?.status !== 'unverified';
+        if (!ok) omitted++;
+        return ok;
+      });
+      return { ...chart, data };
+    })
+    .filter((chart) => chart.data.length >= 2);
+
+  return { charts: kept, omitted };
+}
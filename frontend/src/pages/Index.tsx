@@ -1,10 +1,22 @@
 import './Index.css';
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useEffect, useRef } from 'react';
 import { FileUpload } from '@/components/FileUpload';
 import { ReportDisplay } from '@/components/ReportDisplay';
 import { ComparisonView } from '@/components/ComparisonView';
+import { PeerMatrix } from '@/components/PeerMatrix';
+import { TimelineTable } from '@/components/TimelineTable';
+import { FilingRedline } from '@/components/FilingRedline';
+import { TonePanel } from '@/components/TonePanel';
+import { ScorecardPanel } from '@/components/ScorecardPanel';
 import { ChatInterface } from '@/components/ChatInterface';
+import { DocumentLibrary } from '@/components/DocumentLibrary';
 import { Button } from '@/components/ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuTrigger,
+  DropdownMenuContent,
+  DropdownMenuItem,
+} from '@/components/ui/dropdown-menu';
 import {
   Calendar,
   Download,
@@ -13,22 +25,95 @@ import {
   BarChart3,
   GitCompareArrows,
   Sparkles,
+  Library,
+  Square,
+  RotateCw,
+  Table2,
+  TrendingUp,
+  Gauge,
+  ShieldCheck,
+  FileDiff,
 } from 'lucide-react';
 import { useToast } from '@/hooks/use-toast';
-import type { CreditReport, ReportSectionKey, ComparisonReport, SSEEvent } from '@/types';
-import { REPORT_SECTIONS } from '@/constants/reportSections';
+import type {
+  CreditReport,
+  ReportSectionKey,
+  ComparisonReport,
+  SSEEvent,
+  SSESectionEvent,
+  Source,
+  AnswerWithSources,
+  QAScope,
+  ReportTemplateLayout,
+  ReportTemplateSummary,
+  DocumentExportFormat,
+  CompanyGroup,
+  CompanyTimeline,
+  FilingDiff,
+} from '@/types';
+import { REPORT_SECTIONS, reportSectionConfigs } from '@/constants/reportSections';
 import { DEMO_REPORT } from '@/constants/demoReport';
 import {
   uploadDocument,
   generateReport,
-  generateReportStream,
+  createReportJob,
+  followJobEvents,
+  cancelJob,
+  retryJob,
   fetchPdfFromUrl,
   askQuestion as apiAskQuestion,
   askQuestionStream,
   compareReportsStream,
+  getDocument,
+  storedDocumentToReport,
+  listTemplates,
+  toCreditReport,
+  exportDocument,
+  exportComparison,
+  generateTimelineStream,
+  timelineEventToReport,
+  compareFilings,
 } from '@/lib/api';
 
-type ActiveView = ReportSectionKey | 'chat';
+type ActiveView = ReportSectionKey | 'chat' | 'library' | 'peers' | 'timeline' | 'tone' | 'scorecard';
+
+const EXPORT_OPTIONS: { format: DocumentExportFormat; label: string; documentOnly?: boolean }[] = [
+  { format: 'pdf', label: 'PDF' },
+  { format: 'docx', label: 'Word (.docx)' },
+  { format: 'html', label: 'HTML' },
+  { format: 'md', label: 'Markdown' },
+  { format: 'xlsx', label: 'Excel workbook (data)', documentOnly: true },
+];
+
+/** sessionStorage key for the report job being followed, so a reload can re-attach */
+const ACTIVE_JOB_KEY = 'activeReportJob';
+
+/** Add newly cited chunks to a report's sources, keeping ids unique */
+const mergeSources = (existing: Source[] = [], incoming: Source[] = []): Source[] => {
+  const ids = new Set(existing.map((s) => s.id));
+  return [...existing, ...incoming.filter((s) => !ids.has(s.id))];
+};
+
+/** Apply a streamed section — content, cited sources and figure checks — to a report */
+const applySection = (report: CreditReport, event: SSESectionEvent): CreditReport => ({
+  ...report,
+  sections: { ...report.sections, [event.sectionKey]: event.content },
+  sources: mergeSources(report.sources, event.sources),
+  verification: event.verification
+    ? { ...report.verification, [event.sectionKey]: event.verification }
+    : report.verification,
+});
+
+const createEmptyReport = (template?: ReportTemplateLayout): CreditReport => ({
+  companyName: 'Analyzing...',
+  sections: {},
+  template,
+  generatedAt: new Date().toISOString(),
+});
+
+/** Layout of a template from the template list, without the summary-only fields */
+const layoutOf = (template?: ReportTemplateSummary): ReportTemplateLayout | undefined =>
+  template && { id: template.id, name: template.name, sections: template.sections };
 
 const Index = () => {
   const [generatedReport, setGeneratedReport] = useState<CreditReport | null>(null);
@@ -38,65 +123,125 @@ const Index = () => {
   const [sessionFilename, setSessionFilename] = useState<string | null>(null);
   const [activeView, setActiveView] = useState<ActiveView>('overview');
   const [progressMessage, setProgressMessage] = useState<string>('');
+  const [activeJobId, setActiveJobId] = useState<string | null>(null);
+  const [failedJobId, setFailedJobId] = useState<string | null>(null);
+  const lastJobSeqRef = useRef(0);
+  const [templates, setTemplates] = useState<ReportTemplateSummary[]>([]);
+  // Empty: sections chosen by document type
+  const [templateId, setTemplateId] = useState('');
 
   const [comparisonReport, setComparisonReport] = useState<ComparisonReport | null>(null);
   const [isComparing, setIsComparing] = useState(false);
-  const [sessionFilenameA, setSessionFilenameA] = useState<string | null>(null);
-  const [sessionFilenameB, setSessionFilenameB] = useState<string | null>(null);
-  const [compareProgressA, setCompareProgressA] = useState<'idle' | 'processing' | 'done'>('idle');
-  const [compareProgressB, setCompareProgressB] = useState<'idle' | 'processing' | 'done'>('idle');
+  // Uploaded ids of the compared documents, in display order
+  const [peerIds, setPeerIds] = useState<string[]>([]);
+  // Per document id; documents not started yet are absent
+  const [compareProgress, setCompareProgress] = useState<Record<string, 'processing' | 'done'>>({});
+
+  // A company timeline is shown as generatedReport; these are its filings (oldest first) and aligned metrics
+  const [timelineIds, setTimelineIds] = useState<string[]>([]);
+  const [timeline, setTimeline] = useState<CompanyTimeline | null>(null);
+
+  // Redline of two filings; shown instead of a report, with one view per section
+  const [filingDiff, setFilingDiff] = useState<FilingDiff | null>(null);
 
   const { toast } = useToast();
 
-  const handleAnalyze = async (file: File) => {
+  useEffect(() => {
+    listTemplates()
+      .then(setTemplates)
+      .catch((err) => console.error('Failed to load report templates:', err));
+  }, []);
+
+  const followReportJob = useCallback(async (jobId: string, filename: string, after = 0) => {
     setIsAnalyzing(true);
     setIsStreaming(true);
-    setProgressMessage('Uploading document...');
-    toast({ title: 'Analysis started', description: 'Uploading and analyzing the document.' });
-    try {
-      const { filename } = await uploadDocument(file);
-      setSessionFilename(filename);
-
-      const emptyReport: CreditReport = {
-        companyName: 'Analyzing...',
-        overview: '',
-        financialHighlights: '',
-        keyRisks: '',
-        managementCommentary: '',
-        generatedAt: new Date().toISOString(),
-      };
-      setGeneratedReport(emptyReport);
-      setActiveView('overview');
+    setSessionFilename(filename);
+    setActiveJobId(jobId);
+    setFailedJobId(null);
+    sessionStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify({ jobId, filename }));
+    setGeneratedReport((prev) => prev ?? createEmptyReport());
 
-      let firstSectionSeen = false;
+    let firstSectionSeen = false;
 
-      await generateReportStream(filename, (event: SSEEvent) => {
+    try {
+      await followJobEvents(jobId, (event: SSEEvent) => {
+        if (event.seq) lastJobSeqRef.current = event.seq;
         switch (event.type) {
           case 'progress':
             setProgressMessage(event.message);
             if (event.companyName) {
               setGeneratedReport((prev) => prev ? { ...prev, companyName: event.companyName! } : prev);
             }
+            if (event.template) {
+              const template = event.template;
+              setGeneratedReport((prev) => prev ? { ...prev, template } : prev);
+              if (!firstSectionSeen && template.sections[0]) setActiveView(template.sections[0].key);
+            }
             break;
           case 'section':
-            setGeneratedReport((prev) => prev ? { ...prev, [event.sectionKey]: event.content } : prev);
+            setGeneratedReport((prev) => prev ? applySection(prev, event) : prev);
             if (!firstSectionSeen) {
               firstSectionSeen = true;
               setActiveView(event.sectionKey);
             }
             break;
           case 'complete':
-            if (event.companyName) {
-              setGeneratedReport((prev) => prev ? { ...prev, companyName: event.companyName! } : prev);
-            }
+            setGeneratedReport((prev) => prev ? {
+              ...prev,
+              companyName: event.companyName || prev.companyName,
+              template: event.template ?? prev.template,
+              ratios: event.ratios ?? prev.ratios,
+              tone: event.tone ?? prev.tone,
+              scorecard: event.scorecard ?? prev.scorecard,
+            } : prev);
             break;
           case 'error':
+          case 'cancelled':
             throw new Error(event.message);
         }
-      });
+      }, after);
 
-      setProgressMessage('');
       toast({ title: 'Analysis complete', description: 'Your report has been generated.' });
+    } catch (err) {
+      console.error('Analyze error:', err);
+      setFailedJobId(jobId);
+      toast({
+        title: 'Analysis stopped',
+        description: `${err instanceof Error ? err.message : 'Something went wrong.'} Use retry to resume.`,
+        variant: 'destructive',
+      });
+    } finally {
+      sessionStorage.removeItem(ACTIVE_JOB_KEY);
+      setActiveJobId(null);
+      setIsAnalyzing(false);
+      setIsStreaming(false);
+      setProgressMessage('');
+    }
+  }, [toast]);
+
+  // Re-attach to a job that was still running when the page was closed or reloaded
+  useEffect(() => {
+    const saved = sessionStorage.getItem(ACTIVE_JOB_KEY);
+    if (!saved) return;
+    try {
+      const { jobId, filename } = JSON.parse(saved) as { jobId: string; filename: string };
+      followReportJob(jobId, filename);
+    } catch {
+      sessionStorage.removeItem(ACTIVE_JOB_KEY);
+    }
+  }, [followReportJob]);
+
+  const handleAnalyze = async (file: File) => {
+    setIsAnalyzing(true);
+    setIsStreaming(true);
+    setProgressMessage('Uploading document...');
+    toast({ title: 'Analysis started', description: 'Uploading and analyzing the document.' });
+
+    let filename: string;
+    let jobId: string;
+    try {
+      ({ filename } = await uploadDocument(file));
+      ({ jobId } = await createReportJob(filename, templateId || undefined));
     } catch (err) {
       console.error('Analyze error:', err);
       toast({
@@ -104,13 +249,35 @@ const Index = () => {
         description: err instanceof Error ? err.message : 'Something went wrong.',
         variant: 'destructive',
       });
-      if (generatedReport && !generatedReport.overview && !generatedReport.financialHighlights) {
-        setGeneratedReport(null);
-      }
-    } finally {
       setIsAnalyzing(false);
       setIsStreaming(false);
       setProgressMessage('');
+      return;
+    }
+
+    const layout = layoutOf(templates.find((t) => t.id === templateId));
+    setGeneratedReport(createEmptyReport(layout));
+    setActiveView(layout?.sections[0]?.key ?? 'overview');
+    lastJobSeqRef.current = 0;
+    await followReportJob(jobId, filename);
+  };
+
+  const handleCancelJob = async () => {
+    if (!activeJobId) return;
+    try {
+      await cancelJob(activeJobId);
+    } catch (err) {
+      toast({ title: 'Cancel failed', description: err instanceof Error ? err.message : 'Something went wrong.', variant: 'destructive' });
+    }
+  };
+
+  const handleRetryJob = async () => {
+    if (!failedJobId || !sessionFilename) return;
+    try {
+      await retryJob(failedJobId);
+      await followReportJob(failedJobId, sessionFilename, lastJobSeqRef.current);
+    } catch (err) {
+      toast({ title: 'Retry failed', description: err instanceof Error ? err.message : 'Something went wrong.', variant: 'destructive' });
     }
   };
 
@@ -138,50 +305,82 @@ const Index = () => {
     toast({ title: 'Demo loaded', description: 'Showing Apple Inc. FY2024 sample analysis.' });
   };
 
-  const handleCompare = async (fileA: File, fileB: File) => {
+  const handleOpenDocument = async (id: string) => {
+    try {
+      const doc = await getDocument(id);
+      setComparisonReport(null);
+      setPeerIds([]);
+      setTimelineIds([]);
+      setTimeline(null);
+      setFilingDiff(null);
+      setGeneratedReport(storedDocumentToReport(doc));
+      setSessionFilename(doc.id);
+      setActiveView('overview');
+      toast({ title: 'Report reopened', description: `Continue where you left off with ${doc.companyName || doc.originalName}.` });
+    } catch (err) {
+      toast({
+        title: 'Failed to open report',
+        description: err instanceof Error ? err.message : 'Something went wrong.',
+        variant: 'destructive',
+      });
+    }
+  };
+
+  const handleCompare = async (files: File[]) => {
     setIsComparing(true);
     setIsAnalyzing(true);
     setIsStreaming(true);
-    setCompareProgressA('idle');
-    setCompareProgressB('idle');
+    setCompareProgress({});
     setProgressMessage('Uploading documents...');
-    toast({ title: 'Comparison started', description: 'Uploading and comparing both documents.' });
+    toast({ title: 'Comparison started', description: `Uploading and comparing ${files.length} documents.` });
 
     try {
-      const [uploadA, uploadB] = await Promise.all([uploadDocument(fileA), uploadDocument(fileB)]);
-      setSessionFilenameA(uploadA.filename);
-      setSessionFilenameB(uploadB.filename);
+      const uploads = await Promise.all(files.map((file) => uploadDocument(file)));
+      const ids = uploads.map((u) => u.filename);
+      setPeerIds(ids);
 
       const emptyComparison: ComparisonReport = {
-        companyA: 'Analyzing...', companyB: 'Analyzing...',
-        reportA: { companyName: '', overview: '', financialHighlights: '', keyRisks: '', managementCommentary: '', generatedAt: '' },
-        reportB: { companyName: '', overview: '', financialHighlights: '', keyRisks: '', managementCommentary: '', generatedAt: '' },
+        peers: ids.map((documentId) => ({
+          documentId,
+          companyName: 'Analyzing...',
+          report: { companyName: '', sections: {}, generatedAt: '' },
+        })),
         comparison: { overview: '', financialHighlights: '', keyRisks: '', managementCommentary: '' },
         generatedAt: new Date().toISOString(),
       };
       setComparisonReport(emptyComparison);
       setActiveView('overview');
 
-      await compareReportsStream(uploadA.filename, uploadB.filename, (event: SSEEvent) => {
+      await compareReportsStream(ids, (event: SSEEvent) => {
         switch (event.type) {
-          case 'progress':
+          case 'progress': {
             setProgressMessage(event.message);
-            if (event.type === 'progress') {
-              const stage = (event as { stage?: string }).stage ?? '';
-              if (stage === 'reportA') { setCompareProgressA('processing'); setCompareProgressB('idle'); }
-              else if (stage === 'reportB') { setCompareProgressA('done'); setCompareProgressB('processing'); }
-              else if (stage === 'comparison' || stage === 'complete') { setCompareProgressA('done'); setCompareProgressB('done'); }
+            const { stage, document: documentId, peers } = event;
+            if (stage === 'report' && documentId) {
+              // Reports are generated one at a time: starting one finishes the previous
+              setCompareProgress((prev) => ({
+                ...Object.fromEntries(Object.keys(prev).map((id) => [id, 'done' as const])),
+                [documentId]: 'processing',
+              }));
+            } else if (stage === 'comparison') {
+              setCompareProgress(Object.fromEntries(ids.map((id) => [id, 'done' as const])));
             }
-            if ('companyA' in event && event.companyA) {
-              setComparisonReport((prev) => prev ? { ...prev, companyA: event.companyA!, companyB: event.companyB! } : prev);
+            if (peers) {
+              const names = new Map(peers.map((p) => [p.documentId, p.companyName]));
+              setComparisonReport((prev) => prev ? {
+                ...prev,
+                peers: prev.peers.map((p) => ({ ...p, companyName: names.get(p.documentId) ?? p.companyName })),
+              } : prev);
             }
             break;
+          }
           case 'section': {
             const sectionEvent = event;
-            if (sectionEvent.document === 'A') {
-              setComparisonReport((prev) => prev ? { ...prev, reportA: { ...prev.reportA, [sectionEvent.sectionKey]: sectionEvent.content } } : prev);
-            } else if (sectionEvent.document === 'B') {
-              setComparisonReport((prev) => prev ? { ...prev, reportB: { ...prev.reportB, [sectionEvent.sectionKey]: sectionEvent.content } } : prev);
+            if (sectionEvent.document) {
+              setComparisonReport((prev) => prev ? {
+                ...prev,
+                peers: prev.peers.map((p) => p.documentId === sectionEvent.document ? { ...p, report: applySection(p.report, sectionEvent) } : p),
+              } : prev);
             } else if (sectionEvent.sectionKey.startsWith('comparison_')) {
               const key = sectionEvent.sectionKey.replace('comparison_', '') as ReportSectionKey;
               setComparisonReport((prev) => prev ? { ...prev, comparison: { ...prev.comparison, [key]: sectionEvent.content } } : prev);
@@ -189,11 +388,13 @@ const Index = () => {
             break;
           }
           case 'complete':
-            if (event.companyA) {
+            if (event.peers) {
               setComparisonReport((prev) => prev ? {
-                ...prev, companyA: event.companyA!, companyB: event.companyB!,
-                reportA: event.reportA || prev.reportA, reportB: event.reportB || prev.reportB,
-                comparison: event.comparison || prev.comparison, generatedAt: event.generatedAt || prev.generatedAt,
+                ...prev,
+                peers: event.peers!.map(({ documentId, companyName, report }) => ({ documentId, companyName, report: toCreditReport(report) })),
+                comparison: event.comparison || prev.comparison,
+                matrix: event.matrix ?? prev.matrix,
+                generatedAt: event.generatedAt || prev.generatedAt,
               } : prev);
             }
             break;
@@ -212,8 +413,69 @@ const Index = () => {
       setIsComparing(false);
       setIsAnalyzing(false);
       setIsStreaming(false);
-      setCompareProgressA('idle');
-      setCompareProgressB('idle');
+      setCompareProgress({});
+      setProgressMessage('');
+    }
+  };
+
+  const handleTimeline = async (group: CompanyGroup) => {
+    const ids = group.documents.map((doc) => doc.id);
+    setComparisonReport(null);
+    setPeerIds([]);
+    setFilingDiff(null);
+    setTimeline(null);
+    setTimelineIds(ids);
+    // Questions go to the latest filing
+    setSessionFilename(ids[ids.length - 1]);
+    setGeneratedReport({ ...createEmptyReport(), companyName: group.companyName });
+    setActiveView('timeline');
+    setIsAnalyzing(true);
+    setIsStreaming(true);
+    setProgressMessage('Lining up filings...');
+
+    let sectionSeen = false;
+
+    try {
+      await generateTimelineStream({ company: group.key }, (event: SSEEvent) => {
+        switch (event.type) {
+          case 'progress':
+            setProgressMessage(event.message);
+            if (event.template) {
+              const template = event.template;
+              setGeneratedReport((prev) => prev ? { ...prev, template } : prev);
+            }
+            break;
+          case 'section':
+            setGeneratedReport((prev) => prev ? applySection(prev, event) : prev);
+            if (!sectionSeen) {
+              sectionSeen = true;
+              setActiveView(event.sectionKey);
+            }
+            break;
+          case 'complete': {
+            const report = timelineEventToReport(event);
+            if (report) {
+              const filings = report.timeline.documents.map((doc) => doc.id);
+              setGeneratedReport(report);
+              setTimeline(report.timeline);
+              setTimelineIds(filings);
+              setSessionFilename(filings[filings.length - 1]);
+            }
+            break;
+          }
+          case 'error':
+            throw new Error(event.message);
+        }
+      });
+
+      toast({ title: 'Timeline complete', description: `${group.companyName} across ${ids.length} filings.` });
+    } catch (err) {
+      console.error('Timeline error:', err);
+      toast({ title: 'Timeline failed', description: err instanceof Error ? err.message : 'Something went wrong.', variant: 'destructive' });
+      if (!sectionSeen) resetApplication();
+    } finally {
+      setIsAnalyzing(false);
+      setIsStreaming(false);
       setProgressMessage('');
     }
   };
@@ -226,74 +488,140 @@ const Index = () => {
     setIsStreaming(false);
     setIsComparing(false);
     setSessionFilename(null);
-    setSessionFilenameA(null);
-    setSessionFilenameB(null);
+    setPeerIds([]);
+    setTimelineIds([]);
+    setTimeline(null);
+    setFilingDiff(null);
+    setActiveJobId(null);
+    setFailedJobId(null);
     setActiveView('overview');
     setProgressMessage('');
-    setCompareProgressA('idle');
-    setCompareProgressB('idle');
+    setCompareProgress({});
+  };
+
+  const handleRedline = async (group: CompanyGroup) => {
+    const [older, newer] = group.documents.slice(-2);
+    setIsAnalyzing(true);
+    toast({ title: 'Redline started', description: `Comparing the ${older.period} and ${newer.period} filings of ${group.companyName}.` });
+
+    try {
+      const diff = await compareFilings([older.id, newer.id]);
+      resetApplication();
+      setFilingDiff(diff);
+      // Questions go to the newer filing
+      setSessionFilename(diff.documents[diff.documents.length - 1].id);
+      setActiveView(diff.sections[0]?.name ?? 'chat');
+      toast({ title: 'Redline complete', description: `${older.period} → ${newer.period}` });
+    } catch (err) {
+      console.error('Redline error:', err);
+      toast({ title: 'Redline failed', description: err instanceof Error ? err.message : 'Something went wrong.', variant: 'destructive' });
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  const handleDocumentDeleted = (id: string) => {
+    if (id === sessionFilename || peerIds.includes(id) || timelineIds.includes(id) || filingDiff?.documents.some((doc) => doc.id === id)) {
+      resetApplication();
+    }
+    toast({ title: 'Deleted', description: 'The analysis and its upload were removed.' });
   };
 
-  const handleAskQuestion = async (question: string): Promise<string> => {
-    if (!sessionFilename && !sessionFilenameA) return 'Cannot ask questions until a report has been generated.';
-    const companyName = generatedReport?.companyName || comparisonReport?.companyA || '';
-    const filename = sessionFilename || sessionFilenameA || '';
+  const handleAskQuestion = async (question: string, scope: QAScope, sessionId?: string): Promise<AnswerWithSources> => {
+    if (scope.type === 'library') {
+      try {
+        return await apiAskQuestion({ scope: 'library', question, documentIds: scope.documentIds });
+      } catch (err) {
+        console.error('Error answering library question:', err);
+        return { answer: err instanceof Error ? err.message : 'An unexpected error occurred.', sources: [] };
+      }
+    }
+    if (!sessionFilename && peerIds.length === 0) {
+      return { answer: 'Cannot ask questions until a report has been generated.', sources: [] };
+    }
+    const companyName = generatedReport?.companyName || comparisonReport?.peers[0]?.companyName || filingDiff?.companyName || '';
+    const filename = sessionFilename || peerIds[0] || '';
     try {
-      return await apiAskQuestion({ filename, question, companyName });
+      return await apiAskQuestion({ filename, question, companyName, sessionId });
     } catch (err) {
       console.error('Error answering question:', err);
-      return err instanceof Error ? err.message : 'An unexpected error occurred.';
+      return { answer: err instanceof Error ? err.message : 'An unexpected error occurred.', sources: [] };
     }
   };
 
-  const handleAskQuestionStream = async (question: string, onChunk: (chunk: string) => void): Promise<string> => {
-    const companyName = generatedReport?.companyName || comparisonReport?.companyA || '';
-    const filename = sessionFilename || sessionFilenameA || '';
-    if (!filename) { const msg = 'Cannot ask questions until a report has been generated.'; onChunk(msg); return msg; }
+  const handleAskQuestionStream = async (
+    question: string,
+    onChunk: (chunk: string) => void,
+    scope: QAScope,
+    sessionId?: string
+  ): Promise<AnswerWithSources> => {
+    const companyName = generatedReport?.companyName || comparisonReport?.peers[0]?.companyName || filingDiff?.companyName || '';
+    const filename = sessionFilename || peerIds[0] || '';
+    if (!filename && scope.type === 'document') { const msg = 'Cannot ask questions until a report has been generated.'; onChunk(msg); return { answer: msg, sources: [] }; }
     try {
-      return await askQuestionStream({ filename, question, companyName }, onChunk);
+      const params = scope.type === 'library'
+        ? { scope: 'library' as const, question, documentIds: scope.documentIds }
+        : { filename, question, companyName, sessionId };
+      return await askQuestionStream(params, onChunk);
     } catch (err) {
       console.error('Error streaming answer:', err);
       const msg = err instanceof Error ? err.message : 'An unexpected error occurred.';
       onChunk(msg);
-      return msg;
+      return { answer: msg, sources: [] };
     }
   };
 
-  const handleDownload = useCallback(() => {
-    const report = generatedReport;
-    if (!report) return;
-    const divider = '═'.repeat(56);
-    const sectionDivider = '─'.repeat(40);
-    const parts = [
-      'FINANCIAL ANALYSIS REPORT',
-      `Company: ${report.companyName}`,
-      `Generated: ${new Date(report.generatedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}`,
-      divider,
-      ...REPORT_SECTIONS.map((s) => `\n${sectionDivider}\n${s.title.toUpperCase()}\n${s.description}\n${sectionDivider}\n\n${report[s.key] ?? 'N/A'}`),
-      `\n${divider}`,
-      'Generated by FinancialLLM Analyzer',
-    ];
-    const blob = new Blob([parts.join('\n')], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${report.companyName.replace(/[^a-z0-9]/gi, '_')}_analysis.txt`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    toast({ title: 'Downloaded', description: 'Report saved as text file.' });
-  }, [generatedReport, toast]);
+  // Exports are rendered by the backend: stored reports by id, comparisons from their contents
+  const handleExport = useCallback(async (format: DocumentExportFormat) => {
+    const label = EXPORT_OPTIONS.find((o) => o.format === format)?.label ?? format;
+    try {
+      let blob: Blob;
+      let basename: string;
+      if (comparisonReport) {
+        if (format === 'xlsx') return;
+        blob = await exportComparison(comparisonReport, format);
+        basename = `${comparisonReport.peers.map((p) => p.companyName).join('_vs_')}_comparison`;
+      } else if (generatedReport && sessionFilename) {
+        blob = await exportDocument(sessionFilename, format);
+        basename = `${generatedReport.companyName}_analysis`;
+      } else {
+        return;
+      }
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${basename.replace(/[^a-z0-9]+/gi, '_')}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+      toast({ title: 'Exported', description: `Report saved as ${label}.` });
+    } catch (err) {
+      console.error('Export error:', err);
+      toast({
+        title: 'Export failed',
+        description: err instanceof Error ? err.message : 'Something went wrong.',
+        variant: 'destructive',
+      });
+    }
+  }, [comparisonReport, generatedReport, sessionFilename, toast]);
+
+  // Single reports only; peers' and filings' tone is compared in the matrix and the timeline
+  const singleReport = !!generatedReport && !comparisonReport && !filingDiff && timelineIds.length === 0;
+  const showTone = singleReport && !!generatedReport?.tone;
+  const showScorecard = singleReport && !!generatedReport?.scorecard;
+
+  // The demo report and timelines are not stored, and a report in progress is not saved yet
+  const canExport = !isStreaming && (!!comparisonReport || (!!generatedReport && !!sessionFilename && timelineIds.length === 0));
 
   /* ── Landing ── */
 
-  const hasReport = generatedReport || comparisonReport;
+  const hasReport = generatedReport || comparisonReport || filingDiff;
 
   if (!hasReport) {
     const features = [
       { icon: Sparkles, title: 'Structured Reports', desc: 'Generates overview, financials, risks, and management analysis.' },
-      { icon: GitCompareArrows, title: 'Document Comparison', desc: 'Side-by-side comparative analysis of two filings.' },
+      { icon: GitCompareArrows, title: 'Peer Comparison', desc: 'Rank and contrast up to ten filings, with a peer ratio matrix.' },
       { icon: MessageCircle, title: 'Q&A', desc: 'Ask follow-up questions grounded in the document.' },
       { icon: BarChart3, title: 'Charts', desc: 'Key metrics as interactive bar, line, and pie charts.' },
     ];
@@ -318,6 +646,29 @@ const Index = () => {
               isLoading={isUploading}
             />
 
+            {templates.length > 0 && (
+              <label className="mt-4 flex items-center justify-between gap-3 text-xs text-[#6b7280]">
+                <span>Report template</span>
+                <select
+                  value={templateId}
+                  onChange={(e) => setTemplateId(e.target.value)}
+                  disabled={isAnalyzing}
+                  className="h-8 max-w-[240px] flex-1 rounded border border-[#e5e7eb] bg-white px-2 text-xs text-[#171717]"
+                >
+                  <option value="">Automatic (by document type)</option>
+                  {templates.map((t) => (
+                    <option key={t.id} value={t.id} title={t.description}>
+                      {t.name} ({t.sections.length} section{t.sections.length === 1 ? '' : 's'})
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+
+            <div className="mt-12">
+              <DocumentLibrary onOpen={handleOpenDocument} onDeleted={handleDocumentDeleted} onTimeline={handleTimeline} onRedline={handleRedline} disabled={isAnalyzing} />
+            </div>
+
             <div className="mt-20 grid grid-cols-2 gap-x-8 gap-y-5">
               {features.map((f) => {
                 const Icon = f.icon;
@@ -337,12 +688,21 @@ const Index = () => {
 
   /* ── Dashboard ── */
 
-  const displayName = comparisonReport
-    ? `${comparisonReport.companyA} vs ${comparisonReport.companyB}`
-    : generatedReport!.companyName;
+  const displayName = filingDiff
+    ? `${filingDiff.companyName} redline`
+    : comparisonReport
+    ? comparisonReport.peers.length === 2
+      ? comparisonReport.peers.map((p) => p.companyName).join(' vs ')
+      : `${comparisonReport.peers[0]?.companyName} + ${comparisonReport.peers.length - 1} peers`
+    : timelineIds.length > 0
+      ? `${generatedReport!.companyName} timeline`
+      : generatedReport!.companyName;
+
+  // Comparisons always use the built-in sections; redlines list their own
+  const sectionConfigs = filingDiff ? [] : comparisonReport ? REPORT_SECTIONS : reportSectionConfigs(generatedReport?.template);
 
   const reportDate = new Date(
-    (comparisonReport?.generatedAt || generatedReport!.generatedAt)
+    (filingDiff?.generatedAt || comparisonReport?.generatedAt || generatedReport!.generatedAt)
   ).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
 
   return (
@@ -362,14 +722,13 @@ const Index = () => {
                   <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-[#171717] opacity-50" />
                   <span className="relative inline-flex rounded-full h-1.5 w-1.5 bg-[#171717]" />
                 </span>
-                {isComparing && (compareProgressA !== 'idle' || compareProgressB !== 'idle') && (
+                {isComparing && Object.keys(compareProgress).length > 0 && (
                   <div className="hidden sm:flex items-center gap-2 text-xs text-[#9ca3af]">
-                    {(['A', 'B'] as const).map((slot) => {
-                      const status = slot === 'A' ? compareProgressA : compareProgressB;
-                      const name = slot === 'A' ? (comparisonReport?.companyA || `Doc ${slot}`) : (comparisonReport?.companyB || `Doc ${slot}`);
+                    {comparisonReport?.peers.map((peer, i) => {
+                      const status = compareProgress[peer.documentId];
                       return (
-                        <span key={slot} className={`max-w-[100px] truncate ${status === 'done' ? 'text-[#171717]' : status === 'processing' ? 'text-[#6b7280]' : 'text-[#d4d4d4]'}`}>
-                          {name} {status === 'done' ? '✓' : status === 'processing' ? '...' : ''}
+                        <span key={peer.documentId} className={`max-w-[100px] truncate ${status === 'done' ? 'text-[#171717]' : status === 'processing' ? 'text-[#6b7280]' : 'text-[#d4d4d4]'}`}>
+                          {peer.companyName === 'Analyzing...' ? `Doc ${i + 1}` : peer.companyName} {status === 'done' ? '✓' : status === 'processing' ? '...' : ''}
                         </span>
                       );
                     })}
@@ -380,11 +739,32 @@ const Index = () => {
                 )}
               </div>
             )}
-            {generatedReport && (
-              <Button onClick={handleDownload} variant="ghost" size="sm" className="h-7 w-7 p-0 text-[#9ca3af] hover:text-[#171717]" title="Export">
-                <Download className="h-3.5 w-3.5" />
+            {activeJobId && (
+              <Button onClick={handleCancelJob} variant="ghost" size="sm" className="h-7 w-7 p-0 text-[#9ca3af] hover:text-[#171717]" title="Stop analysis">
+                <Square className="h-3.5 w-3.5" />
               </Button>
             )}
+            {failedJobId && !activeJobId && (
+              <Button onClick={handleRetryJob} variant="ghost" size="sm" className="h-7 w-7 p-0 text-[#9ca3af] hover:text-[#171717]" title="Retry analysis">
+                <RotateCw className="h-3.5 w-3.5" />
+              </Button>
+            )}
+            {canExport && (
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="ghost" size="sm" className="h-7 w-7 p-0 text-[#9ca3af] hover:text-[#171717]" title="Export">
+                    <Download className="h-3.5 w-3.5" />
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="end">
+                  {EXPORT_OPTIONS.filter((o) => !(o.documentOnly && comparisonReport)).map(({ format, label }) => (
+                    <DropdownMenuItem key={format} onSelect={() => handleExport(format)} className="text-xs">
+                      {label}
+                    </DropdownMenuItem>
+                  ))}
+                </DropdownMenuContent>
+              </DropdownMenu>
+            )}
             <Button onClick={resetApplication} variant="ghost" size="sm" className="h-7 w-7 p-0 text-[#9ca3af] hover:text-[#171717]" title="New Analysis">
               <RotateCcw className="h-3.5 w-3.5" />
             </Button>
@@ -398,7 +778,7 @@ const Index = () => {
           <div className="p-4 border-b border-[#e5e7eb]">
             <h2 className="font-medium text-[#171717] text-sm truncate">{displayName}</h2>
             <div className="flex items-center gap-1.5 mt-1">
-              <span className="text-xs text-[#9ca3af]">{comparisonReport ? 'Comparison' : 'Analysis'}</span>
+              <span className="text-xs text-[#9ca3af]">{filingDiff ? 'Redline' : comparisonReport ? 'Comparison' : timelineIds.length > 0 ? 'Timeline' : 'Analysis'}</span>
               <span className="text-[#d4d4d4]">·</span>
               <span className="text-xs text-[#9ca3af] inline-flex items-center gap-1">
                 <Calendar className="h-3 w-3" />
@@ -412,7 +792,7 @@ const Index = () => {
               Report
             </p>
 
-            {REPORT_SECTIONS.map((section) => {
+            {sectionConfigs.map((section) => {
               const Icon = section.icon;
               const isActive = activeView === section.key;
               return (
@@ -434,6 +814,95 @@ const Index = () => {
               );
             })}
 
+            {filingDiff?.sections.map((section) => {
+              const isActive = activeView === section.name;
+              return (
+                <button
+                  key={section.name}
+                  onClick={() => setActiveView(section.name)}
+                  className={`
+                    sidebar-item w-full flex items-center gap-2
+                    px-2 py-1.5 rounded text-sm transition-colors
+                    ${isActive
+                      ? 'bg-white font-medium text-[#171717] shadow-[0_1px_2px_rgba(0,0,0,0.04)]'
+                      : 'text-[#6b7280] hover:text-[#171717] hover:bg-white/60'
+                    }
+                  `}
+                >
+                  <FileDiff className={`h-3.5 w-3.5 shrink-0 ${isActive ? 'text-[#171717]' : 'text-[#9ca3af]'}`} />
+                  <span className="truncate">{section.label}</span>
+                </button>
+              );
+            })}
+
+            {comparisonReport && (
+              <button
+                onClick={() => setActiveView('peers')}
+                className={`
+                  sidebar-item w-full flex items-center gap-2
+                  px-2 py-1.5 rounded text-sm transition-colors
+                  ${activeView === 'peers'
+                    ? 'bg-white font-medium text-[#171717] shadow-[0_1px_2px_rgba(0,0,0,0.04)]'
+                    : 'text-[#6b7280] hover:text-[#171717] hover:bg-white/60'
+                  }
+                `}
+              >
+                <Table2 className={`h-3.5 w-3.5 shrink-0 ${activeView === 'peers' ? 'text-[#171717]' : 'text-[#9ca3af]'}`} />
+                <span>Peer Matrix</span>
+              </button>
+            )}
+
+            {timelineIds.length > 0 && (
+              <button
+                onClick={() => setActiveView('timeline')}
+                className={`
+                  sidebar-item w-full flex items-center gap-2
+                  px-2 py-1.5 rounded text-sm transition-colors
+                  ${activeView === 'timeline'
+                    ? 'bg-white font-medium text-[#171717] shadow-[0_1px_2px_rgba(0,0,0,0.04)]'
+                    : 'text-[#6b7280] hover:text-[#171717] hover:bg-white/60'
+                  }
+                `}
+              >
+                <TrendingUp className={`h-3.5 w-3.5 shrink-0 ${activeView === 'timeline' ? 'text-[#171717]' : 'text-[#9ca3af]'}`} />
+                <span>Metrics by Period</span>
+              </button>
+            )}
+
+            {showTone && (
+              <button
+                onClick={() => setActiveView('tone')}
+                className={`
+                  sidebar-item w-full flex items-center gap-2
+                  px-2 py-1.5 rounded text-sm transition-colors
+                  ${activeView === 'tone'
+                    ? 'bg-white font-medium text-[#171717] shadow-[0_1px_2px_rgba(0,0,0,0.04)]'
+                    : 'text-[#6b7280] hover:text-[#171717] hover:bg-white/60'
+                  }
+                `}
+              >
+                <Gauge className={`h-3.5 w-3.5 shrink-0 ${activeView === 'tone' ? 'text-[#171717]' : 'text-[#9ca3af]'}`} />
+                <span>Tone</span>
+              </button>
+            )}
+
+            {showScorecard && (
+              <button
+                onClick={() => setActiveView('scorecard')}
+                className={`
+                  sidebar-item w-full flex items-center gap-2
+                  px-2 py-1.5 rounded text-sm transition-colors
+                  ${activeView === 'scorecard'
+                    ? 'bg-white font-medium text-[#171717] shadow-[0_1px_2px_rgba(0,0,0,0.04)]'
+                    : 'text-[#6b7280] hover:text-[#171717] hover:bg-white/60'
+                  }
+                `}
+              >
+                <ShieldCheck className={`h-3.5 w-3.5 shrink-0 ${activeView === 'scorecard' ? 'text-[#171717]' : 'text-[#9ca3af]'}`} />
+                <span>Credit Scorecard</span>
+              </button>
+            )}
+
             <div className="!my-2 mx-1 border-t border-[#e5e7eb]" />
 
             <button
@@ -450,19 +919,66 @@ const Index = () => {
               <MessageCircle className={`h-3.5 w-3.5 shrink-0 ${activeView === 'chat' ? 'text-[#171717]' : 'text-[#9ca3af]'}`} />
               <span>Ask Questions</span>
             </button>
+
+            <button
+              onClick={() => setActiveView('library')}
+              className={`
+                sidebar-item w-full flex items-center gap-2
+                px-2 py-1.5 rounded text-sm transition-colors
+                ${activeView === 'library'
+                  ? 'bg-white font-medium text-[#171717] shadow-[0_1px_2px_rgba(0,0,0,0.04)]'
+                  : 'text-[#6b7280] hover:text-[#171717] hover:bg-white/60'
+                }
+              `}
+            >
+              <Library className={`h-3.5 w-3.5 shrink-0 ${activeView === 'library' ? 'text-[#171717]' : 'text-[#9ca3af]'}`} />
+              <span>Library</span>
+            </button>
           </nav>
         </aside>
 
         {/* Main content */}
         <main className="flex-1 overflow-hidden p-8 lg:p-12">
-          {activeView === 'chat' ? (
+          {activeView === 'library' ? (
+            <div className="max-w-2xl mx-auto overflow-y-auto h-full report-scroll">
+              <DocumentLibrary
+                onOpen={handleOpenDocument}
+                onDeleted={handleDocumentDeleted}
+                onTimeline={handleTimeline}
+                onRedline={handleRedline}
+                activeId={timelineIds.length > 0 || filingDiff ? null : sessionFilename}
+                disabled={isStreaming}
+              />
+            </div>
+          ) : activeView === 'chat' ? (
             <div className="max-w-2xl mx-auto h-full flex flex-col">
               <ChatInterface
                 companyName={displayName}
+                documentId={sessionFilename || peerIds[0] || null}
                 onAskQuestion={handleAskQuestion}
                 onAskQuestionStream={handleAskQuestionStream}
               />
             </div>
+          ) : comparisonReport && activeView === 'peers' ? (
+            <div className="max-w-4xl mx-auto overflow-y-auto h-full report-scroll">
+              <PeerMatrix matrix={comparisonReport.matrix} isStreaming={isStreaming} />
+            </div>
+          ) : filingDiff ? (
+            <div className="max-w-2xl mx-auto overflow-y-auto h-full report-scroll">
+              <FilingRedline diff={filingDiff} sectionName={activeView} />
+            </div>
+          ) : timelineIds.length > 0 && activeView === 'timeline' ? (
+            <div className="max-w-4xl mx-auto overflow-y-auto h-full report-scroll">
+              <TimelineTable timeline={timeline} isStreaming={isStreaming} />
+            </div>
+          ) : showTone && activeView === 'tone' ? (
+            <div className="max-w-3xl mx-auto overflow-y-auto h-full report-scroll">
+              <TonePanel tone={generatedReport!.tone} documentId={isStreaming ? null : sessionFilename} />
+            </div>
+          ) : showScorecard && activeView === 'scorecard' ? (
+            <div className="max-w-3xl mx-auto overflow-y-auto h-full report-scroll">
+              <ScorecardPanel scorecard={generatedReport!.scorecard} />
+            </div>
           ) : comparisonReport ? (
             <div className="max-w-2xl mx-auto overflow-y-auto h-full report-scroll">
               <ComparisonView comparisonReport={comparisonReport} sectionKey={activeView} isStreaming={isStreaming} />
@@ -19,18 +19,327 @@ export interface ChartSpec {
 }
 export interface CreditReport {
   companyName: string;
-  overview: string;
-  financialHighlights: string;
-  keyRisks: string;
-  managementCommentary: string;
+  /** Section markdown by section key */
+  sections: Record<ReportSectionKey, string>;
+  /** The template's sections, in order (`auto:<type>` when chosen by document type); absent on reports from before templates (built-in layout) */
+  template?: ReportTemplateLayout;
   generatedAt: string;
+  /** Chunks cited by the sections' footnote markers */
+  sources?: Source[];
+  /** Ratios computed from the extracted financial statements */
+  ratios?: FinancialRatio[];
+  /** Management tone, scored with the finance lexicon */
+  tone?: DocumentTone | null;
+  /** Internal credit rating from the configured scorecard */
+  scorecard?: CreditScorecard | null;
+  /** Per-section check of every figure against the source document */
+  verification?: Partial<Record<ReportSectionKey, FigureVerification>>;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Figure verification                                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * verified: stated in a retrieved excerpt or the document text.
+ * derived: reproduced by a computed ratio or arithmetic on stated figures.
+ * unverified: neither.
+ */
+export type FigureStatus = 'verified' | 'derived' | 'unverified';
+
+export interface FigureCheck {
+  status: FigureStatus;
+  /** Chunk id (or "document") a verified figure was found in */
+  source?: string;
+  /** How a derived figure was reproduced */
+  basis?: string;
+}
+
+export interface CheckedFigure extends FigureCheck {
+  text: string;
+  /** Character offsets in the section markdown */
+  start: number;
+  end: number;
+  value: number;
+  kind: 'percent' | 'currency' | 'number';
+}
+
+export interface CheckedChartPoint extends FigureCheck {
+  name: string;
+  value: number;
+}
+
+export interface FigureVerification {
+  figures: CheckedFigure[];
+  charts: { title: string; points: CheckedChartPoint[] }[];
+  summary: { total: number; verified: number; derived: number; unverified: number };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Computed ratios                                                     */
+/* ------------------------------------------------------------------ */
+
+export interface RatioInput {
+  name: string;
+  period: string;
+  value: number;
+  scale: string | null;
+  chunkId: string | null;
+}
+
+/**
+ * A ratio computed deterministically from statement line items. `value`
+ * is in percent for `%`, a multiple for `x`, and base currency units for
+ * `amount`.
+ */
+export interface FinancialRatio {
+  key: string;
+  label: string;
+  category: 'profitability' | 'growth' | 'liquidity' | 'leverage' | 'cashFlow' | 'returns' | 'efficiency';
+  period: string;
+  value: number;
+  unit: '%' | 'x' | 'days' | 'amount';
+  currency: string | null;
+  formula: string;
+  inputs: RatioInput[];
+}
+
+/* ------------------------------------------------------------------ */
+/*  Management tone                                                     */
+/* ------------------------------------------------------------------ */
+
+export type ToneCategory = 'positive' | 'negative' | 'uncertainty' | 'litigious' | 'constraining';
+
+export interface ToneScore {
+  words: number;
+  counts: Record<ToneCategory, number>;
+  /** Percent of words in each category */
+  rates: Record<ToneCategory, number>;
+  /** (positive − negative) / (positive + negative), −1 to 1; null when neither occurs */
+  tone: number | null;
+}
+
+export interface DocumentTone {
+  overall: ToneScore;
+  /** The MD&A of a filing, or the executives of a call; null when too short to score */
+  management: ToneScore | null;
+  /** In document order */
+  sections: (ToneScore & { key: string; label: string })[];
+  /** Transcripts only, by words spoken */
+  speakers: (ToneScore & { speaker: string; role: string | null; firm: string | null })[];
+  /** Most frequent matched words per category */
+  terms: Record<ToneCategory, { term: string; count: number }[]>;
+}
+
+/** The model's read of management's tone (GET /api/documents/:id/tone?llm=true) */
+export interface ModelToneRead {
+  score: number;
+  label: 'positive' | 'neutral' | 'negative';
+  confidence: number | null;
+  rationale: string;
+  /** Excerpts the model read */
+  excerpts: number;
+}
+
+export interface DocumentToneResponse extends DocumentTone {
+  id: string;
+  companyName: string;
+  llm: ModelToneRead | null;
+}
+
+/** Tone side by side, one cell per peer or period (null where there is no document) */
+export interface ToneRow {
+  key: string;
+  label: string;
+  cells: ({ value: number; display: string } | null)[];
+}
+
+/* ------------------------------------------------------------------ */
+/*  Credit scorecard                                                    */
+/* ------------------------------------------------------------------ */
+
+export interface ScorecardRating {
+  grade: string;
+  label: string;
+  minScore: number;
+}
+
+export interface ScorecardFlag {
+  key: string;
+  label: string;
+  penalty: number;
+  /** The sentence of the Risks section that raised the flag */
+  evidence: string;
+}
+
+export interface ScorecardFactor {
+  key: string;
+  label: string;
+  kind: 'ratio' | 'flags';
+  /** Weight as configured */
+  weight: number;
+  /** Part of the weight among the scored factors, 0–1 */
+  share: number;
+  /** 0–100; null when the factor could not be scored */
+  score: number | null;
+  /** Points toward the total score */
+  contribution: number | null;
+  /** Ratio factors: the most recent period's value */
+  metric?: { key: string; label: string; period?: string; value?: number; display?: string; formula?: string };
+  /** Ratio factors: the threshold band the value fell in, e.g. "at most 2.00x" */
+  band?: string;
+  /** Risk flag factor: the flags found */
+  flags?: ScorecardFlag[];
+  /** Why the factor was left out */
+  missing?: string;
+}
+
+export interface CreditScorecard {
+  model: { name: string; version: string | null };
+  /** Weighted score out of 100; null when too few ratios could be computed */
+  score: number | null;
+  rating: ScorecardRating | null;
+  factors: ScorecardFactor[];
+  /** Why there is no rating */
+  note: string | null;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Citations                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * A document chunk cited by a report section or answer. Markers in the
+ * markdown link to it as `[n](#cite-<id>)`.
+ */
+export interface Source {
+  id: string;
+  text: string;
+  sectionLabel: string | null;
+  /** Relative position in the document, 0–1 */
+  position: number | null;
+  /** First and last page the chunk spans (PDF sources only) */
+  page: number | null;
+  pageEnd?: number | null;
+  /** CSV/Excel sources: the sheet, its rows and, for exact lookups, the cell ("E3") */
+  sheet?: string;
+  rowRange?: [number, number] | null;
+  cell?: string;
+  /** Set on library-wide answers: the document the excerpt came from */
+  documentId?: string;
+  documentName?: string | null;
+  companyName?: string | null;
+}
+
+export interface AnswerWithSources {
+  answer: string;
+  sources: Source[];
+  verification?: FigureVerification;
+  /** Chat session the answer was recorded in (document questions only) */
+  sessionId?: string;
+  /** The question as retrieval saw it, when a follow-up was rewritten */
+  standaloneQuestion?: string;
+}
+
+/** One answered question of a chat session */
+export interface ChatTurn {
+  id: string;
+  question: string;
+  standaloneQuestion: string | null;
+  answer: string;
+  sources: Source[];
+  verification?: FigureVerification | null;
+  createdAt: string;
+}
+
+export interface ChatSessionSummary {
+  id: string;
+  documentId: string;
+  companyName: string | null;
+  turnCount: number;
+  firstQuestion: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface ChatSession {
+  id: string;
+  documentId: string;
+  companyName: string | null;
+  turns: ChatTurn[];
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * Key of a section defined by a report template. The built-in template's
+ * sections are overview, financialHighlights, keyRisks and managementCommentary.
+ */
+export type ReportSectionKey = string;
+
+/**
+ * A report as the API sends it: section markdown at the top level, next
+ * to the report's metadata.
+ */
+export type ReportPayload = Record<string, unknown> & {
+  companyName?: string;
+  template?: ReportTemplateLayout;
+  sources?: Source[];
+  ratios?: FinancialRatio[];
+  tone?: DocumentTone | null;
+  scorecard?: CreditScorecard | null;
+  verification?: CreditReport['verification'];
+  generatedAt?: string;
+};
+
+/* ------------------------------------------------------------------ */
+/*  Report templates                                                    */
+/* ------------------------------------------------------------------ */
+
+/** What the UI needs to lay out one section */
+export interface ReportSectionLayout {
+  key: ReportSectionKey;
+  title: string;
+  description: string;
+  /** The section's prompt receives the computed ratios (shown as a ratio table) */
+  computedMetrics: boolean;
+  /** The section may end with a chartdata block */
+  charts: boolean;
+}
+
+export interface ReportTemplateLayout {
+  id: string;
+  name: string;
+  sections: ReportSectionLayout[];
+}
+
+export interface ReportTemplateSummary extends ReportTemplateLayout {
+  description: string;
+  builtIn: boolean;
+  updatedAt: string | null;
+}
+
+export interface ReportTemplateSection extends ReportSectionLayout {
+  /** `{company}` is replaced with the company name */
+  prompt: string;
+  queries: string[];
+  preferredSections: string[];
+  speakerRoles: string[];
+  /** Document-type focus areas the section covers (business_overview, risk_factors, financials, ...) */
+  focusAreas: string[];
+  /** Excerpts kept after reranking; null uses the server default */
+  chunkBudget: number | null;
 }
 
-export type ReportSectionKey =
-  | 'overview'
-  | 'financialHighlights'
-  | 'keyRisks'
-  | 'managementCommentary';
+export interface ReportTemplate {
+  id: string;
+  name: string;
+  description: string;
+  builtIn: boolean;
+  sections: ReportTemplateSection[];
+  createdAt?: string;
+  updatedAt?: string;
+}
 
 /* ------------------------------------------------------------------ */
 /*  SSE event types                                                     */
@@ -41,27 +350,47 @@ export interface SSEProgressEvent {
   message: string;
   stage: string;
   companyName?: string;
+  /** Sent once the document is classified: the sections the report will have */
+  template?: ReportTemplateLayout;
+  /** OCR progress (stage 'ocr'): PDF page being read, and its position among the pages to OCR */
+  page?: number;
+  current?: number;
+  total?: number;
+  /** Comparisons: the document the event is about */
+  document?: string;
+  /** Comparisons (stage 'peers'): the group's companies, in display order */
+  peers?: { documentId: string; companyName: string }[];
 }
 
 export interface SSESectionEvent {
   type: 'section';
   sectionKey: ReportSectionKey;
   content: string;
+  sources?: Source[];
+  verification?: FigureVerification;
   companyName?: string;
-  document?: 'A' | 'B';
+  /** Comparisons: id of the document whose own report the section belongs to */
+  document?: string;
 }
 
 export interface SSECompleteEvent {
   type: 'complete';
   companyName?: string;
+  template?: ReportTemplateLayout;
+  sources?: Source[];
+  ratios?: FinancialRatio[];
+  tone?: DocumentTone | null;
+  scorecard?: CreditScorecard | null;
   documentType?: string;
   documentFormat?: string;
   // Comparison fields
-  companyA?: string;
-  companyB?: string;
-  reportA?: CreditReport;
-  reportB?: CreditReport;
+  peers?: { documentId: string; companyName: string; report: ReportPayload }[];
   comparison?: ComparisonSections;
+  matrix?: PeerMatrix;
+  // Timeline fields
+  sections?: Record<ReportSectionKey, string>;
+  verification?: CreditReport['verification'];
+  timeline?: CompanyTimeline;
   generatedAt?: string;
 }
 
@@ -78,15 +407,46 @@ export interface SSEChunkEvent {
 export interface SSEDoneEvent {
   type: 'done';
   content: string;
+  sources?: Source[];
+  verification?: FigureVerification;
+  sessionId?: string;
+  standaloneQuestion?: string;
+}
+
+export interface SSECancelledEvent {
+  type: 'cancelled';
+  message: string;
 }
 
-export type SSEEvent =
+export type SSEEvent = (
   | SSEProgressEvent
   | SSESectionEvent
   | SSECompleteEvent
   | SSEErrorEvent
   | SSEChunkEvent
-  | SSEDoneEvent;
+  | SSEDoneEvent
+  | SSECancelledEvent
+) & {
+  /** Sequence number, present on events replayed from a background job */
+  seq?: number;
+};
+
+/* ------------------------------------------------------------------ */
+/*  Background report jobs                                              */
+/* ------------------------------------------------------------------ */
+
+export type ReportJobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled' | 'interrupted';
+
+export interface ReportJob {
+  id: string;
+  status: ReportJobStatus;
+  filename: string;
+  completedSections: ReportSectionKey[];
+  error: string | null;
+  attempts: number;
+  createdAt: string;
+  updatedAt: string;
+}
 
 /* ------------------------------------------------------------------ */
 /*  Comparison types                                                    */
@@ -99,11 +459,177 @@ export interface ComparisonSections {
   managementCommentary: string;
 }
 
+/** One company of a peer-group comparison and its own report */
+export interface ComparisonPeer {
+  documentId: string;
+  companyName: string;
+  report: CreditReport;
+}
+
 export interface ComparisonReport {
-  companyA: string;
-  companyB: string;
-  reportA: CreditReport;
-  reportB: CreditReport;
+  /** In display order; the peer matrix has one column per peer in the same order */
+  peers: ComparisonPeer[];
   comparison: ComparisonSections;
+  matrix?: PeerMatrix;
   generatedAt: string;
 }
+
+export interface PeerMatrixCell {
+  /** The company's most recent period with this ratio */
+  period: string;
+  value: number;
+  currency: string | null;
+  /** Formatted by the server: "40.80%", "1.25x", "$2.10B" */
+  display: string;
+  /** Position in the group, 1 = best; null when the ratio is not ranked */
+  rank: number | null;
+}
+
+/**
+ * Every computed ratio across a peer group, one cell per company (null
+ * where the company lacks it)
+ */
+export interface PeerMatrix {
+  peers: { id: string; companyName: string }[];
+  rows: {
+    key: string;
+    label: string;
+    category: FinancialRatio['category'];
+    unit: FinancialRatio['unit'];
+    better: 'higher' | 'lower' | null;
+    cells: (PeerMatrixCell | null)[];
+  }[];
+  /** The peers' tone, in the same columns */
+  tone?: ToneRow[];
+}
+
+/* ------------------------------------------------------------------ */
+/*  Company timeline types                                              */
+/* ------------------------------------------------------------------ */
+
+export interface TimelineCell {
+  value: number;
+  /** Formatted by the server: "$2.10B", "40.80%" */
+  display: string;
+  currency: string | null;
+  /** The filing the value was taken from (the latest one reporting the period) */
+  documentId: string;
+  chunkId: string | null;
+}
+
+/**
+ * One company's metrics lined up by fiscal period, oldest first; one cell
+ * per period (null where no filing reports the metric)
+ */
+export interface CompanyTimeline {
+  kind: 'annual' | 'quarterly';
+  documents: { id: string; documentName: string; period: string }[];
+  periods: string[];
+  rows: {
+    key: string;
+    label: string;
+    unit: FinancialRatio['unit'];
+    /** Set on metrics computed from line items */
+    formula?: string;
+    cells: (TimelineCell | null)[];
+  }[];
+  /** Each filing's tone, in its own period's column */
+  tone?: ToneRow[];
+}
+
+export interface TimelineReport extends CreditReport {
+  timeline: CompanyTimeline;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Filing redline types                                                */
+/* ------------------------------------------------------------------ */
+
+export type RedlineStatus = 'added' | 'removed' | 'reworded' | 'unchanged';
+
+/**
+ * One risk factor (or paragraph) of a section, paired across two filings.
+ * `before` is absent for added items, `after` for removed ones.
+ */
+export interface RedlineItem {
+  status: RedlineStatus;
+  /** The risk factor's heading sentence; null for paragraphs */
+  heading: string | null;
+  /** The sub-heading the item is listed under, e.g. "Risks Related to Our Business" */
+  category: string | null;
+  before: string | null;
+  after: string | null;
+  /** Share of words the diff keeps (0–1); null when unpaired */
+  similarity: number | null;
+  /** Cosine of the two versions' embeddings; null when paired by identical text */
+  embeddingSimilarity: number | null;
+  /** Word diff of paired items whose text differs */
+  diff: { op: 'equal' | 'insert' | 'delete'; text: string }[] | null;
+}
+
+export interface RedlineSection {
+  /** detectSections name: risk_factors, mda */
+  name: string;
+  label: string;
+  /** Whether each filing has the section; items are empty unless both do */
+  found: { before: boolean; after: boolean };
+  /** In the newer filing's order, removed items where they stood */
+  items: RedlineItem[];
+  counts: Record<RedlineStatus, number> | null;
+  /** Markdown summary of the material changes */
+  summary: string | null;
+}
+
+export interface FilingDiff {
+  companyName: string;
+  /** The older filing, then the newer one */
+  documents: { id: string; documentName: string; period: string | null }[];
+  sections: RedlineSection[];
+  generatedAt: string;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Document library                                                    */
+/* ------------------------------------------------------------------ */
+
+export interface DocumentSummary {
+  id: string;
+  originalName: string;
+  companyName: string | null;
+  documentType: string | null;
+  documentFormat: string | null;
+  chunkCount: number;
+  createdAt: string;
+  updatedAt: string;
+}
+
+/**
+ * What a chat question is asked against: the open document, or analyzed
+ * documents across the library (all of them when `documentIds` is empty).
+ */
+export type QAScope =
+  | { type: 'document' }
+  | { type: 'library'; documentIds: string[] };
+
+/** Formats of GET /api/documents/:id/export and POST /api/compare-reports/export */
+export type ExportFormat = 'pdf' | 'docx' | 'html' | 'md';
+
+/** Stored documents can also be exported as an Excel workbook of their data */
+export type DocumentExportFormat = ExportFormat | 'xlsx';
+
+/** Stored documents grouped by company (GET /api/companies), oldest period first */
+export interface CompanyGroup {
+  key: string;
+  companyName: string;
+  documents: (DocumentSummary & { period: string | null; fiscalYear: number | null })[];
+}
+
+export interface StoredDocument extends DocumentSummary {
+  sections: Record<ReportSectionKey, string>;
+  template?: ReportTemplateLayout | null;
+  sources?: Source[];
+  verification?: CreditReport['verification'];
+  ratios?: FinancialRatio[];
+  tone?: DocumentTone | null;
+  scorecard?: CreditScorecard | null;
+}
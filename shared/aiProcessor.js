@@ -10,18 +10,42 @@
  *  6. Query understanding (decomposition, expansion, classification)
  *  7. Multi-format support (via documentProcessor)
  *  8. Document classification & adaptive processing
+ *  9. Structured financial statement extraction from table chunks
+ * 10. Deterministic ratios injected into the financial highlights prompt
+ * 11. Post-generation check of every figure against the source
+ * 12. Q&A across the whole document library (per-document hybrid search, fused with RRF)
+ * 13. Inline XBRL facts from HTML filings attached to chunks and fed to statement extraction
+ * 14. Earnings call transcripts chunked by speaker turn, with speaker-aware retrieval
+ * 15. Report sections declared by templates (prompt, queries, metadata hints, chunk budget)
+ * 16. Sections and prompts chosen by document type when no template is given
+ * 17. Peer-group comparison of any number of documents, ranked on computed ratios
+ * 18. Company timelines: one company's filings aligned by fiscal period, with trend charts
+ * 19. Filing redlines: risk factors and MD&A aligned item by item across two filings
+ * 20. Management tone scored with a finance lexicon, with an optional model read
+ * 21. Credit scorecard: ratios and risk flags weighted into an internal rating grade
  */
 
-const { OpenAIEmbeddings } = require('@langchain/openai');
+const path = require('path');
 const { MemoryVectorStore } = require('langchain/vectorstores/memory');
 const { Document } = require('langchain/document');
 const config = require('./config');
 const { detectTables, parseTable, tableToFlatText } = require('./tableExtractor');
-const { BM25Index, hybridSearch } = require('./hybridSearch');
-const { processQuery, classifyQuery, expandFinancialTerms } = require('./queryProcessor');
+const { BM25Index, hybridSearch, reciprocalRankFusion } = require('./hybridSearch');
+const { processQuery, classifyQuery, expandFinancialTerms, rewriteFollowUp } = require('./queryProcessor');
 const { classifyDocument } = require('./documentClassifier');
-
-const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions';
+const { attachFactsToChunks } = require('./htmlProcessor');
+const { parseTranscript, describeTurn } = require('./transcriptParser');
+const { sheetRowGroups, lookupCells, formatCell } = require('./sheetTables');
+const { chatCompletion, chatCompletionStream, createEmbeddings } = require('./llmProvider');
+const { CITATION_INSTRUCTIONS, resolveCitations, collectSources, stripCitations } = require('./citations');
+const { extractFinancialStatements } = require('./financialStatements');
+const { computeRatios, formatRatiosForPrompt, peerMatrix, formatPeerMatrixForPrompt } = require('./ratioEngine');
+const { verifyFigures } = require('./figureVerifier');
+const { DEFAULT_TEMPLATE, TIMELINE_TEMPLATE, templateLayout, fillPlaceholders, sectionsForDocument } = require('./reportTemplates');
+const { timelineCharts, formatTimelineForPrompt } = require('./companyTimeline');
+const { sectionText, splitItems, alignItems, formatChangesForPrompt } = require('./filingDiff');
+const { scoreDocumentTone, toneRows, toneExcerpts } = require('./sentiment');
+const { scoreCredit } = require('./creditScorecard');
 
 /* ================================================================== */
 /*  Utilities                                                          */
@@ -29,47 +53,6 @@ const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions';
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-/**
- * Call OpenAI chat completions API with retry logic for rate limits.
- */
-async function openaiChatCompletion(
-  apiKey,
-  { messages, max_tokens = 500, temperature = 0.1, model },
-  retries = 3
-) {
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    const response = await fetch(OPENAI_CHAT_URL, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: model || config.openai.model,
-        messages,
-        max_tokens,
-        temperature,
-      }),
-    });
-
-    if (response.ok) {
-      const data = await response.json();
-      return data.choices[0]?.message?.content ?? null;
-    }
-
-    if (response.status === 429 && attempt < retries) {
-      const delay = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
-      console.log(
-        `Rate limited. Retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${retries})`
-      );
-      await sleep(delay);
-      continue;
-    }
-
-    throw new Error(`OpenAI API failed: ${response.status}`);
-  }
-}
-
 /* ================================================================== */
 /*  1. Text cleaning – preserves structure for section detection        */
 /* ================================================================== */
@@ -77,12 +60,14 @@ async function openaiChatCompletion(
 /**
  * Clean extracted PDF text while preserving meaningful structure.
  * Keeps section headers, table formatting, and paragraph breaks intact.
+ * Page breaks (form feeds) survive as their own paragraph so chunks can
+ * be mapped back to page numbers.
  */
 function cleanText(text) {
   return text
     .replace(/Page\s+\d+\s+of\s+\d+/gi, '')        // page markers
-    .replace(/^\s*\d{1,3}\s*$/gm, '')                // standalone page numbers
-    .replace(/\f/g, '\n\n')                           // form feeds → paragraph break
+    .replace(/^[ \t]*\d{1,3}[ \t]*$/gm, '')          // standalone page numbers
+    .replace(/\s*\f\s*/g, '\n\n\f\n\n')                // page breaks → own paragraph
     .replace(/[ \t]+/g, ' ')                          // normalize horizontal whitespace
     .replace(/\n{4,}/g, '\n\n\n')                     // collapse excessive blank lines (keep up to 2)
     .trim();
@@ -125,6 +110,8 @@ const GENERAL_SECTION_PATTERNS = [
   { regex: /^(?:CONSOLIDATED\s+STATEMENT|Consolidated\s+Statement)/m, name: 'financials' },
   { regex: /^(?:NOTES\s+TO\s+(?:CONSOLIDATED\s+)?FINANCIAL|Notes\s+to)/m, name: 'notes' },
   { regex: /^(?:CORPORATE\s+GOVERNANCE|Corporate\s+Governance)/m, name: 'governance' },
+  { regex: /^(?:BOARD\s+OF\s+DIRECTORS|Board\s+of\s+Directors|ELECTION\s+OF\s+DIRECTORS|Election\s+of\s+Directors)/m, name: 'board' },
+  { regex: /^(?:EXECUTIVE\s+COMPENSATION|Executive\s+Compensation|COMPENSATION\s+DISCUSSION|Compensation\s+Discussion)/m, name: 'compensation' },
   { regex: /^(?:SHAREHOLDER|Shareholder)/m, name: 'shareholder_info' },
 ];
 
@@ -132,7 +119,8 @@ const GENERAL_SECTION_PATTERNS = [
  * Detect section boundaries in the text.
  *
  * @param {string} text - Cleaned document text
- * @returns {{ name: string, label: string, startIndex: number }[]}
+ * @returns {{ name: string, label: string, startIndex: number, generic?: true }[]}
+ *   `generic` marks headers found by their capitalisation rather than a known pattern
  */
 function detectSections(text) {
   const sections = [];
@@ -180,6 +168,7 @@ function detectSections(text) {
             label: line,
             startIndex: charOffset,
             lineIndex: i,
+            generic: true,
           });
         }
       }
@@ -232,13 +221,33 @@ function classifyContentType(text) {
  * 2. Detect tables and mark as atomic chunks
  * 3. Within each section, split by paragraphs (double newline)
  * 4. Merge small paragraphs up to chunk size limit
- * 5. Assign rich metadata: section name, content type, position
+ * 5. Assign rich metadata: section name, content type, position, pages
+ *
+ * Documents whose type uses the `page-aware` chunk strategy (e.g. investor
+ * presentations) are split per page instead of per detected section, so a
+ * slide never bleeds into the next one. Earnings call transcripts
+ * (`speaker-turn`) are split per speaker turn, and their chunks carry
+ * `speaker`, `role` and `firm` (see transcriptParser.js). CSV and Excel
+ * data (`row-based`) is split into groups of rows per sheet, each chunk
+ * carrying `sheet`, `rowRange` and `columns` (see sheetTables.js).
+ *
+ * Inline XBRL facts (HTML filings) are recorded on the chunk they appear
+ * in as `metadata.xbrlFacts`. Chunks covering OCR'd pages get
+ * `metadata.ocrConfidence`, the lowest confidence among those pages.
  *
  * @param {string} text - Cleaned document text
  * @param {object} [docClassification] - Document classification result
+ * @param {object} [options]
+ * @param {object[]} [options.facts] - processDocument facts
+ * @param {{ page: number, confidence: number }[]} [options.ocr] - processDocument OCR pages
+ * @param {object[]} [options.sheets] - processDocument sheets (CSV/Excel)
  * @returns {Document[]}
  */
-async function splitTextIntoSemanticChunks(text, docClassification) {
+async function splitTextIntoSemanticChunks(text, docClassification, options = {}) {
+  if (docClassification?.config?.chunkStrategy === 'row-based' && options.sheets?.length) {
+    return buildSheetChunks(options.sheets, docClassification);
+  }
+
   const maxChunkSize = config.chunks.size;
   const minChunkSize = config.chunks.minSize;
   const overlap = config.chunks.overlap;
@@ -253,8 +262,16 @@ async function splitTextIntoSemanticChunks(text, docClassification) {
     for (let i = t.lineStart; i <= t.lineEnd; i++) tableRanges.add(i);
   }
 
-  // Step 3: Split into section-bounded regions
-  const sectionRegions = buildSectionRegions(text, sections);
+  // Step 3: Split into section- or page-bounded regions
+  const pageBreaks = findPageBreaks(text);
+  const strategy = docClassification?.config?.chunkStrategy;
+  const pageAware = strategy === 'page-aware' && pageBreaks.length > 0;
+  // Too few turns means the layout wasn't recognised; fall back to sections
+  const turns = strategy === 'speaker-turn' ? parseTranscript(text).turns : [];
+  let sectionRegions;
+  if (pageAware) sectionRegions = buildPageRegions(text, pageBreaks);
+  else if (turns.length >= 3) sectionRegions = buildTurnRegions(text, turns);
+  else sectionRegions = buildSectionRegions(text, sections);
 
   // Step 4: Chunk each region
   const documents = [];
@@ -262,8 +279,15 @@ async function splitTextIntoSemanticChunks(text, docClassification) {
 
   for (const region of sectionRegions) {
     const regionChunks = chunkRegion(region.text, maxChunkSize, minChunkSize, overlap, tables, region.startOffset);
+    let searchFrom = 0;
 
     for (const chunkText of regionChunks) {
+      const offsetInRegion = locateChunk(region.text, chunkText, searchFrom);
+      // The next chunk starts no earlier than this one's end minus the overlap
+      searchFrom = offsetInRegion + Math.max(1, chunkText.length - overlap - 20);
+      const chunkStart = region.startOffset + offsetInRegion;
+      const chunkEnd = Math.min(chunkStart + chunkText.length, text.length) - 1;
+
       const contentType = classifyContentType(chunkText);
 
       // If this chunk contains a table, try to parse and enrich it
@@ -277,7 +301,10 @@ async function splitTextIntoSemanticChunks(text, docClassification) {
       }
 
       const totalChars = text.length;
-      const position = region.startOffset / totalChars;
+      const position = chunkStart / totalChars;
+      const pageStart = pageBreaks.length > 0 ? pageAt(pageBreaks, chunkStart) : null;
+      const pageEnd = pageBreaks.length > 0 ? pageAt(pageBreaks, chunkEnd) : null;
+      const ocrConfidence = chunkOCRConfidence(options.ocr, pageStart ?? 1, pageEnd ?? 1);
 
       let docRegion = 'body';
       if (position < 0.08) docRegion = 'front_matter';
@@ -293,8 +320,12 @@ async function splitTextIntoSemanticChunks(text, docClassification) {
             region: docRegion,
             sectionName: region.sectionName,
             sectionLabel: region.sectionLabel,
+            pageStart,
+            pageEnd,
             contentType,
             documentType: docClassification?.type || 'unknown',
+            ...region.speaker,
+            ...(ocrConfidence != null && { ocrConfidence }),
           },
         })
       );
@@ -303,9 +334,49 @@ async function splitTextIntoSemanticChunks(text, docClassification) {
     }
   }
 
+  if (options.facts?.length) attachFactsToChunks(documents, options.facts);
+
   return documents;
 }
 
+/**
+ * One table chunk per row group of each sheet. Chunks are laid out like
+ * other table chunks (flattened rows, then the raw pipe table), so the
+ * financial statement extraction reads them too.
+ */
+function buildSheetChunks(sheets, docClassification) {
+  return sheetRowGroups(sheets).map((group, index) => {
+    const [firstRow, lastRow] = group.rowRange;
+    const sheetRows = sheets[group.sheetIndex].rows;
+    const rowShare = sheetRows.findIndex((r) => r.row === firstRow) / Math.max(sheetRows.length, 1);
+    const position = (group.sheetIndex + rowShare) / sheets.length;
+    const label = `Sheet: ${group.sheet} (rows ${firstRow}–${lastRow})`;
+
+    let docRegion = 'body';
+    if (position < 0.08) docRegion = 'front_matter';
+    else if (position > 0.92) docRegion = 'back_matter';
+
+    return new Document({
+      pageContent: `[${label}]\n${tableToFlatText(parseTable(group.table))}\n\n[Raw table data]\n${group.table}`,
+      metadata: {
+        id: `chunk_${index}`,
+        index,
+        position: +position.toFixed(3),
+        region: docRegion,
+        sectionName: 'sheet',
+        sectionLabel: label,
+        pageStart: null,
+        pageEnd: null,
+        contentType: 'table',
+        documentType: docClassification?.type || 'unknown',
+        sheet: group.sheet,
+        rowRange: group.rowRange,
+        columns: group.columns,
+      },
+    });
+  });
+}
+
 /**
  * Build section regions: slices of text bounded by detected section headers.
  */
@@ -350,6 +421,102 @@ function buildSectionRegions(text, sections) {
   return regions.filter((r) => r.text.trim().length > 0);
 }
 
+/* ------------------------------------------------------------------ */
+/*  Page tracking                                                       */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Offsets of the page-break characters in cleaned text (empty when the
+ * source had no pages, e.g. CSV or plain text).
+ */
+function findPageBreaks(text) {
+  const breaks = [];
+  for (let i = text.indexOf('\f'); i !== -1; i = text.indexOf('\f', i + 1)) breaks.push(i);
+  return breaks;
+}
+
+/**
+ * Lowest OCR confidence among the OCR'd pages in a page range, or null
+ * when every page in it has a native text layer.
+ */
+function chunkOCRConfidence(ocr, pageStart, pageEnd) {
+  const confidences = (ocr || [])
+    .filter(({ page }) => page >= pageStart && page <= pageEnd)
+    .map(({ confidence }) => confidence);
+  return confidences.length > 0 ? Math.min(...confidences) : null;
+}
+
+/**
+ * 1-based page number containing a character offset.
+ */
+function pageAt(pageBreaks, offset) {
+  let lo = 0;
+  let hi = pageBreaks.length;
+  // Count breaks before the offset
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (pageBreaks[mid] < offset) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo + 1;
+}
+
+/**
+ * One region per page, labelled with the page number and its first line
+ * (usually the slide title).
+ */
+function buildPageRegions(text, pageBreaks) {
+  const starts = [0, ...pageBreaks.map((b) => b + 1)];
+  const ends = [...pageBreaks, text.length];
+
+  return starts
+    .map((start, i) => {
+      const pageText = text.slice(start, ends[i]);
+      const title = pageText.trim().split('\n')[0]?.trim().slice(0, 80);
+      return {
+        text: pageText,
+        sectionName: 'page',
+        sectionLabel: title ? `Page ${i + 1} – ${title}` : `Page ${i + 1}`,
+        startOffset: start,
+      };
+    })
+    .filter((r) => r.text.trim().length > 0);
+}
+
+/**
+ * One region per speaker turn, plus the title and participant list
+ * before the first turn. Turn regions carry `speaker: { speaker, role, firm }`.
+ */
+function buildTurnRegions(text, turns) {
+  const regions = [];
+  if (text.slice(0, turns[0].start).trim()) {
+    regions.push({ text: text.slice(0, turns[0].start), sectionName: 'preamble', sectionLabel: 'Preamble', startOffset: 0 });
+  }
+  for (const turn of turns) {
+    regions.push({
+      text: text.slice(turn.start, turn.end),
+      sectionName: turn.part === 'qa' ? 'qa_session' : 'prepared_remarks',
+      sectionLabel: describeTurn(turn),
+      startOffset: turn.start,
+      speaker: { speaker: turn.speaker, role: turn.role, firm: turn.firm },
+    });
+  }
+  return regions;
+}
+
+/**
+ * Find where a chunk starts inside its region. Chunks are built from
+ * trimmed paragraphs, so the first line is matched verbatim; `from` keeps
+ * repeated boilerplate from matching an earlier occurrence.
+ */
+function locateChunk(regionText, chunkText, from) {
+  const probe = chunkText.split('\n')[0].slice(0, 80);
+  const index = regionText.indexOf(probe, from);
+  if (index !== -1) return index;
+  const anywhere = regionText.indexOf(probe);
+  return anywhere !== -1 ? anywhere : Math.min(from, regionText.length);
+}
+
 /**
  * Chunk a section region by paragraphs, then merge small paragraphs.
  * Tables found within the region are kept as atomic chunks.
@@ -462,10 +629,7 @@ function splitLongText(text, maxSize, overlap) {
  * @returns {Promise<{ vectorStore: MemoryVectorStore, bm25Index: BM25Index }>}
  */
 async function createSearchIndices(documents, apiKey) {
-  const embeddings = new OpenAIEmbeddings({
-    openAIApiKey: apiKey,
-    batchSize: config.openai.embeddingsBatchSize,
-  });
+  const embeddings = createEmbeddings(apiKey);
 
   const [vectorStore] = await Promise.all([
     MemoryVectorStore.fromDocuments(documents, embeddings),
@@ -481,10 +645,7 @@ async function createSearchIndices(documents, apiKey) {
  * Backward-compatible: create just a vector store.
  */
 async function createVectorStore(documents, apiKey) {
-  const embeddings = new OpenAIEmbeddings({
-    openAIApiKey: apiKey,
-    batchSize: config.openai.embeddingsBatchSize,
-  });
+  const embeddings = createEmbeddings(apiKey);
   return MemoryVectorStore.fromDocuments(documents, embeddings);
 }
 
@@ -583,7 +744,8 @@ async function rerankChunks(chunks, query, apiKey, topK) {
       .map((c, i) => `[${i}] ${c.pageContent.slice(0, 300)}`)
       .join('\n\n');
 
-    const content = await openaiChatCompletion(apiKey, {
+    const content = await chatCompletion(apiKey, {
+      task: 'rerank',
       messages: [
         {
           role: 'system',
@@ -643,53 +805,10 @@ Rules:
 - If information for a requested area is not available in the context, write: *"Not available in the provided document."*
 - Keep language professional, objective, and concise.`;
 
-const SECTION_PROMPTS = {
-  overview: (companyName) =>
-    `Provide a structured overview of **${companyName}**'s business model and strategic positioning based on the financial document provided.
-
-Structure your analysis under these headings:
-
-## Core Business
-- What the company does, primary revenue streams and business segments
-
-## Strategic Position
-- Competitive advantages, market position, and economic moat
-
-## Key Initiatives
-- Current strategic priorities, growth drivers, and recent developments
-
-Requirements:
-- Use **bold** for key terms, product names, and segment names
-- Each bullet should be a concise, specific insight (1-2 sentences)
-- Cite specific data from the document where available
-- Do NOT include financial numbers or performance metrics (those belong in Financials)
-- Do NOT include risk factors (those belong in Risks)`,
-
-  financialHighlights: (companyName) =>
-    `Extract and analyze the key financial metrics and performance data for **${companyName}** from the provided financial document.
-
-Structure your analysis under these headings:
-
-## Revenue & Growth
-- Revenue figures, growth rates, segment breakdowns
-
-## Profitability
-- Net income, margins (gross, operating, net), EBITDA
-
-## Key Operational Metrics
-- Segment-specific KPIs, efficiency ratios, per-unit economics
-
-## Balance Sheet Highlights
-- Cash position, debt levels, key financial ratios
-
-Requirements:
-- Use **bold** for all numbers, percentages, and financial terms
-- Describe trends: "**Revenue** grew from **$X** to **$Y**, a **Z%** increase"
-- Compare periods (YoY, QoQ) where the document provides data
-- One metric per bullet — do not combine multiple facts
-- Only include data explicitly found in the document
-
-IMPORTANT: After your markdown analysis, append a fenced block with structured chart data. Rules:
+/**
+ * Appended to the prompt of sections with `charts: true`.
+ */
+const CHART_INSTRUCTIONS = `IMPORTANT: After your markdown analysis, append a fenced block with structured chart data. Rules:
 1. Only use numbers EXPLICITLY stated in the document — NEVER estimate, interpolate, or invent data
 2. Pick 2-4 charts that visualize DIFFERENT aspects (e.g. don't make two revenue charts)
 3. Use diverse chart types — don't repeat the same type for every chart
@@ -716,111 +835,42 @@ Chart type guide:
 - "pie": showing composition/breakdown of a whole (e.g. revenue split, geographic mix)
 - "line": ONLY for trends with 3+ sequential time periods — do NOT use for 2 data points
 
-If the document lacks sufficient numerical data for meaningful charts, omit the chartdata block entirely.`,
-
-  keyRisks: (companyName) =>
-    `Identify and categorize the key risks facing **${companyName}** based on the provided financial document.
-
-Group risks under applicable categories (skip a category if no relevant risks are found):
-
-## Market & Industry Risks
-- Competition, market dynamics, demand shifts
-
-## Operational Risks
-- Supply chain, technology, execution, talent
-
-## Financial Risks
-- Debt, liquidity, currency, interest-rate exposure
-
-## Regulatory & Legal Risks
-- Compliance, litigation, policy changes
-
-## Company-Specific Risks
-- Concentration risks, key dependencies, strategic risks
-
-Requirements:
-- Use **bold** for specific risk factors and key terms
-- Each bullet should name the risk and briefly explain its potential impact
-- Prioritize by significance (most critical first within each category)
-- Source from "Risk Factors" or "Risk Management" sections when available
-- Do NOT include mitigation strategies`,
-
-  managementCommentary: (companyName) =>
-    `Summarize the forward-looking statements and strategic priorities from **${companyName}**'s management based on the provided financial document.
-
-Structure your analysis:
-
-## Strategic Outlook
-- Management's vision, long-term goals, and market outlook
-
-## Growth Plans
-- Expansion initiatives, new products/markets, investment priorities
-
-## Operational Focus
-- Efficiency programs, technology investments, organizational changes
-
-## Guidance & Expectations
-- Any forward-looking financial guidance or performance expectations
-
-Requirements:
-- Use **bold** for key initiatives, targets, and strategic terms
-- Focus on direct management statements and forward-looking commentary
-- Source from "Management Discussion & Analysis", CEO letters, or executive commentary
-- Do NOT repeat financial results already covered in other sections
-- Do NOT include risk factors already identified`,
-};
+If the document lacks sufficient numerical data for meaningful charts, omit the chartdata block entirely.`;
 
 /**
- * Two queries per section: a broad one and a focused one.
- * With query expansion, these get enhanced with financial synonyms.
+ * Retrieval filter for a template section (its preferredSections). For
+ * transcripts chunked by speaker turn, `speakerRoles` replaces the
+ * section filter.
+ * @param {object} section  Template section (see reportTemplates.js)
+ * @param {boolean} byTurn  the document was chunked by speaker turn
  */
-const SECTION_QUERIES = {
-  overview: (companyName) => [
-    `${companyName} business model operations products services revenue streams`,
-    `${companyName} competitive advantage market position strategy moat`,
-  ],
-  financialHighlights: (companyName) => [
-    `${companyName} revenue profit net income financial results performance`,
-    `${companyName} margins EBITDA earnings growth operating cash flow`,
-  ],
-  keyRisks: (companyName) => [
-    `${companyName} risk factors challenges threats vulnerabilities`,
-    `${companyName} regulatory compliance litigation market operational risks`,
-  ],
-  managementCommentary: (companyName) => [
-    `${companyName} management outlook strategy future plans guidance`,
-    `${companyName} growth initiatives investment expansion priorities`,
-  ],
-};
-
-/**
- * Metadata filter hints per section to improve retrieval precision.
- */
-const SECTION_METADATA_HINTS = {
-  overview: { preferredSections: ['business_overview', 'executive_summary', 'preamble'] },
-  financialHighlights: { preferredSections: ['financials', 'selected_financial', 'mda', 'balance_sheet'] },
-  keyRisks: { preferredSections: ['risk_factors', 'market_risk', 'legal'] },
-  managementCommentary: { preferredSections: ['mda', 'executive_summary'] },
-};
-
-const SECTION_TYPES = [
-  'overview',
-  'financialHighlights',
-  'keyRisks',
-  'managementCommentary',
-];
+function sectionMetadataFilter(section, byTurn) {
+  if (byTurn && section.speakerRoles.length > 0) return { role: section.speakerRoles };
+  if (section.preferredSections.length > 0) return { sectionName: section.preferredSections };
+  return undefined;
+}
 
 /* ================================================================== */
 /*  Section generation                                                  */
 /* ================================================================== */
 
+/**
+ * @param {Document[]} relevantChunks
+ * @param {object} section  Template section (see reportTemplates.js)
+ * @param {string} companyName
+ * @param {string} apiKey
+ * @param {object[]} [ratios]  computeRatios result; used by sections with `computedMetrics`
+ */
 async function generateSectionContent(
   relevantChunks,
-  sectionType,
+  section,
   companyName,
-  apiKey
+  apiKey,
+  ratios = []
 ) {
-  const sectionPrompt = SECTION_PROMPTS[sectionType](companyName);
+  const sectionPrompt = section.charts
+    ? `${fillPlaceholders(section.prompt, companyName)}\n\n${CHART_INSTRUCTIONS}`
+    : fillPlaceholders(section.prompt, companyName);
 
   // Format chunks with metadata context
   const formattedChunks = relevantChunks
@@ -833,6 +883,21 @@ async function generateSectionContent(
     })
     .join('\n\n');
 
+  const computedMetrics = section.computedMetrics
+    ? formatRatiosForPrompt(ratios)
+    : '';
+  const metricsBlock = computedMetrics
+    ? `
+**Computed metrics (calculated from the document's financial statements):**
+
+${computedMetrics}
+
+Use these values exactly as given for margins, growth rates and ratios — do not recalculate them. Cite the excerpt containing the underlying statement figures where one is listed.
+
+---
+`
+    : '';
+
   const prompt = `${sectionPrompt}
 
 ---
@@ -842,10 +907,13 @@ async function generateSectionContent(
 ${formattedChunks}
 
 ---
+${metricsBlock}
 
-Now write your analysis for the section above. Use markdown formatting as specified.`;
+Now write your analysis for the section above. Use markdown formatting as specified.
+${CITATION_INSTRUCTIONS}`;
 
-  const content = await openaiChatCompletion(apiKey, {
+  const content = await chatCompletion(apiKey, {
+    task: 'sections',
     messages: [
       { role: 'system', content: SYSTEM_PROMPT_SECTIONS },
       { role: 'user', content: prompt },
@@ -854,7 +922,10 @@ Now write your analysis for the section above. Use markdown formatting as specif
     temperature: config.sections.temperature,
   });
 
-  return content || '*Analysis not available for this section.*';
+  if (!content) return '*Analysis not available for this section.*';
+
+  // [n] markers → chunk-id links, so every claim resolves to its source chunk
+  return resolveCitations(content, relevantChunks).content;
 }
 
 /* ================================================================== */
@@ -866,7 +937,8 @@ async function extractCompanyName(extractedText, apiKey) {
   const sample = extractedText.slice(0, sampleLength).trim();
   if (!sample) return 'Unknown Company';
 
-  const content = await openaiChatCompletion(apiKey, {
+  const content = await chatCompletion(apiKey, {
+    task: 'classification',
     messages: [
       {
         role: 'system',
@@ -893,6 +965,20 @@ ${sample}`,
 /*  Report generation (orchestrator)                                    */
 /* ================================================================== */
 
+/**
+ * Credit scorecard of a finished report (see creditScorecard.js); null
+ * when the scorecard file cannot be read, so a bad edit to it does not
+ * fail report generation.
+ */
+function creditScorecard(ratios, sections) {
+  try {
+    return scoreCredit({ ratios, sections });
+  } catch (err) {
+    console.log('[Pipeline] Credit scorecard skipped:', err.message);
+    return null;
+  }
+}
+
 /**
  * Generate a full analysis report with all intelligence improvements.
  *
@@ -900,14 +986,24 @@ ${sample}`,
  * 1. Clean text
  * 2. Classify document type
  * 3. Semantic chunking with rich metadata
- * 4. Build search indices (vector store + BM25)
- * 5. For each section:
+ * 4. Extract financial statements from table chunks and compute ratios; score tone
+ * 5. Build search indices (vector store + BM25)
+ * 6. For each section of the template:
  *    a. Expand queries with financial synonyms
  *    b. Hybrid multi-query retrieval
- *    c. Rerank results
+ *    c. Rerank results (down to the section's chunk budget)
  *    d. Generate section content
+ *    e. Verify its figures against the excerpts and document text
+ * 7. Score the credit scorecard from the ratios and the Risks section
+ *
+ * @param {object} [options]
+ * @param {object} [options.template] - Report template (see reportTemplates.js); omitted: sections
+ *   chosen by document type (sectionsForDocument)
+ * @param {object[]} [options.facts] - Inline XBRL facts from processDocument
+ * @param {object[]} [options.ocr] - OCR'd pages from processDocument
+ * @param {object[]} [options.sheets] - Typed CSV/Excel sheets from processDocument
  */
-async function generateReportSections(extractedText, companyName, apiKey) {
+async function generateReportSections(extractedText, companyName, apiKey, options = {}) {
   console.log('[Pipeline] Starting intelligent document analysis...');
 
   // Step 1: Clean text
@@ -921,7 +1017,11 @@ async function generateReportSections(extractedText, companyName, apiKey) {
   );
 
   // Step 3: Semantic chunking
-  const documents = await splitTextIntoSemanticChunks(cleanedText, docClassification);
+  const documents = await splitTextIntoSemanticChunks(cleanedText, docClassification, {
+    facts: options.facts,
+    ocr: options.ocr,
+    sheets: options.sheets,
+  });
   console.log(`[Pipeline] Created ${documents.length} intelligent chunks`);
 
   // Log chunk distribution
@@ -936,27 +1036,33 @@ async function generateReportSections(extractedText, companyName, apiKey) {
   console.log('[Pipeline] Chunks by section:', sectionCounts);
   console.log('[Pipeline] Chunks by type:', typeCounts);
 
-  // Step 4: Build search indices
+  // Step 4: Financial statements
+  const financials = extractFinancialStatements(documents);
+  const ratios = computeRatios(financials);
+  console.log(`[Pipeline] Extracted ${financials.lineItemCount} financial line items, ${ratios.length} ratios`);
+  const tone = scoreDocumentTone(documents);
+
+  // Step 5: Build search indices
   const { vectorStore, bm25Index } = await createSearchIndices(documents, apiKey);
   console.log('[Pipeline] Search indices built (vector + BM25)');
 
-  // Step 5: Generate sections
+  // Step 6: Generate sections
+  const template = sectionsForDocument(options.template || null, docClassification);
   const sections = {};
+  const verification = {};
+  const byTurn = documents.some((doc) => doc.metadata.speaker);
 
-  for (const sectionType of SECTION_TYPES) {
+  for (const section of template.sections) {
+    const sectionType = section.key;
     console.log(`[Pipeline] Generating: ${sectionType}`);
 
     // Get base queries and expand with financial synonyms
-    const baseQueries = SECTION_QUERIES[sectionType](companyName);
+    const baseQueries = section.queries.map((query) => fillPlaceholders(query, companyName));
     const expandedQueries = baseQueries.map(expandFinancialTerms);
 
     // Build metadata filter from section hints
-    const hints = SECTION_METADATA_HINTS[sectionType];
-    let metadataFilter;
-    if (hints?.preferredSections) {
-      // First try with filter, fall back to unfiltered if too few results
-      metadataFilter = { sectionName: hints.preferredSections };
-    }
+    // First try with filter, fall back to unfiltered if too few results
+    const metadataFilter = sectionMetadataFilter(section, byTurn);
 
     // Multi-query hybrid retrieval
     let relevantDocs = await multiQueryRetrieval(
@@ -993,7 +1099,7 @@ async function generateReportSections(extractedText, companyName, apiKey) {
       relevantDocs,
       queryForReranking,
       apiKey,
-      config.reranking.topK
+      section.chunkBudget || config.reranking.topK
     );
 
     console.log(`[Pipeline] ${sectionType}: ${relevantDocs.length} chunks after reranking`);
@@ -1001,10 +1107,16 @@ async function generateReportSections(extractedText, companyName, apiKey) {
     // Generate section content
     sections[sectionType] = await generateSectionContent(
       relevantDocs,
-      sectionType,
+      section,
       companyName,
-      apiKey
+      apiKey,
+      ratios
     );
+    verification[sectionType] = verifyFigures(sections[sectionType], {
+      chunks: relevantDocs,
+      fullText: cleanedText,
+      ratios,
+    });
 
     // Small delay between sections to respect rate limits
     await sleep(500);
@@ -1014,9 +1126,17 @@ async function generateReportSections(extractedText, companyName, apiKey) {
 
   return {
     sections,
+    template: templateLayout(template),
+    sources: collectSources(Object.values(sections), documents),
+    verification,
+    financials,
+    ratios,
+    tone,
+    scorecard: creditScorecard(ratios, sections),
     vectorStore,
     bm25Index,
     documentType: docClassification,
+    cleanedText,
   };
 }
 
@@ -1031,10 +1151,20 @@ async function generateReportSections(extractedText, companyName, apiKey) {
  * @param {string} companyName
  * @param {string} apiKey
  * @param {(event: object) => void} onProgress - callback for progress/section events
- * @returns {Promise<{ sections, vectorStore, bm25Index, documentType }>}
+ * @param {object} [options]
+ * @param {object} [options.template] - Report template (see reportTemplates.js); omitted: sections
+ *   chosen by document type (sectionsForDocument)
+ * @param {Record<string, string>} [options.completedSections] - sections finished by an earlier
+ *   attempt; these are reused instead of regenerated
+ * @param {AbortSignal} [options.signal] - checked between stages and sections
+ * @param {object[]} [options.facts] - Inline XBRL facts from processDocument
+ * @param {object[]} [options.ocr] - OCR'd pages from processDocument
+ * @param {object[]} [options.sheets] - Typed CSV/Excel sheets from processDocument
+ * @returns {Promise<{ sections, template, sources, verification, financials, ratios, tone, scorecard, vectorStore, bm25Index, documentType, cleanedText }>}
  */
-async function generateReportSectionsStreaming(extractedText, companyName, apiKey, onProgress) {
+async function generateReportSectionsStreaming(extractedText, companyName, apiKey, onProgress, options = {}) {
   const emit = onProgress || (() => {});
+  const { completedSections = {}, signal, facts, ocr, sheets } = options;
 
   emit({ type: 'progress', message: 'Cleaning and preparing document...', stage: 'processing' });
 
@@ -1042,26 +1172,44 @@ async function generateReportSectionsStreaming(extractedText, companyName, apiKe
 
   emit({ type: 'progress', message: 'Classifying document type...', stage: 'classification' });
   const docClassification = await classifyDocument(cleanedText, apiKey);
+  const template = sectionsForDocument(options.template || null, docClassification);
+  emit({
+    type: 'progress',
+    message: `Classified as ${docClassification.label}`,
+    stage: 'classification',
+    template: templateLayout(template),
+  });
 
   emit({ type: 'progress', message: 'Creating semantic chunks...', stage: 'chunking' });
-  const documents = await splitTextIntoSemanticChunks(cleanedText, docClassification);
+  const documents = await splitTextIntoSemanticChunks(cleanedText, docClassification, { facts, ocr, sheets });
+  const financials = extractFinancialStatements(documents);
+  const ratios = computeRatios(financials);
+  const tone = scoreDocumentTone(documents);
 
+  signal?.throwIfAborted();
   emit({ type: 'progress', message: 'Building search indices...', stage: 'indexing' });
   const { vectorStore, bm25Index } = await createSearchIndices(documents, apiKey);
 
   const sections = {};
+  const verification = {};
+  const byTurn = documents.some((doc) => doc.metadata.speaker);
+
+  for (const section of template.sections) {
+    const sectionType = section.key;
+    if (completedSections[sectionType]) {
+      sections[sectionType] = completedSections[sectionType];
+      // The excerpts behind a reused section are gone; check against the full text
+      verification[sectionType] = verifyFigures(sections[sectionType], { fullText: cleanedText, ratios });
+      continue;
+    }
 
-  for (const sectionType of SECTION_TYPES) {
-    emit({ type: 'progress', message: `Generating ${sectionType}...`, stage: sectionType });
+    signal?.throwIfAborted();
+    emit({ type: 'progress', message: `Generating ${section.title}...`, stage: sectionType });
 
-    const baseQueries = SECTION_QUERIES[sectionType](companyName);
+    const baseQueries = section.queries.map((query) => fillPlaceholders(query, companyName));
     const expandedQueries = baseQueries.map(expandFinancialTerms);
 
-    const hints = SECTION_METADATA_HINTS[sectionType];
-    let metadataFilter;
-    if (hints?.preferredSections) {
-      metadataFilter = { sectionName: hints.preferredSections };
-    }
+    const metadataFilter = sectionMetadataFilter(section, byTurn);
 
     let relevantDocs = await multiQueryRetrieval(
       vectorStore, expandedQueries, config.sections.chunksPerQuery, bm25Index, metadataFilter
@@ -1081,106 +1229,74 @@ async function generateReportSectionsStreaming(extractedText, companyName, apiKe
     }
 
     const queryForReranking = baseQueries.join(' ');
-    relevantDocs = await rerankChunks(relevantDocs, queryForReranking, apiKey, config.reranking.topK);
+    relevantDocs = await rerankChunks(relevantDocs, queryForReranking, apiKey, section.chunkBudget || config.reranking.topK);
 
-    sections[sectionType] = await generateSectionContent(relevantDocs, sectionType, companyName, apiKey);
+    sections[sectionType] = await generateSectionContent(relevantDocs, section, companyName, apiKey, ratios);
+    verification[sectionType] = verifyFigures(sections[sectionType], {
+      chunks: relevantDocs,
+      fullText: cleanedText,
+      ratios,
+    });
 
-    emit({ type: 'section', sectionKey: sectionType, content: sections[sectionType], companyName });
+    emit({
+      type: 'section',
+      sectionKey: sectionType,
+      content: sections[sectionType],
+      sources: collectSources([sections[sectionType]], documents),
+      verification: verification[sectionType],
+      companyName,
+    });
 
     await sleep(500);
   }
 
-  return { sections, vectorStore, bm25Index, documentType: docClassification };
+  const sources = collectSources(Object.values(sections), documents);
+  return {
+    sections,
+    template: templateLayout(template),
+    sources,
+    verification,
+    financials,
+    ratios,
+    tone,
+    scorecard: creditScorecard(ratios, sections),
+    vectorStore,
+    bm25Index,
+    documentType: docClassification,
+    cleanedText,
+  };
 }
 
-/* ================================================================== */
-/*  Streaming chat completion (token-by-token)                          */
-/* ================================================================== */
-
 /**
- * Call OpenAI chat completions with streaming enabled.
- * Yields text chunks as they arrive.
+ * Answer a question with streaming output. Chunks stream with raw [n]
+ * markers; the resolved answer, its sources and figure checks are
+ * returned at the end.
  *
- * @param {string} apiKey
- * @param {object} opts
- * @param {(chunk: string) => void} onChunk
- * @returns {Promise<string>} full content
+ * CSV/Excel cells are looked up first and chat follow-ups are rewritten,
+ * as in answerQuestion.
+ *
+ * @param {object} [options]
+ * @param {string} [options.fullText]  Cleaned document text, for figure verification
+ * @param {object[]} [options.sheets]  Typed CSV/Excel sheets, for exact cell lookup
+ * @param {{ question: string, answer: string }[]} [options.history]  Earlier chat turns, oldest first
+ * @returns {Promise<{ answer: string, sources: object[], verification: object, standaloneQuestion: string }>}
  */
-async function openaiChatCompletionStream(apiKey, { messages, max_tokens = 500, temperature = 0.1, model }, onChunk) {
-  const response = await fetch(OPENAI_CHAT_URL, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      model: model || config.openai.model,
-      messages,
-      max_tokens,
-      temperature,
-      stream: true,
-    }),
-  });
-
-  if (!response.ok) {
-    throw new Error(`OpenAI API failed: ${response.status}`);
+async function answerQuestionStream(vectorStore, question, companyName, apiKey, bm25Index, onChunk, options = {}) {
+  const history = (options.history || []).slice(-config.qa.historyTurns);
+  const standaloneQuestion = await rewriteFollowUp(question, history, apiKey);
+  const queryInfo = await processQuery(standaloneQuestion, apiKey);
+
+  const cells = cellExcerpts(options.sheets, standaloneQuestion);
+  const direct = directCellAnswer(cells, queryInfo);
+  if (direct) {
+    onChunk(direct);
+    const { content: answer, sources } = resolveCitations(direct, cells);
+    return { answer, sources, verification: verifyFigures(answer, { chunks: cells }), standaloneQuestion };
   }
 
-  const reader = response.body.getReader();
-  const decoder = new TextDecoder();
-  let fullContent = '';
-  let buffer = '';
-
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
+  const allDocs = await retrieveForQuestion(vectorStore, bm25Index, queryInfo);
 
-    buffer += decoder.decode(value, { stream: true });
-    const lines = buffer.split('\n');
-    buffer = lines.pop() || '';
-
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (!trimmed || !trimmed.startsWith('data: ')) continue;
-      const data = trimmed.slice(6);
-      if (data === '[DONE]') continue;
-
-      try {
-        const parsed = JSON.parse(data);
-        const delta = parsed.choices?.[0]?.delta?.content;
-        if (delta) {
-          fullContent += delta;
-          onChunk(delta);
-        }
-      } catch {
-        // skip malformed chunks
-      }
-    }
-  }
-
-  return fullContent;
-}
-
-/**
- * Answer a question with streaming output.
- */
-async function answerQuestionStream(vectorStore, question, companyName, apiKey, bm25Index, onChunk) {
-  const queryInfo = await processQuery(question, apiKey);
-
-  const seen = new Set();
-  const allDocs = [];
-
-  for (const q of queryInfo.expandedQueries) {
-    const docs = await intelligentRetrieval({
-      vectorStore, bm25Index, query: q, limit: config.qa.chunks, metadataFilter: undefined,
-    });
-    for (const doc of docs) {
-      const key = doc.metadata?.id || doc.pageContent.slice(0, 120);
-      if (!seen.has(key)) { seen.add(key); allDocs.push(doc); }
-    }
-  }
-
-  const rerankedDocs = await rerankChunks(allDocs, question, apiKey, config.qa.chunks);
+  const rerankedDocs = [...cells, ...await rerankChunks(allDocs, standaloneQuestion, apiKey, config.qa.chunks)];
 
   const contextNote =
     queryInfo.queryType === 'comparative'
@@ -1197,7 +1313,7 @@ async function answerQuestionStream(vectorStore, question, companyName, apiKey,
 
   const answerPrompt = `You are a financial analyst answering a question about **${companyName}** based on their financial document.
 
-**Question:** ${question}
+${formatConversation(history)}**Question:** ${standaloneQuestion}
 
 **Relevant excerpts from the financial document:**
 
@@ -1209,9 +1325,11 @@ Instructions:
 - Provide a clear, well-structured answer using markdown (**bold** for key data, bullet points where helpful).
 - Be specific with numbers, dates, and names when the document provides them.${contextNote}
 - If the information is not available in the document, clearly state: *"This information is not available in the provided document."*
-- Keep the answer concise (3-5 sentences for simple questions, more for complex ones).`;
+- Keep the answer concise (3-5 sentences for simple questions, more for complex ones).
+${CITATION_INSTRUCTIONS}`;
 
-  const fullContent = await openaiChatCompletionStream(apiKey, {
+  const fullContent = await chatCompletionStream(apiKey, {
+    task: 'qa',
     messages: [
       { role: 'system', content: 'You are a professional financial analyst. Provide accurate, concise answers based strictly on the provided document context. Use markdown formatting for clarity.' },
       { role: 'user', content: answerPrompt },
@@ -1220,81 +1338,89 @@ Instructions:
     temperature: config.qa.temperature,
   }, onChunk);
 
-  return fullContent;
+  const { content: answer, sources } = resolveCitations(fullContent, rerankedDocs);
+  const verification = verifyFigures(answer, { chunks: rerankedDocs, fullText: options.fullText });
+  return { answer, sources, verification, standaloneQuestion };
 }
 
 /* ================================================================== */
 /*  Comparative analysis (multi-document)                               */
 /* ================================================================== */
 
+/** "A, B and C" */
+function listCompanies(names) {
+  return names.length <= 2 ? names.join(' and ') : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+}
+
+/**
+ * Prompts take the peer labels in document order and work for any group
+ * of two or more companies.
+ */
 const COMPARATIVE_SECTION_PROMPTS = {
-  overview: (companyA, companyB) =>
-    `Compare the business models, market positions, and competitive advantages of **${companyA}** and **${companyB}**.
+  overview: (companies) =>
+    `Compare the business models, market positions, and competitive advantages of the peer group: ${companies.map((c) => `**${c}**`).join(', ')}.
 
 Structure your analysis:
 
 ## Business Model Comparison
-- Compare primary revenue streams, business segments, and operating models
+- One bullet per company: primary revenue streams, business segments, and operating model
 
 ## Market Position
-- Compare competitive positioning, market share indicators, and economic moats
+- Rank the companies from strongest to weakest competitive position, with the evidence for each placement
 
 ## Strategic Differentiation
-- What makes each company's approach unique? Where do they overlap?
+- Where the peers' approaches overlap, and what sets each company apart
 
 Requirements:
 - Use **bold** for company names, key terms, and differentiators
-- Be specific — cite data from both documents
-- Highlight similarities AND differences`,
+- Cover every company in the group; say so when a company's excerpts do not address a point
+- Be specific — cite data from each company's excerpts`,
 
-  financialHighlights: (companyA, companyB) =>
-    `Compare the key financial metrics and performance of **${companyA}** and **${companyB}**.
+  financialHighlights: (companies) =>
+    `Compare the key financial metrics and performance of ${listCompanies(companies.map((c) => `**${c}**`))}.
 
 Structure your analysis:
 
-## Revenue & Growth Comparison
-- Side-by-side revenue figures, growth rates, and segment performance
+## Peer Metrics
+- A markdown table with one row per metric (revenue, growth, margins, leverage, cash flow) and one column per company, in the order listed above
 
-## Profitability Comparison
-- Compare margins (gross, operating, net), EBITDA, and efficiency
+## Rankings
+- For each key metric, rank the companies from best to worst
 
-## Balance Sheet Comparison
-- Compare cash positions, debt levels, and financial health ratios
+## Leaders & Laggards
+- Which companies lead or trail the group overall, and the metrics that drive it
 
 Requirements:
 - Use **bold** for all numbers and percentages
-- Present metrics side-by-side where possible
-- Note which company leads in each metric`,
+- Take ratios and ranks from the computed peer metrics where they are given; do not recalculate them
+- Write "n/a" where a company does not report a metric; note when companies' fiscal periods differ`,
 
-  keyRisks: (companyA, companyB) =>
-    `Compare the risk profiles of **${companyA}** and **${companyB}**.
+  keyRisks: (companies) =>
+    `Compare the risk profiles of ${listCompanies(companies.map((c) => `**${c}**`))}.
 
 Structure your analysis:
 
 ## Shared Risks
-- Risks that affect both companies (industry-wide, macro, regulatory)
-
-## Unique Risks — ${companyA}
-- Risks specific to ${companyA}
+- Risks that affect most or all of the group (industry-wide, macro, regulatory), naming the companies exposed
 
-## Unique Risks — ${companyB}
-- Risks specific to ${companyB}
+## Company-Specific Risks
+${companies.map((c) => `### ${c}\n- Risks specific to ${c}`).join('\n\n')}
 
-## Risk Assessment
-- Which company has a more favorable risk profile overall?
+## Risk Ranking
+- Order the companies from most to least favorable risk profile, one line of justification each
 
 Requirements:
 - Use **bold** for specific risk factors
 - Prioritize by significance
 - Be balanced and objective`,
 
-  managementCommentary: (companyA, companyB) =>
-    `Compare the strategic outlook and management priorities of **${companyA}** and **${companyB}**.
+  managementCommentary: (companies) =>
+    `Compare the strategic outlook and management priorities of ${listCompanies(companies.map((c) => `**${c}**`))}.
 
 Structure your analysis:
 
 ## Strategic Direction Comparison
-- Compare long-term vision, growth strategies, and market outlook
+- Compare long-term vision, growth strategies, and market outlook; group companies pursuing similar strategies
 
 ## Investment & Expansion Plans
 - Compare expansion initiatives, capital allocation, and growth priorities
@@ -1305,65 +1431,105 @@ Structure your analysis:
 Requirements:
 - Use **bold** for key initiatives and targets
 - Focus on forward-looking statements
-- Note alignment or divergence in strategic priorities`,
+- Note where the group's strategic priorities align and which companies diverge from them`,
 };
 
 /**
- * Generate comparative analysis sections for two documents.
+ * Prompt labels for the peers: company names, with the document name
+ * added where two peers share a company (two years of one company's filings).
+ */
+function peerLabels(peers) {
+  return peers.map(({ id, companyName }) => {
+    const shared = peers.filter((p) => p.companyName === companyName).length > 1;
+    return shared ? `${companyName} (${path.basename(id).replace(/^\d+-/, '')})` : companyName;
+  });
+}
+
+/**
+ * Search indices, ratios and tone for a peer given only its text.
+ */
+async function indexPeer(peer, apiKey) {
+  const cleaned = cleanText(peer.text);
+  const docClassification = await classifyDocument(cleaned, apiKey);
+  const documents = await splitTextIntoSemanticChunks(cleaned, docClassification);
+  const { vectorStore, bm25Index } = await createSearchIndices(documents, apiKey);
+  return {
+    ...peer,
+    vectorStore,
+    bm25Index,
+    ratios: computeRatios(extractFinancialStatements(documents)),
+    tone: scoreDocumentTone(documents),
+  };
+}
+
+/**
+ * Generate comparative analysis sections for a peer group.
+ *
+ * Every section retrieves from each peer's own index, splitting the
+ * excerpt budget (`config.comparison.maxExcerpts`) evenly across the
+ * group, and asks for the peers to be ranked and contrasted as a whole.
+ * The financial highlights prompt also gets the peer ratio matrix.
  *
- * @param {string} textA - Extracted text from document A
- * @param {string} textB - Extracted text from document B
- * @param {string} companyA - Company A name
- * @param {string} companyB - Company B name
+ * @param {{ id: string, companyName: string, text?: string, vectorStore?: MemoryVectorStore,
+ *   bm25Index?: BM25Index, ratios?: object[], tone?: object }[]} peers
+ *   Two or more documents in display order. Peers without indices (a
+ *   report was not generated for them) are indexed from `text`.
  * @param {string} apiKey
  * @param {(event: object) => void} [onProgress]
- * @returns {Promise<object>} comparison sections
+ * @returns {Promise<{ comparison: Record<string, string>, matrix: object }>}
+ *   comparison sections, and the peerMatrix of the group's computed ratios with
+ *   the peers' tone side by side in `tone` (see sentiment.toneRows)
  */
-async function generateComparisonSections(textA, textB, companyA, companyB, apiKey, onProgress) {
+async function generateComparisonSections(peers, apiKey, onProgress) {
   const emit = onProgress || (() => {});
 
-  emit({ type: 'progress', message: 'Processing documents for comparison...', stage: 'processing' });
-
-  const cleanedA = cleanText(textA);
-  const cleanedB = cleanText(textB);
+  if (peers.some((peer) => !peer.vectorStore)) {
+    emit({ type: 'progress', message: `Building search indices for ${peers.length} documents...`, stage: 'indexing' });
+  }
+  const indexed = await Promise.all(peers.map((peer) => (peer.vectorStore ? peer : indexPeer(peer, apiKey))));
 
-  const [docClassA, docClassB] = await Promise.all([
-    classifyDocument(cleanedA, apiKey),
-    classifyDocument(cleanedB, apiKey),
-  ]);
+  const labels = peerLabels(indexed);
+  const matrix = { ...peerMatrix(indexed), tone: toneRows(indexed.map((peer) => peer.tone || null)) };
+  const peerMetrics = formatPeerMatrixForPrompt(matrix, labels);
+  const chunksPerPeer = Math.max(2, Math.floor(config.comparison.maxExcerpts / indexed.length));
+  // maxTokens is sized for a pair; tables and rankings grow with the group
+  const maxTokens = Math.round(config.comparison.maxTokens * Math.max(1, indexed.length / 2));
 
-  const [docsA, docsB] = await Promise.all([
-    splitTextIntoSemanticChunks(cleanedA, docClassA),
-    splitTextIntoSemanticChunks(cleanedB, docClassB),
-  ]);
+  const comparison = {};
 
-  emit({ type: 'progress', message: 'Building search indices for both documents...', stage: 'indexing' });
+  // Comparisons always cover the built-in template's sections
+  for (const section of DEFAULT_TEMPLATE.sections) {
+    const sectionType = section.key;
+    emit({ type: 'progress', message: `Generating comparative ${sectionType}...`, stage: `comparison_${sectionType}` });
 
-  const [indicesA, indicesB] = await Promise.all([
-    createSearchIndices(docsA, apiKey),
-    createSearchIndices(docsB, apiKey),
-  ]);
+    // Retrieve from every document
+    const excerpts = await Promise.all(indexed.map(async (peer) => {
+      const queries = section.queries.map((query) => expandFinancialTerms(fillPlaceholders(query, peer.companyName)));
+      const chunks = await multiQueryRetrieval(peer.vectorStore, queries, config.comparison.chunksPerQuery, peer.bm25Index);
+      return chunks.slice(0, chunksPerPeer);
+    }));
 
-  const comparison = {};
+    const context = indexed
+      .map((_, p) => {
+        const text = excerpts[p].map((doc, i) => `[${labels[p]} - Excerpt ${i + 1}]\n${doc.pageContent}`).join('\n\n');
+        return `**Excerpts from ${labels[p]}:**\n\n${text || '*No relevant excerpts found.*'}`;
+      })
+      .join('\n\n---\n\n');
 
-  for (const sectionType of SECTION_TYPES) {
-    emit({ type: 'progress', message: `Generating comparative ${sectionType}...`, stage: `comparison_${sectionType}` });
+    const metricsBlock = section.computedMetrics && peerMetrics
+      ? `
 
-    const baseQueries = SECTION_QUERIES[sectionType](companyA);
-    const baseQueriesB = SECTION_QUERIES[sectionType](companyB);
+**Computed peer metrics (latest period per company; #n is the company's rank in the group):**
 
-    // Retrieve from both documents
-    const [chunksA, chunksB] = await Promise.all([
-      multiQueryRetrieval(indicesA.vectorStore, baseQueries.map(expandFinancialTerms), config.comparison.chunksPerQuery, indicesA.bm25Index),
-      multiQueryRetrieval(indicesB.vectorStore, baseQueriesB.map(expandFinancialTerms), config.comparison.chunksPerQuery, indicesB.bm25Index),
-    ]);
+${peerMetrics}
 
-    const contextA = chunksA.map((doc, i) => `[${companyA} - Excerpt ${i + 1}]\n${doc.pageContent}`).join('\n\n');
-    const contextB = chunksB.map((doc, i) => `[${companyB} - Excerpt ${i + 1}]\n${doc.pageContent}`).join('\n\n');
+---`
+      : '';
 
-    const prompt = COMPARATIVE_SECTION_PROMPTS[sectionType](companyA, companyB);
+    const prompt = COMPARATIVE_SECTION_PROMPTS[sectionType](labels);
 
-    const content = await openaiChatCompletion(apiKey, {
+    const content = await chatCompletion(apiKey, {
+      task: 'sections',
       messages: [
         { role: 'system', content: SYSTEM_PROMPT_SECTIONS },
         {
@@ -1372,22 +1538,14 @@ async function generateComparisonSections(textA, textB, companyA, companyB, apiK
 
 ---
 
-**Excerpts from ${companyA}:**
+${context}
 
-${contextA}
-
----
-
-**Excerpts from ${companyB}:**
-
-${contextB}
-
----
+---${metricsBlock}
 
 Now write your comparative analysis for the section above. Use markdown formatting as specified.`,
         },
       ],
-      max_tokens: config.comparison.maxTokens,
+      max_tokens: maxTokens,
       temperature: config.comparison.temperature,
     });
 
@@ -1398,17 +1556,397 @@ Now write your comparative analysis for the section above. Use markdown formatti
     await sleep(500);
   }
 
+  return { comparison, matrix };
+}
+
+/* ================================================================== */
+/*  Company timeline (one company across periods)                       */
+/* ================================================================== */
+
+/**
+ * Generate the trend analysis of one company's filings.
+ *
+ * The section retrieves from each filing in turn, splitting the excerpt
+ * budget (`config.timeline.maxExcerpts`) evenly, and labels every excerpt
+ * with its period so the model can tell which filing added or dropped a
+ * risk. The aligned metrics go into the prompt, and their line charts are
+ * appended to the section as a chartdata block.
+ *
+ * @param {{ id: string, companyName: string, documentName: string, period: string,
+ *   load: () => Promise<{ vectorStore: MemoryVectorStore, bm25Index: BM25Index } | null> }[]} entries
+ *   The company's filings, oldest first (see libraryRetrieval)
+ * @param {object} timeline  alignMetrics result for the same filings
+ * @param {string} apiKey
+ * @param {(event: object) => void} [onProgress]
+ * @returns {Promise<{ sections: Record<string, string>, template: object, sources: object[], verification: object }>}
+ */
+async function generateTimelineSections(entries, timeline, apiKey, onProgress) {
+  const emit = onProgress || (() => {});
+  const companyName = entries[entries.length - 1].companyName;
+  const chunksPerFiling = Math.max(2, Math.floor(config.timeline.maxExcerpts / entries.length));
+  const metrics = formatTimelineForPrompt(timeline);
+  const { charts, checks } = timelineCharts(timeline);
+
+  emit({
+    type: 'progress',
+    message: `Aligned ${timeline.rows.length} metrics across ${timeline.periods.length} periods`,
+    stage: 'metrics',
+    template: templateLayout(TIMELINE_TEMPLATE),
+  });
+
+  const sections = {};
+  const verification = {};
+  const cited = [];
+
+  for (const section of TIMELINE_TEMPLATE.sections) {
+    const queries = section.queries.map((query) => expandFinancialTerms(fillPlaceholders(query, companyName)));
+    const excerpts = [];
+
+    // Filings are loaded one at a time, as in library Q&A
+    for (const [i, entry] of entries.entries()) {
+      emit({ type: 'progress', message: `Reading ${entry.period} filing...`, stage: 'retrieval', document: entry.id });
+      const indices = await entry.load();
+      if (!indices) continue;
+      const chunks = await multiQueryRetrieval(indices.vectorStore, queries, config.timeline.chunksPerQuery, indices.bm25Index);
+      excerpts.push(...chunks.slice(0, chunksPerFiling).map((doc) => tagLibraryChunk(doc, entry, i + 1)));
+    }
+
+    const context = entries
+      .map((entry) => {
+        const text = excerpts
+          .map((doc, n) => ({ doc, n }))
+          .filter(({ doc }) => doc.metadata.documentId === entry.id)
+          .map(({ doc, n }) => `[Excerpt ${n + 1} — ${entry.period}${doc.metadata.sectionLabel ? `, ${doc.metadata.sectionLabel}` : ''}]\n${doc.pageContent}`)
+          .join('\n\n');
+        return `**${entry.period} filing (${entry.documentName}):**\n\n${text || '*No relevant excerpts found.*'}`;
+      })
+      .join('\n\n---\n\n');
+
+    const metricsBlock = metrics
+      ? `
+
+**Aligned metrics (from each period's financial statements; restated values from later filings replace the originals):**
+
+${metrics}
+
+---`
+      : '';
+
+    emit({ type: 'progress', message: `Generating ${section.title}...`, stage: section.key });
+
+    const content = await chatCompletion(apiKey, {
+      task: 'sections',
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT_SECTIONS },
+        {
+          role: 'user',
+          content: `${fillPlaceholders(section.prompt, companyName)}
+
+---
+
+**Relevant excerpts, by period (oldest first):**
+
+${context}
+
+---${metricsBlock}
+
+Now write your analysis for the section above. Use markdown formatting as specified.
+${CITATION_INSTRUCTIONS}`,
+        },
+      ],
+      max_tokens: config.timeline.maxTokens,
+      temperature: config.timeline.temperature,
+    });
+
+    const prose = content
+      ? resolveCitations(content, excerpts).content
+      : '*Trend analysis not available for this company.*';
+
+    // Chart points are checked against the line items they were built from
+    const checked = verifyFigures(prose, { chunks: excerpts });
+    for (const point of checks.flatMap((c) => c.points)) {
+      checked.summary.total++;
+      checked.summary[point.status]++;
+    }
+    verification[section.key] = { ...checked, charts: checks };
+
+    sections[section.key] = charts.length > 0
+      ? `${prose}\n\n~~~chartdata\n${JSON.stringify({ charts }, null, 2)}\n~~~`
+      : prose;
+    cited.push(...excerpts);
+
+    emit({
+      type: 'section',
+      sectionKey: section.key,
+      content: sections[section.key],
+      sources: collectSources([sections[section.key]], excerpts),
+      verification: verification[section.key],
+    });
+  }
+
   return {
-    comparison,
-    indicesA,
-    indicesB,
+    sections,
+    template: templateLayout(TIMELINE_TEMPLATE),
+    sources: collectSources(Object.values(sections), cited),
+    verification,
   };
 }
 
+/* ================================================================== */
+/*  Filing redline (one section across two filings)                     */
+/* ================================================================== */
+
+/** Characters of an item sent for embedding */
+const REDLINE_EMBED_CHARS = 8000;
+
+const REDLINE_FOCUS = {
+  risk_factors: `- **New Risks** — risks the newer filing adds, and why they matter
+- **Dropped Risks** — risks no longer disclosed
+- **Escalated or Softened Language** — reworded risks whose likelihood, severity or specifics changed`,
+  mda: `- **Drivers of Results** — changes in what management credits for revenue and margin performance
+- **Outlook & Guidance** — new, withdrawn or revised expectations
+- **Liquidity & Capital** — changes in funding, debt, capital spending or returns to shareholders`,
+};
+
+/**
+ * Redline sections of two filings of one company.
+ *
+ * Each section is cut out of both filings' text with detectSections and
+ * aligned item by item (see filingDiff.js); items are embedded so a
+ * rewritten item can still be paired with its predecessor. The changed
+ * items then go to the model for a summary of the material changes.
+ *
+ * @param {{ id: string, companyName: string, documentName: string, period: string|null, text: string }[]} filings
+ *   The older filing, then the newer one
+ * @param {string[]} sectionNames  e.g. ['risk_factors', 'mda']
+ * @param {string} apiKey
+ * @returns {Promise<{ sections: { name: string, label: string, found: { before: boolean, after: boolean },
+ *   items: object[], counts: object|null, summary: string|null }[] }>}
+ */
+async function generateFilingDiff(filings, sectionNames, apiKey) {
+  const [older, newer] = filings;
+  const detected = filings.map((filing) => detectSections(filing.text));
+  const embeddings = createEmbeddings(apiKey);
+  const sections = [];
+
+  for (const name of sectionNames) {
+    const label = SEC_SECTION_PATTERNS.find((p) => p.name === name)?.label || name;
+    const [before, after] = filings.map((filing, i) => sectionText(filing.text, detected[i], name));
+    if (!before || !after) {
+      sections.push({ name, label, found: { before: !!before, after: !!after }, items: [], counts: null, summary: null });
+      continue;
+    }
+
+    const options = { riskFactors: name === 'risk_factors' };
+    const itemsBefore = splitItems(before, options);
+    const itemsAfter = splitItems(after, options);
+
+    let vectors = null;
+    if (itemsBefore.length > 0 && itemsAfter.length > 0) {
+      try {
+        const all = await embeddings.embedDocuments([...itemsBefore, ...itemsAfter].map((item) => item.text.slice(0, REDLINE_EMBED_CHARS)));
+        vectors = { before: all.slice(0, itemsBefore.length), after: all.slice(itemsBefore.length) };
+      } catch (err) {
+        console.log(`[Redline] ${name}: embeddings failed, aligning by wording only:`, err.message);
+      }
+    }
+
+    const { items, counts } = alignItems(itemsBefore, itemsAfter, vectors);
+    console.log(`[Redline] ${name}: ${itemsBefore.length} → ${itemsAfter.length} items`, counts);
+
+    const changes = formatChangesForPrompt(items);
+    let summary = '*No material changes: every item is unchanged or only updates dates and figures.*';
+    if (changes) {
+      const content = await chatCompletion(apiKey, {
+        task: 'sections',
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT_SECTIONS },
+          {
+            role: 'user',
+            content: `Summarize how the **${label}** section of ${newer.companyName}'s ${newer.period || newer.documentName} filing changed from the ${older.period || older.documentName} filing.
+
+**Changed items (added, removed, and reworded with the share of wording kept):**
+
+${changes}
+
+---
+
+Write the summary under these headings, most important change first within each:
+${REDLINE_FOCUS[name] || '- **Material Changes** — what was added, removed or materially reworded'}
+
+Skip changes that only update dates or figures, and do not describe changes that are not listed above.`,
+          },
+        ],
+        max_tokens: config.filingDiff.maxTokens,
+        temperature: config.filingDiff.temperature,
+      });
+      summary = content || '*Summary not available.*';
+    }
+
+    sections.push({ name, label, found: { before: true, after: true }, items, counts, summary });
+  }
+
+  return { sections };
+}
+
+/* ================================================================== */
+/*  Management tone (model read)                                        */
+/* ================================================================== */
+
+const TONE_LABELS = ['positive', 'neutral', 'negative'];
+
+/**
+ * The model's read of management's tone, as a second opinion on the
+ * lexicon scores (see sentiment.js): word counts miss hedged optimism,
+ * sarcasm and "despite" sentences.
+ *
+ * @param {Document[]} chunks  The document's chunks
+ * @param {string} companyName
+ * @param {string} apiKey
+ * @returns {Promise<{ score: number, label: string, confidence: number|null, rationale: string, excerpts: number }|null>}
+ *   null when the model's answer could not be read
+ */
+async function assessManagementTone(chunks, companyName, apiKey) {
+  const excerpts = toneExcerpts(chunks, config.sentiment.llmExcerpts);
+  if (excerpts.length === 0) return null;
+
+  try {
+    const content = await chatCompletion(apiKey, {
+      task: 'sections',
+      messages: [
+        {
+          role: 'system',
+          content: `You are a credit analyst reading management's language for tone. Judge how management sounds — confident, balanced or defensive — not whether the reported results are good.
+
+Respond with ONLY a raw JSON object, no markdown code fences:
+{"score": <-1 (very negative) to 1 (very positive)>, "label": "positive" | "neutral" | "negative", "confidence": <0 to 1>, "rationale": "<two or three sentences, quoting short phrases>"}`,
+        },
+        {
+          role: 'user',
+          content: `Excerpts from ${companyName}:\n\n${excerpts.map((chunk, i) => `[${i + 1}] ${chunk.pageContent}`).join('\n\n')}`,
+        },
+      ],
+      max_tokens: config.sentiment.maxTokens,
+      temperature: config.sentiment.temperature,
+    });
+
+    const match = (content || '').match(/\{[\s\S]*\}/);
+    const parsed = match ? JSON.parse(match[0]) : null;
+    const score = Number(parsed?.score);
+    if (!Number.isFinite(score)) return null;
+
+    const clamped = Math.max(-1, Math.min(1, score));
+    return {
+      score: +clamped.toFixed(2),
+      label: TONE_LABELS.includes(parsed.label) ? parsed.label : clamped >= 0.2 ? 'positive' : clamped <= -0.2 ? 'negative' : 'neutral',
+      confidence: Number.isFinite(Number(parsed.confidence)) ? Number(parsed.confidence) : null,
+      rationale: typeof parsed.rationale === 'string' ? parsed.rationale : '',
+      excerpts: excerpts.length,
+    };
+  } catch (err) {
+    console.log('[Tone] Model read failed:', err.message);
+    return null;
+  }
+}
+
 /* ================================================================== */
 /*  Q&A with query understanding                                        */
 /* ================================================================== */
 
+/**
+ * Retrieve and merge the chunks for every expanded sub-query.
+ *
+ * Metadata hints guide but do not restrict, except speaker hints: "what
+ * did the CFO say" searches only that speaker's turns of a transcript,
+ * falling back to all chunks when the document has none.
+ */
+async function retrieveForQuestion(vectorStore, bm25Index, queryInfo) {
+  const speakerRoles = queryInfo.metadataHints?.speakerRoles;
+
+  const retrieve = async (metadataFilter) => {
+    const seen = new Set();
+    const merged = [];
+    for (const q of queryInfo.expandedQueries) {
+      const docs = await intelligentRetrieval({
+        vectorStore,
+        bm25Index,
+        query: q,
+        // Over-fetch when filtering, since the filter applies after ranking
+        limit: metadataFilter ? config.qa.chunks * 3 : config.qa.chunks,
+        metadataFilter,
+      });
+      for (const doc of docs) {
+        const key = doc.metadata?.id || doc.pageContent.slice(0, 120);
+        if (!seen.has(key)) {
+          seen.add(key);
+          merged.push(doc);
+        }
+      }
+    }
+    return merged;
+  };
+
+  if (speakerRoles) {
+    const bySpeaker = await retrieve({ role: speakerRoles });
+    if (bySpeaker.length > 0) return bySpeaker;
+  }
+  return retrieve(undefined);
+}
+
+/**
+ * Earlier chat turns for the answer prompt. Their citation links are
+ * dropped, since the excerpt numbers belonged to those turns' prompts.
+ */
+function formatConversation(history) {
+  if (history.length === 0) return '';
+  const turns = history
+    .map((turn) => `User: ${turn.question}\nYou: ${stripCitations(turn.answer).slice(0, 800)}`)
+    .join('\n\n');
+  return `**Earlier in this conversation** (context only — take figures from the excerpts below):\n\n${turns}\n\n`;
+}
+
+const MAX_CELL_EXCERPTS = 3;
+
+/**
+ * Cells of the document's CSV/Excel tables that the question names by row
+ * label and column header, as excerpts (see sheetTables.lookupCells).
+ *
+ * @param {object[]} [sheets]
+ * @param {string} question
+ * @returns {Document[]}  best match first
+ */
+function cellExcerpts(sheets, question) {
+  return lookupCells(sheets, question)
+    .slice(0, MAX_CELL_EXCERPTS)
+    .map((hit) => new Document({
+      pageContent: `${hit.rowLabel} — ${hit.column}: ${formatCell(hit.value)} (sheet "${hit.sheet}", cell ${hit.address})`,
+      metadata: {
+        id: `cell_${hit.sheetIndex}_${hit.address}`,
+        sectionName: 'sheet',
+        sectionLabel: `Sheet: ${hit.sheet}, cell ${hit.address}`,
+        pageStart: null,
+        pageEnd: null,
+        contentType: 'cell',
+        sheet: hit.sheet,
+        cell: hit.address,
+        rowRange: [hit.row, hit.row],
+        lookup: hit,
+      },
+    }));
+}
+
+/**
+ * Answer a factual question straight from the table when exactly one cell
+ * matches it best. Returns the answer with raw [n] markers, or null.
+ */
+function directCellAnswer(cells, queryInfo) {
+  if (queryInfo.queryType !== 'factual' || cells.length === 0) return null;
+  if (cells.length > 1 && cells[1].metadata.lookup.score === cells[0].metadata.lookup.score) return null;
+
+  const { rowLabel, column, sheet, address, value } = cells[0].metadata.lookup;
+  return `In the **${sheet}** sheet, cell ${address} (${rowLabel} / ${column}) is **${formatCell(value)}** [1].`;
+}
+
 /**
  * Answer a question with full query understanding pipeline.
  *
@@ -1417,44 +1955,53 @@ Now write your comparative analysis for the section above. Use markdown formatti
  * 2. For each sub-query: hybrid retrieval
  * 3. Merge and deduplicate results
  * 4. Rerank
- * 5. Generate answer
+ * 5. Generate answer (citations resolved to chunk ids)
+ * 6. Verify the answer's figures
+ *
+ * For CSV/Excel documents, cells the question names by row and column are
+ * looked up in the typed tables first. A factual question with one best
+ * matching cell is answered from that cell without retrieval; otherwise
+ * the matched cells lead the excerpts.
+ *
+ * In a chat session, `options.history` holds the earlier turns. A
+ * follow-up is rewritten into a standalone question before step 1, and
+ * the last `config.qa.historyTurns` turns are shown in the answer prompt.
+ *
+ * @param {object} [options]
+ * @param {string} [options.fullText]  Cleaned document text, for figure verification
+ * @param {object[]} [options.sheets]  Typed CSV/Excel sheets, for exact cell lookup
+ * @param {{ question: string, answer: string }[]} [options.history]  Earlier chat turns, oldest first
+ * @returns {Promise<{ answer: string, sources: object[], verification: object, standaloneQuestion: string }>}
  */
-async function answerQuestion(vectorStore, question, companyName, apiKey, bm25Index) {
+async function answerQuestion(vectorStore, question, companyName, apiKey, bm25Index, options = {}) {
   console.log(`[Q&A] Processing question: "${question}"`);
 
+  const history = (options.history || []).slice(-config.qa.historyTurns);
+  const standaloneQuestion = await rewriteFollowUp(question, history, apiKey);
+  if (standaloneQuestion !== question) console.log(`[Q&A] Follow-up rewritten as: "${standaloneQuestion}"`);
+
   // Step 1: Process query
-  const queryInfo = await processQuery(question, apiKey);
+  const queryInfo = await processQuery(standaloneQuestion, apiKey);
   console.log(`[Q&A] Query type: ${queryInfo.queryType}, sub-queries: ${queryInfo.subQueries.length}`);
 
-  // Step 2: Retrieve for each expanded sub-query
-  const seen = new Set();
-  const allDocs = [];
-
-  for (const q of queryInfo.expandedQueries) {
-    const docs = await intelligentRetrieval({
-      vectorStore,
-      bm25Index,
-      query: q,
-      limit: config.qa.chunks,
-      metadataFilter: undefined, // Let metadata hints guide but not restrict
-    });
-
-    for (const doc of docs) {
-      const key = doc.metadata?.id || doc.pageContent.slice(0, 120);
-      if (!seen.has(key)) {
-        seen.add(key);
-        allDocs.push(doc);
-      }
-    }
+  const cells = cellExcerpts(options.sheets, standaloneQuestion);
+  const direct = directCellAnswer(cells, queryInfo);
+  if (direct) {
+    console.log(`[Q&A] Answered from cell ${cells[0].metadata.sectionLabel}`);
+    const { content: answer, sources } = resolveCitations(direct, cells);
+    return { answer, sources, verification: verifyFigures(answer, { chunks: cells }), standaloneQuestion };
   }
 
+  // Step 2: Retrieve for each expanded sub-query
+  const allDocs = await retrieveForQuestion(vectorStore, bm25Index, queryInfo);
+
   // Step 3: Rerank
-  const rerankedDocs = await rerankChunks(
+  const rerankedDocs = [...cells, ...await rerankChunks(
     allDocs,
-    question,
+    standaloneQuestion,
     apiKey,
     config.qa.chunks
-  );
+  )];
 
   console.log(`[Q&A] Retrieved ${rerankedDocs.length} relevant chunks`);
 
@@ -1474,7 +2021,7 @@ async function answerQuestion(vectorStore, question, companyName, apiKey, bm25In
 
   const answerPrompt = `You are a financial analyst answering a question about **${companyName}** based on their financial document.
 
-**Question:** ${question}
+${formatConversation(history)}**Question:** ${standaloneQuestion}
 
 **Relevant excerpts from the financial document:**
 
@@ -1486,9 +2033,11 @@ Instructions:
 - Provide a clear, well-structured answer using markdown (**bold** for key data, bullet points where helpful).
 - Be specific with numbers, dates, and names when the document provides them.${contextNote}
 - If the information is not available in the document, clearly state: *"This information is not available in the provided document."*
-- Keep the answer concise (3-5 sentences for simple questions, more for complex ones).`;
+- Keep the answer concise (3-5 sentences for simple questions, more for complex ones).
+${CITATION_INSTRUCTIONS}`;
 
-  const content = await openaiChatCompletion(apiKey, {
+  const content = await chatCompletion(apiKey, {
+    task: 'qa',
     messages: [
       {
         role: 'system',
@@ -1501,7 +2050,159 @@ Instructions:
     temperature: config.qa.temperature,
   });
 
-  return content || 'Unable to provide answer based on available information.';
+  if (!content) {
+    return {
+      answer: 'Unable to provide answer based on available information.',
+      sources: [],
+      verification: verifyFigures('', {}),
+      standaloneQuestion,
+    };
+  }
+
+  const { content: answer, sources } = resolveCitations(content, rerankedDocs);
+  const verification = verifyFigures(answer, { chunks: rerankedDocs, fullText: options.fullText });
+  return { answer, sources, verification, standaloneQuestion };
+}
+
+/* ================================================================== */
+/*  Library Q&A (across documents)                                      */
+/* ================================================================== */
+
+/**
+ * Copy of a retrieved chunk tagged with the document it came from. Chunk
+ * ids are only unique within one document, so the copy gets a prefixed id.
+ */
+function tagLibraryChunk(doc, entry, ordinal) {
+  const meta = doc.metadata || {};
+  return new Document({
+    pageContent: doc.pageContent,
+    metadata: {
+      ...meta,
+      id: `d${ordinal}-${meta.id}`,
+      chunkId: meta.id,
+      documentId: entry.id,
+      documentName: entry.documentName,
+      companyName: entry.companyName,
+    },
+  });
+}
+
+/**
+ * Run every query against every document's indices, then fuse all the
+ * per-document result lists with Reciprocal Rank Fusion. Documents are
+ * loaded one at a time, so large libraries are never hydrated at once.
+ *
+ * @param {{ id: string, companyName: string, documentName: string,
+ *   load: () => Promise<{ vectorStore: MemoryVectorStore, bm25Index: BM25Index } | null> }[]} entries
+ * @param {string[]} queries
+ * @returns {Promise<Document[]>}
+ */
+async function libraryRetrieval(entries, queries) {
+  const resultSets = [];
+
+  for (const [i, entry] of entries.entries()) {
+    const indices = await entry.load();
+    if (!indices) continue;
+
+    for (const query of queries) {
+      const docs = await intelligentRetrieval({
+        vectorStore: indices.vectorStore,
+        bm25Index: indices.bm25Index,
+        query,
+        limit: config.qa.library.chunksPerDocument,
+      });
+      resultSets.push(docs.map((doc) => ({ document: tagLibraryChunk(doc, entry, i + 1) })));
+    }
+  }
+
+  return reciprocalRankFusion(resultSets, config.hybridSearch.rrfK);
+}
+
+/**
+ * Answer a question over several analyzed documents. Each excerpt is
+ * labelled with its company and document, and the answer attributes
+ * every point to them.
+ *
+ * @param {object[]} entries  See libraryRetrieval
+ * @param {string} question
+ * @param {string} apiKey
+ * @param {object} [options]
+ * @param {(chunk: string) => void} [options.onChunk]  Stream the answer (raw [n] markers)
+ * @returns {Promise<{ answer: string, sources: object[], verification: object }>}
+ */
+async function answerLibraryQuestion(entries, question, apiKey, options = {}) {
+  console.log(`[Library Q&A] "${question}" across ${entries.length} document(s)`);
+
+  const queryInfo = await processQuery(question, apiKey);
+  const fused = await libraryRetrieval(entries, queryInfo.expandedQueries);
+  const rerankedDocs = await rerankChunks(
+    fused.slice(0, config.qa.library.candidates),
+    question,
+    apiKey,
+    config.qa.library.chunks
+  );
+
+  console.log(`[Library Q&A] ${fused.length} fused chunks, ${rerankedDocs.length} after reranking`);
+
+  if (rerankedDocs.length === 0) {
+    const answer = '*None of the selected documents contain information relevant to this question.*';
+    options.onChunk?.(answer);
+    return { answer, sources: [], verification: verifyFigures('', {}) };
+  }
+
+  const excerpts = rerankedDocs.map((doc, i) => {
+    const meta = doc.metadata;
+    const sectionInfo = meta.sectionLabel ? `, ${meta.sectionLabel}` : '';
+    return `[Excerpt ${i + 1} — ${meta.companyName}, ${meta.documentName}${sectionInfo}]\n${doc.pageContent}`;
+  });
+  const companies = [...new Set(entries.map((e) => e.companyName))];
+
+  const answerPrompt = `You are a financial analyst answering a question across a library of financial documents covering: ${companies.join(', ')}.
+
+**Question:** ${question}
+
+**Relevant excerpts (each labelled with its company and document):**
+
+${excerpts.join('\n\n')}
+
+---
+
+Instructions:
+- Attribute every point to the company and document it comes from, e.g. "**${companies[0]}** (${entries[0].documentName}) …". Never merge facts from different companies into one statement.
+- When several companies are relevant, group the answer by company (one bullet or short paragraph each).
+- Be specific with numbers, dates, and names when the excerpts provide them.
+- Only state that a company does *not* mention something if it is clear from the excerpts; otherwise say no relevant excerpt was found for it.
+- If none of the excerpts address the question, clearly state: *"This information is not available in the selected documents."*
+${CITATION_INSTRUCTIONS}`;
+
+  const request = {
+    task: 'qa',
+    messages: [
+      {
+        role: 'system',
+        content:
+          'You are a professional financial analyst. Provide accurate, concise answers based strictly on the provided excerpts, always naming the company each fact belongs to. Use markdown formatting for clarity.',
+      },
+      { role: 'user', content: answerPrompt },
+    ],
+    max_tokens: config.qa.library.maxTokens,
+    temperature: config.qa.temperature,
+  };
+  const content = options.onChunk
+    ? await chatCompletionStream(apiKey, request, options.onChunk)
+    : await chatCompletion(apiKey, request);
+
+  if (!content) {
+    return {
+      answer: 'Unable to provide answer based on available information.',
+      sources: [],
+      verification: verifyFigures('', {}),
+    };
+  }
+
+  const { content: answer, sources } = resolveCitations(content, rerankedDocs);
+  const verification = verifyFigures(answer, { chunks: rerankedDocs });
+  return { answer, sources, verification };
 }
 
 /* ================================================================== */
@@ -1515,12 +2216,13 @@ module.exports = {
   generateReportSectionsStreaming,
   answerQuestion,
   answerQuestionStream,
+  answerLibraryQuestion,
+  assessManagementTone,
 
   // Comparison
   generateComparisonSections,
-
-  // Streaming
-  openaiChatCompletionStream,
+  generateTimelineSections,
+  generateFilingDiff,
 
   // Retrieval
   queryRelevantChunks,
@@ -1535,6 +2237,7 @@ module.exports = {
   classifyContentType,
 
   // Index creation
+  createEmbeddings,
   createVectorStore,
   createSearchIndices,
 };
@@ -0,0 +1,535 @@
+/**
+ * Persistent analysis store.
+ *
+ * Everything Q&A needs for an analyzed document — chunks, embedding
+ * vectors, BM25 statistics, classification and the generated sections —
+ * is written to local disk, so a backend restart doesn't lose sessions.
+ * Records are hydrated lazily on first use and kept in a bounded
+ * in-memory cache (LRU + idle TTL).
+ *
+ * Because the raw embedding vectors are stored, restoring a document
+ * costs zero embedding calls.
+ *
+ * On-disk layout (one directory per document):
+ *   meta.json    – company, classification, format, fiscal period, sections and their template, cited sources, figure checks, timestamps
+ *   chunks.json  – chunk text + metadata, in index order
+ *   vectors.bin  – Float32 embeddings, chunkCount × dimensions
+ *   bm25.json    – BM25 statistics (see BM25Index.toJSON)
+ *   text.txt     – cleaned document text
+ *   financials.json – extracted financial statements (see financialStatements.js)
+ *   sheets.json  – typed CSV/Excel tables, for exact cell lookup (see sheetTables.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryVectorStore } = require('langchain/vectorstores/memory');
+const { Document } = require('langchain/document');
+const config = require('./config');
+const { BM25Index } = require('./hybridSearch');
+const { createEmbeddings } = require('./llmProvider');
+const { documentPeriod } = require('./companyTimeline');
+
+/* ------------------------------------------------------------------ */
+/*  Storage backends                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Stores each record as a directory of JSON files plus a binary vector file.
+ */
+class FileStorageBackend {
+  /**
+   * @param {string} dir  Root directory for all records
+   */
+  constructor(dir) {
+    this.dir = dir;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  _recordDir(id) {
+    return path.join(this.dir, encodeURIComponent(id));
+  }
+
+  async write(id, { meta, chunks, vectors, bm25, text, financials, sheets }) {
+    const recordDir = this._recordDir(id);
+    await fs.promises.mkdir(recordDir, { recursive: true });
+
+    await Promise.all([
+      fs.promises.writeFile(path.join(recordDir, 'chunks.json'), JSON.stringify(chunks)),
+      fs.promises.writeFile(path.join(recordDir, 'vectors.bin'), encodeVectors(vectors)),
+      fs.promises.writeFile(path.join(recordDir, 'bm25.json'), JSON.stringify(bm25)),
+      text != null
+        ? fs.promises.writeFile(path.join(recordDir, 'text.txt'), text)
+        : Promise.resolve(),
+      financials != null
+        ? fs.promises.writeFile(path.join(recordDir, 'financials.json'), JSON.stringify(financials))
+        : Promise.resolve(),
+      sheets != null
+        ? fs.promises.writeFile(path.join(recordDir, 'sheets.json'), JSON.stringify(sheets))
+        : Promise.resolve(),
+    ]);
+
+    // meta.json is written last: its presence marks the record as complete
+    await fs.promises.writeFile(path.join(recordDir, 'meta.json'), JSON.stringify(meta, null, 2));
+  }
+
+  async read(id) {
+    const meta = await this.readMeta(id);
+    if (!meta) return null;
+
+    const recordDir = this._recordDir(id);
+    const [chunks, vectorBuffer, bm25] = await Promise.all([
+      fs.promises.readFile(path.join(recordDir, 'chunks.json'), 'utf-8').then(JSON.parse),
+      fs.promises.readFile(path.join(recordDir, 'vectors.bin')),
+      fs.promises.readFile(path.join(recordDir, 'bm25.json'), 'utf-8').then(JSON.parse),
+    ]);
+
+    return {
+      meta,
+      chunks,
+      vectors: decodeVectors(vectorBuffer, meta.dimensions),
+      bm25,
+    };
+  }
+
+  async readMeta(id) {
+    try {
+      const raw = await fs.promises.readFile(path.join(this._recordDir(id), 'meta.json'), 'utf-8');
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+
+  async writeMeta(id, meta) {
+    await fs.promises.writeFile(
+      path.join(this._recordDir(id), 'meta.json'),
+      JSON.stringify(meta, null, 2)
+    );
+  }
+
+  async readText(id) {
+    try {
+      return await fs.promises.readFile(path.join(this._recordDir(id), 'text.txt'), 'utf-8');
+    } catch {
+      return null;
+    }
+  }
+
+  async readFinancials(id) {
+    try {
+      const raw = await fs.promises.readFile(path.join(this._recordDir(id), 'financials.json'), 'utf-8');
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+
+  async writeFinancials(id, financials) {
+    await fs.promises.writeFile(
+      path.join(this._recordDir(id), 'financials.json'),
+      JSON.stringify(financials)
+    );
+  }
+
+  async readSheets(id) {
+    try {
+      const raw = await fs.promises.readFile(path.join(this._recordDir(id), 'sheets.json'), 'utf-8');
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+
+  async remove(id) {
+    await fs.promises.rm(this._recordDir(id), { recursive: true, force: true });
+  }
+
+  async listMeta() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.dir);
+    } catch {
+      return [];
+    }
+    const metas = await Promise.all(entries.map((entry) => this.readMeta(decodeURIComponent(entry))));
+    return metas.filter(Boolean);
+  }
+}
+
+/**
+ * Keeps serialized records in process memory. Useful for serverless
+ * environments without a writable disk and for local experiments.
+ */
+class MemoryStorageBackend {
+  constructor() {
+    /** @type {Map<string, object>} */
+    this.records = new Map();
+  }
+
+  async write(id, record) {
+    this.records.set(id, record);
+  }
+
+  async read(id) {
+    return this.records.get(id) || null;
+  }
+
+  async readMeta(id) {
+    return this.records.get(id)?.meta || null;
+  }
+
+  async writeMeta(id, meta) {
+    const record = this.records.get(id);
+    if (record) record.meta = meta;
+  }
+
+  async readText(id) {
+    return this.records.get(id)?.text ?? null;
+  }
+
+  async readFinancials(id) {
+    return this.records.get(id)?.financials ?? null;
+  }
+
+  async writeFinancials(id, financials) {
+    const record = this.records.get(id);
+    if (record) record.financials = financials;
+  }
+
+  async readSheets(id) {
+    return this.records.get(id)?.sheets ?? null;
+  }
+
+  async remove(id) {
+    this.records.delete(id);
+  }
+
+  async listMeta() {
+    return [...this.records.values()].map((r) => r.meta);
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Vector encoding                                                     */
+/* ------------------------------------------------------------------ */
+
+function encodeVectors(vectors) {
+  const dimensions = vectors[0]?.length || 0;
+  const flat = new Float32Array(vectors.length * dimensions);
+  vectors.forEach((vec, i) => flat.set(vec, i * dimensions));
+  return Buffer.from(flat.buffer);
+}
+
+function decodeVectors(buffer, dimensions) {
+  if (!dimensions) return [];
+  // Copy into an aligned buffer — Node's pooled Buffers may not be 4-byte aligned
+  const flat = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  const vectors = [];
+  for (let offset = 0; offset < flat.length; offset += dimensions) {
+    vectors.push(Array.from(flat.subarray(offset, offset + dimensions)));
+  }
+  return vectors;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Analysis store                                                      */
+/* ------------------------------------------------------------------ */
+
+/** Meta fields dating a document: `period` is null when no statement has one */
+function periodFields(financials) {
+  const dated = documentPeriod(financials);
+  return { period: dated?.period || null, fiscalYear: dated?.fiscalYear ?? null };
+}
+
+class AnalysisStore {
+  /**
+   * @param {object} options
+   * @param {FileStorageBackend|MemoryStorageBackend} options.backend
+   * @param {number} [options.maxCachedDocuments=20]  LRU capacity for hydrated indices
+   * @param {number} [options.ttlMs=3600000]  Idle time before hydrated indices are dropped
+   */
+  constructor({ backend, maxCachedDocuments = 20, ttlMs = 60 * 60 * 1000 }) {
+    this.backend = backend;
+    this.maxCachedDocuments = maxCachedDocuments;
+    this.ttlMs = ttlMs;
+
+    /** @type {Map<string, { vectorStore: MemoryVectorStore, bm25Index: BM25Index, meta: object, lastAccess: number }>} */
+    this.cache = new Map();
+  }
+
+  /**
+   * Persist a freshly analyzed document and keep its indices hot.
+   *
+   * @param {string} id
+   * @param {object} analysis
+   * @param {MemoryVectorStore} analysis.vectorStore
+   * @param {BM25Index} analysis.bm25Index
+   * @param {object} [analysis.sections]
+   * @param {object} [analysis.template]  Layout of the template the sections follow (see reportTemplates.js)
+   * @param {object[]} [analysis.sources]  Chunks cited by the sections (see citations.js)
+   * @param {object} [analysis.verification]  Per-section figure checks (see figureVerifier.js)
+   * @param {object} [analysis.financials]  extractFinancialStatements result
+   * @param {string} [analysis.companyName]
+   * @param {object} [analysis.documentType]  classifyDocument result
+   * @param {string} [analysis.format]  processDocument format
+   * @param {string} [analysis.cleanedText]
+   * @param {object[]} [analysis.sheets]  processDocument sheets (CSV/Excel)
+   * @returns {Promise<object>} stored metadata
+   */
+  async save(id, { vectorStore, bm25Index, sections = {}, template = null, sources = [], verification = {}, financials, companyName, documentType, format, cleanedText, sheets }) {
+    const memoryVectors = vectorStore.memoryVectors;
+    const now = new Date().toISOString();
+    const previous = await this.backend.readMeta(id);
+
+    const meta = {
+      id,
+      companyName: companyName || null,
+      documentType: documentType
+        ? { type: documentType.type, label: documentType.label, confidence: documentType.confidence }
+        : null,
+      format: format || null,
+      // Dated here so listing companies and timelines never reads financials.json
+      ...(financials != null ? periodFields(financials) : {}),
+      chunkCount: memoryVectors.length,
+      dimensions: memoryVectors[0]?.embedding.length || 0,
+      sections,
+      template,
+      sources,
+      verification,
+      createdAt: previous?.createdAt || now,
+      updatedAt: now,
+    };
+
+    await this.backend.write(id, {
+      meta,
+      chunks: memoryVectors.map((v) => ({ pageContent: v.content, metadata: v.metadata })),
+      vectors: memoryVectors.map((v) => v.embedding),
+      bm25: bm25Index.toJSON(),
+      text: cleanedText,
+      financials,
+      sheets,
+    });
+
+    this._remember(id, { vectorStore, bm25Index, meta });
+    return meta;
+  }
+
+  /**
+   * Return the search indices for a document, hydrating them from storage
+   * if they are not already cached. No embedding calls are made.
+   *
+   * @param {string} id
+   * @param {string} apiKey  Used for query-time embeddings only
+   * @returns {Promise<{ vectorStore: MemoryVectorStore, bm25Index: BM25Index, meta: object } | null>}
+   */
+  async load(id, apiKey) {
+    this._evictExpired();
+
+    const cached = this.cache.get(id);
+    if (cached) {
+      cached.lastAccess = Date.now();
+      // Re-insert to mark as most recently used
+      this.cache.delete(id);
+      this.cache.set(id, cached);
+      return cached;
+    }
+
+    const record = await this.backend.read(id);
+    if (!record) return null;
+
+    const documents = record.chunks.map(
+      (c) => new Document({ pageContent: c.pageContent, metadata: c.metadata })
+    );
+
+    const vectorStore = new MemoryVectorStore(createEmbeddings(apiKey));
+    await vectorStore.addVectors(record.vectors, documents);
+
+    const bm25Index = BM25Index.fromJSON(record.bm25, documents);
+
+    console.log(`[Store] Restored ${id} from storage (${documents.length} chunks)`);
+    return this._remember(id, { vectorStore, bm25Index, meta: record.meta });
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  async getMeta(id) {
+    return this.backend.readMeta(id);
+  }
+
+  /**
+   * Merge fields into a stored record's metadata.
+   *
+   * @param {string} id
+   * @param {object} patch
+   * @returns {Promise<object|null>} updated metadata
+   */
+  async updateMeta(id, patch) {
+    const meta = await this.backend.readMeta(id);
+    if (!meta) return null;
+
+    const updated = { ...meta, ...patch, updatedAt: new Date().toISOString() };
+    await this.backend.writeMeta(id, updated);
+
+    const cached = this.cache.get(id);
+    if (cached) cached.meta = updated;
+    return updated;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<string|null>} cleaned document text
+   */
+  async getText(id) {
+    return this.backend.readText(id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<object[]|null>} typed CSV/Excel sheets, null for other formats
+   */
+  async getSheets(id) {
+    return this.backend.readSheets(id);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Document[]|null>} stored chunks, without their vectors
+   */
+  async getChunks(id) {
+    const record = await this.backend.read(id);
+    if (!record) return null;
+    return record.chunks.map((c) => new Document({ pageContent: c.pageContent, metadata: c.metadata }));
+  }
+
+  /**
+   * Stored financial statements, or — for records analyzed before
+   * extraction existed — statements derived from the stored chunks
+   * with `derive` and written back.
+   *
+   * @param {string} id
+   * @param {(documents: Document[]) => object} [derive]
+   * @returns {Promise<object|null>}
+   */
+  async getFinancials(id, derive) {
+    const stored = await this.backend.readFinancials(id);
+    if (stored || !derive) return stored;
+
+    const record = await this.backend.read(id);
+    if (!record) return null;
+
+    const financials = derive(
+      record.chunks.map((c) => new Document({ pageContent: c.pageContent, metadata: c.metadata }))
+    );
+    await this.backend.writeFinancials(id, financials);
+    return financials;
+  }
+
+  /**
+   * The fiscal period a stored document reports on (see
+   * companyTimeline.documentPeriod). Records saved before it was kept in
+   * meta.json are dated from their financials once and the period written
+   * back, leaving `updatedAt` as it was.
+   *
+   * @param {object} meta  Stored metadata
+   * @param {(documents: Document[]) => object} [derive]  See getFinancials
+   * @returns {Promise<{ period: string|null, fiscalYear: number|null }>}
+   */
+  async getPeriod(meta, derive) {
+    if (meta.period !== undefined) return { period: meta.period, fiscalYear: meta.fiscalYear ?? null };
+
+    const dated = periodFields(await this.getFinancials(meta.id, derive));
+    const updated = { ...meta, ...dated };
+    await this.backend.writeMeta(meta.id, updated);
+    const cached = this.cache.get(meta.id);
+    if (cached) cached.meta = updated;
+    return dated;
+  }
+
+  /**
+   * @returns {Promise<object[]>} metadata for every stored document
+   */
+  async list() {
+    return this.backend.listMeta();
+  }
+
+  /**
+   * @param {string} id
+   */
+  async delete(id) {
+    this.cache.delete(id);
+    await this.backend.remove(id);
+  }
+
+  /**
+   * Snapshot of the in-memory cache for debugging endpoints.
+   */
+  cacheInfo() {
+    return {
+      cachedDocuments: [...this.cache.keys()],
+      maxCachedDocuments: this.maxCachedDocuments,
+      ttlMs: this.ttlMs,
+    };
+  }
+
+  _remember(id, entry) {
+    const value = { ...entry, lastAccess: Date.now() };
+    this.cache.delete(id);
+    this.cache.set(id, value);
+
+    // Map iteration order is insertion order, so the first key is the LRU entry
+    while (this.cache.size > this.maxCachedDocuments) {
+      const oldest = this.cache.keys().next().value;
+      this.cache.delete(oldest);
+    }
+
+    return value;
+  }
+
+  _evictExpired() {
+    if (!this.ttlMs) return;
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, entry] of this.cache) {
+      if (entry.lastAccess < cutoff) this.cache.delete(id);
+    }
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Factory                                                             */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Create an analysis store from config (overridable per call).
+ *
+ * @param {object} [overrides]
+ * @param {'file'|'memory'} [overrides.backend]
+ * @param {string} [overrides.dir]
+ * @returns {AnalysisStore}
+ */
+function createAnalysisStore(overrides = {}) {
+  const storeConfig = { ...config.analysisStore, ...overrides };
+
+  const backend =
+    storeConfig.backend === 'memory'
+      ? new MemoryStorageBackend()
+      : new FileStorageBackend(storeConfig.dir);
+
+  return new AnalysisStore({
+    backend,
+    maxCachedDocuments: storeConfig.maxCachedDocuments,
+    ttlMs: storeConfig.ttlMinutes * 60 * 1000,
+  });
+}
+
+/* ------------------------------------------------------------------ */
+/*  Exports                                                            */
+/* ------------------------------------------------------------------ */
+
+module.exports = {
+  createAnalysisStore,
+  AnalysisStore,
+  FileStorageBackend,
+  MemoryStorageBackend,
+};
@@ -0,0 +1,225 @@
+/**
+ * Static chart rendering for report exports.
+ *
+ * Section markdown may end with a ~~~chartdata block (see CHART_INSTRUCTIONS
+ * in aiProcessor.js). The web app draws those with recharts; exports need
+ * them as static images. A chart is laid out once as a list of shapes:
+ *
+ *   { type: 'rect', x, y, width, height, fill }
+ *   { type: 'path', d, fill, stroke, strokeWidth }     // SVG path data
+ *   { type: 'line', x1, y1, x2, y2, stroke }
+ *   { type: 'circle', cx, cy, r, fill }
+ *   { type: 'text', x, y, text, size, fill, anchor }   // y is the baseline
+ *
+ * which chartToSvg serializes and the PDF export draws directly.
+ */
+
+const PALETTE = ['#171717', '#6b7280', '#9ca3af', '#d4d4d4', '#e5e7eb'];
+const AXIS_COLOR = '#e5e7eb';
+const GRID_COLOR = '#f3f4f6';
+const LABEL_COLOR = '#6b7280';
+const TITLE_COLOR = '#171717';
+
+const WIDTH = 560;
+const HEIGHT = 260;
+const PLOT = { top: 40, right: 16, bottom: 44, left: 64 };
+
+/* ------------------------------------------------------------------ */
+/*  Chart data                                                          */
+/* ------------------------------------------------------------------ */
+
+const CHARTDATA_REGEX = /~~~chartdata\s*([\s\S]*?)~~~/;
+
+/**
+ * Split section content into its markdown and its chart specs. Malformed
+ * chart blocks are dropped, as the web app does.
+ *
+ * @param {string} content
+ * @returns {{ markdown: string, charts: { type: string, title: string, data: { name: string, value: number }[], unit?: string }[] }}
+ */
+function extractCharts(content) {
+  const match = (content || '').match(CHARTDATA_REGEX);
+  if (!match) return { markdown: content || '', charts: [] };
+
+  const markdown = content.replace(CHARTDATA_REGEX, '').trim();
+  try {
+    const parsed = JSON.parse(match[1].trim());
+    const charts = (parsed.charts || [])
+      .filter((c) => c && ['bar', 'pie', 'line'].includes(c.type) && c.title && Array.isArray(c.data))
+      .map((c) => ({ ...c, data: c.data.filter((p) => p && typeof p.value === 'number' && Number.isFinite(p.value)) }))
+      .filter((c) => c.data.length > 0);
+    return { markdown, charts };
+  } catch {
+    return { markdown, charts: [] };
+  }
+}
+
+/** Same formatting as the web app's chart labels: "$12.5B", "41%". */
+function formatChartValue(value, unit) {
+  const rounded = Number.isInteger(value) ? String(value) : String(Number(value.toFixed(2)));
+  if (!unit) return rounded;
+  if (/^[$€£]/.test(unit)) return `${unit[0]}${rounded}${unit.slice(1)}`;
+  return `${rounded}${unit}`;
+}
+
+function truncate(text, max) {
+  const s = String(text ?? '');
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Layout                                                              */
+/* ------------------------------------------------------------------ */
+
+/** Round axis bounds out to 1, 2 or 5 × 10^n steps. */
+function niceScale(min, max, ticks = 4) {
+  const lo = Math.min(0, min);
+  const hi = Math.max(0, max);
+  const span = hi - lo || Math.abs(hi) || 1;
+  const rough = span / ticks;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map((m) => m * magnitude).find((s) => s >= rough);
+  return { min: Math.floor(lo / step) * step, max: Math.ceil(hi / step) * step, step };
+}
+
+function axes(spec, shapes) {
+  const values = spec.data.map((p) => p.value);
+  const scale = niceScale(Math.min(...values), Math.max(...values));
+  const plotHeight = HEIGHT - PLOT.top - PLOT.bottom;
+  const y = (value) => PLOT.top + plotHeight * (1 - (value - scale.min) / (scale.max - scale.min));
+
+  for (let tick = scale.min; tick <= scale.max + scale.step / 2; tick += scale.step) {
+    const ty = y(tick);
+    shapes.push({ type: 'line', x1: PLOT.left, y1: ty, x2: WIDTH - PLOT.right, y2: ty, stroke: GRID_COLOR });
+    shapes.push({
+      type: 'text', x: PLOT.left - 8, y: ty + 4, text: formatChartValue(Number(tick.toPrecision(12)), spec.unit),
+      size: 10, fill: LABEL_COLOR, anchor: 'end',
+    });
+  }
+  shapes.push({ type: 'line', x1: PLOT.left, y1: y(0), x2: WIDTH - PLOT.right, y2: y(0), stroke: AXIS_COLOR });
+
+  const band = (WIDTH - PLOT.left - PLOT.right) / spec.data.length;
+  const maxLabel = Math.max(4, Math.floor(band / 6));
+  spec.data.forEach((point, i) => {
+    shapes.push({
+      type: 'text', x: PLOT.left + band * (i + 0.5), y: HEIGHT - PLOT.bottom + 16, text: truncate(point.name, maxLabel),
+      size: 10, fill: LABEL_COLOR, anchor: 'middle',
+    });
+  });
+
+  return { y, band };
+}
+
+function barShapes(spec, shapes) {
+  const { y, band } = axes(spec, shapes);
+  const width = Math.min(48, band * 0.6);
+  spec.data.forEach((point, i) => {
+    const top = Math.min(y(point.value), y(0));
+    shapes.push({
+      type: 'rect', x: PLOT.left + band * (i + 0.5) - width / 2, y: top, width, height: Math.abs(y(point.value) - y(0)),
+      fill: PALETTE[i % PALETTE.length],
+    });
+  });
+}
+
+function lineShapes(spec, shapes) {
+  const { y, band } = axes(spec, shapes);
+  const points = spec.data.map((point, i) => [PLOT.left + band * (i + 0.5), y(point.value)]);
+  shapes.push({
+    type: 'path', d: points.map(([px, py], i) => `${i === 0 ? 'M' : 'L'}${px.toFixed(1)},${py.toFixed(1)}`).join(' '),
+    fill: 'none', stroke: PALETTE[0], strokeWidth: 2,
+  });
+  for (const [cx, cy] of points) shapes.push({ type: 'circle', cx, cy, r: 3, fill: PALETTE[0] });
+}
+
+function pieShapes(spec, shapes) {
+  const slices = spec.data.filter((p) => p.value > 0);
+  const total = slices.reduce((sum, p) => sum + p.value, 0);
+  const cx = 150;
+  const cy = PLOT.top + (HEIGHT - PLOT.top) / 2 - 6;
+  const outer = 90;
+  const inner = 48;
+
+  let angle = -Math.PI / 2;
+  slices.forEach((point, i) => {
+    const sweep = (point.value / total) * Math.PI * 2;
+    const end = angle + Math.min(sweep, Math.PI * 2 - 1e-4);
+    const large = sweep > Math.PI ? 1 : 0;
+    const at = (r, a) => `${(cx + r * Math.cos(a)).toFixed(2)},${(cy + r * Math.sin(a)).toFixed(2)}`;
+    shapes.push({
+      type: 'path',
+      d: `M${at(outer, angle)} A${outer},${outer} 0 ${large} 1 ${at(outer, end)} L${at(inner, end)} A${inner},${inner} 0 ${large} 0 ${at(inner, angle)} Z`,
+      fill: PALETTE[i % PALETTE.length], stroke: '#ffffff', strokeWidth: 1,
+    });
+    angle += sweep;
+  });
+
+  // Legend
+  slices.forEach((point, i) => {
+    const ly = PLOT.top + 10 + i * 20;
+    shapes.push({ type: 'rect', x: 290, y: ly - 9, width: 10, height: 10, fill: PALETTE[i % PALETTE.length] });
+    shapes.push({
+      type: 'text', x: 308, y: ly, text: `${truncate(point.name, 28)} — ${formatChartValue(point.value, spec.unit)}`,
+      size: 10, fill: LABEL_COLOR, anchor: 'start',
+    });
+  });
+}
+
+/**
+ * Lay out one chart spec.
+ * @returns {{ width: number, height: number, shapes: object[] }}
+ */
+function layoutChart(spec) {
+  const shapes = [{ type: 'text', x: 0, y: 16, text: spec.title, size: 12, fill: TITLE_COLOR, anchor: 'start' }];
+  if (spec.type === 'pie') pieShapes(spec, shapes);
+  else if (spec.type === 'line') lineShapes(spec, shapes);
+  else barShapes(spec, shapes);
+  return { width: WIDTH, height: HEIGHT, shapes };
+}
+
+/* ------------------------------------------------------------------ */
+/*  SVG                                                                 */
+/* ------------------------------------------------------------------ */
+
+function escapeXml(text) {
+  return String(text).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+function shapeToSvg(shape) {
+  const n = (v) => Number(v.toFixed(2));
+  switch (shape.type) {
+    case 'rect':
+      return `<rect x="${n(shape.x)}" y="${n(shape.y)}" width="${n(shape.width)}" height="${n(shape.height)}" fill="${shape.fill}"/>`;
+    case 'path':
+      return `<path d="${shape.d}" fill="${shape.fill}"${shape.stroke ? ` stroke="${shape.stroke}" stroke-width="${shape.strokeWidth || 1}"` : ''}/>`;
+    case 'line':
+      return `<line x1="${n(shape.x1)}" y1="${n(shape.y1)}" x2="${n(shape.x2)}" y2="${n(shape.y2)}" stroke="${shape.stroke}"/>`;
+    case 'circle':
+      return `<circle cx="${n(shape.cx)}" cy="${n(shape.cy)}" r="${shape.r}" fill="${shape.fill}"/>`;
+    case 'text':
+      return `<text x="${n(shape.x)}" y="${n(shape.y)}" font-size="${shape.size}" fill="${shape.fill}" text-anchor="${shape.anchor}">${escapeXml(shape.text)}</text>`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * A standalone SVG document for one chart spec.
+ * @returns {string}
+ */
+function chartToSvg(spec) {
+  const { width, height, shapes } = layoutChart(spec);
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...shapes.map(shapeToSvg),
+    '</svg>',
+  ].join('\n');
+}
+
+module.exports = {
+  extractCharts,
+  layoutChart,
+  chartToSvg,
+  formatChartValue,
+};
@@ -0,0 +1,139 @@
+/**
+ * Citation handling for generated sections and Q&A answers.
+ *
+ * Prompts number their excerpts ([Excerpt 1], [Excerpt 2], …) and ask the
+ * model to cite them as [1], [2]. After generation the numeric markers are
+ * rewritten to markdown links that carry the chunk id:
+ *
+ *   Revenue grew 12% [2].   →   Revenue grew 12% [2](#cite-chunk_41).
+ *
+ * Because the chunk id lives in the text itself, the `sources` for any
+ * stored section can be rebuilt later from its content and the chunk list.
+ */
+
+const CITE_PREFIX = '#cite-';
+
+/** Prompt rule appended to section and Q&A instructions. */
+const CITATION_INSTRUCTIONS =
+  '- Cite the excerpt behind every figure and factual claim by its number in square brackets, e.g. "[2]" or "[1][3]", placed right after the claim. Only cite excerpt numbers listed above.';
+
+/**
+ * Matches [1], [1, 3], [1][2] and [Excerpt 1] style markers. Markdown
+ * links / images and already-rewritten markers are skipped.
+ */
+const MARKER_REGEX = /(?<!!)\[(?:Excerpt\s+)?(\d+(?:\s*,\s*\d+)*)\](?![(:])/gi;
+
+/** Chart specs are JSON and must not be touched by marker rewriting. */
+const CHARTDATA_REGEX = /(~~~chartdata[\s\S]*?~~~)/;
+
+/**
+ * Public view of a chunk for the `sources` array.
+ *
+ * @param {import('langchain/document').Document} doc
+ */
+function toSource(doc) {
+  const meta = doc.metadata || {};
+  return {
+    id: meta.id,
+    text: doc.pageContent,
+    sectionLabel: meta.sectionLabel || null,
+    position: meta.position ?? null,
+    page: meta.pageStart ?? null,
+    pageEnd: meta.pageEnd ?? null,
+    // Spreadsheet rows and cells name their sheet
+    ...(meta.sheet && {
+      sheet: meta.sheet,
+      rowRange: meta.rowRange || null,
+      ...(meta.cell && { cell: meta.cell }),
+    }),
+    // Library Q&A excerpts also name their document
+    ...(meta.documentId && {
+      documentId: meta.documentId,
+      documentName: meta.documentName || null,
+      companyName: meta.companyName || null,
+    }),
+  };
+}
+
+/**
+ * Rewrite numeric markers in model output to chunk-id links.
+ *
+ * @param {string} content  Model output citing excerpts by number (1-based)
+ * @param {import('langchain/document').Document[]} excerpts  The excerpts, in prompt order
+ * @returns {{ content: string, sources: object[] }}  Only excerpts that were actually cited
+ */
+function resolveCitations(content, excerpts) {
+  if (!content) return { content, sources: [] };
+
+  const cited = new Map();
+  const rewriteMarkers = (text) => text.replace(MARKER_REGEX, (_match, list) => {
+    const links = list
+      .split(',')
+      .map((n) => parseInt(n.trim(), 10))
+      .filter((n) => n >= 1 && n <= excerpts.length && excerpts[n - 1].metadata?.id)
+      .map((n) => {
+        const doc = excerpts[n - 1];
+        cited.set(doc.metadata.id, doc);
+        return `[${n}](${CITE_PREFIX}${doc.metadata.id})`;
+      });
+    // Markers pointing at nothing are dropped rather than left dangling
+    return links.join('');
+  });
+
+  const rewritten = content
+    .split(CHARTDATA_REGEX)
+    .map((part) => (CHARTDATA_REGEX.test(part) ? part : rewriteMarkers(part)))
+    .join('');
+
+  return { content: rewritten, sources: [...cited.values()].map(toSource) };
+}
+
+/**
+ * Chunk ids cited in already-resolved content, in order of first use.
+ *
+ * @param {string} content
+ * @returns {string[]}
+ */
+function citedChunkIds(content) {
+  const ids = new Set();
+  for (const match of (content || '').matchAll(/\]\(#cite-([^)\s]+)\)/g)) ids.add(match[1]);
+  return [...ids];
+}
+
+/**
+ * Rebuild the `sources` array for one or more resolved texts.
+ *
+ * @param {string[]} contents
+ * @param {import('langchain/document').Document[]} documents  All chunks of the document
+ * @returns {object[]}
+ */
+function collectSources(contents, documents) {
+  const byId = new Map(documents.map((doc) => [doc.metadata?.id, doc]));
+  const ids = new Set(contents.flatMap(citedChunkIds));
+  return [...ids].filter((id) => byId.has(id)).map((id) => toSource(byId.get(id)));
+}
+
+/**
+ * Resolved content with its citation links and chart specs removed, for
+ * quoting an earlier answer back to the model (its excerpt numbers no
+ * longer mean anything).
+ *
+ * @param {string} content
+ * @returns {string}
+ */
+function stripCitations(content) {
+  return (content || '')
+    .replace(/~~~chartdata[\s\S]*?~~~/g, '')
+    .replace(/\s*\[\d+\]\(#cite-[^)\s]+\)/g, '')
+    .trim();
+}
+
+module.exports = {
+  CITATION_INSTRUCTIONS,
+  CITE_PREFIX,
+  resolveCitations,
+  collectSources,
+  citedChunkIds,
+  stripCitations,
+  toSource,
+};
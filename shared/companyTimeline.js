@@ -0,0 +1,321 @@
+/**
+ * Company timelines: one company's filings lined up by fiscal period.
+ *
+ * Each analyzed document is dated by the latest period its income and
+ * cash flow statements cover — a 10-K with FY2023 and FY2022 columns is
+ * the FY2023 filing, a 10-Q with "Q3 2023" columns the Q3 2023 one.
+ * Documents are grouped by company name with case, punctuation and legal
+ * suffixes ignored, so "Acme Corp." and "ACME Corporation" share a
+ * timeline.
+ *
+ * Metrics are then aligned across the filings. Every period takes its
+ * values from the most recent filing that reports it, so restated
+ * figures replace the originals, and the comparative columns of the
+ * earliest filing extend the series backwards:
+ *
+ *   { kind: 'annual', periods: ['FY2021', 'FY2022', 'FY2023'],
+ *     rows: [{ key: 'revenue', label: 'Revenue', unit: 'amount',
+ *              cells: [{ value: 3.1e9, display: '$3.10B', documentId, chunkId }, ...] }] }
+ *
+ * Annual and quarterly filings are not mixed: a timeline follows the
+ * period kind most of its documents have.
+ */
+
+const config = require('./config');
+const { bucketByPeriod, computeRatios, formatRatioValue, RATIOS } = require('./ratioEngine');
+
+/* ------------------------------------------------------------------ */
+/*  Periods                                                             */
+/* ------------------------------------------------------------------ */
+
+const ANNUAL_PERIOD = /^FY(\d{4})$/;
+const QUARTERLY_PERIOD = /^Q([1-4]) (\d{4})$/;
+
+/** Sort key for FY and quarter periods; null for balance-sheet dates and others. */
+function periodOrder(period) {
+  const annual = period.match(ANNUAL_PERIOD);
+  if (annual) return Number(annual[1]) * 10 + 5;
+  const quarter = period.match(QUARTERLY_PERIOD);
+  if (quarter) return Number(quarter[2]) * 10 + Number(quarter[1]);
+  return null;
+}
+
+function periodKind(period) {
+  return QUARTERLY_PERIOD.test(period || '') ? 'quarterly' : 'annual';
+}
+
+/**
+ * The period a filing reports on: the latest fiscal year's most used
+ * income or cash flow period. Balance sheets are only used when a
+ * document has no other statement.
+ *
+ * @param {object|null} financials  extractFinancialStatements result
+ * @returns {{ period: string, fiscalYear: number } | null}
+ */
+function documentPeriod(financials) {
+  const buckets = [...bucketByPeriod(financials).values()].filter((b) => periodOrder(b.period) != null);
+  const scored = buckets.map((bucket) => ({
+    bucket,
+    durationItems: Object.values(bucket.items).filter((item) => item.statement !== 'balanceSheet').length,
+  }));
+  const candidates = scored.some((s) => s.durationItems > 0) ? scored.filter((s) => s.durationItems > 0) : scored;
+  if (candidates.length === 0) return null;
+
+  const latestYear = Math.max(...candidates.map((s) => s.bucket.fiscalYear || 0));
+  const best = candidates
+    .filter((s) => (s.bucket.fiscalYear || 0) === latestYear)
+    .sort((a, b) => b.durationItems - a.durationItems || periodOrder(b.bucket.period) - periodOrder(a.bucket.period))[0];
+  return { period: best.bucket.period, fiscalYear: best.bucket.fiscalYear };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Grouping                                                            */
+/* ------------------------------------------------------------------ */
+
+const LEGAL_SUFFIXES = /\b(?:inc|incorporated|corp|corporation|co|company|ltd|limited|plc|llc|lp|ag|sa|nv|se)\b/g;
+
+/**
+ * Grouping key for a company name: "The Acme Corp." → "acme".
+ *
+ * @param {string|null} name
+ * @returns {string}
+ */
+function companyKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^the /, '')
+    .replace(LEGAL_SUFFIXES, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** Oldest first, filings of one period in the order they were analyzed; undated documents last. */
+function byPeriod(a, b) {
+  if (!a.period || !b.period) return (a.period ? 0 : 1) - (b.period ? 0 : 1);
+  return periodOrder(a.period) - periodOrder(b.period) || String(a.createdAt || '').localeCompare(String(b.createdAt || ''));
+}
+
+/**
+ * Group documents by company, each group in period order.
+ *
+ * @param {{ id: string, companyName: string|null, period: string|null }[]} documents
+ *   Any extra fields are kept on the group's documents
+ * @returns {{ key: string, companyName: string, documents: object[] }[]}
+ *   Sorted by company name. A group is named after its latest filing.
+ */
+function groupByCompany(documents) {
+  const groups = new Map();
+  for (const doc of documents) {
+    const key = companyKey(doc.companyName);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(doc);
+  }
+
+  return [...groups.entries()]
+    .map(([key, docs]) => {
+      const ordered = [...docs].sort(byPeriod);
+      const latest = [...ordered].reverse().find((d) => d.period) || ordered[ordered.length - 1];
+      return { key, companyName: latest.companyName, documents: ordered };
+    })
+    .sort((a, b) => a.companyName.localeCompare(b.companyName));
+}
+
+/**
+ * One filing per period: a 10-K and its 10-K/A, or the same filing
+ * uploaded twice, report the same period, and the one analyzed last
+ * stands for it.
+ *
+ * @param {object[]} documents  Dated, in groupByCompany order
+ * @returns {object[]}
+ */
+function latestPerPeriod(documents) {
+  const latest = new Map(documents.map((doc) => [doc.period, doc]));
+  return documents.filter((doc) => latest.get(doc.period) === doc);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Metric alignment                                                    */
+/* ------------------------------------------------------------------ */
+
+const RATIO_DEFS = new Map(RATIOS.map((def) => [def.key, def]));
+
+/**
+ * Metrics followed across periods: statement line items (in base units)
+ * and computed ratios. `chart` metrics get a line chart once they have
+ * enough periods.
+ */
+const TIMELINE_METRICS = [
+  { key: 'revenue', label: 'Revenue', unit: 'amount', chart: true },
+  { key: 'operatingIncome', label: 'Operating Income', unit: 'amount' },
+  { key: 'netIncome', label: 'Net Income', unit: 'amount', chart: true },
+  { key: 'operatingCashFlow', label: 'Operating Cash Flow', unit: 'amount' },
+  { key: 'revenueGrowth', ratio: true },
+  { key: 'grossMargin', ratio: true, chart: true },
+  { key: 'operatingMargin', ratio: true, chart: true },
+  { key: 'netMargin', ratio: true },
+  { key: 'freeCashFlow', ratio: true },
+  { key: 'debtToEquity', ratio: true },
+  { key: 'currentRatio', ratio: true },
+].map((metric) => (metric.ratio
+  ? { ...metric, label: RATIO_DEFS.get(metric.key).label, unit: RATIO_DEFS.get(metric.key).unit, formula: RATIO_DEFS.get(metric.key).formula }
+  : metric));
+
+/** Values of one filing by metric and period. */
+function filingValues(financials) {
+  const values = new Map();
+  const set = (metric, period, value) => values.set(`${metric}|${period}`, value);
+
+  for (const bucket of bucketByPeriod(financials).values()) {
+    for (const metric of TIMELINE_METRICS.filter((m) => !m.ratio)) {
+      const item = bucket.items[metric.key];
+      if (item) set(metric.key, bucket.period, { value: item.value * (item.multiplier || 1), currency: item.unit, chunkId: item.chunkId });
+    }
+  }
+  for (const ratio of computeRatios(financials)) {
+    if (!TIMELINE_METRICS.some((m) => m.ratio && m.key === ratio.key)) continue;
+    set(ratio.key, ratio.period, { value: ratio.value, currency: ratio.currency, chunkId: ratio.inputs[0]?.chunkId });
+  }
+  return values;
+}
+
+/**
+ * Line up the metrics of one company's filings.
+ *
+ * @param {{ id: string, documentName: string, period: string, financials: object|null }[]} documents
+ *   The company's filings, oldest first, one per period (see latestPerPeriod)
+ * @returns {{ kind: 'annual'|'quarterly', documents: { id: string, documentName: string, period: string }[],
+ *   periods: string[], rows: { key: string, label: string, unit: string, formula?: string,
+ *   cells: ({ value: number, display: string, currency: string|null, documentId: string, chunkId: string|null }|null)[] }[] }}
+ *   Periods oldest first; one cell per period. Metrics with fewer than two values are left out.
+ */
+function alignMetrics(documents) {
+  const quarterly = documents.filter((d) => periodKind(d.period) === 'quarterly').length;
+  const kind = quarterly > documents.length / 2 ? 'quarterly' : 'annual';
+  const pattern = kind === 'quarterly' ? QUARTERLY_PERIOD : ANNUAL_PERIOD;
+
+  // Later filings overwrite earlier ones, so restated values win
+  const aligned = new Map();
+  for (const doc of documents) {
+    for (const [id, value] of filingValues(doc.financials)) {
+      const period = id.slice(id.indexOf('|') + 1);
+      if (pattern.test(period)) aligned.set(id, { ...value, documentId: doc.id });
+    }
+  }
+
+  const periods = [...new Set([...aligned.keys()].map((id) => id.slice(id.indexOf('|') + 1)))]
+    .sort((a, b) => periodOrder(a) - periodOrder(b));
+
+  const rows = TIMELINE_METRICS
+    .map((metric) => ({
+      key: metric.key,
+      label: metric.label,
+      unit: metric.unit,
+      ...(metric.formula ? { formula: metric.formula } : {}),
+      cells: periods.map((period) => {
+        const found = aligned.get(`${metric.key}|${period}`);
+        if (!found) return null;
+        return {
+          value: found.value,
+          display: formatRatioValue({ value: found.value, unit: metric.unit, currency: found.currency }),
+          currency: found.currency || null,
+          documentId: found.documentId,
+          chunkId: found.chunkId || null,
+        };
+      }),
+    }))
+    .filter((row) => row.cells.filter(Boolean).length >= 2);
+
+  return {
+    kind,
+    documents: documents.map(({ id, documentName, period }) => ({ id, documentName, period })),
+    periods,
+    rows,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Charts and prompt                                                   */
+/* ------------------------------------------------------------------ */
+
+const CURRENCY_SYMBOLS = { USD: '$', EUR: '€', GBP: '£', JPY: '¥' };
+
+/** Chart unit and divisor for a series of amounts: [1e9, '$B']. */
+function amountScale(values, currency) {
+  const max = Math.max(...values.map(Math.abs));
+  const [divisor, suffix] = max >= 1e9 ? [1e9, 'B'] : max >= 1e6 ? [1e6, 'M'] : max >= 1e3 ? [1e3, 'K'] : [1, ''];
+  const symbol = CURRENCY_SYMBOLS[currency] || (currency ? `${currency} ` : '');
+  return [divisor, `${symbol}${suffix}`];
+}
+
+/**
+ * Line charts of the charted metrics that have at least
+ * `config.timeline.minChartPoints` periods, as chartdata specs, with
+ * their figure checks: statement values are verified against the line
+ * item they came from, ratios are derived.
+ *
+ * @param {ReturnType<typeof alignMetrics>} timeline
+ * @returns {{ charts: { type: 'line', title: string, data: { name: string, value: number }[], unit: string }[],
+ *   checks: { title: string, points: object[] }[] }}
+ */
+function timelineCharts(timeline) {
+  const names = new Map(timeline.documents.map((d) => [d.id, d.documentName]));
+  const charts = [];
+  const checks = [];
+
+  for (const row of timeline.rows) {
+    const metric = TIMELINE_METRICS.find((m) => m.key === row.key);
+    const points = timeline.periods
+      .map((period, i) => ({ period, cell: row.cells[i] }))
+      .filter(({ cell }) => cell);
+    if (!metric.chart || points.length < config.timeline.minChartPoints) continue;
+    // Amounts in different currencies cannot share an axis
+    if (row.unit === 'amount' && new Set(points.map(({ cell }) => cell.currency)).size > 1) continue;
+
+    const [divisor, unit] = row.unit === 'amount' ? amountScale(points.map(({ cell }) => cell.value), points[0].cell.currency) : [1, row.unit];
+    const title = `${row.label} by ${timeline.kind === 'quarterly' ? 'Quarter' : 'Fiscal Year'}`;
+    const data = points.map(({ period, cell }) => ({ name: period, value: Math.round((cell.value / divisor) * 100) / 100 }));
+
+    charts.push({ type: 'line', title, data, unit });
+    checks.push({
+      title,
+      points: points.map(({ period, cell }, i) => ({
+        name: period,
+        value: data[i].value,
+        ...(metric.ratio
+          ? { status: 'derived', basis: `${row.label} ${period}` }
+          : { status: 'verified', source: [names.get(cell.documentId), cell.chunkId].filter(Boolean).join(', ') }),
+      })),
+    });
+  }
+
+  return { charts, checks };
+}
+
+/**
+ * Prompt block with the aligned metrics as a markdown table, one column
+ * per period. Empty string when no metric spans two periods.
+ *
+ * @param {ReturnType<typeof alignMetrics>} timeline
+ * @returns {string}
+ */
+function formatTimelineForPrompt(timeline) {
+  if (timeline.rows.length === 0) return '';
+
+  const header = `| Metric | ${timeline.periods.join(' | ')} |\n|---|${timeline.periods.map(() => '---').join('|')}|`;
+  const rows = timeline.rows.map(({ label, cells }) => `| ${label} | ${cells.map((cell) => cell?.display ?? 'n/a').join(' | ')} |`);
+  return [header, ...rows].join('\n');
+}
+
+module.exports = {
+  companyKey,
+  documentPeriod,
+  groupByCompany,
+  latestPerPeriod,
+  alignMetrics,
+  timelineCharts,
+  formatTimelineForPrompt,
+  TIMELINE_METRICS,
+};
@@ -2,15 +2,48 @@
  * Shared configuration for PDF processing and AI analysis.
  * Backend and API (serverless) can override via env if needed.
  */
+const path = require('path');
+
+/**
+ * Read LLM_<TASK>_MODEL / _BASE_URL / _TIMEOUT_MS overrides for one task.
+ */
+function taskSettings(prefix, defaultTimeoutMs) {
+  return {
+    model: process.env[`LLM_${prefix}_MODEL`],
+    baseURL: process.env[`LLM_${prefix}_BASE_URL`],
+    timeoutMs: parseInt(process.env[`LLM_${prefix}_TIMEOUT_MS`], 10) || defaultTimeoutMs,
+  };
+}
+
 module.exports = {
-  openai: {
-    model: process.env.OPENAI_MODEL || 'gpt-4o',
-    embeddingsBatchSize: 50,
+  /* ---- LLM provider (see llmProvider.js) ---- */
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai', // 'openai' | 'openai-compatible' | 'mock'
+    baseURL: process.env.LLM_BASE_URL || 'https://api.openai.com/v1',
+    model: process.env.LLM_MODEL || process.env.OPENAI_MODEL || 'gpt-4o',
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000,
+    maxRetries: 3,
+    embeddings: {
+      model: process.env.EMBEDDINGS_MODEL || 'text-embedding-ada-002',
+      baseURL: process.env.EMBEDDINGS_BASE_URL, // defaults to llm.baseURL
+      batchSize: 50,
+      timeoutMs: parseInt(process.env.EMBEDDINGS_TIMEOUT_MS, 10) || 60000,
+      mockDimensions: 256,
+    },
+    // Per-task overrides; unset fields fall back to the values above
+    tasks: {
+      classification: taskSettings('CLASSIFICATION', 20000),
+      rerank: taskSettings('RERANK', 20000),
+      sections: taskSettings('SECTIONS', 90000),
+      qa: taskSettings('QA', 60000),
+    },
   },
   chunks: {
     size: parseInt(process.env.CHUNK_SIZE, 10) || 1500,
     overlap: parseInt(process.env.CHUNK_OVERLAP, 10) || 200,
     minSize: 100, // Minimum chunk size — don't create tiny fragments
+    // CSV/Excel rows per chunk (row-based strategy)
+    rowsPerChunk: parseInt(process.env.CHUNK_ROWS, 10) || 20,
   },
   sections: {
     maxTokens: parseInt(process.env.SECTION_MAX_TOKENS, 10) || 1200,
@@ -21,6 +54,15 @@ module.exports = {
     maxTokens: parseInt(process.env.QA_MAX_TOKENS, 10) || 400,
     chunks: parseInt(process.env.QA_CHUNKS, 10) || 5,
     temperature: 0.1,
+    // Prior chat turns included in the answer prompt
+    historyTurns: parseInt(process.env.QA_HISTORY_TURNS, 10) || 4,
+    // Questions asked across the document library
+    library: {
+      chunksPerDocument: parseInt(process.env.QA_LIBRARY_CHUNKS_PER_DOC, 10) || 3,
+      candidates: parseInt(process.env.QA_LIBRARY_CANDIDATES, 10) || 24, // fused chunks sent to reranking
+      chunks: parseInt(process.env.QA_LIBRARY_CHUNKS, 10) || 8,
+      maxTokens: parseInt(process.env.QA_LIBRARY_MAX_TOKENS, 10) || 700,
+    },
   },
   companyName: {
     sampleLength: parseInt(process.env.COMPANY_NAME_SAMPLE_LENGTH, 10) || 4000,
@@ -45,6 +87,8 @@ module.exports = {
     decompositionEnabled: process.env.QUERY_DECOMPOSITION_ENABLED !== 'false',
     expansionEnabled: process.env.QUERY_EXPANSION_ENABLED !== 'false',
     maxSubQueries: parseInt(process.env.MAX_SUB_QUERIES, 10) || 3,
+    // Rewrite chat follow-ups ("and last year?") into standalone questions
+    followUpRewriteEnabled: process.env.FOLLOW_UP_REWRITE_ENABLED !== 'false',
   },
 
   /* ---- New: Document classification ---- */
@@ -57,9 +101,57 @@ module.exports = {
   comparison: {
     maxTokens: parseInt(process.env.COMPARISON_MAX_TOKENS, 10) || 1500,
     chunksPerQuery: parseInt(process.env.COMPARISON_CHUNKS_PER_QUERY, 10) || 3,
+    maxExcerpts: parseInt(process.env.COMPARISON_MAX_EXCERPTS, 10) || 24, // per section, split across peers
     temperature: 0.05,
   },
 
+  /* ---- New: Company timelines (shared/companyTimeline.js) ---- */
+  timeline: {
+    maxTokens: parseInt(process.env.TIMELINE_MAX_TOKENS, 10) || 2000,
+    chunksPerQuery: parseInt(process.env.TIMELINE_CHUNKS_PER_QUERY, 10) || 3,
+    maxExcerpts: parseInt(process.env.TIMELINE_MAX_EXCERPTS, 10) || 24, // split across filings
+    minChartPoints: 3, // periods a metric needs before it is charted
+    temperature: 0.05,
+  },
+
+  /* ---- New: Filing redlines (shared/filingDiff.js) ---- */
+  filingDiff: {
+    matchSimilarity: 0.5, // word overlap at which two items are paired
+    embeddingSimilarity: 0.85, // or embedding cosine
+    unchangedSimilarity: 0.95, // share of words a paired item keeps to count as unchanged
+    maxItems: parseInt(process.env.FILING_DIFF_MAX_ITEMS, 10) || 300, // per section and filing
+    summaryItems: 40, // changed items described to the summary prompt
+    maxTokens: parseInt(process.env.FILING_DIFF_MAX_TOKENS, 10) || 1500,
+    temperature: 0.1,
+  },
+
+  /* ---- New: Management tone (shared/sentiment.js) ---- */
+  sentiment: {
+    minWords: 50, // sections and speakers with fewer words are left out of the roll-ups
+    llmExcerpts: parseInt(process.env.SENTIMENT_LLM_EXCERPTS, 10) || 8, // chunks the model reads for its tone read
+    maxTokens: 400,
+    temperature: 0,
+  },
+
+  /* ---- New: Credit scorecard (shared/creditScorecard.js) ---- */
+  creditScorecard: {
+    file: process.env.CREDIT_SCORECARD_FILE || path.join(__dirname, 'creditScorecard.json'), // weights, bands, flags, grades
+  },
+
+  /* ---- New: Persistent analysis store ---- */
+  analysisStore: {
+    backend: process.env.ANALYSIS_STORE_BACKEND || 'file', // 'file' | 'memory'
+    dir: process.env.ANALYSIS_STORE_DIR || path.join(__dirname, '..', 'data', 'analyses'),
+    maxCachedDocuments: parseInt(process.env.ANALYSIS_CACHE_MAX_DOCS, 10) || 20,
+    ttlMinutes: parseInt(process.env.ANALYSIS_CACHE_TTL_MINUTES, 10) || 60,
+  },
+
+  /* ---- New: User-defined report templates (shared/reportTemplates.js) ---- */
+  templates: {
+    dir: process.env.TEMPLATES_DIR || path.join(__dirname, '..', 'data', 'templates'),
+    maxSections: parseInt(process.env.TEMPLATE_MAX_SECTIONS, 10) || 12,
+  },
+
   /* ---- New: Supported file formats ---- */
   supportedFormats: {
     pdf: { mimeTypes: ['application/pdf'], extensions: ['.pdf'] },
@@ -71,6 +163,22 @@ module.exports = {
       ],
       extensions: ['.xlsx', '.xls'],
     },
+    html: { mimeTypes: ['text/html', 'application/xhtml+xml'], extensions: ['.htm', '.html', '.xhtml'] },
     text: { mimeTypes: ['text/plain'], extensions: ['.txt'] },
   },
+
+  /* ---- New: OCR fallback for scanned PDFs (shared/ocrProcessor.js) ---- */
+  ocr: {
+    enabled: process.env.OCR_ENABLED !== 'false',
+    // Pages with fewer non-whitespace characters than this are OCR'd
+    minPageChars: parseInt(process.env.OCR_MIN_PAGE_CHARS, 10) || 25,
+    language: process.env.OCR_LANGUAGE || 'eng',
+    langPath: process.env.OCR_LANG_PATH, // defaults to the bundled English data
+  },
+
+  /* ---- New: Command-line interface (cli/fin-analyze.js) ---- */
+  cli: {
+    concurrency: parseInt(process.env.CLI_CONCURRENCY, 10) || 2,
+    outputDir: process.env.CLI_OUTPUT_DIR || 'fin-analyze-output',
+  },
 };
@@ -0,0 +1,325 @@
+/**
+ * Credit risk scorecard.
+ *
+ * A transparent points model rather than a model-written opinion: every
+ * factor maps one computed ratio (leverage, coverage, liquidity,
+ * profitability) to a 0–100 score through threshold bands, and a
+ * qualitative factor starts at 100 and loses a penalty for each risk flag
+ * whose pattern appears, not negated, in the Risks section. The weighted average of the
+ * factor scores picks the internal rating grade.
+ *
+ * Weights, bands, flags and grades come from a JSON file
+ * (`config.creditScorecard.file`, creditScorecard.json by default), which
+ * is re-read when it changes. Each result lists every factor with its
+ * value, the band it fell in, its score, its share of the weight and its
+ * contribution in points, so a rating can be traced back to its inputs.
+ */
+
+const fs = require('fs');
+const config = require('./config');
+const { RATIOS, formatRatioValue } = require('./ratioEngine');
+const { stripCitations } = require('./citations');
+
+/* ------------------------------------------------------------------ */
+/*  Model                                                               */
+/* ------------------------------------------------------------------ */
+
+const isScore = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+function validateBands(bands, at, errors) {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    errors.push(`${at}.bands must be a non-empty array.`);
+    return;
+  }
+  const bounds = new Set();
+  bands.forEach((band, i) => {
+    const where = `${at}.bands[${i}]`;
+    const last = i === bands.length - 1;
+    if (!band || typeof band !== 'object') {
+      errors.push(`${where} must be an object.`);
+      return;
+    }
+    if (!isScore(band.score)) errors.push(`${where}.score must be a number from 0 to 100.`);
+    if (band.min != null && band.max != null) errors.push(`${where} can have "min" or "max", not both.`);
+    const bound = band.min != null ? 'min' : band.max != null ? 'max' : null;
+    if (bound && typeof band[bound] !== 'number') errors.push(`${where}.${bound} must be a number.`);
+    if (bound) bounds.add(bound);
+    if (last && bound) errors.push(`${where} is the last band and must have neither "min" nor "max", so every value gets a score.`);
+    if (!last && !bound) errors.push(`${where} needs "min" or "max"; only the last band catches all remaining values.`);
+  });
+  if (bounds.size > 1) errors.push(`${at}.bands must all use "min" (higher is better) or all use "max" (lower is better).`);
+}
+
+/**
+ * Check a scorecard model read from JSON.
+ *
+ * @param {object} input
+ * @returns {{ model: object|null, errors: string[] }}  `model` has the flag
+ *   patterns compiled; null when there are errors
+ */
+function validateScorecardModel(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object') return { model: null, errors: ['The scorecard must be a JSON object.'] };
+
+  if (!isText(input.name)) errors.push('name is required.');
+  if (input.minRatioFactors != null && !(Number.isInteger(input.minRatioFactors) && input.minRatioFactors >= 0)) {
+    errors.push('minRatioFactors must be a whole number.');
+  }
+
+  const keys = new Set();
+  const checkKey = (key, at) => {
+    if (!isText(key)) errors.push(`${at}.key is required.`);
+    else if (keys.has(key)) errors.push(`${at}.key "${key}" is used more than once.`);
+    keys.add(key);
+  };
+
+  if (!Array.isArray(input.factors) || input.factors.length === 0) {
+    errors.push('factors must be a non-empty array.');
+  } else {
+    input.factors.forEach((factor, i) => {
+      const at = `factors[${i}]`;
+      if (!factor || typeof factor !== 'object') {
+        errors.push(`${at} must be an object.`);
+        return;
+      }
+      checkKey(factor.key, at);
+      if (!isText(factor.label)) errors.push(`${at}.label is required.`);
+      if (!RATIOS.some((r) => r.key === factor.ratio)) {
+        errors.push(`${at}.ratio must be one of: ${RATIOS.map((r) => r.key).join(', ')}.`);
+      }
+      if (!(typeof factor.weight === 'number' && factor.weight > 0)) errors.push(`${at}.weight must be a positive number.`);
+      if (factor.negativeScore != null && !isScore(factor.negativeScore)) errors.push(`${at}.negativeScore must be a number from 0 to 100.`);
+      validateBands(factor.bands, at, errors);
+    });
+  }
+
+  const flags = input.riskFlags;
+  if (flags != null) {
+    if (typeof flags !== 'object') {
+      errors.push('riskFlags must be an object.');
+    } else {
+      checkKey(flags.key, 'riskFlags');
+      if (!isText(flags.label)) errors.push('riskFlags.label is required.');
+      if (!(typeof flags.weight === 'number' && flags.weight > 0)) errors.push('riskFlags.weight must be a positive number.');
+      if (!Array.isArray(flags.sections) || flags.sections.length === 0 || !flags.sections.every(isText)) {
+        errors.push('riskFlags.sections must list the report sections to search, e.g. ["keyRisks"].');
+      }
+      if (!Array.isArray(flags.flags)) {
+        errors.push('riskFlags.flags must be an array.');
+      } else {
+        flags.flags.forEach((flag, i) => {
+          const at = `riskFlags.flags[${i}]`;
+          if (!isText(flag?.key)) errors.push(`${at}.key is required.`);
+          if (!isText(flag?.label)) errors.push(`${at}.label is required.`);
+          if (!(typeof flag?.penalty === 'number' && flag.penalty > 0 && flag.penalty <= 100)) errors.push(`${at}.penalty must be a number from 1 to 100.`);
+          try {
+            new RegExp(flag?.pattern, 'i');
+            if (!isText(flag?.pattern)) throw new Error('empty');
+          } catch {
+            errors.push(`${at}.pattern must be a regular expression.`);
+          }
+        });
+      }
+    }
+  }
+
+  if (!Array.isArray(input.ratings) || input.ratings.length === 0) {
+    errors.push('ratings must be a non-empty array.');
+  } else {
+    input.ratings.forEach((rating, i) => {
+      const at = `ratings[${i}]`;
+      if (!isText(rating?.grade)) errors.push(`${at}.grade is required.`);
+      if (!isText(rating?.label)) errors.push(`${at}.label is required.`);
+      if (!isScore(rating?.minScore)) errors.push(`${at}.minScore must be a number from 0 to 100.`);
+      else if (i > 0 && !(rating.minScore < input.ratings[i - 1].minScore)) errors.push('ratings must be ordered from the highest minScore down.');
+    });
+    if (input.ratings[input.ratings.length - 1]?.minScore !== 0) errors.push('The last rating must have minScore 0, so every score gets a grade.');
+  }
+
+  if (errors.length > 0) return { model: null, errors };
+
+  return {
+    model: {
+      ...input,
+      minRatioFactors: input.minRatioFactors ?? 2,
+      riskFlags: flags
+        ? { ...flags, flags: flags.flags.map((flag) => ({ ...flag, regex: new RegExp(flag.pattern, 'gi') })) }
+        : null,
+    },
+    errors,
+  };
+}
+
+let cached = null;
+
+/**
+ * The scorecard model in `file`, re-read whenever the file changes.
+ *
+ * @param {string} [file=config.creditScorecard.file]
+ * @returns {object}
+ * @throws {Error} when the file cannot be read or the model is invalid
+ */
+function loadScorecardModel(file = config.creditScorecard.file) {
+  const { mtimeMs } = fs.statSync(file);
+  if (cached && cached.file === file && cached.mtimeMs === mtimeMs) return cached.model;
+
+  let input;
+  try {
+    input = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Credit scorecard ${file} is not valid JSON: ${err.message}`);
+  }
+  const { model, errors } = validateScorecardModel(input);
+  if (!model) throw new Error(`Credit scorecard ${file} is invalid: ${errors.join(' ')}`);
+
+  cached = { file, mtimeMs, model };
+  return model;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Scoring                                                             */
+/* ------------------------------------------------------------------ */
+
+/** The band a ratio value falls in, described like "at most 1.00x" */
+function scoreBand(factor, def, value) {
+  const format = (bound) => formatRatioValue({ value: bound, unit: def.unit, currency: null });
+  if (value < 0 && factor.negativeScore != null) return { score: factor.negativeScore, band: 'negative' };
+
+  const i = factor.bands.findIndex((b) => (b.min != null ? value >= b.min : b.max != null ? value <= b.max : true));
+  const band = factor.bands[i];
+  const previous = factor.bands[i - 1];
+  const description = band.min != null
+    ? `at least ${format(band.min)}`
+    : band.max != null
+      ? `at most ${format(band.max)}`
+      : previous?.min != null
+        ? `below ${format(previous.min)}`
+        : previous?.max != null
+          ? `above ${format(previous.max)}`
+          : 'any value';
+  return { score: band.score, band: description };
+}
+
+/** Words that deny what follows them: "no going concern doubt", "in compliance with all covenants" */
+const NEGATION = /\b(?:no|not|never|none|neither|nor|without|absence of|free of|in compliance with)\b/i;
+
+/** Negations that state a risk instead: "no assurance that", "may not be able to" */
+const HEDGE = /\b(?:no assurance|no guarantee|cannot (?:assure|guarantee|be certain)|(?:may|might|could|would|will) not|not (?:be|been) able|unable|fail(?:s|ed|ure)? to)\b/i;
+
+/** Words before a match that a negation must fall within */
+const NEGATION_WINDOW = 5;
+
+/**
+ * Whether the match at `index` is denied: a negation within the last few
+ * words of its clause, and no hedge in the clause that turns the negation
+ * back into a risk.
+ */
+function isNegated(sentence, index) {
+  const clause = sentence.slice(0, index).split(/[,;:(]|\b(?:and|but|however|although|though|while|whereas)\b/i).pop();
+  if (HEDGE.test(clause)) return false;
+  const window = (clause.match(/\S+/g) || []).slice(-NEGATION_WINDOW).join(' ');
+  return NEGATION.test(window);
+}
+
+/** A line without its list marker and its bold lead-in label ("**Covenants:**"), which names a topic like a heading */
+const cleanLine = (line) => line
+  .trim()
+  .replace(/^[-*+]\s+|^\d+\.\s+/, '')
+  .replace(/^(\*\*|__)[^*_\n]{1,80}?:\1\s*|^(\*\*|__)[^*_\n]{1,80}?\2:\s*/, '')
+  .replace(/\*\*|__/g, '')
+  .trim();
+
+/**
+ * The qualitative factor: flags found in the risk sections, with the
+ * sentence that raised each. A flag is raised by its first match that is
+ * not negated, so "no material weakness was identified" raises nothing.
+ */
+function scoreRiskFlags(riskFlags, sections) {
+  const text = riskFlags.sections.map((key) => sections[key]).filter(Boolean).map(stripCitations).join('\n');
+  if (!text.trim()) return { score: null, flags: [], missing: 'The report has no risk section to read flags from.' };
+
+  // Headings and lead-in labels name the risk categories, not risks the company has
+  const sentences = text
+    .split('\n')
+    .filter((line) => line.trim() && !line.trim().startsWith('#'))
+    .flatMap((line) => cleanLine(line).split(/(?<=[.!?])\s+(?=["“(]?[A-Z])/))
+    .filter(Boolean);
+
+  const flags = [];
+  for (const flag of riskFlags.flags) {
+    const sentence = sentences.find((s) => [...s.matchAll(flag.regex)].some((m) => !isNegated(s, m.index)));
+    if (!sentence) continue;
+    flags.push({ key: flag.key, label: flag.label, penalty: flag.penalty, evidence: sentence.length > 240 ? `${sentence.slice(0, 240)}…` : sentence });
+  }
+  return { score: Math.max(0, 100 - flags.reduce((sum, f) => sum + f.penalty, 0)), flags };
+}
+
+/**
+ * Score a report.
+ *
+ * Factors that cannot be scored (a ratio the statements do not support,
+ * no risk section) are listed with `missing` and left out; the others'
+ * weights are rescaled to sum to 1. With fewer than `minRatioFactors`
+ * ratio factors there is no score or rating.
+ *
+ * @param {{ ratios?: object[], sections?: Record<string, string> }} report  computeRatios
+ *   result (most recent period first) and section markdown
+ * @param {object} [model=loadScorecardModel()]
+ * @returns {{ model: { name: string, version: string|null }, score: number|null,
+ *   rating: { grade: string, label: string, minScore: number }|null, factors: object[], note: string|null }}
+ *   `factors`: in model order, each `{ key, label, kind: 'ratio'|'flags', weight, share, score,
+ *   contribution, metric?, band?, flags?, missing? }`; `share` is the factor's part of the
+ *   rescaled weight (0–1) and `contribution` its points toward `score`
+ */
+function scoreCredit({ ratios = [], sections = {} }, model = loadScorecardModel()) {
+  const factors = model.factors.map((factor) => {
+    const def = RATIOS.find((r) => r.key === factor.ratio);
+    const base = { key: factor.key, label: factor.label, kind: 'ratio', weight: factor.weight };
+    const latest = ratios.find((r) => r.key === factor.ratio);
+    if (!latest) {
+      return { ...base, metric: { key: def.key, label: def.label }, score: null, missing: `${def.label} could not be computed from the statements.` };
+    }
+    return {
+      ...base,
+      metric: { key: def.key, label: def.label, period: latest.period, value: latest.value, display: formatRatioValue(latest), formula: latest.formula },
+      ...scoreBand(factor, def, latest.value),
+    };
+  });
+
+  if (model.riskFlags) {
+    const { key, label, weight } = model.riskFlags;
+    const { score, flags, missing } = scoreRiskFlags(model.riskFlags, sections);
+    factors.push({ key, label, kind: 'flags', weight, score, flags, ...(missing ? { missing } : {}) });
+  }
+
+  const scored = factors.filter((f) => f.score != null);
+  const totalWeight = scored.reduce((sum, f) => sum + f.weight, 0);
+  let total = 0;
+  for (const factor of factors) {
+    const share = factor.score != null ? factor.weight / totalWeight : 0;
+    factor.share = +share.toFixed(3);
+    factor.contribution = factor.score != null ? +(share * factor.score).toFixed(1) : null;
+    total += share * (factor.score ?? 0);
+  }
+
+  const ratioFactors = scored.filter((f) => f.kind === 'ratio').length;
+  const rated = ratioFactors >= model.minRatioFactors && ratioFactors > 0;
+  const score = rated ? +total.toFixed(1) : null;
+
+  return {
+    model: { name: model.name, version: model.version ?? null },
+    score,
+    rating: rated ? model.ratings.find((r) => score >= r.minScore) : null,
+    factors,
+    note: rated
+      ? null
+      : `Not rated: ${ratioFactors} of the ${model.factors.length} ratio factors could be computed, and at least ${Math.max(1, model.minRatioFactors)} are needed.`,
+  };
+}
+
+module.exports = {
+  validateScorecardModel,
+  loadScorecardModel,
+  scoreCredit,
+};
@@ -7,8 +7,7 @@
  */
 
 const config = require('./config');
-
-const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions';
+const { chatCompletion } = require('./llmProvider');
 
 /* ------------------------------------------------------------------ */
 /*  Document type definitions                                           */
@@ -16,6 +15,11 @@ const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions';
 
 /**
  * Known document types and their processing adaptations.
+ *
+ * `reportSections` are keys of reportTemplates.js SECTION_LIBRARY, used
+ * when no template is chosen. `promptContext` tells each section prompt
+ * what kind of source it is reading, and `focusAreas` (see FOCUS_AREAS)
+ * add retrieval queries to the sections they apply to.
  */
 const DOCUMENT_TYPES = {
   '10-K': {
@@ -29,6 +33,7 @@ const DOCUMENT_TYPES = {
     ],
     reportSections: ['overview', 'financialHighlights', 'keyRisks', 'managementCommentary'],
     focusAreas: ['business_overview', 'risk_factors', 'financials', 'mda'],
+    promptContext: 'an annual SEC filing; audited figures are in Item 8 and management\'s discussion in Item 7 (MD&A)',
   },
   '10-Q': {
     label: 'Quarterly Report (10-Q)',
@@ -36,13 +41,15 @@ const DOCUMENT_TYPES = {
     expectedSections: ['Item 1', 'Item 2', 'Item 3', 'Item 4'],
     reportSections: ['overview', 'financialHighlights', 'keyRisks', 'managementCommentary'],
     focusAreas: ['financials', 'mda', 'risk_factors'],
+    promptContext: 'a quarterly SEC filing with unaudited interim figures; compare the quarter and year-to-date periods it reports',
   },
   'earnings-transcript': {
     label: 'Earnings Call Transcript',
     chunkStrategy: 'speaker-turn',
     expectedSections: [],
-    reportSections: ['overview', 'financialHighlights', 'keyRisks', 'managementCommentary'],
+    reportSections: ['overview', 'financialHighlights', 'guidance', 'analystConcerns', 'managementCommentary'],
     focusAreas: ['guidance', 'financials', 'strategy'],
+    promptContext: 'an earnings call transcript; attribute statements to the speaker who made them, and treat figures as spoken, unaudited remarks',
   },
   'annual-report': {
     label: 'Annual Report (Non-SEC)',
@@ -50,20 +57,23 @@ const DOCUMENT_TYPES = {
     expectedSections: [],
     reportSections: ['overview', 'financialHighlights', 'keyRisks', 'managementCommentary'],
     focusAreas: ['business_overview', 'financials', 'strategy'],
+    promptContext: 'an annual report outside the SEC format; section names and reporting standards vary',
   },
   'investor-presentation': {
     label: 'Investor Presentation',
     chunkStrategy: 'page-aware',
     expectedSections: [],
-    reportSections: ['overview', 'financialHighlights', 'managementCommentary'],
+    reportSections: ['overview', 'strategySlides', 'financialHighlights', 'managementCommentary'],
     focusAreas: ['strategy', 'financials', 'guidance'],
+    promptContext: 'an investor presentation; slides are terse, so read bullet fragments and chart labels as the company\'s own claims',
   },
   'proxy-statement': {
     label: 'Proxy Statement (DEF 14A)',
     chunkStrategy: 'section-aware',
     expectedSections: [],
-    reportSections: ['overview', 'managementCommentary'],
+    reportSections: ['overview', 'governance', 'board', 'executiveCompensation'],
     focusAreas: ['governance', 'compensation'],
+    promptContext: 'a proxy statement; it covers governance, director elections and executive pay rather than operating results',
   },
   'financial-data': {
     label: 'Financial Data (CSV/Excel)',
@@ -71,6 +81,7 @@ const DOCUMENT_TYPES = {
     expectedSections: [],
     reportSections: ['financialHighlights'],
     focusAreas: ['financials'],
+    promptContext: 'spreadsheet data; excerpts are table rows with their sheet and row numbers',
   },
   unknown: {
     label: 'Financial Document',
@@ -78,6 +89,46 @@ const DOCUMENT_TYPES = {
     expectedSections: [],
     reportSections: ['overview', 'financialHighlights', 'keyRisks', 'managementCommentary'],
     focusAreas: ['business_overview', 'financials', 'risk_factors', 'mda'],
+    promptContext: null,
+  },
+};
+
+/**
+ * Focus areas of document types: a label for prompts and retrieval
+ * queries (`{company}` is replaced with the company name).
+ */
+const FOCUS_AREAS = {
+  business_overview: {
+    label: 'business overview',
+    queries: ['{company} business description segments customers markets'],
+  },
+  risk_factors: {
+    label: 'risk factors',
+    queries: ['{company} principal risks uncertainties could adversely affect'],
+  },
+  financials: {
+    label: 'financial results',
+    queries: ['{company} consolidated results revenue net income cash flow balance sheet'],
+  },
+  mda: {
+    label: "management's discussion of results",
+    queries: ['{company} results of operations compared to prior period drivers'],
+  },
+  guidance: {
+    label: 'guidance and outlook',
+    queries: ['{company} outlook guidance expects next quarter full year'],
+  },
+  strategy: {
+    label: 'strategy',
+    queries: ['{company} strategic priorities long-term growth strategy targets'],
+  },
+  governance: {
+    label: 'corporate governance',
+    queries: ['{company} board governance independence committees shareholder rights'],
+  },
+  compensation: {
+    label: 'executive compensation',
+    queries: ['{company} named executive officers compensation pay incentive'],
   },
 };
 
@@ -95,6 +146,12 @@ const DOCUMENT_TYPES = {
 function heuristicClassify(text) {
   const sample = text.slice(0, 8000).toUpperCase();
 
+  // CSV / Excel extracts (documentProcessor) — checked first, since cell
+  // text such as "Annual Report" would otherwise decide the type
+  if (/^\s*(?:\[FINANCIAL DATA — |=== SHEET: )/.test(sample)) {
+    return { type: 'financial-data', confidence: 0.95 };
+  }
+
   // 10-K indicators
   if (
     /FORM\s+10-?K/i.test(sample) ||
@@ -162,39 +219,27 @@ async function llmClassify(text, apiKey) {
   const validTypes = Object.keys(DOCUMENT_TYPES).filter((t) => t !== 'unknown');
 
   try {
-    const response = await fetch(OPENAI_CHAT_URL, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: config.openai.model,
-        messages: [
-          {
-            role: 'system',
-            content: `You classify financial documents. Respond with ONLY a JSON object: {"type": "<type>", "confidence": <0.0-1.0>}.
+    const content = (await chatCompletion(apiKey, {
+      task: 'classification',
+      messages: [
+        {
+          role: 'system',
+          content: `You classify financial documents. Respond with ONLY a JSON object: {"type": "<type>", "confidence": <0.0-1.0>}.
 
 Valid types: ${validTypes.join(', ')}
 
 If unsure, use "unknown" as the type with low confidence.`,
-          },
-          {
-            role: 'user',
-            content: `Classify this financial document based on its content:
+        },
+        {
+          role: 'user',
+          content: `Classify this financial document based on its content:
 
 ${sample}`,
-          },
-        ],
-        max_tokens: 60,
-        temperature: 0,
-      }),
-    });
-
-    if (!response.ok) return { type: 'unknown', confidence: 0.3 };
-
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content?.trim();
+        },
+      ],
+      max_tokens: 60,
+      temperature: 0,
+    }))?.trim();
     if (!content) return { type: 'unknown', confidence: 0.3 };
 
     // Strip markdown code fences the LLM sometimes wraps around JSON
@@ -273,4 +318,5 @@ module.exports = {
   classifyDocument,
   heuristicClassify,
   DOCUMENT_TYPES,
+  FOCUS_AREAS,
 };
@@ -2,7 +2,7 @@
  * Multi-format document processor.
  *
  * Provides a unified interface for extracting text from PDF, CSV,
- * Excel (.xlsx/.xls), and plain text files. Each format gets
+ * Excel (.xlsx/.xls), HTML / inline XBRL filings and plain text files. Each format gets
  * format-specific processing to maximize downstream analysis quality.
  */
 
@@ -14,7 +14,13 @@ const config = require('./config');
 /*  PDF processing (delegates to existing pdfProcessor)                 */
 /* ------------------------------------------------------------------ */
 
-const { extractTextFromPDF } = require('./pdfProcessor');
+const { extractTextFromPDF, extractPagesFromPDF } = require('./pdfProcessor');
+
+/* ------------------------------------------------------------------ */
+/*  HTML / inline XBRL processing (see htmlProcessor)                   */
+/* ------------------------------------------------------------------ */
+
+const { extractFromHTML } = require('./htmlProcessor');
 
 /* ------------------------------------------------------------------ */
 /*  CSV processing                                                      */
@@ -28,6 +34,17 @@ const { extractTextFromPDF } = require('./pdfProcessor');
  * @returns {Promise<string>}
  */
 async function extractTextFromCSV(input) {
+  return (await extractCSV(input)).text;
+}
+
+/**
+ * Extract a CSV file as text plus its typed table (see buildSheet).
+ *
+ * @param {string|Buffer} input - File path or buffer
+ * @param {string} [sheetName] - Name given to the table, usually the file name
+ * @returns {Promise<{ text: string, sheets: object[] }>}
+ */
+async function extractCSV(input, sheetName = 'Sheet1') {
   let csvText;
 
   if (typeof input === 'string') {
@@ -61,7 +78,9 @@ async function extractTextFromCSV(input) {
   lines.push('--- Data Summary ---');
   lines.push(generateCSVSummary(headers, dataRows));
 
-  return lines.join('\n');
+  // Blank lines are skipped, so rows are numbered among non-blank lines
+  const sheet = buildSheet(sheetName, rows.map((cells, i) => ({ row: i + 1, cells })));
+  return { text: lines.join('\n'), sheets: [sheet] };
 }
 
 /**
@@ -131,6 +150,61 @@ function generateCSVSummary(headers, rows) {
   return summary.join('\n');
 }
 
+/* ------------------------------------------------------------------ */
+/*  Typed tables                                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Type a spreadsheet cell: amounts ("1,234", "$1,234.5", "(35)") become
+ * numbers, blanks become null, everything else (labels, periods,
+ * percentages) stays a string.
+ *
+ * @param {*} value
+ * @returns {number|string|null}
+ */
+function typeCell(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') return value;
+  const text = String(value).trim();
+  if (!text || /^[-—–]$/.test(text)) return null;
+
+  const amount = text.match(/^(\()?(-)?[$€£]?\s*(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?\)?$/);
+  if (amount && (!amount[1] || text.endsWith(')'))) {
+    const number = parseFloat(amount[3].replace(/,/g, '') + (amount[4] || ''));
+    return amount[1] || amount[2] ? -number : number;
+  }
+  return text;
+}
+
+/**
+ * Typed table of one sheet. The first row holds the column headers.
+ *
+ *   { name: 'Summary', headers: ['Metric', 'Q3 2023', ...], firstColumn: 0,
+ *     rows: [{ row: 2, cells: ['Revenue', 1234, ...] }, ...] }
+ *
+ * `row` is the 1-based spreadsheet row number and `firstColumn` the
+ * 0-based index of the first column (A = 0), so cells can be addressed
+ * as in the spreadsheet ("B2").
+ *
+ * @param {string} name
+ * @param {{ row: number, cells: any[] }[]} gridRows  Non-empty rows, header first
+ * @param {number} [firstColumn]
+ */
+function buildSheet(name, gridRows, firstColumn = 0) {
+  // Drop leading columns that are empty in every row (tables placed at B2)
+  const isEmpty = (c) => c === undefined || c === null || !String(c).trim();
+  let skip = 0;
+  while (gridRows.some(({ cells }) => cells.length > skip) && gridRows.every(({ cells }) => isEmpty(cells[skip]))) skip++;
+
+  const [header, ...data] = gridRows;
+  return {
+    name,
+    headers: (header?.cells || []).slice(skip).map((h) => String(h ?? '').trim()),
+    firstColumn: firstColumn + skip,
+    rows: data.map(({ row, cells }) => ({ row, cells: cells.slice(skip).map(typeCell) })),
+  };
+}
+
 /* ------------------------------------------------------------------ */
 /*  Excel processing                                                    */
 /* ------------------------------------------------------------------ */
@@ -143,6 +217,16 @@ function generateCSVSummary(headers, rows) {
  * @returns {Promise<string>}
  */
 async function extractTextFromExcel(input) {
+  return (await extractExcel(input)).text;
+}
+
+/**
+ * Extract every sheet of a workbook as text plus its typed table.
+ *
+ * @param {string|Buffer} input - File path or buffer
+ * @returns {Promise<{ text: string, sheets: object[] }>}
+ */
+async function extractExcel(input) {
   let XLSX;
   try {
     XLSX = require('xlsx');
@@ -162,12 +246,21 @@ async function extractTextFromExcel(input) {
   }
 
   const allText = [];
+  const sheets = [];
 
   for (const sheetName of workbook.SheetNames) {
     const sheet = workbook.Sheets[sheetName];
-    const json = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+    if (!sheet['!ref']) continue;
+
+    // Keep blank rows so each row's spreadsheet number is known
+    const range = XLSX.utils.decode_range(sheet['!ref']);
+    const gridRows = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false, blankrows: true })
+      .map((cells, i) => ({ row: range.s.r + i + 1, cells }))
+      .filter(({ cells }) => cells.some((c) => String(c).trim()));
+    const json = gridRows.map(({ cells }) => cells);
 
     if (json.length === 0) continue;
+    sheets.push(buildSheet(sheetName, gridRows, range.s.c));
 
     allText.push(`\n=== Sheet: ${sheetName} ===\n`);
 
@@ -197,7 +290,7 @@ async function extractTextFromExcel(input) {
 
   const result = allText.join('\n');
   if (!result.trim()) throw new Error('Excel file contains no data');
-  return result;
+  return { text: result, sheets };
 }
 
 /* ------------------------------------------------------------------ */
@@ -236,21 +329,33 @@ async function extractTextFromPlainText(input) {
  * @param {object} options
  * @param {string} [options.filename]  - Original filename (for extension detection)
  * @param {string} [options.mimeType]  - MIME type
- * @returns {Promise<{ text: string, format: string }>}
+ * @param {(event: object) => void} [options.onProgress]  - OCR progress events (PDF only)
+ * @returns {Promise<{ text: string, format: string, pages?: string[], ocr?: object[], facts?: object[], sheets?: object[] }>}
+ *   `pages` (PDF only) holds per-page text; `text` separates pages with '\f'.
+ *   `ocr` (PDF only) lists the pages read by OCR with their confidence.
+ *   `facts` (HTML only) holds the filing's inline XBRL facts.
+ *   `sheets` (CSV/Excel only) holds the typed table of each sheet.
  */
-async function processDocument(input, { filename, mimeType } = {}) {
+async function processDocument(input, { filename, mimeType, onProgress } = {}) {
   const format = detectFormat(filename, mimeType);
 
   let text;
+  let pages;
+  let ocr;
+  let facts;
+  let sheets;
   switch (format) {
     case 'pdf':
-      text = await extractTextFromPDF(input);
+      ({ text, pages, ocr } = await extractPagesFromPDF(input, { onProgress }));
+      break;
+    case 'html':
+      ({ text, facts } = await extractFromHTML(input));
       break;
     case 'csv':
-      text = await extractTextFromCSV(input);
+      ({ text, sheets } = await extractCSV(input, csvSheetName(input, filename)));
       break;
     case 'excel':
-      text = await extractTextFromExcel(input);
+      ({ text, sheets } = await extractExcel(input));
       break;
     case 'text':
       text = await extractTextFromPlainText(input);
@@ -263,7 +368,23 @@ async function processDocument(input, { filename, mimeType } = {}) {
     throw new Error('Document processing returned empty text.');
   }
 
-  return { text, format };
+  return {
+    text,
+    format,
+    ...(pages && { pages }),
+    ...(ocr?.length && { ocr }),
+    ...(facts?.length && { facts }),
+    ...(sheets?.length && { sheets }),
+  };
+}
+
+/**
+ * A CSV has one unnamed sheet; it is named after the file ("revenue.csv"
+ * → "revenue").
+ */
+function csvSheetName(input, filename) {
+  const name = filename || (typeof input === 'string' ? input : '');
+  return path.basename(name, path.extname(name)) || 'Sheet1';
 }
 
 /**
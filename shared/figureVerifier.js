@@ -0,0 +1,423 @@
+/**
+ * Numeric grounding check for generated sections and answers.
+ *
+ * Every figure the model writes — plain numbers, percentages, currency
+ * amounts — is normalized to a base value ("$1.2B" and "1,200 million"
+ * are both 1.2e9, "(35)" is -35) and looked up in the source:
+ *
+ *   verified   – the value appears in a retrieved chunk or the document text
+ *   derived    – not stated, but reproduced by a computed ratio or by simple
+ *                arithmetic (difference, sum, ratio, growth) on two figures
+ *                from the retrieved chunks
+ *   unverified – neither
+ *
+ * A figure matches when the source value rounds to it: "$1.2B" accepts
+ * anything from 1.15e9 to 1.25e9. Signs are ignored because narratives
+ * say "a loss of $35 million" where tables print "(35)".
+ */
+
+const { detectScale, isTableChunk } = require('./financialStatements');
+
+/* ------------------------------------------------------------------ */
+/*  Figure parsing                                                      */
+/* ------------------------------------------------------------------ */
+
+const SCALE_WORDS = {
+  thousand: 1e3, k: 1e3,
+  million: 1e6, mn: 1e6, mm: 1e6, m: 1e6,
+  billion: 1e9, bn: 1e9, b: 1e9,
+  trillion: 1e12, tn: 1e12, t: 1e12,
+};
+
+/**
+ * Matches "$1.2B", "USD 1,200 million", "(35)", "-4.5%", "12 percent",
+ * "€3bn". Accounting negatives may carry the currency outside the
+ * parentheses and the scale after them: "$(35) million", "($35) million",
+ * "$(1.2)B". Numbers glued to letters ("Q3", "FY2023", "10-K") are skipped
+ * by the lookbehind.
+ */
+const FIGURE_REGEX = /(?<![\w.,/-])(?:(USD|EUR|GBP|JPY)\s?|([$€£¥])\s?)?(\()?([-−–])?(?:(USD|EUR|GBP|JPY)\s?|([$€£¥])\s?)?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?(\))?(?:(%|\s?percent\b)|\s?(thousand|million|billion|trillion)s?\b|(bn|mn|mm|tn|[kmbt])\b)?(\))?(?![\w%])/gi;
+
+/** Citation links and chartdata blocks are not prose figures. */
+const CITE_LINK_REGEX = /\[\d+\]\(#cite-[^)\s]+\)/g;
+const CHARTDATA_REGEX = /~~~chartdata[\s\S]*?~~~/g;
+
+/** Blank out matches while keeping character offsets stable. */
+function mask(text, regex) {
+  return text.replace(regex, (m) => ' '.repeat(m.length));
+}
+
+/**
+ * Parse all figures in a piece of text.
+ *
+ * @param {string} text
+ * @returns {{ text: string, start: number, end: number, value: number, kind: 'percent'|'currency'|'number',
+ *   multiplier: number, decimals: number, explicitScale: boolean }[]}
+ */
+function parseFigures(text) {
+  const figures = [];
+  for (const match of text.matchAll(FIGURE_REGEX)) {
+    const [raw, outerCode, outerSymbol, open, minus, innerCode, innerSymbol, integer, fraction = '',
+      innerClose, percent, scaleWord, scaleAbbr, outerClose] = match;
+    const close = innerClose || outerClose;
+    let code = innerCode || outerCode;
+    let symbol = innerSymbol || outerSymbol;
+    let figureText = raw;
+    let start = match.index;
+    let unit = { percent, scale: scaleWord || scaleAbbr };
+
+    // Unbalanced parentheses belong to the sentence, not the figure, and
+    // so does anything after a stray closing one
+    if (open && !close) {
+      const offset = raw.indexOf('(') + 1;
+      figureText = raw.slice(offset);
+      start += offset;
+      code = innerCode;
+      symbol = innerSymbol;
+    }
+    if (close && !open) {
+      figureText = raw.slice(0, raw.indexOf(')'));
+      if (innerClose) unit = {};
+    }
+
+    const multiplier = SCALE_WORDS[(unit.scale || '').toLowerCase()] || 1;
+    const negative = Boolean(minus) || Boolean(open && close);
+
+    const number = parseFloat(`${integer.replace(/,/g, '')}.${fraction || 0}`);
+    const value = (negative ? -number : number) * multiplier;
+
+    figures.push({
+      text: figureText.trim(),
+      start,
+      end: start + figureText.trimEnd().length,
+      value,
+      kind: unit.percent ? 'percent' : code || symbol ? 'currency' : 'number',
+      multiplier,
+      decimals: fraction.length,
+      explicitScale: multiplier !== 1,
+      plainInteger: !fraction && !code && !symbol && !unit.percent && multiplier === 1 && !integer.includes(','),
+    });
+  }
+  return figures;
+}
+
+/**
+ * Figures worth checking in generated prose: years, list numbering and
+ * single-digit counts are left alone.
+ */
+function checkableFigures(content) {
+  const prose = mask(mask(content, CHARTDATA_REGEX), CITE_LINK_REGEX);
+  return parseFigures(prose).filter((f) => {
+    if (f.plainInteger && f.value >= 1900 && f.value <= 2100) return false;
+    if (f.plainInteger && Math.abs(f.value) < 10) return false;
+    // "1. " at the start of a line is an ordered-list marker
+    if (/^\s*$/.test(prose.slice(prose.lastIndexOf('\n', f.start - 1) + 1, f.start)) && prose[f.end] === '.') {
+      return false;
+    }
+    return true;
+  });
+}
+
+/* ------------------------------------------------------------------ */
+/*  Source index                                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Sorted list of absolute values with their origin, searchable by range.
+ */
+class ValueIndex {
+  constructor() {
+    this.entries = [];
+    this.sorted = true;
+  }
+
+  add(value, origin) {
+    if (!Number.isFinite(value)) return;
+    this.entries.push({ value: Math.abs(value), origin });
+    this.sorted = false;
+  }
+
+  /** First entry within `tolerance` of `target`, or null. */
+  find(target, tolerance) {
+    if (!this.sorted) {
+      this.entries.sort((a, b) => a.value - b.value);
+      this.sorted = true;
+    }
+    const goal = Math.abs(target);
+    let lo = 0;
+    let hi = this.entries.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.entries[mid].value < goal - tolerance) lo = mid + 1;
+      else hi = mid;
+    }
+    const hit = this.entries[lo];
+    return hit && hit.value <= goal + tolerance ? hit : null;
+  }
+}
+
+const ANY_SCALE = [1, 1e3, 1e6, 1e9];
+
+/**
+ * Scales a source figure may stand for, as multipliers of its printed
+ * number. A scale word is taken as written. Currency amounts without one
+ * may be in thousands, millions or billions ("$2,345" in a statement), and
+ * so may bare numbers in a table whose heading gives its scale. Other bare
+ * numbers ("Item 7", "12 plants") are only themselves.
+ *
+ * @param {string|null} tableScale  detectScale result for a table, else null
+ */
+function sourceScales(figure, tableScale) {
+  if (figure.explicitScale) return [figure.multiplier];
+  if (figure.kind === 'currency') return ANY_SCALE;
+  if (tableScale) return [1, SCALE_WORDS[tableScale.replace(/s$/, '')]];
+  return [1];
+}
+
+/** The scale a table chunk's heading gives, or null for prose. */
+function chunkScale(doc) {
+  if (!isTableChunk(doc)) return null;
+  return detectScale(`${doc.metadata?.sectionLabel || ''}\n${doc.pageContent}`);
+}
+
+/** Index source text; see sourceScales for the amounts each figure stands for. */
+function indexText(text, origin, amounts, percents, tableScale = null) {
+  for (const f of parseFigures(text)) {
+    if (f.kind === 'percent') {
+      percents.add(f.value, origin);
+      continue;
+    }
+    // Bare numbers in tables are often percentages without the sign
+    percents.add(f.value, origin);
+    for (const scale of sourceScales(f, tableScale)) amounts.add((f.value / f.multiplier) * scale, origin);
+  }
+}
+
+/**
+ * Index the whole document text block by block, so the bare numbers of a
+ * table take the scale of its heading (or of the line just before it).
+ */
+function indexDocumentText(text, amounts, percents) {
+  let previous = '';
+  for (const block of text.split(/\n\s*\n/)) {
+    const tableScale = isTableChunk({ pageContent: block }) ? detectScale(`${previous}\n${block}`) : null;
+    indexText(block, 'document', amounts, percents, tableScale);
+    previous = block;
+  }
+}
+
+/**
+ * Values reproducible from two figures of the retrieved chunks. Sums and
+ * differences are only taken at scales both figures may stand for.
+ */
+function indexArithmetic(chunks, amounts, percents, limit = 200) {
+  const seen = new Set();
+  const values = chunks
+    .flatMap((doc) => {
+      const tableScale = chunkScale(doc);
+      return parseFigures(doc.pageContent).map((f) => ({ f, scales: sourceScales(f, tableScale) }));
+    })
+    .filter(({ f }) => f.kind !== 'percent' && !(f.plainInteger && (f.value < 10 || (f.value >= 1900 && f.value <= 2100))))
+    .map(({ f, scales }) => ({ value: f.value / f.multiplier, scales }))
+    .filter(({ value, scales }) => {
+      const key = `${value}|${scales.join()}`;
+      if (value === 0 || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+
+  for (let i = 0; i < values.length; i++) {
+    for (let j = 0; j < values.length; j++) {
+      if (i === j) continue;
+      const a = values[i].value;
+      const b = values[j].value;
+      const basis = `${a} vs ${b}`;
+      percents.add((a / b - 1) * 100, `growth ${basis}`);
+      percents.add((a / b) * 100, `share ${basis}`);
+      if (i < j) {
+        for (const scale of values[i].scales.filter((s) => values[j].scales.includes(s))) {
+          amounts.add((a - b) * scale, `difference ${basis}`);
+          amounts.add((a + b) * scale, `sum ${basis}`);
+        }
+      }
+    }
+  }
+}
+
+function indexRatios(ratios, amounts, percents) {
+  for (const r of ratios || []) {
+    const origin = `${r.label} ${r.period}`;
+    (r.unit === '%' ? percents : amounts).add(r.value, origin);
+  }
+}
+
+/**
+ * Half a unit of the figure's last digit: "$1.2B" → 0.05e9.
+ */
+function tolerance(figure) {
+  return 0.5 * Math.pow(10, -figure.decimals) * figure.multiplier + Math.abs(figure.value) * 1e-9;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Verification                                                        */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Build the lookup structures for one section or answer.
+ *
+ * @param {object} context
+ * @param {import('langchain/document').Document[]} [context.chunks]  Retrieved excerpts
+ * @param {string} [context.fullText]  Cleaned document text
+ * @param {object[]} [context.ratios]  computeRatios result
+ */
+function buildIndex({ chunks = [], fullText = '', ratios = [] }) {
+  const index = {
+    chunkAmounts: new ValueIndex(),
+    chunkPercents: new ValueIndex(),
+    textAmounts: new ValueIndex(),
+    textPercents: new ValueIndex(),
+    derivedAmounts: new ValueIndex(),
+    derivedPercents: new ValueIndex(),
+  };
+
+  for (const doc of chunks) {
+    indexText(doc.pageContent, doc.metadata?.id || 'excerpt', index.chunkAmounts, index.chunkPercents, chunkScale(doc));
+  }
+  if (fullText) indexDocumentText(fullText, index.textAmounts, index.textPercents);
+  indexRatios(ratios, index.derivedAmounts, index.derivedPercents);
+  indexArithmetic(chunks, index.derivedAmounts, index.derivedPercents);
+
+  return index;
+}
+
+/**
+ * @returns {{ status: 'verified'|'derived'|'unverified', source?: string, basis?: string }}
+ */
+function checkFigure(figure, index) {
+  const tol = tolerance(figure);
+  const percent = figure.kind === 'percent';
+
+  const inChunks = (percent ? index.chunkPercents : index.chunkAmounts).find(figure.value, tol);
+  if (inChunks) return { status: 'verified', source: inChunks.origin };
+
+  const inText = (percent ? index.textPercents : index.textAmounts).find(figure.value, tol);
+  if (inText) return { status: 'verified', source: 'document' };
+
+  // Arithmetic on many pairs can land near anything, so coarse figures
+  // ("$14B") only count as derived when the result is within 0.5%
+  const derivedTol = Math.min(tol, Math.abs(figure.value) * 0.005);
+  const derived = (percent ? index.derivedPercents : index.derivedAmounts).find(figure.value, derivedTol);
+  if (derived) return { status: 'derived', basis: derived.origin };
+
+  return { status: 'unverified' };
+}
+
+function summarize(items) {
+  const summary = { total: items.length, verified: 0, derived: 0, unverified: 0 };
+  for (const item of items) summary[item.status]++;
+  return summary;
+}
+
+/**
+ * Chart data points carry their scale in the chart's unit ("$B", "%").
+ */
+function chartFigure(value, unit = '') {
+  const decimals = (String(value).split('.')[1] || '').length;
+  const scaleMatch = unit.match(/(trillion|billion|million|thousand|bn|mn|[TBMK])\b/i);
+  const multiplier = scaleMatch ? SCALE_WORDS[scaleMatch[1].toLowerCase()] || 1 : 1;
+  return {
+    value: value * multiplier,
+    multiplier,
+    decimals,
+    kind: unit.includes('%') ? 'percent' : /[$€£¥]|USD|EUR|GBP/.test(unit) ? 'currency' : 'number',
+  };
+}
+
+function checkCharts(content, index) {
+  const match = content.match(/~~~chartdata\s*([\s\S]*?)~~~/);
+  if (!match) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(match[1].trim());
+  } catch {
+    return [];
+  }
+
+  return (parsed.charts || [])
+    .filter((chart) => chart && Array.isArray(chart.data))
+    .map((chart) => ({
+      title: chart.title,
+      points: chart.data
+        .filter((point) => typeof point?.value === 'number')
+        .map((point) => ({
+          name: point.name,
+          value: point.value,
+          ...checkFigure(chartFigure(point.value, chart.unit), index),
+        })),
+    }));
+}
+
+/**
+ * Verify every figure in a generated section or answer.
+ *
+ * @param {string} content  Generated markdown (citations already resolved)
+ * @param {object} context  See buildIndex
+ * @returns {{ figures: object[], charts: object[], summary: object }}
+ */
+function verifyFigures(content, context) {
+  if (!content) return { figures: [], charts: [], summary: summarize([]) };
+
+  const index = buildIndex(context);
+  const figures = checkableFigures(content).map((f) => ({
+    text: f.text,
+    start: f.start,
+    end: f.end,
+    value: f.value,
+    kind: f.kind,
+    ...checkFigure(f, index),
+  }));
+  const charts = checkCharts(content, index);
+
+  return {
+    figures,
+    charts,
+    summary: summarize([...figures, ...charts.flatMap((c) => c.points)]),
+  };
+}
+
+/**
+ * Drop chart values a section's verification marked unverified, and
+ * charts left with fewer than two points — the report view's rule, so
+ * exports show the same charts.
+ *
+ * @param {object[]} charts  extractCharts result
+ * @param {object} [verification]  verifyFigures result for the section
+ * @returns {{ charts: object[], omitted: number }}
+ */
+function filterVerifiedCharts(charts, verification) {
+  if (!verification?.charts?.length) return { charts, omitted: 0 };
+
+  let omitted = 0;
+  const kept = charts
+    .map((chart) => {
+      const checked = verification.charts.find((c) => c.title === chart.title);
+      if (!checked) return chart;
+      const data = chart.data.filter((point) => {
+        const check = checked.points.find((p) => p.name === point.name && p.value === point.value);
+        const ok = check?.status !== 'unverified';
+        if (!ok) omitted++;
+        return ok;
+      });
+      return { ...chart, data };
+    })
+    .filter((chart) => chart.data.length >= 2);
+
+  return { charts: kept, omitted };
+}
+
+module.exports = {
+  verifyFigures,
+  parseFigures,
+  filterVerifiedCharts,
+};
@@ -0,0 +1,440 @@
+/**
+ * Filing redlines: one section of two filings of a company, item by item.
+ *
+ * The section (Item 1A risk factors, Item 7 MD&A) is cut out of each
+ * filing's text and split into items — one per risk factor (its heading
+ * sentence and the paragraphs under it) when the section is laid out
+ * that way, one per paragraph otherwise. PDF text keeps its line wrapping
+ * and has no blank lines between paragraphs, so paragraphs and headings
+ * are found line by line there. Tables are left out; their figures change
+ * every year.
+ *
+ * Items are then aligned:
+ *
+ *   1. identical text (ignoring case and spacing) is paired first;
+ *   2. the rest are paired greedily, most similar first, when their word
+ *      overlap or the cosine of their embeddings is high enough — the
+ *      embeddings let a rewritten risk find its predecessor;
+ *   3. what is left over was added (new filing) or removed (old filing).
+ *
+ * Paired items get a word-level diff. They count as unchanged when the
+ * diff keeps nearly all of their words, or when only numbers (dates,
+ * amounts) changed, and as reworded otherwise:
+ *
+ *   { status: 'reworded', heading: 'We face intense competition.',
+ *     before, after, similarity: 0.71, embeddingSimilarity: 0.93,
+ *     diff: [{ op: 'equal', text: 'We face' }, { op: 'insert', text: 'increasingly' }, ...] }
+ */
+
+const config = require('./config');
+
+/** Sections a redline covers, by detectSections name */
+const REDLINE_SECTIONS = ['risk_factors', 'mda'];
+
+/** Word pairs an item diff may compare before it falls back to replacing the whole text */
+const MAX_DIFF_CELLS = 4_000_000;
+
+const PARAGRAPH_BREAK = '\n\n';
+
+/** A wrapped line shorter than this share of the block's longest line ends its paragraph */
+const SHORT_LINE = 0.8;
+
+/** Lines read ahead for a risk heading wrapped over several lines */
+const MAX_HEADING_LINES = 6;
+
+/* ------------------------------------------------------------------ */
+/*  Sections and items                                                  */
+/* ------------------------------------------------------------------ */
+
+/**
+ * The text of one section, from its header to the next known section.
+ * Headers found only by their capitalisation (sub-headings inside the
+ * section) do not end it. A table of contents lists the section too, so
+ * the longest occurrence is taken.
+ *
+ * @param {string} text  Cleaned document text
+ * @param {{ name: string, startIndex: number, generic?: true }[]} detected  detectSections result
+ * @param {string} name  Section name, e.g. 'risk_factors'
+ * @returns {string|null} Section text without its header line
+ */
+function sectionText(text, detected, name) {
+  let best = null;
+  detected.forEach((section, i) => {
+    if (section.name !== name) return;
+    const next = detected.slice(i + 1).find((s) => !s.generic && s.name !== name);
+    const body = text.slice(section.startIndex, next ? next.startIndex : text.length);
+    const withoutHeader = body.slice(body.indexOf('\n') + 1).trim();
+    if (body.indexOf('\n') !== -1 && (!best || withoutHeader.length > best.length)) best = withoutHeader;
+  });
+  return best || null;
+}
+
+const wordCount = (text) => (text.match(/\S+/g) || []).length;
+
+/** Pipe-row tables (see htmlProcessor.js) and rows of figures */
+function isTable(paragraph) {
+  const lines = paragraph.split('\n').filter((l) => l.trim());
+  const tableLines = lines.filter((l) => /\|.*\|/.test(l) || l.trim().split(/\s{2,}/).length >= 3);
+  return tableLines.length > lines.length * 0.5;
+}
+
+/** A short title without closing punctuation, e.g. "Risks Related to Our Business" */
+function isCategory(paragraph) {
+  return !paragraph.includes('\n') && wordCount(paragraph) <= 12 && !/[.:;!?]$/.test(paragraph);
+}
+
+/** One sentence of 6–60 words; a risk factor's heading states the risk */
+function isRiskHeading(paragraph) {
+  const words = wordCount(paragraph);
+  return words >= 6 && words <= 60 && /[.!?]$/.test(paragraph)
+    && paragraph.split(/(?<=[a-z0-9)][.!?])\s+(?=[A-Z])/).length === 1;
+}
+
+const endsSentence = (line) => /[.!?]["”')]*$/.test(line);
+
+/**
+ * Whether a hard-wrapped line ends a paragraph: the next line starts a
+ * new sentence, and this line either stops short of the margin (after a
+ * sentence or a title), or closes or precedes a risk heading — a single
+ * sentence that may run to the margin.
+ *
+ * @param {string[]} current  Lines of the paragraph so far, ending with this one
+ * @param {string[]} rest  The lines after it
+ */
+function endsParagraph(current, rest, width, riskFactors) {
+  const line = current[current.length - 1];
+  if (!/^["“(]?[A-Z0-9]/.test(rest[0])) return false;
+  const short = line.length < width * SHORT_LINE;
+  if (short && (/[.!?:;]["”')]*$/.test(line) || isCategory(line))) return true;
+  if (!riskFactors || !endsSentence(line)) return false;
+  if (current.length <= MAX_HEADING_LINES && isRiskHeading(current.join(' '))) return true;
+  const end = rest.slice(0, MAX_HEADING_LINES).findIndex(endsSentence);
+  return end !== -1 && end + 1 < rest.length && isRiskHeading(rest.slice(0, end + 1).join(' '));
+}
+
+/**
+ * Paragraphs of a block of text. PDF text (see pdfProcessor.js) keeps the
+ * page's line wrapping and has no blank lines between paragraphs, so a
+ * block of several lines is cut wherever endsParagraph says so; lines of
+ * one paragraph stay joined by newlines. Risk headings are only looked
+ * for in risk factor sections.
+ */
+function splitParagraphs(block, riskFactors) {
+  const lines = block.split('\n').map((l) => l.trim()).filter(Boolean);
+  const width = Math.max(0, ...lines.map((l) => l.length));
+  const paragraphs = [];
+  let current = [];
+  lines.forEach((line, i) => {
+    current.push(line);
+    if (i === lines.length - 1 || endsParagraph(current, lines.slice(i + 1), width, riskFactors)) {
+      paragraphs.push(current.join('\n'));
+      current = [];
+    }
+  });
+  return paragraphs;
+}
+
+/**
+ * Split a section into the items that are aligned.
+ *
+ * Paragraphs are separated by blank lines or, in hard-wrapped PDF text,
+ * found line by line (see splitParagraphs).
+ *
+ * For risk factors, when at least two risk headings are followed by
+ * longer body text, every heading opens an item that runs to the next
+ * heading. Otherwise each paragraph is an item. Category lines are kept
+ * on the items under them.
+ *
+ * @param {string} text  sectionText result
+ * @param {object} [options]
+ * @param {boolean} [options.riskFactors]  Look for headed risk factors
+ * @returns {{ heading: string|null, category: string|null, text: string }[]}
+ */
+function splitItems(text, { riskFactors = false } = {}) {
+  const paragraphs = text
+    .split(/\n\s*\n/)
+    .map((p) => p.trim())
+    .filter((p) => p && p !== '\f' && !isTable(p))
+    .flatMap((block) => splitParagraphs(block, riskFactors))
+    .filter((p) => !isTable(p));
+
+  const headingAt = new Set();
+  paragraphs.forEach((p, i) => {
+    const next = paragraphs[i + 1];
+    if (riskFactors && isRiskHeading(p) && next && !isCategory(next) && wordCount(next) > wordCount(p)) headingAt.add(i);
+  });
+  const byHeading = headingAt.size >= 2;
+
+  const items = [];
+  let category = null;
+  let current = null;
+  paragraphs.forEach((p, i) => {
+    if (isCategory(p)) {
+      category = p;
+      current = null;
+      return;
+    }
+    if (byHeading && headingAt.has(i)) {
+      current = { heading: p, category, paragraphs: [p] };
+      items.push(current);
+    } else if (byHeading && current) {
+      current.paragraphs.push(p);
+    } else {
+      items.push({ heading: null, category, paragraphs: [p] });
+    }
+  });
+
+  return items
+    .map(({ heading, category: itemCategory, paragraphs: parts }) => ({ heading, category: itemCategory, text: parts.join(PARAGRAPH_BREAK) }))
+    .slice(0, config.filingDiff.maxItems);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Similarity and word diff                                            */
+/* ------------------------------------------------------------------ */
+
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+const wordSet = (text) => new Set(text.toLowerCase().match(/[a-z0-9]+/g) || []);
+
+/** Dice coefficient of the two items' distinct words */
+function wordOverlap(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return (2 * shared) / (a.size + b.size);
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/** Words, with paragraph breaks kept as their own token */
+const tokenize = (text) => text.split(/\n\s*\n/).flatMap((p, i) => [...(i > 0 ? [PARAGRAPH_BREAK] : []), ...(p.match(/\S+/g) || [])]);
+
+const joinTokens = (tokens) => tokens.join(' ').replace(/ ?\n\n ?/g, PARAGRAPH_BREAK);
+
+/**
+ * Word-level diff (longest common subsequence) of two texts. Runs of the
+ * same operation are merged; adjacent runs are separated by a space.
+ *
+ * @returns {{ op: 'equal'|'insert'|'delete', text: string }[]}
+ */
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix && a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const midA = a.slice(prefix, a.length - suffix);
+  const midB = b.slice(prefix, b.length - suffix);
+  const steps = [];
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    steps.push(...midA.map((t) => ['delete', t]), ...midB.map((t) => ['insert', t]));
+  } else {
+    // lcs[i][j]: common words of midA[i..] and midB[j..]
+    const width = midB.length + 1;
+    const lcs = new Uint16Array((midA.length + 1) * width);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        steps.push(['equal', midA[i++]]);
+        j++;
+      } else if (i < midA.length && (j === midB.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        steps.push(['delete', midA[i++]]);
+      } else {
+        steps.push(['insert', midB[j++]]);
+      }
+    }
+  }
+
+  const all = [...a.slice(0, prefix).map((t) => ['equal', t]), ...steps, ...a.slice(a.length - suffix).map((t) => ['equal', t])];
+  const runs = [];
+  for (const [op, token] of all) {
+    const last = runs[runs.length - 1];
+    if (last && last.op === op) last.tokens.push(token);
+    else runs.push({ op, tokens: [token] });
+  }
+  return runs.map(({ op, tokens }) => ({ op, text: joinTokens(tokens) }));
+}
+
+/** Share of the two texts' words the diff keeps */
+function diffSimilarity(diff) {
+  let kept = 0;
+  let changed = 0;
+  for (const { op, text } of diff) {
+    if (op === 'equal') kept += wordCount(text);
+    else changed += wordCount(text);
+  }
+  return kept + changed === 0 ? 1 : (2 * kept) / (2 * kept + changed);
+}
+
+const NUMERIC_TOKEN = /^[($€£¥]?[\d.,]+[%)]?[.,;:]?$|^(?:19|20)\d{2}[.,;:)]?$/;
+
+/** Whether only numbers differ, e.g. "fiscal 2022" → "fiscal 2023" */
+const onlyNumbersChanged = (diff) =>
+  diff.filter((d) => d.op !== 'equal').every((d) => (d.text.match(/\S+/g) || []).every((t) => NUMERIC_TOKEN.test(t)));
+
+/* ------------------------------------------------------------------ */
+/*  Alignment                                                           */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Align the items of one section across two filings.
+ *
+ * @param {{ heading: string|null, category: string|null, text: string }[]} before  Older filing's items
+ * @param {{ heading: string|null, category: string|null, text: string }[]} after  Newer filing's items
+ * @param {{ before: number[][], after: number[][] }|null} [embeddings]  One vector per item, same order
+ * @returns {{ items: object[], counts: { added: number, removed: number, reworded: number, unchanged: number } }}
+ *   Items in the newer filing's order, removed ones where they stood in the older filing
+ */
+function alignItems(before, after, embeddings = null) {
+  const { matchSimilarity, embeddingSimilarity, unchangedSimilarity } = config.filingDiff;
+  const matchOf = new Array(after.length).fill(-1);
+  const taken = new Set();
+
+  // 1. Identical text
+  const byText = new Map();
+  before.forEach((item, i) => {
+    const key = normalize(item.text);
+    if (!byText.has(key)) byText.set(key, []);
+    byText.get(key).push(i);
+  });
+  after.forEach((item, j) => {
+    const queue = byText.get(normalize(item.text));
+    if (queue?.length) {
+      matchOf[j] = queue.shift();
+      taken.add(matchOf[j]);
+    }
+  });
+
+  // 2. Most similar first
+  const wordsBefore = before.map((item) => wordSet(item.text));
+  const wordsAfter = after.map((item) => wordSet(item.text));
+  const candidates = [];
+  after.forEach((_, j) => {
+    if (matchOf[j] !== -1) return;
+    before.forEach((_, i) => {
+      if (taken.has(i)) return;
+      const overlap = wordOverlap(wordsBefore[i], wordsAfter[j]);
+      const semantic = embeddings ? cosine(embeddings.before[i], embeddings.after[j]) : null;
+      if (overlap < matchSimilarity && (semantic == null || semantic < embeddingSimilarity)) return;
+      candidates.push({ i, j, overlap, semantic, score: semantic == null ? overlap : (overlap + semantic) / 2 });
+    });
+  });
+  candidates.sort((x, y) => y.score - x.score);
+  const semanticOf = new Map();
+  for (const { i, j, semantic } of candidates) {
+    if (taken.has(i) || matchOf[j] !== -1) continue;
+    matchOf[j] = i;
+    taken.add(i);
+    semanticOf.set(j, semantic);
+  }
+
+  // 3. Classify, in the newer filing's order
+  const counts = { added: 0, removed: 0, reworded: 0, unchanged: 0 };
+  const items = [];
+  const removed = before.map((_, i) => i).filter((i) => !taken.has(i));
+  const pushRemoved = (upTo) => {
+    while (removed.length > 0 && removed[0] < upTo) {
+      const item = before[removed.shift()];
+      counts.removed++;
+      items.push({ status: 'removed', heading: item.heading, category: item.category, before: item.text, after: null, similarity: null, embeddingSimilarity: null, diff: null });
+    }
+  };
+
+  after.forEach((item, j) => {
+    const i = matchOf[j];
+    if (i === -1) {
+      counts.added++;
+      items.push({ status: 'added', heading: item.heading, category: item.category, before: null, after: item.text, similarity: null, embeddingSimilarity: null, diff: null });
+      return;
+    }
+    pushRemoved(i);
+    const previous = before[i];
+    const identical = normalize(previous.text) === normalize(item.text);
+    const diff = identical ? null : diffWords(previous.text, item.text);
+    const similarity = diff ? +diffSimilarity(diff).toFixed(3) : 1;
+    const status = !diff || similarity >= unchangedSimilarity || onlyNumbersChanged(diff) ? 'unchanged' : 'reworded';
+    counts[status]++;
+    items.push({
+      status,
+      heading: item.heading ?? previous.heading,
+      category: item.category,
+      before: previous.text,
+      after: item.text,
+      similarity,
+      embeddingSimilarity: semanticOf.get(j) != null ? +semanticOf.get(j).toFixed(3) : null,
+      diff,
+    });
+  });
+  pushRemoved(Infinity);
+
+  return { items, counts };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Prompt                                                              */
+/* ------------------------------------------------------------------ */
+
+const excerpt = (text, length = 400) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length)}…` : flat;
+};
+
+/**
+ * The changed items of a section, for the summary prompt: added and
+ * removed items first, then the most reworded ones, at most
+ * `config.filingDiff.summaryItems` in all.
+ *
+ * @param {object[]} items  alignItems result
+ * @returns {string} Markdown list, or '' when nothing changed
+ */
+function formatChangesForPrompt(items) {
+  const order = { added: 0, removed: 1, reworded: 2 };
+  const changed = items
+    .filter((item) => item.status in order)
+    .sort((a, b) => order[a.status] - order[b.status] || (a.similarity ?? 0) - (b.similarity ?? 0))
+    .slice(0, config.filingDiff.summaryItems);
+
+  return changed.map((item) => {
+    const title = item.heading ? excerpt(item.heading, 200) : excerpt(item.after ?? item.before, 200);
+    if (item.status === 'added') return `- **Added:** ${title}\n  ${excerpt(item.after)}`;
+    if (item.status === 'removed') return `- **Removed:** ${title}\n  ${excerpt(item.before)}`;
+    const edits = item.diff
+      .filter((d) => d.op !== 'equal')
+      .map((d) => `${d.op === 'insert' ? '+' : '−'} "${excerpt(d.text, 160)}"`)
+      .slice(0, 6)
+      .join('; ');
+    return `- **Reworded** (${Math.round(item.similarity * 100)}% of wording kept): ${title}\n  ${edits}`;
+  }).join('\n');
+}
+
+module.exports = {
+  REDLINE_SECTIONS,
+  sectionText,
+  splitItems,
+  diffWords,
+  alignItems,
+  formatChangesForPrompt,
+};
@@ -0,0 +1,615 @@
+/**
+ * Structured financial statement extraction.
+ *
+ * Runs over the table chunks produced by semantic chunking (see
+ * tableExtractor.js) and turns the income statement, balance sheet and
+ * cash flow statement into normalized line items that downstream models
+ * can consume directly:
+ *
+ *   { statement: 'incomeStatement', key: 'revenue', label: 'Revenue',
+ *     period: 'FY2023', fiscalYear: 2023, value: 383285,
+ *     unit: 'USD', scale: 'millions', multiplier: 1e6,
+ *     chunkId: 'chunk_41', page: 28, rawLabel: 'Total net sales' }
+ *
+ * Values are kept as reported (`value`) together with the scale they
+ * were reported in; `value * multiplier` gives the amount in base units.
+ *
+ * Extracted text has its horizontal whitespace collapsed, so rows are read
+ * as "label followed by trailing numbers" rather than by column position.
+ *
+ * Chunks from inline XBRL filings also carry tagged facts
+ * (`metadata.xbrlFacts`, see htmlProcessor.js). Those map straight onto
+ * line items by concept and take precedence over parsed table cells;
+ * items record which one they came from in `source` ('xbrl' | 'table').
+ */
+
+/* ------------------------------------------------------------------ */
+/*  Statement and line-item definitions                                 */
+/* ------------------------------------------------------------------ */
+
+const STATEMENT_TYPES = {
+  incomeStatement: {
+    label: 'Income Statement',
+    titles: /statements?\s+of\s+(?:consolidated\s+)?(?:operations|income|earnings|comprehensive income)|income\s+statements?|profit\s+(?:and|&)\s+loss/i,
+    keywords: [
+      /\brevenues?\b|\bnet sales\b/i,
+      /cost of (?:goods sold|sales|revenues?)/i,
+      /gross (?:profit|margin)/i,
+      /operating (?:income|profit|loss)|income from operations/i,
+      /\bnet (?:income|earnings|loss)\b/i,
+      /earnings per share|per share/i,
+      /income tax/i,
+    ],
+  },
+  balanceSheet: {
+    label: 'Balance Sheet',
+    titles: /balance\s+sheets?|statements?\s+of\s+(?:consolidated\s+)?financial\s+position/i,
+    keywords: [
+      /total assets/i,
+      /total liabilities/i,
+      /(?:stockholders|shareholders)['’]? equity|total equity/i,
+      /current assets/i,
+      /current liabilities/i,
+      /cash and cash equivalents/i,
+      /accounts (?:receivable|payable)/i,
+    ],
+  },
+  cashFlowStatement: {
+    label: 'Cash Flow Statement',
+    titles: /statements?\s+of\s+(?:consolidated\s+)?cash\s+flows?|cash\s+flow\s+statements?/i,
+    keywords: [
+      /operating activities/i,
+      /investing activities/i,
+      /financing activities/i,
+      /capital expenditures?|purchases? of property/i,
+      /depreciation and amortization/i,
+      /net (?:increase|decrease|change) in cash/i,
+    ],
+  },
+};
+
+/**
+ * Canonical line items. Patterns are matched against the row label with
+ * footnote markers and trailing punctuation removed; the first match wins,
+ * so more specific patterns come first. `profit` items are signed: a row
+ * labelled only as a loss ("Net loss", "Loss from operations") prints the
+ * loss as a positive number.
+ */
+const LINE_ITEMS = [
+  // Income statement
+  { key: 'costOfRevenue', statement: 'incomeStatement', label: 'Cost of Revenue', patterns: [/^(?:total )?cost of (?:goods sold|sales|revenues?|products? sold)/i, /^cost of (?:net )?revenues?$/i] },
+  { key: 'revenue', statement: 'incomeStatement', label: 'Revenue', patterns: [/^(?:total )?(?:net )?(?:revenues?|sales)$/i, /^total (?:net )?(?:revenues?|sales)/i, /^net sales and revenues?$/i] },
+  { key: 'grossProfit', statement: 'incomeStatement', label: 'Gross Profit', patterns: [/^gross (?:profit|margin)$/i] },
+  { key: 'researchAndDevelopment', statement: 'incomeStatement', label: 'Research and Development', patterns: [/^research and development/i] },
+  { key: 'sellingGeneralAdministrative', statement: 'incomeStatement', label: 'SG&A', patterns: [/^selling,? general,? and administrative/i, /^sg&a$/i] },
+  { key: 'operatingExpenses', statement: 'incomeStatement', label: 'Operating Expenses', patterns: [/^total operating (?:expenses|costs)/i] },
+  { key: 'operatingIncome', statement: 'incomeStatement', label: 'Operating Income', profit: true, patterns: [/^(?:total )?operating (?:income|profit)(?: \(loss\))?$/i, /^operating loss$/i, /^(?:income|loss|income \(loss\)) from operations$/i] },
+  { key: 'interestExpense', statement: 'incomeStatement', label: 'Interest Expense', patterns: [/^interest expense/i] },
+  { key: 'pretaxIncome', statement: 'incomeStatement', label: 'Pre-tax Income', profit: true, patterns: [/^(?:income|earnings|loss)(?: \(loss\))? before (?:provision for )?income tax/i] },
+  { key: 'incomeTax', statement: 'incomeStatement', label: 'Income Tax', patterns: [/^(?:provision for|benefit from) income taxes/i, /^income tax (?:expense|provision)/i] },
+  { key: 'netIncome', statement: 'incomeStatement', label: 'Net Income', profit: true, patterns: [/^net (?:income|earnings)(?: \(loss\))?(?: attributable to .*)?$/i, /^net loss(?: attributable to .*)?$/i] },
+  { key: 'epsBasic', statement: 'incomeStatement', label: 'EPS (Basic)', perShare: true, patterns: [/^basic(?: earnings per share)?$/i, /^(?:basic )?earnings per share[\s-]*basic$/i, /^basic (?:net income|earnings) per share/i] },
+  { key: 'epsDiluted', statement: 'incomeStatement', label: 'EPS (Diluted)', perShare: true, patterns: [/^diluted(?: earnings per share)?$/i, /^(?:diluted )?earnings per share[\s-]*diluted$/i, /^diluted (?:net income|earnings) per share/i] },
+  { key: 'ebitda', statement: 'incomeStatement', label: 'EBITDA', patterns: [/^(?:adjusted )?ebitda$/i] },
+
+  // Balance sheet
+  { key: 'cash', statement: 'balanceSheet', label: 'Cash and Equivalents', patterns: [/^cash and cash equivalents$/i, /^cash and equivalents$/i] },
+  { key: 'shortTermInvestments', statement: 'balanceSheet', label: 'Short-term Investments', patterns: [/^(?:short-term|current) (?:investments|marketable securities)/i, /^marketable securities$/i] },
+  { key: 'accountsReceivable', statement: 'balanceSheet', label: 'Accounts Receivable', patterns: [/^accounts receivable/i, /^trade (?:and other )?receivables/i] },
+  { key: 'inventory', statement: 'balanceSheet', label: 'Inventory', patterns: [/^inventor(?:y|ies)$/i] },
+  { key: 'currentAssets', statement: 'balanceSheet', label: 'Total Current Assets', patterns: [/^total current assets$/i] },
+  { key: 'propertyPlantEquipment', statement: 'balanceSheet', label: 'PP&E, Net', patterns: [/^property,? plant,? and equipment,? net$/i, /^property and equipment,? net$/i] },
+  { key: 'goodwill', statement: 'balanceSheet', label: 'Goodwill', patterns: [/^goodwill$/i] },
+  { key: 'totalAssets', statement: 'balanceSheet', label: 'Total Assets', patterns: [/^total assets$/i] },
+  { key: 'accountsPayable', statement: 'balanceSheet', label: 'Accounts Payable', patterns: [/^accounts payable/i, /^trade (?:and other )?payables/i] },
+  { key: 'shortTermDebt', statement: 'balanceSheet', label: 'Short-term Debt', patterns: [/^short-term (?:debt|borrowings)/i, /^current (?:portion|maturities) of long-term debt/i, /^commercial paper$/i, /^term debt,? current$/i] },
+  { key: 'currentLiabilities', statement: 'balanceSheet', label: 'Total Current Liabilities', patterns: [/^total current liabilities$/i] },
+  { key: 'longTermDebt', statement: 'balanceSheet', label: 'Long-term Debt', patterns: [/^long-term debt(?:,? (?:net|less current portion|non-?current))*$/i, /^term debt,? non-?current$/i] },
+  { key: 'totalDebt', statement: 'balanceSheet', label: 'Total Debt', patterns: [/^total (?:debt|borrowings)$/i] },
+  { key: 'totalLiabilities', statement: 'balanceSheet', label: 'Total Liabilities', patterns: [/^total liabilities$/i] },
+  { key: 'totalEquity', statement: 'balanceSheet', label: 'Total Equity', patterns: [/^total (?:stockholders|shareholders)['’]? equity(?: \(deficit\))?$/i, /^total equity$/i] },
+
+  // Cash flow statement
+  { key: 'depreciationAmortization', statement: 'cashFlowStatement', label: 'Depreciation and Amortization', patterns: [/^depreciation and amortization/i, /^depreciation,? amortization/i] },
+  { key: 'operatingCashFlow', statement: 'cashFlowStatement', label: 'Cash from Operations', patterns: [/^(?:net )?cash (?:provided by|generated by|from|used in|\(used in\) provided by|provided by \(used in\)) operating activities/i, /^cash generated by operating activities/i] },
+  { key: 'capitalExpenditures', statement: 'cashFlowStatement', label: 'Capital Expenditures', patterns: [/^capital expenditures?/i, /^(?:purchases?|payments for acquisition) of property,? (?:plant )?and equipment/i, /^additions to property/i] },
+  { key: 'investingCashFlow', statement: 'cashFlowStatement', label: 'Cash from Investing', patterns: [/^(?:net )?cash (?:provided by|generated by|from|used in|\(used in\) provided by|provided by \(used in\)) investing activities/i] },
+  { key: 'dividendsPaid', statement: 'cashFlowStatement', label: 'Dividends Paid', patterns: [/^(?:payments? (?:for|of) )?dividends(?: paid)?/i, /^cash dividends paid/i] },
+  { key: 'shareRepurchases', statement: 'cashFlowStatement', label: 'Share Repurchases', patterns: [/^repurchases? of (?:common )?stock/i, /^purchases? of treasury stock/i] },
+  { key: 'financingCashFlow', statement: 'cashFlowStatement', label: 'Cash from Financing', patterns: [/^(?:net )?cash (?:provided by|generated by|from|used in|\(used in\) provided by|provided by \(used in\)) financing activities/i] },
+];
+
+const SCALES = {
+  thousands: 1e3,
+  millions: 1e6,
+  billions: 1e9,
+};
+
+/**
+ * us-gaap / ifrs-full concepts (local names) per line item, most specific
+ * first. When a filing tags several of them for one period, the earliest wins.
+ */
+const XBRL_CONCEPTS = {
+  revenue: ['Revenues', 'RevenueFromContractWithCustomerExcludingAssessedTax', 'RevenueFromContractWithCustomerIncludingAssessedTax', 'SalesRevenueNet', 'Revenue'],
+  costOfRevenue: ['CostOfRevenue', 'CostOfGoodsAndServicesSold', 'CostOfGoodsSold', 'CostOfSales'],
+  grossProfit: ['GrossProfit'],
+  researchAndDevelopment: ['ResearchAndDevelopmentExpense', 'ResearchAndDevelopmentExpenseExcludingAcquiredInProcessCost'],
+  sellingGeneralAdministrative: ['SellingGeneralAndAdministrativeExpense'],
+  operatingExpenses: ['OperatingExpenses', 'CostsAndExpenses'],
+  operatingIncome: ['OperatingIncomeLoss', 'ProfitLossFromOperatingActivities'],
+  interestExpense: ['InterestExpense', 'InterestExpenseNonoperating', 'FinanceCosts'],
+  pretaxIncome: ['IncomeLossFromContinuingOperationsBeforeIncomeTaxesExtraordinaryItemsNoncontrollingInterest', 'IncomeLossFromContinuingOperationsBeforeIncomeTaxesMinorityInterestAndIncomeLossFromEquityMethodInvestments', 'ProfitLossBeforeTax'],
+  incomeTax: ['IncomeTaxExpenseBenefit', 'IncomeTaxExpenseContinuingOperations'],
+  netIncome: ['NetIncomeLoss', 'ProfitLossAttributableToOwnersOfParent', 'ProfitLoss'],
+  epsBasic: ['EarningsPerShareBasic', 'BasicEarningsLossPerShare'],
+  epsDiluted: ['EarningsPerShareDiluted', 'DilutedEarningsLossPerShare'],
+
+  cash: ['CashAndCashEquivalentsAtCarryingValue', 'CashAndCashEquivalents'],
+  shortTermInvestments: ['ShortTermInvestments', 'MarketableSecuritiesCurrent', 'AvailableForSaleSecuritiesDebtSecuritiesCurrent'],
+  accountsReceivable: ['AccountsReceivableNetCurrent', 'TradeAndOtherCurrentReceivables'],
+  inventory: ['InventoryNet', 'Inventories'],
+  currentAssets: ['AssetsCurrent', 'CurrentAssets'],
+  propertyPlantEquipment: ['PropertyPlantAndEquipmentNet', 'PropertyPlantAndEquipment'],
+  goodwill: ['Goodwill'],
+  totalAssets: ['Assets'],
+  accountsPayable: ['AccountsPayableCurrent', 'TradeAndOtherCurrentPayables'],
+  shortTermDebt: ['LongTermDebtCurrent', 'ShortTermBorrowings', 'CommercialPaper', 'DebtCurrent'],
+  currentLiabilities: ['LiabilitiesCurrent', 'CurrentLiabilities'],
+  longTermDebt: ['LongTermDebtNoncurrent', 'LongTermDebt'],
+  totalLiabilities: ['Liabilities'],
+  totalEquity: ['StockholdersEquity', 'StockholdersEquityIncludingPortionAttributableToNoncontrollingInterest', 'Equity'],
+
+  depreciationAmortization: ['DepreciationDepletionAndAmortization', 'DepreciationAndAmortization', 'DepreciationAmortizationAndAccretionNet'],
+  operatingCashFlow: ['NetCashProvidedByUsedInOperatingActivities', 'CashFlowsFromUsedInOperatingActivities'],
+  capitalExpenditures: ['PaymentsToAcquirePropertyPlantAndEquipment', 'PurchaseOfPropertyPlantAndEquipmentClassifiedAsInvestingActivities'],
+  investingCashFlow: ['NetCashProvidedByUsedInInvestingActivities', 'CashFlowsFromUsedInInvestingActivities'],
+  dividendsPaid: ['PaymentsOfDividends', 'PaymentsOfDividendsCommonStock', 'DividendsPaidClassifiedAsFinancingActivities'],
+  shareRepurchases: ['PaymentsForRepurchaseOfCommonStock'],
+  financingCashFlow: ['NetCashProvidedByUsedInFinancingActivities', 'CashFlowsFromUsedInFinancingActivities'],
+};
+
+const CONCEPT_LOOKUP = new Map(
+  Object.entries(XBRL_CONCEPTS).flatMap(([key, concepts]) =>
+    concepts.map((concept, rank) => [concept, { key, rank }])
+  )
+);
+
+const SCALE_BY_EXPONENT = { 3: 'thousands', 6: 'millions', 9: 'billions' };
+
+const CURRENCIES = [
+  { symbol: '$', code: 'USD' },
+  { symbol: '€', code: 'EUR' },
+  { symbol: '£', code: 'GBP' },
+  { symbol: '¥', code: 'JPY' },
+];
+
+/* ------------------------------------------------------------------ */
+/*  Row parsing                                                         */
+/* ------------------------------------------------------------------ */
+
+const NUMBER_TOKEN = /^\(?-?[$€£¥]?\(?-?\d[\d,]*(?:\.\d+)?\)?%?\)?$|^[—–-]$/;
+const YEAR = /\b((?:19|20)\d{2})\b/;
+
+/**
+ * Parse one reported figure: "(1,234)" → -1234, "$5.2" → 5.2, "—" → null.
+ *
+ * @param {string} token
+ * @returns {number|null}
+ */
+function parseAmount(token) {
+  if (/^[—–-]$/.test(token)) return null;
+  const negative = /^\(.*\)$/.test(token) || /^-/.test(token.replace(/[$€£¥(]/g, ''));
+  const digits = token.replace(/[^\d.]/g, '');
+  if (!digits) return null;
+  const value = parseFloat(digits);
+  return Number.isFinite(value) ? (negative ? -value : value) : null;
+}
+
+/** "Net loss", "Loss before income taxes": a loss label with no income or profit in it */
+function isLossLabel(label) {
+  const measure = label.replace(/\bincome tax(?:es)?\b/gi, '');
+  return /\bloss\b/i.test(measure) && !/\b(?:income|earnings|profit)\b/i.test(measure);
+}
+
+/**
+ * Split a table row into its label and trailing numeric cells.
+ *
+ * @param {string} line
+ * @returns {{ label: string, cells: string[] } | null}
+ */
+function splitRow(line) {
+  const tokens = line
+    .replace(/\|/g, ' ')
+    .replace(/([$€£¥])\s+(?=[\d(])/g, '$1')
+    .trim()
+    .split(/\s+/)
+    .filter((t) => !/^[$€£¥]$/.test(t));
+
+  const cells = [];
+  while (tokens.length > 0 && NUMBER_TOKEN.test(tokens[tokens.length - 1])) {
+    cells.unshift(tokens.pop());
+  }
+  if (cells.length === 0 || tokens.length === 0) return null;
+
+  // A lone "(1)"-style footnote marker sits between label and figures
+  while (cells.length > 1 && /^\(\d\)$/.test(cells[0])) cells.shift();
+
+  const label = tokens
+    .join(' ')
+    .replace(/\(\d\)|\*+/g, '')
+    .replace(/[\s.:…]+$/, '')
+    .trim();
+  return label ? { label, cells } : null;
+}
+
+/**
+ * "2023 2022" or "December 31, 2023 2022" — column headings, not figures.
+ * HTML tables put the year on its own row, leaving "Year Ended December 31,".
+ */
+function isHeaderRow(cells) {
+  if (cells.length === 1 && /^\d{1,2},$/.test(cells[0])) return true;
+  return cells.some((c) => /^(?:19|20)\d{2}$/.test(c))
+    && cells.every((c) => /^(?:19|20)\d{2}$/.test(c) || /^\d{1,2},$/.test(c));
+}
+
+/**
+ * Canonical line item for a row label, preferring the statement the
+ * table was classified as.
+ */
+function matchLineItem(label, statement) {
+  const normalized = label.replace(/\s+/g, ' ').replace(/^[-–—•]\s*/, '');
+  const ordered = [
+    ...LINE_ITEMS.filter((item) => item.statement === statement),
+    ...LINE_ITEMS.filter((item) => item.statement !== statement),
+  ];
+  return ordered.find((item) => item.patterns.some((p) => p.test(normalized))) || null;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Table context: statement type, periods, unit, scale                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Decide which statement a table belongs to. Explicit titles win; else
+ * the statement with the most distinct keyword hits (at least two).
+ *
+ * @param {string} tableText
+ * @param {string} context  Text just before the table (titles, "in millions")
+ * @returns {string|null}
+ */
+function classifyStatement(tableText, context) {
+  for (const [type, def] of Object.entries(STATEMENT_TYPES)) {
+    if (def.titles.test(context) || def.titles.test(tableText.slice(0, 300))) return type;
+  }
+
+  let best = null;
+  let bestScore = 1;
+  for (const [type, def] of Object.entries(STATEMENT_TYPES)) {
+    const score = def.keywords.filter((k) => k.test(tableText)).length;
+    if (score > bestScore) {
+      best = type;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+function detectScale(text) {
+  const match = text.match(/\b(?:in|amounts in|dollars in|[$€£¥] in)\s+(thousands|millions|billions)\b/i)
+    || text.match(/\(\s*[$€£¥]?\s*(thousands|millions|billions)\s*\)/i);
+  if (match) return match[1].toLowerCase();
+  if (/\(\s*[$€£¥]?\s*000s?\s*\)|[$€£¥]'?000/i.test(text)) return 'thousands';
+  return null;
+}
+
+function detectCurrency(text) {
+  const explicit = text.match(/\b(USD|EUR|GBP|JPY|CAD|CHF|AUD)\b/);
+  if (explicit) return explicit[1];
+  return CURRENCIES.find((c) => text.includes(c.symbol))?.code || null;
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/** "Three Months Ended", "Nine Months Ended", "13 Weeks Ended", "Quarter Ended" column group headings */
+const DURATION_HEADING = /\b(?:(three|six|nine|twelve|3|6|9|12)[- ]months?|(thirteen|twenty-six|thirty-nine|fifty-two|fifty-three|1[2-4]|2[5-7]|3[8-9]|40|5[1-3])[- ]weeks?|(quarters?|years?))\s+ended\b/gi;
+
+const MONTH_COUNTS = { three: 3, six: 6, nine: 9, twelve: 12 };
+const WEEK_COUNTS = { thirteen: 13, 'twenty-six': 26, 'thirty-nine': 39, 'fifty-two': 52, 'fifty-three': 53 };
+
+/** Months covered by each duration heading, in column order */
+function durationHeadings(text) {
+  return [...text.matchAll(DURATION_HEADING)].map(([, months, weeks, unit]) => {
+    if (months) return MONTH_COUNTS[months.toLowerCase()] || Number(months);
+    if (weeks) return Math.round(((WEEK_COUNTS[weeks.toLowerCase()] || Number(weeks)) * 12) / 52);
+    return /^quarter/i.test(unit) ? 3 : 12;
+  });
+}
+
+const monthNumber = (name) => MONTHS.indexOf(name.toLowerCase().slice(0, 3)) + 1;
+
+/**
+ * Label of a flow period from its length in months: "FY2023" for a year,
+ * "Q3 2023" for three months (numbered by the calendar quarter its end
+ * month falls in), "9M 2023" for six or nine months to date.
+ */
+function durationPeriod(months, endMonth, year) {
+  if (months >= 12) return `FY${year}`;
+  if (months === 3 && endMonth) return `Q${Math.ceil(endMonth / 3)} ${year}`;
+  return `${months}M ${year}`;
+}
+
+/**
+ * Column periods from the table header. Annual flow statements become
+ * "FY2023"; quarters "Q3 2023"; point-in-time and interim columns the
+ * ISO period-end date ("2023-12-31"). A date given once applies to the
+ * bare years after it ("December 31, 2023 2022").
+ *
+ * Interim statements head their column groups "Three Months Ended" and
+ * "Nine Months Ended" above the year row; their columns become quarters
+ * and year-to-date periods ("9M 2023"), so neither is read as a fiscal
+ * year.
+ *
+ * @param {string[]} headerLines  Lines before the first data row
+ * @returns {{ period: string, fiscalYear: number }[]}
+ */
+function detectPeriods(headerLines) {
+  const pattern = /(?:\b(Q[1-4])\s*(?:FY)?\s*|\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2}),?\s*|\b(?:FY|fiscal(?: year)?)\s*)?\b((?:19|20)\d{2})\b/gi;
+
+  for (let i = 0; i < headerLines.length; i++) {
+    const above = headerLines.slice(0, i + 1).join(' ');
+    const annual = /\byears? ended\b|\bfiscal\b|\bFY\b/i.test(above);
+    const durations = durationHeadings(above);
+    const endMonth = above.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}\b/i)?.[1];
+    const periods = [];
+    let monthDay = null;
+
+    const matches = [...headerLines[i].matchAll(pattern)];
+    // Each heading spans the same number of year columns
+    const perHeading = durations.length > 0 && matches.length % durations.length === 0 ? matches.length / durations.length : null;
+
+    matches.forEach((match, col) => {
+      const [, quarter, month, day, year] = match;
+      if (month) {
+        monthDay = `${String(monthNumber(month)).padStart(2, '0')}-${day.padStart(2, '0')}`;
+      }
+
+      let period = `FY${year}`;
+      if (quarter) period = `${quarter.toUpperCase()} ${year}`;
+      else if (perHeading) period = durationPeriod(durations[Math.floor(col / perHeading)], endMonth && monthNumber(endMonth), year);
+      else if (monthDay && !annual) period = `${year}-${monthDay}`;
+      periods.push({ period, fiscalYear: Number(year) });
+    });
+    if (periods.length > 0) return periods;
+  }
+  return [];
+}
+
+/* ------------------------------------------------------------------ */
+/*  Table extraction                                                    */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Raw table text of a chunk. Table chunks are stored as flattened text
+ * followed by the original rows (see splitTextIntoSemanticChunks).
+ */
+function rawTableText(pageContent) {
+  const marker = '[Raw table data]\n';
+  const index = pageContent.indexOf(marker);
+  return index === -1 ? pageContent : pageContent.slice(index + marker.length);
+}
+
+function countNumericRows(text) {
+  return text.split('\n').filter((line) => splitRow(line)?.cells.length >= 1).length;
+}
+
+function isTableChunk(doc) {
+  return doc.metadata?.contentType === 'table' || countNumericRows(rawTableText(doc.pageContent)) >= 3;
+}
+
+/**
+ * Extract line items from one table chunk.
+ *
+ * @param {import('langchain/document').Document} doc
+ * @param {string} context  Tail of the preceding chunk
+ * @returns {{ statement: string, scale: string|null, unit: string|null, periods: object[], lineItems: object[] } | null}
+ */
+function extractTable(doc, context) {
+  const tableText = rawTableText(doc.pageContent);
+  const surroundings = `${doc.metadata?.sectionLabel || ''}\n${context}`;
+
+  const statement = classifyStatement(tableText, surroundings);
+  if (!statement) return null;
+
+  const scale = detectScale(tableText) || detectScale(surroundings);
+  const unit = detectCurrency(tableText) || detectCurrency(surroundings) || 'USD';
+
+  const lines = tableText.split('\n').map((l) => l.trim()).filter(Boolean);
+  const headerLines = [];
+  const rows = [];
+  for (const line of lines) {
+    const row = splitRow(line);
+    if (row && !isHeaderRow(row.cells) && !(rows.length === 0 && YEAR.test(row.label) && !matchLineItem(row.label, statement))) {
+      rows.push(row);
+    } else if (rows.length === 0) {
+      headerLines.push(line);
+    }
+  }
+
+  let periods = detectPeriods(headerLines);
+  if (periods.length === 0) periods = detectPeriods(context.split('\n').reverse());
+
+  const lineItems = [];
+  for (const { label, cells } of rows) {
+    const item = matchLineItem(label, statement);
+    if (!item) continue;
+    // Percentage columns (margins, growth) are not reported amounts
+    const amounts = cells.filter((c) => !c.endsWith('%'));
+
+    amounts.forEach((cell, col) => {
+      let value = parseAmount(cell);
+      if (value == null) return;
+      // An unbracketed figure on a loss row is the size of the loss
+      if (item.profit && value > 0 && isLossLabel(label)) value = -value;
+      const period = periods[col] || { period: `column${col + 1}`, fiscalYear: null };
+
+      lineItems.push({
+        statement: item.statement,
+        key: item.key,
+        label: item.label,
+        rawLabel: label,
+        period: period.period,
+        fiscalYear: period.fiscalYear,
+        value,
+        source: 'table',
+        unit: item.perShare ? `${unit}/share` : unit,
+        scale: item.perShare ? null : scale,
+        multiplier: item.perShare ? 1 : SCALES[scale] || 1,
+        chunkId: doc.metadata?.id || null,
+        page: doc.metadata?.pageStart ?? null,
+      });
+    });
+  }
+
+  return { statement, scale, unit, periods, lineItems };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Inline XBRL facts                                                   */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Line items from the XBRL facts attached to a chunk. Dimensional facts
+ * (segment breakdowns) are skipped: the statements only hold totals.
+ *
+ * @param {import('langchain/document').Document} doc
+ * @returns {object[]} line items, each with the concept's `rank`
+ */
+function extractFacts(doc) {
+  const lineItems = [];
+  for (const fact of doc.metadata?.xbrlFacts || []) {
+    if (fact.dimensional || !fact.periodLabel) continue;
+    const match = CONCEPT_LOOKUP.get(fact.concept.split(':').pop());
+    if (!match) continue;
+
+    const item = LINE_ITEMS.find((i) => i.key === match.key);
+    const [currency] = (fact.unit || 'USD').split('/');
+    const scale = item.perShare ? null : SCALE_BY_EXPONENT[fact.scale] || null;
+    const multiplier = SCALES[scale] || 1;
+
+    lineItems.push({
+      statement: item.statement,
+      key: item.key,
+      label: item.label,
+      rawLabel: fact.concept,
+      period: fact.periodLabel,
+      fiscalYear: fact.fiscalYear,
+      value: fact.value / multiplier,
+      source: 'xbrl',
+      concept: fact.concept,
+      decimals: fact.decimals,
+      unit: item.perShare ? `${currency}/share` : currency,
+      scale,
+      multiplier,
+      chunkId: doc.metadata?.id || null,
+      page: doc.metadata?.pageStart ?? null,
+      rank: match.rank,
+    });
+  }
+  return lineItems;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Public API                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Extract the primary financial statements from a document's chunks.
+ *
+ * When the same line item and period appear in several tables (e.g. the
+ * statement itself and a summary in MD&A), a tagged XBRL fact wins over
+ * any table, then the table classified as that item's own statement, then
+ * the earliest one.
+ *
+ * @param {import('langchain/document').Document[]} documents  Chunks in document order
+ * @returns {{
+ *   periods: string[],
+ *   statements: Record<string, { label: string, sourceChunkIds: string[], lineItems: object[] }>,
+ *   lineItemCount: number,
+ *   extractedAt: string
+ * }}
+ */
+function extractFinancialStatements(documents) {
+  const statements = Object.fromEntries(
+    Object.entries(STATEMENT_TYPES).map(([type, def]) => [
+      type,
+      { label: def.label, sourceChunkIds: [], lineItems: [] },
+    ])
+  );
+  const chosen = new Map();
+
+  documents.forEach((doc) => {
+    for (const { rank, ...item } of extractFacts(doc)) {
+      const id = `${item.key}|${item.period}`;
+      const current = chosen.get(id);
+      if (!current || rank < current.rank) {
+        chosen.set(id, { item, fromOwnStatement: true, rank });
+      }
+    }
+  });
+
+  documents.forEach((doc, i) => {
+    if (!isTableChunk(doc)) return;
+
+    const context = (documents[i - 1]?.pageContent || '').slice(-400);
+    const table = extractTable(doc, context);
+    if (!table || table.lineItems.length === 0) return;
+
+    for (const item of table.lineItems) {
+      const id = `${item.key}|${item.period}`;
+      const current = chosen.get(id);
+      const fromOwnStatement = table.statement === item.statement;
+      if (!current || (current.item.source === 'table' && fromOwnStatement && !current.fromOwnStatement)) {
+        chosen.set(id, { item, fromOwnStatement });
+      }
+    }
+  });
+
+  for (const { item } of chosen.values()) {
+    const target = statements[item.statement];
+    target.lineItems.push(item);
+    if (item.chunkId && !target.sourceChunkIds.includes(item.chunkId)) {
+      target.sourceChunkIds.push(item.chunkId);
+    }
+  }
+
+  const order = new Map(LINE_ITEMS.map((item, i) => [item.key, i]));
+  for (const statement of Object.values(statements)) {
+    statement.lineItems.sort((a, b) =>
+      order.get(a.key) - order.get(b.key) || (b.fiscalYear || 0) - (a.fiscalYear || 0)
+    );
+  }
+
+  const periods = [...new Set(
+    [...chosen.values()]
+      .map(({ item }) => item)
+      .sort((a, b) => (b.fiscalYear || 0) - (a.fiscalYear || 0))
+      .map((item) => item.period)
+  )];
+
+  return {
+    periods,
+    statements,
+    lineItemCount: chosen.size,
+    extractedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  extractFinancialStatements,
+  STATEMENT_TYPES,
+  LINE_ITEMS,
+  XBRL_CONCEPTS,
+  parseAmount,
+  detectScale,
+  isTableChunk,
+};
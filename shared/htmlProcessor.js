@@ -0,0 +1,479 @@
+/**
+ * HTML and inline XBRL (iXBRL) filing processing.
+ *
+ * EDGAR filings are mostly `.htm` documents. Rather than flattening them
+ * to whitespace-aligned text, the markup is walked directly:
+ *
+ *  - block elements (headings, paragraphs, divs) become paragraphs
+ *  - `<table>` rows become pipe-delimited lines ("| Net sales | $12,500 | $11,200 |"),
+ *    which tableExtractor.js and financialStatements.js read as real tables
+ *  - CSS page breaks become form feeds, so chunks get page numbers
+ *  - `ix:nonFraction` facts are parsed into tagged numeric data
+ *
+ * Facts look like:
+ *
+ *   { id: 'fact_12', concept: 'us-gaap:Revenues', contextRef: 'c-4',
+ *     period: { startDate: '2023-01-01', endDate: '2023-12-31' },
+ *     periodLabel: 'FY2023', fiscalYear: 2023, unit: 'USD', decimals: -6,
+ *     scale: 6, sign: 1, displayed: '12,500', value: 12500000000, dimensional: false }
+ *
+ * `value` is in base units with the sign applied. Facts whose context has
+ * dimensions (segment or product breakdowns) are flagged `dimensional`.
+ *
+ * No HTML parser dependency: filings are machine-generated and regular
+ * enough for a tolerant tokenizer.
+ */
+
+const fs = require('fs');
+
+/* ------------------------------------------------------------------ */
+/*  Tokenizing                                                          */
+/* ------------------------------------------------------------------ */
+
+const TOKEN_REGEX = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<(\/?)([a-zA-Z][\w:.-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|[^<]+|</g;
+const ATTR_REGEX = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'meta', 'link', 'input', 'col', 'wbr', 'area', 'base', 'source']);
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'head', 'title', 'ix:header', 'noscript']);
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'ul', 'ol', 'dl', 'dt', 'dd',
+  'section', 'article', 'header', 'footer', 'blockquote', 'center', 'pre', 'body', 'form', 'caption',
+]);
+
+const NAMED_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', mdash: '—', ndash: '–',
+  hellip: '…', bull: '•', middot: '·', reg: '®', copy: '©', trade: '™',
+  sect: '§', para: '¶', dagger: '†', Dagger: '‡', deg: '°', times: '×',
+  frac12: '½', frac14: '¼', frac34: '¾', euro: '€', pound: '£', yen: '¥', cent: '¢',
+  shy: '', zwsp: '', zwnj: '', zwj: '',
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, (match, dec, hex, name) => {
+    if (dec) return String.fromCodePoint(Number(dec));
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    return name in NAMED_ENTITIES ? NAMED_ENTITIES[name] : match;
+  });
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  for (const [, name, dq, sq, bare] of source.matchAll(ATTR_REGEX)) {
+    attrs[name.toLowerCase()] = decodeEntities(dq ?? sq ?? bare ?? '');
+  }
+  return attrs;
+}
+
+function isHidden(attrs) {
+  return /display\s*:\s*none/i.test(attrs.style || '');
+}
+
+function pageBreak(attrs, edge) {
+  return new RegExp(`(?:page-break-${edge}|break-${edge})\\s*:\\s*(?:always|page)`, 'i').test(attrs.style || '');
+}
+
+/* ------------------------------------------------------------------ */
+/*  XBRL contexts and units                                             */
+/* ------------------------------------------------------------------ */
+
+function localName(qname) {
+  return qname.slice(qname.indexOf(':') + 1);
+}
+
+/**
+ * Contexts declared in `ix:resources`, by id.
+ *
+ * @returns {Map<string, { period: object, dimensional: boolean }>}
+ */
+function parseContexts(html) {
+  const contexts = new Map();
+  const regex = /<(?:[\w-]+:)?context\b[^>]*\bid\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/(?:[\w-]+:)?context>/gi;
+  for (const [, id, body] of html.matchAll(regex)) {
+    const value = (tag) => body.match(new RegExp(`<(?:[\\w-]+:)?${tag}>\\s*([^<\\s]+)\\s*<`, 'i'))?.[1] || null;
+    const instant = value('instant');
+    contexts.set(id, {
+      period: instant ? { instant } : { startDate: value('startDate'), endDate: value('endDate') },
+      dimensional: /<(?:[\w-]+:)?(?:segment|scenario)\b/i.test(body),
+    });
+  }
+  return contexts;
+}
+
+/**
+ * Units by id: "USD", "shares", "USD/shares", "pure".
+ *
+ * @returns {Map<string, string>}
+ */
+function parseUnits(html) {
+  const units = new Map();
+  const regex = /<(?:[\w-]+:)?unit\b[^>]*\bid\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/(?:[\w-]+:)?unit>/gi;
+  for (const [, id, body] of html.matchAll(regex)) {
+    const measures = [...body.matchAll(/<(?:[\w-]+:)?measure>\s*([^<\s]+)\s*</gi)].map((m) => localName(m[1]));
+    units.set(id, measures.join('/'));
+  }
+  return units;
+}
+
+/**
+ * "FY2023" for annual durations, "Q3 2023" for quarters (by the calendar
+ * quarter of the end date), "9M 2023" for six or nine months to date,
+ * otherwise the ISO period-end date — the same labels
+ * financialStatements.js derives from table headers.
+ */
+function periodLabel(period) {
+  const end = period.instant || period.endDate;
+  if (!end) return { periodLabel: null, fiscalYear: null };
+
+  const fiscalYear = Number(end.slice(0, 4));
+  if (period.startDate) {
+    const days = (Date.parse(period.endDate) - Date.parse(period.startDate)) / 86400000;
+    if (days >= 350 && days <= 380) return { periodLabel: `FY${fiscalYear}`, fiscalYear };
+    if (days >= 80 && days <= 100) return { periodLabel: `Q${Math.ceil(Number(end.slice(5, 7)) / 3)} ${fiscalYear}`, fiscalYear };
+    const months = [6, 9].find((m) => Math.abs(days - (m * 365) / 12) <= 10);
+    if (months) return { periodLabel: `${months}M ${fiscalYear}`, fiscalYear };
+  }
+  return { periodLabel: end, fiscalYear };
+}
+
+/**
+ * Numeric value of a fact's displayed text according to its ixt format.
+ */
+function parseFactNumber(displayed, format = '') {
+  const fmt = localName(format).toLowerCase().replace(/-/g, '');
+  if (/fixedzero|zerodash|nocontent/.test(fmt) || /^[—–-]$/.test(displayed.trim())) return 0;
+
+  let digits = displayed.replace(/[^\d.,]/g, '');
+  if (/numcommadecimal/.test(fmt)) digits = digits.replace(/\./g, '').replace(',', '.');
+  else digits = digits.replace(/,/g, '');
+
+  const value = parseFloat(digits);
+  return Number.isFinite(value) ? value : null;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Tables                                                              */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Filing tables split "$", figures and ")" into separate cells and pad
+ * with empty spacer columns. Glue the pieces back together.
+ */
+function mergeCells(cells) {
+  const merged = [];
+  let prefix = '';
+  for (const raw of cells) {
+    const cell = raw.trim();
+    if (!cell) continue;
+    if (/^[$€£¥(]+$|^[$€£¥]\s*\($/.test(cell)) {
+      prefix += cell.replace(/\s+/g, '');
+    } else if (/^[)%]+$/.test(cell) && merged.length > 0 && !prefix) {
+      merged[merged.length - 1] += cell;
+    } else {
+      merged.push(prefix + cell);
+      prefix = '';
+    }
+  }
+  if (prefix) merged.push(prefix);
+  return merged;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Conversion                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Convert filing HTML to structured text and extract its iXBRL facts.
+ *
+ * Each fact carries an `anchor`: the table row or a short stretch of the
+ * sentence it appeared in, used by attachFactsToChunks.
+ *
+ * @param {string} html
+ * @returns {{ text: string, facts: object[] }}
+ */
+function convertHTML(html) {
+  const contexts = parseContexts(html);
+  const units = parseUnits(html);
+
+  const blocks = [];
+  const facts = [];
+  const stack = [];
+  let skipDepth = 0;
+
+  // Inline text of the current paragraph, and facts waiting for its anchor
+  let inline = '';
+  let inlineFacts = [];
+
+  // Open tables. Tables nested inside a cell are placeholders: their
+  // content is folded into the outer table's current cell.
+  const tables = [];
+  const openFacts = [];
+
+  const currentTable = () => tables[0];
+
+  const append = (text) => {
+    const collapsed = text.replace(/\s+/g, ' ');
+    if (!collapsed) return;
+    for (const fact of openFacts) fact.displayed += collapsed;
+
+    const table = currentTable();
+    if (table?.cell != null) {
+      table.cell += collapsed;
+    } else if (!table) {
+      if (!inline && collapsed === ' ') return;
+      inline += inline.endsWith(' ') || !inline ? collapsed.replace(/^ /, '') : collapsed;
+    }
+  };
+
+  const flush = () => {
+    const paragraph = inline.trimEnd();
+    if (paragraph) {
+      blocks.push(paragraph);
+      for (const { fact, offset } of inlineFacts) {
+        fact.anchor = paragraph.slice(Math.max(0, offset - 25), offset + fact.displayed.length + 5).trim();
+      }
+    }
+    inline = '';
+    inlineFacts = [];
+  };
+
+  const endCell = (table) => {
+    if (table.cell == null) return;
+    table.row ??= { cells: [], facts: [] };
+    table.row.cells.push(table.cell);
+    table.cell = null;
+  };
+
+  const endRow = (table) => {
+    endCell(table);
+    if (table.row) table.rows.push(table.row);
+    table.row = null;
+  };
+
+  const emitTable = (table) => {
+    endRow(table);
+    const rows = table.rows.map((row) => ({ ...row, cells: mergeCells(row.cells) })).filter((row) => row.cells.length > 0);
+
+    // Single-column tables are layout, not data
+    const layout = rows.every((row) => row.cells.length <= 1);
+    for (const row of rows) {
+      const line = layout ? row.cells[0] : `| ${row.cells.join(' | ')} |`;
+      for (const fact of row.facts) fact.anchor = line;
+      blocks.push({ line, tableRow: !layout });
+    }
+    blocks.push('');
+  };
+
+  const openFact = (attrs) => {
+    const fact = { attrs, displayed: '', offset: inline.length };
+    openFacts.push(fact);
+    return fact;
+  };
+
+  const closeFact = (state) => {
+    openFacts.splice(openFacts.indexOf(state), 1);
+    const { attrs } = state;
+    const displayed = state.displayed.trim();
+    const number = parseFactNumber(displayed, attrs.format);
+    if (number == null) return;
+
+    const context = contexts.get(attrs.contextref) || { period: {}, dimensional: false };
+    const scale = parseInt(attrs.scale, 10) || 0;
+    const sign = attrs.sign === '-' ? -1 : 1;
+    const decimals = attrs.decimals === 'INF' || attrs.decimals == null ? attrs.decimals || null : parseInt(attrs.decimals, 10);
+
+    const fact = {
+      id: attrs.id || `fact_${facts.length}`,
+      concept: attrs.name,
+      contextRef: attrs.contextref || null,
+      period: context.period,
+      ...periodLabel(context.period),
+      unit: units.get(attrs.unitref) || attrs.unitref || null,
+      decimals,
+      scale,
+      sign,
+      displayed,
+      value: sign * number * Math.pow(10, scale),
+      dimensional: context.dimensional,
+      anchor: displayed,
+    };
+    facts.push(fact);
+
+    const table = currentTable();
+    if (table) {
+      table.row ??= { cells: [], facts: [] };
+      table.row.facts.push(fact);
+    } else {
+      inlineFacts.push({ fact, offset: state.offset });
+    }
+  };
+
+  for (const match of html.matchAll(TOKEN_REGEX)) {
+    const [token, closing, rawName, rawAttrs = '', selfClosing] = match;
+
+    if (!rawName) {
+      if (token.startsWith('<')) continue; // comment, doctype, CDATA
+      if (skipDepth === 0) append(decodeEntities(token));
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+
+    if (closing) {
+      const index = stack.map((e) => e.name).lastIndexOf(name);
+      if (index === -1) continue;
+      // Close everything opened inside it too (unclosed <p>, <td>, ...)
+      for (const element of stack.splice(index).reverse()) {
+        if (element.skip) { skipDepth--; continue; }
+        if (skipDepth > 0) continue;
+        closeElement(element);
+      }
+      continue;
+    }
+
+    const attrs = parseAttributes(rawAttrs);
+    const skip = SKIPPED_ELEMENTS.has(name) || isHidden(attrs);
+    if (skipDepth > 0 || skip) {
+      if (!VOID_ELEMENTS.has(name) && !selfClosing) {
+        stack.push({ name, skip });
+        if (skip) skipDepth++;
+      }
+      continue;
+    }
+
+    openElement(name, attrs);
+    if (!VOID_ELEMENTS.has(name) && !selfClosing) {
+      stack.push({ name, attrs, fact: name === 'ix:nonfraction' ? openFact(attrs) : null });
+    } else if (pageBreak(attrs, 'after')) {
+      flush();
+      blocks.push('\f');
+    }
+  }
+
+  function openElement(name, attrs) {
+    if (pageBreak(attrs, 'before')) {
+      flush();
+      blocks.push('\f');
+    }
+
+    const table = currentTable();
+    if (name === 'table') {
+      if (table) { tables.push({ nested: true }); return; }
+      flush();
+      tables.push({ rows: [], row: null, cell: null });
+    } else if (table && tables.length > 1) {
+      // Inside a nested table every cell or row boundary is just a space
+      if (table.cell && /^(?:td|th|tr|br)$|^(?:p|div|li)$/.test(name)) table.cell += ' ';
+    } else if (table) {
+      if (name === 'tr') {
+        endRow(table);
+        table.row = { cells: [], facts: [] };
+      } else if (name === 'td' || name === 'th') {
+        endCell(table);
+        table.cell = '';
+      } else if (name === 'br' || BLOCK_ELEMENTS.has(name)) {
+        if (table.cell) table.cell += ' ';
+      }
+    } else if (!table && (name === 'br' || name === 'hr' || BLOCK_ELEMENTS.has(name))) {
+      flush();
+    }
+  }
+
+  function closeElement(element) {
+    if (element.fact) closeFact(element.fact);
+
+    const table = currentTable();
+    if (element.name === 'table') {
+      const closed = tables.pop();
+      if (!closed.nested) emitTable(closed);
+    } else if (table && tables.length === 1) {
+      if (element.name === 'tr') endRow(table);
+      else if (element.name === 'td' || element.name === 'th') endCell(table);
+    } else if (!table && BLOCK_ELEMENTS.has(element.name)) {
+      flush();
+    }
+
+    if (pageBreak(element.attrs || {}, 'after')) {
+      flush();
+      blocks.push('\f');
+    }
+  }
+
+  flush();
+  while (tables.length > 0) {
+    const table = tables.pop();
+    if (!table.nested) emitTable(table);
+  }
+
+  // Table rows are single lines; everything else is its own paragraph
+  let text = '';
+  for (const block of blocks) {
+    if (typeof block === 'object') text += `${block.line}\n`;
+    else text += block ? `\n${block}\n\n` : '\n';
+  }
+  text = text.replace(/\n{3,}/g, '\n\n').trim();
+
+  return { text, facts };
+}
+
+/**
+ * Extract structured text and iXBRL facts from an HTML filing.
+ *
+ * @param {string|Buffer} input - File path or buffer
+ * @returns {Promise<{ text: string, facts: object[] }>}
+ */
+async function extractFromHTML(input) {
+  let html;
+  if (typeof input === 'string') {
+    html = fs.readFileSync(input, 'utf-8');
+  } else if (Buffer.isBuffer(input)) {
+    html = input.toString('utf-8');
+  } else {
+    throw new Error('HTML input must be a file path or Buffer');
+  }
+
+  const { text, facts } = convertHTML(html);
+  if (!text.trim()) throw new Error('HTML document contains no text');
+  return { text, facts };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Facts on chunks                                                     */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Record each fact on the chunk that contains it, as
+ * `metadata.xbrlFacts`. Facts and chunks are both in document order, so
+ * the search resumes from the last hit instead of scanning every chunk.
+ *
+ * @param {import('langchain/document').Document[]} documents
+ * @param {object[]} facts  extractFromHTML facts
+ * @returns {number} facts attached
+ */
+function attachFactsToChunks(documents, facts) {
+  const texts = documents.map((doc) => doc.pageContent.replace(/[ \t]+/g, ' '));
+  let cursor = 0;
+  let attached = 0;
+
+  for (const { anchor, ...fact } of facts) {
+    if (!anchor || texts.length === 0) continue;
+    let hit = -1;
+    for (let n = 0; n < texts.length; n++) {
+      const i = (cursor + n) % texts.length;
+      if (texts[i].includes(anchor)) { hit = i; break; }
+    }
+    if (hit === -1) continue;
+
+    cursor = hit;
+    const meta = documents[hit].metadata;
+    (meta.xbrlFacts ||= []).push(fact);
+    attached++;
+  }
+  return attached;
+}
+
+module.exports = {
+  extractFromHTML,
+  convertHTML,
+  attachFactsToChunks,
+};
@@ -124,6 +124,47 @@ class BM25Index {
       .slice(0, topK)
       .map(({ document, score }) => ({ document, score }));
   }
+
+  /**
+   * Serialize the index statistics (not the documents) so the index can
+   * be restored without re-tokenizing every chunk.
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      k1: this.k1,
+      b: this.b,
+      N: this.N,
+      avgDL: this.avgDL,
+      docFreqs: [...this.docFreqs.entries()],
+      docData: this.docData.map(({ freqs, length }) => ({
+        freqs: [...freqs.entries()],
+        length,
+      })),
+    };
+  }
+
+  /**
+   * Restore an index from `toJSON()` output.
+   * @param {object} data
+   * @param {import('langchain/document').Document[]} documents  Same order as when serialized
+   * @returns {BM25Index}
+   */
+  static fromJSON(data, documents) {
+    const index = Object.create(BM25Index.prototype);
+    index.k1 = data.k1;
+    index.b = data.b;
+    index.documents = documents;
+    index.N = data.N;
+    index.avgDL = data.avgDL;
+    index.docFreqs = new Map(data.docFreqs);
+    index.docData = data.docData.map(({ freqs, length }) => ({
+      tokens: [],
+      freqs: new Map(freqs),
+      length,
+    }));
+    return index;
+  }
 }
 
 /* ------------------------------------------------------------------ */
@@ -0,0 +1,354 @@
+/**
+ * LLM provider layer.
+ *
+ * Chat, streaming chat and embeddings all go through one provider,
+ * selected by `LLM_PROVIDER`:
+ *
+ *   openai             – api.openai.com (default)
+ *   openai-compatible  – any server speaking the OpenAI REST API at
+ *                        LLM_BASE_URL (Ollama, vLLM, llama.cpp server)
+ *   mock               – deterministic offline responses and hashed
+ *                        embeddings; no network, no API key
+ *
+ * Model name, base URL and timeout can be overridden per task
+ * (classification, rerank, sections, qa) — e.g. a small local model for
+ * reranking and a large hosted one for section writing.
+ */
+
+const { OpenAIEmbeddings } = require('@langchain/openai');
+const config = require('./config');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/* ------------------------------------------------------------------ */
+/*  Settings                                                            */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Effective model / base URL / timeout for a task, falling back to the
+ * provider-wide defaults.
+ *
+ * @param {'classification'|'rerank'|'sections'|'qa'} [task]
+ * @returns {{ model: string, baseURL: string, timeoutMs: number }}
+ */
+function resolveTaskSettings(task) {
+  const overrides = (task && config.llm.tasks[task]) || {};
+  return {
+    model: overrides.model || config.llm.model,
+    baseURL: (overrides.baseURL || config.llm.baseURL).replace(/\/+$/, ''),
+    timeoutMs: overrides.timeoutMs || config.llm.timeoutMs,
+  };
+}
+
+/**
+ * API key for the configured provider. Read at call time so a `.env`
+ * loaded after this module still applies.
+ *
+ * @returns {string|null}
+ */
+function resolveApiKey() {
+  return process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || null;
+}
+
+/**
+ * Only the hosted OpenAI backend insists on a key; local servers and the
+ * mock run without one.
+ */
+function requiresApiKey() {
+  return config.llm.provider === 'openai';
+}
+
+/* ------------------------------------------------------------------ */
+/*  OpenAI / OpenAI-compatible                                          */
+/* ------------------------------------------------------------------ */
+
+class OpenAICompatibleProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async _post(apiKey, task, body) {
+    const { baseURL, timeoutMs } = resolveTaskSettings(task);
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    try {
+      return await fetch(`${baseURL}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (err) {
+      if (err.name === 'TimeoutError') {
+        throw new Error(`LLM request timed out after ${timeoutMs}ms (${task || 'default'})`);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Chat completion with retry on rate limits.
+   *
+   * @param {string|null} apiKey
+   * @param {object} opts
+   * @param {object[]} opts.messages
+   * @param {number} [opts.max_tokens=500]
+   * @param {number} [opts.temperature=0.1]
+   * @param {string} [opts.task]   Selects per-task model / URL / timeout
+   * @param {string} [opts.model]  Explicit model, wins over the task setting
+   * @returns {Promise<string|null>}
+   */
+  async chat(apiKey, { messages, max_tokens = 500, temperature = 0.1, task, model }) {
+    const retries = config.llm.maxRetries;
+    const body = {
+      model: model || resolveTaskSettings(task).model,
+      messages,
+      max_tokens,
+      temperature,
+    };
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const response = await this._post(apiKey, task, body);
+
+      if (response.ok) {
+        const data = await response.json();
+        return data.choices[0]?.message?.content ?? null;
+      }
+
+      if (response.status === 429 && attempt < retries) {
+        const delay = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
+        console.log(
+          `Rate limited. Retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${retries})`
+        );
+        await sleep(delay);
+        continue;
+      }
+
+      throw new Error(`LLM API failed (${this.name}): ${response.status}`);
+    }
+  }
+
+  /**
+   * Streaming chat completion. Calls `onChunk` for each text delta.
+   *
+   * @returns {Promise<string>} full content
+   */
+  async chatStream(apiKey, { messages, max_tokens = 500, temperature = 0.1, task, model }, onChunk) {
+    const response = await this._post(apiKey, task, {
+      model: model || resolveTaskSettings(task).model,
+      messages,
+      max_tokens,
+      temperature,
+      stream: true,
+    });
+
+    if (!response.ok) {
+      throw new Error(`LLM API failed (${this.name}): ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let fullContent = '';
+    let buffer = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed || !trimmed.startsWith('data: ')) continue;
+        const data = trimmed.slice(6);
+        if (data === '[DONE]') continue;
+
+        try {
+          const parsed = JSON.parse(data);
+          const delta = parsed.choices?.[0]?.delta?.content;
+          if (delta) {
+            fullContent += delta;
+            onChunk(delta);
+          }
+        } catch {
+          // skip malformed chunks
+        }
+      }
+    }
+
+    return fullContent;
+  }
+
+  /**
+   * @param {string|null} apiKey
+   * @returns {OpenAIEmbeddings}
+   */
+  createEmbeddings(apiKey) {
+    const { model, baseURL, batchSize, timeoutMs } = config.llm.embeddings;
+    return new OpenAIEmbeddings({
+      // Local servers ignore the key, but the client refuses to start without one
+      openAIApiKey: apiKey || 'not-needed',
+      modelName: model,
+      batchSize,
+      timeout: timeoutMs,
+      configuration: { baseURL: (baseURL || config.llm.baseURL).replace(/\/+$/, '') },
+    });
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Mock                                                                */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Feature-hashed bag-of-words embeddings. Texts sharing words land close
+ * together, which is enough for retrieval to behave sensibly offline.
+ */
+class HashEmbeddings {
+  constructor(dimensions) {
+    this.dimensions = dimensions;
+  }
+
+  _embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    for (const token of text.toLowerCase().match(/[a-z0-9]+/g) || []) {
+      let hash = 2166136261;
+      for (let i = 0; i < token.length; i++) {
+        hash ^= token.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+      }
+      vector[(hash >>> 0) % this.dimensions] += 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map((v) => v / norm);
+  }
+
+  async embedDocuments(texts) {
+    return texts.map((t) => this._embed(t));
+  }
+
+  async embedQuery(text) {
+    return this._embed(text);
+  }
+}
+
+/**
+ * Returns the same answer for the same prompt, shaped like what each
+ * caller parses: JSON arrays for reranking / decomposition, a JSON object
+ * for classification, the follow-up itself for follow-up rewriting, and
+ * short markdown built from the supplied excerpts for everything else.
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  _reply({ messages, task }) {
+    const system = messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n');
+    const user = messages.filter((m) => m.role === 'user').map((m) => m.content).join('\n\n');
+
+    if (/JSON array/i.test(system)) {
+      const indices = [...user.matchAll(/^\[(\d+)\]/gm)].map((m) => Number(m[1]));
+      return JSON.stringify(indices.length > 0 ? indices : [user.trim()]);
+    }
+    if (/JSON object/i.test(system)) {
+      return JSON.stringify({ type: 'unknown', confidence: 0.3 });
+    }
+    if (task === 'classification') {
+      return 'Mock Company';
+    }
+    if (/standalone question/i.test(system)) {
+      return user.match(/Follow-up question: ([^\n]*)/)?.[1] || user.trim();
+    }
+
+    const excerpts = [...user.matchAll(/^\[[^\n]*Excerpt \d+[^\n]*\]\n(?:\[[^\n]*\]\n)?([^\n]+)/gm)]
+      .map((m) => m[1].trim().slice(0, 200))
+      .slice(0, 3);
+
+    const bullets = excerpts.length > 0
+      ? excerpts.map((e) => `- ${e}`).join('\n')
+      : '- No document excerpts were provided.';
+    return `**Mock ${task || 'chat'} response**\n\n${bullets}`;
+  }
+
+  async chat(_apiKey, opts) {
+    return this._reply(opts);
+  }
+
+  async chatStream(_apiKey, opts, onChunk) {
+    const content = this._reply(opts);
+    for (const piece of content.match(/\S+\s*/g) || []) onChunk(piece);
+    return content;
+  }
+
+  createEmbeddings() {
+    return new HashEmbeddings(config.llm.embeddings.mockDimensions);
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Provider selection                                                  */
+/* ------------------------------------------------------------------ */
+
+let provider = null;
+
+/**
+ * The configured provider (created once per process).
+ */
+function getProvider() {
+  if (provider) return provider;
+
+  switch (config.llm.provider) {
+    case 'mock':
+      provider = new MockProvider();
+      break;
+    case 'openai':
+    case 'openai-compatible':
+      provider = new OpenAICompatibleProvider(config.llm.provider);
+      break;
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${config.llm.provider}"`);
+  }
+
+  console.log(`[LLM] Using ${provider.name} provider`);
+  return provider;
+}
+
+/**
+ * Chat completion through the configured provider.
+ * @see OpenAICompatibleProvider#chat
+ */
+function chatCompletion(apiKey, opts) {
+  return getProvider().chat(apiKey, opts);
+}
+
+/**
+ * Streaming chat completion through the configured provider.
+ * @see OpenAICompatibleProvider#chatStream
+ */
+function chatCompletionStream(apiKey, opts, onChunk) {
+  return getProvider().chatStream(apiKey, opts, onChunk);
+}
+
+/**
+ * Embeddings client shared by index creation and index restoration.
+ */
+function createEmbeddings(apiKey) {
+  return getProvider().createEmbeddings(apiKey);
+}
+
+module.exports = {
+  chatCompletion,
+  chatCompletionStream,
+  createEmbeddings,
+  resolveApiKey,
+  requiresApiKey,
+  resolveTaskSettings,
+  getProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  HashEmbeddings,
+};
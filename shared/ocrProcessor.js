@@ -0,0 +1,165 @@
+/**
+ * OCR fallback for scanned and image-only PDF pages.
+ *
+ * Scanned reports have no text layer (or only a few stray characters from
+ * headers), so pdf-parse returns near-empty pages. Those pages are OCR'd
+ * locally with tesseract.js, using the English language data bundled by
+ * @tesseract.js-data/eng, so nothing is downloaded at runtime.
+ *
+ * A scanned page is a single full-page image. Rather than rasterizing the
+ * page (which needs a canvas implementation), the largest image painted on
+ * it is taken from pdf.js and handed to tesseract as a PNG.
+ */
+
+const zlib = require('zlib');
+const { createWorker } = require('tesseract.js');
+const config = require('./config');
+
+/* ------------------------------------------------------------------ */
+/*  Page selection                                                      */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Whether a page's text layer is too thin to be the real content.
+ * @param {string} text  Native text of the page
+ */
+function needsOCR(text) {
+  return text.replace(/\s+/g, '').length < config.ocr.minPageChars;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Page images                                                         */
+/* ------------------------------------------------------------------ */
+
+// pdf.js ImageKind values
+const GRAYSCALE_1BPP = 1;
+const RGB_24BPP = 2;
+const RGBA_32BPP = 3;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode a decoded pdf.js image as PNG. 1-bit images (fax-style scans)
+ * stay 1-bit grayscale: pdf.js and PNG both read a set bit as white.
+ *
+ * @param {{ width: number, height: number, kind: number, data: Uint8Array }} image
+ * @returns {Buffer|null}
+ */
+function encodePNG({ width, height, kind, data }) {
+  const layouts = {
+    [GRAYSCALE_1BPP]: { bitDepth: 1, colorType: 0, rowBytes: Math.ceil(width / 8) },
+    [RGB_24BPP]: { bitDepth: 8, colorType: 2, rowBytes: width * 3 },
+    [RGBA_32BPP]: { bitDepth: 8, colorType: 6, rowBytes: width * 4 },
+  };
+  const layout = layouts[kind];
+  if (!layout || !data || data.length < layout.rowBytes * height) return null;
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = layout.bitDepth;
+  header[9] = layout.colorType;
+
+  // Every scanline starts with filter type 0 (none)
+  const raw = Buffer.alloc((layout.rowBytes + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(data.subarray(y * layout.rowBytes, (y + 1) * layout.rowBytes), y * (layout.rowBytes + 1) + 1);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * The largest image painted on a page, as PNG.
+ * @param {object} PDFJS  pdf.js build the document was opened with
+ * @param {object} page   PDFPageProxy
+ * @returns {Promise<Buffer|null>}
+ */
+async function pageImage(PDFJS, page) {
+  const { fnArray, argsArray } = await page.getOperatorList();
+  let largest = null;
+  fnArray.forEach((fn, i) => {
+    if (fn !== PDFJS.OPS.paintImageXObject) return;
+    const image = page.objs.get(argsArray[i][0]);
+    if (image && (!largest || image.width * image.height > largest.width * largest.height)) largest = image;
+  });
+  return largest && encodePNG(largest);
+}
+
+/* ------------------------------------------------------------------ */
+/*  OCR                                                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * OCR the given pages of a PDF, one at a time with a single worker.
+ *
+ * @param {Buffer} dataBuffer  PDF bytes
+ * @param {number[]} pageNumbers  1-based pages to OCR, in order
+ * @param {object} [options]
+ * @param {(event: object) => void} [options.onProgress]  called before each page
+ * @returns {Promise<Map<number, { text: string, confidence: number }>>}
+ *   keyed by page number; pages without an image are left out
+ */
+async function ocrPages(dataBuffer, pageNumbers, { onProgress } = {}) {
+  const results = new Map();
+  if (pageNumbers.length === 0) return results;
+
+  // The pdf.js build pdf-parse uses. Its default image decoding hands JPEGs
+  // to a browser Image; 'none' decodes them in pdf.js itself.
+  const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+  const doc = await PDFJS.getDocument({ data: new Uint8Array(dataBuffer), nativeImageDecoderSupport: 'none' });
+  // A custom OCR_LANG_PATH holds plain tessdata files; the bundled data is gzipped
+  const langPath = config.ocr.langPath || require('@tesseract.js-data/eng').langPath;
+  const worker = await createWorker(config.ocr.language, 1, { langPath, gzip: !config.ocr.langPath, cacheMethod: 'none' });
+
+  try {
+    for (const [i, pageNumber] of pageNumbers.entries()) {
+      onProgress?.({
+        type: 'progress',
+        stage: 'ocr',
+        message: `Running OCR on page ${pageNumber} (${i + 1} of ${pageNumbers.length})...`,
+        page: pageNumber,
+        current: i + 1,
+        total: pageNumbers.length,
+      });
+
+      const page = await doc.getPage(pageNumber);
+      const image = await pageImage(PDFJS, page);
+      page.cleanup();
+      if (!image) continue;
+
+      const { data } = await worker.recognize(image);
+      results.set(pageNumber, { text: data.text.trim(), confidence: Math.round(data.confidence) });
+    }
+  } finally {
+    await worker.terminate();
+    doc.destroy();
+  }
+  return results;
+}
+
+module.exports = { needsOCR, ocrPages };
@@ -1,12 +1,71 @@
 const fs = require('fs');
 const pdf = require('pdf-parse');
+const config = require('./config');
+const { needsOCR, ocrPages } = require('./ocrProcessor');
 
 /**
- * Extract raw text from a PDF (file path or buffer).
+ * Separator placed between pages in extracted text. `cleanText` keeps it,
+ * so chunk offsets can be mapped back to page numbers.
+ */
+const PAGE_BREAK = '\f';
+
+/**
+ * Render one page's text items, starting a new line whenever the baseline
+ * moves (same approach as pdf-parse's default renderer).
+ */
+async function renderPage(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false,
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    text += lastY === item.transform[5] || lastY === undefined ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+  // A stray form feed inside a page would be read as a page break
+  return text.replace(/\f/g, '\n');
+}
+
+/**
+ * Replace pages without a usable text layer by their OCR text. OCR is a
+ * fallback: if it fails, the native (near-empty) text is kept.
+ *
+ * @returns {Promise<{ page: number, confidence: number }[]>} OCR'd pages
+ */
+async function applyOCR(dataBuffer, pages, onProgress) {
+  const pageNumbers = pages.flatMap((text, i) => (needsOCR(text) ? [i + 1] : []));
+  if (!config.ocr.enabled || pageNumbers.length === 0) return [];
+
+  try {
+    const results = await ocrPages(dataBuffer, pageNumbers, { onProgress });
+    const ocr = [];
+    for (const [page, { text, confidence }] of results) {
+      if (!text) continue;
+      pages[page - 1] = text.replace(/\f/g, '\n');
+      ocr.push({ page, confidence });
+    }
+    return ocr;
+  } catch (error) {
+    console.error('OCR failed, keeping the native text layer:', error);
+    return [];
+  }
+}
+
+/**
+ * Extract text page by page from a PDF (file path or buffer). Scanned
+ * pages are OCR'd (see ocrProcessor.js) and merged back in page order.
+ *
  * @param {string|Buffer} input - File path or PDF buffer
- * @returns {Promise<string>} Extracted text
+ * @param {object} [options]
+ * @param {(event: object) => void} [options.onProgress] - OCR progress events
+ * @returns {Promise<{ pages: string[], text: string, ocr: { page: number, confidence: number }[] }>}
+ *   `pages[i]` is the text of page i + 1; `text` joins them with PAGE_BREAK;
+ *   `ocr` lists the pages whose text came from OCR, with tesseract's 0-100 confidence
  */
-const extractTextFromPDF = async (input) => {
+const extractPagesFromPDF = async (input, { onProgress } = {}) => {
   try {
     let dataBuffer;
     if (typeof input === 'string') {
@@ -16,12 +75,34 @@ const extractTextFromPDF = async (input) => {
     } else {
       throw new Error('Input must be a file path (string) or Buffer');
     }
-    const data = await pdf(dataBuffer);
-    return data.text;
+
+    const rendered = [];
+    const data = await pdf(dataBuffer, {
+      pagerender: async (pageData) => {
+        const text = await renderPage(pageData);
+        rendered[pageData.pageIndex] = text;
+        return text;
+      },
+    });
+
+    // Pages that failed to render stay in the array as empty strings
+    const pages = Array.from({ length: data.numrender }, (_, i) => rendered[i] || '');
+    const ocr = await applyOCR(dataBuffer, pages, onProgress);
+    return { pages, text: pages.join(PAGE_BREAK), ocr };
   } catch (error) {
     console.error('Error extracting text from PDF:', error);
     throw new Error('Failed to extract text from PDF.');
   }
 };
 
-module.exports = { extractTextFromPDF };
+/**
+ * Extract raw text from a PDF (file path or buffer).
+ * @param {string|Buffer} input - File path or PDF buffer
+ * @returns {Promise<string>} Extracted text, pages separated by PAGE_BREAK
+ */
+const extractTextFromPDF = async (input) => {
+  const { text } = await extractPagesFromPDF(input);
+  return text;
+};
+
+module.exports = { extractTextFromPDF, extractPagesFromPDF, PAGE_BREAK };
@@ -7,8 +7,7 @@
  */
 
 const config = require('./config');
-
-const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions';
+const { chatCompletion } = require('./llmProvider');
 
 /* ------------------------------------------------------------------ */
 /*  Financial term expansion dictionary                                 */
@@ -168,18 +167,12 @@ async function decomposeQuery(question, apiKey) {
   if (wordCount < 8) return [question];
 
   try {
-    const response = await fetch(OPENAI_CHAT_URL, {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: config.openai.model,
-        messages: [
-          {
-            role: 'system',
-            content: `You decompose complex financial questions into simpler sub-queries for document retrieval. Each sub-query should be self-contained and searchable.
+    const content = (await chatCompletion(apiKey, {
+      task: 'qa',
+      messages: [
+        {
+          role: 'system',
+          content: `You decompose complex financial questions into simpler sub-queries for document retrieval. Each sub-query should be self-contained and searchable.
 
 Rules:
 - Output ONLY a JSON array of strings, no other text.
@@ -187,21 +180,15 @@ Rules:
 - If the question is already simple, return it as-is in a single-element array.
 - Each sub-query should target a specific piece of information.
 - Keep the company name if mentioned.`,
-          },
-          {
-            role: 'user',
-            content: question,
-          },
-        ],
-        max_tokens: 200,
-        temperature: 0,
-      }),
-    });
-
-    if (!response.ok) return [question];
-
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content?.trim();
+        },
+        {
+          role: 'user',
+          content: question,
+        },
+      ],
+      max_tokens: 200,
+      temperature: 0,
+    }))?.trim();
     if (!content) return [question];
 
     // Strip markdown code fences the LLM sometimes wraps around JSON
@@ -220,6 +207,63 @@ Rules:
   return [question];
 }
 
+/* ------------------------------------------------------------------ */
+/*  Follow-up rewriting (chat sessions)                                 */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Rewrite a chat follow-up into a question that stands on its own, so
+ * retrieval knows what "that" and "last year" refer to.
+ *
+ * Example: after "What was Q3 revenue?", "and how did that compare to
+ * last year?" → "How did Q3 revenue compare to Q3 of the prior year?"
+ *
+ * @param {string} question
+ * @param {{ question: string, answer: string }[]} history  Prior turns, oldest first
+ * @param {string} apiKey
+ * @returns {Promise<string>}  The question unchanged when there is no history
+ */
+async function rewriteFollowUp(question, history, apiKey) {
+  if (!history?.length || !config.queryProcessing.followUpRewriteEnabled) {
+    return question;
+  }
+
+  const conversation = history
+    .map((turn) => `User: ${turn.question}\nAssistant: ${turn.answer.slice(0, 600)}`)
+    .join('\n\n');
+
+  try {
+    const content = (await chatCompletion(apiKey, {
+      task: 'qa',
+      messages: [
+        {
+          role: 'system',
+          content: `You rewrite the follow-up question in a conversation about a financial document into a standalone question.
+
+Rules:
+- Output ONLY the rewritten question, no other text.
+- Replace pronouns and references ("that", "it", "last year", "the same period") with what they refer to in the conversation.
+- Keep company names, metrics, periods and figures exactly as written.
+- If the question already stands on its own, return it unchanged.`,
+        },
+        {
+          role: 'user',
+          content: `Conversation:\n${conversation}\n\nFollow-up question: ${question}`,
+        },
+      ],
+      max_tokens: 150,
+      temperature: 0,
+    }))?.trim();
+
+    const rewritten = content?.replace(/^["'“]|["'”]$/g, '').trim();
+    if (rewritten && rewritten.length <= 500) return rewritten;
+  } catch {
+    // Fallback: return original question
+  }
+
+  return question;
+}
+
 /* ------------------------------------------------------------------ */
 /*  Full query processing pipeline                                      */
 /* ------------------------------------------------------------------ */
@@ -264,7 +308,7 @@ async function processQuery(question, apiKey) {
  *
  * @param {string} question
  * @param {string} queryType
- * @returns {{ preferredSections?: string[], preferredContentTypes?: string[] }}
+ * @returns {{ preferredSections?: string[], preferredContentTypes?: string[], speakerRoles?: string[] }}
  */
 function generateMetadataHints(question, queryType) {
   const q = question.toLowerCase();
@@ -291,6 +335,17 @@ function generateMetadataHints(question, queryType) {
     hints.preferredContentTypes = ['table', 'narrative'];
   }
 
+  // Speaker hints, for transcripts chunked by speaker turn ("what did the CFO say")
+  const speakerPatterns = [
+    { pattern: /\bcfo\b|chief financial officer/, roles: ['cfo'] },
+    { pattern: /\bceo\b|chief executive/, roles: ['ceo'] },
+    { pattern: /\bcoo\b|chief operating officer/, roles: ['coo'] },
+    { pattern: /\banalysts?\b/, roles: ['analyst'] },
+    { pattern: /\b(?:management|executives?)\b.*\b(?:say|said|says|comment|mention|discuss|talk|respond|answer|remark)/, roles: ['ceo', 'cfo', 'coo', 'executive'] },
+  ];
+  const speakerRoles = speakerPatterns.filter(({ pattern }) => pattern.test(q)).flatMap(({ roles }) => roles);
+  if (speakerRoles.length > 0) hints.speakerRoles = [...new Set(speakerRoles)];
+
   return hints;
 }
 
@@ -302,6 +357,7 @@ module.exports = {
   classifyQuery,
   expandFinancialTerms,
   decomposeQuery,
+  rewriteFollowUp,
   processQuery,
   generateMetadataHints,
   FINANCIAL_SYNONYMS,
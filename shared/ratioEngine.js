@@ -0,0 +1,467 @@
+/**
+ * Deterministic financial ratio engine.
+ *
+ * Computes standard ratios from the line items produced by
+ * financialStatements.js. Every ratio records its formula and the exact
+ * inputs it used (value, period, source chunk), so any figure in a report
+ * can be audited back to the statement table it came from.
+ *
+ * Statements are aligned by fiscal year: the FY2023 income statement is
+ * paired with the balance sheet dated at the end of fiscal 2023.
+ * Quarterly ("Q3 2023") and year-to-date ("9M 2023") columns are kept as
+ * their own periods; a 10-Q's balance sheet is paired with its quarter.
+ */
+
+/* ------------------------------------------------------------------ */
+/*  Period alignment                                                    */
+/* ------------------------------------------------------------------ */
+
+const DAYS_IN_PERIOD = { annual: 365, quarter: 91 };
+
+const QUARTER_PERIOD = /^Q[1-4] /;
+const YEAR_TO_DATE_PERIOD = /^(\d{1,2})M /;
+const DATED_PERIOD = /^\d{4}-(\d{2})-\d{2}$/;
+
+/** Days a bucket's flow statements cover */
+function periodDays(period) {
+  if (QUARTER_PERIOD.test(period)) return DAYS_IN_PERIOD.quarter;
+  const months = period.match(YEAR_TO_DATE_PERIOD)?.[1];
+  return months ? Math.round((DAYS_IN_PERIOD.annual * Number(months)) / 12) : DAYS_IN_PERIOD.annual;
+}
+
+/**
+ * Where a period ends within its fiscal year and how long it runs, in
+ * months: FY → 12/12, "Q3" → 9/3, "9M" → 9/9.
+ */
+function periodSpan(period) {
+  const quarter = period.match(/^Q([1-4]) /)?.[1];
+  if (quarter) return { end: Number(quarter) * 3, months: 3 };
+  const months = Number(period.match(YEAR_TO_DATE_PERIOD)?.[1]);
+  return months ? { end: months, months } : { end: 12, months: 12 };
+}
+
+/** Most recent first; of periods ending together, the longer first (FY before Q4, 9M before Q3). */
+function byRecency(a, b) {
+  const spanA = periodSpan(a.period);
+  const spanB = periodSpan(b.period);
+  return b.fiscalYear - a.fiscalYear || spanB.end - spanA.end || spanB.months - spanA.months;
+}
+
+/**
+ * Bucket key of a line item. Balance sheet dates join their fiscal year
+ * when it has flow statements, else the quarter ending on that date.
+ */
+function periodKey(item, flowKeys) {
+  if (QUARTER_PERIOD.test(item.period) || YEAR_TO_DATE_PERIOD.test(item.period)) return item.period;
+  const month = item.period.match(DATED_PERIOD)?.[1];
+  if (month && !flowKeys.has(`FY${item.fiscalYear}`)) {
+    const quarter = `Q${Math.ceil(Number(month) / 3)} ${item.fiscalYear}`;
+    if (flowKeys.has(quarter)) return quarter;
+  }
+  return `FY${item.fiscalYear}`;
+}
+
+/**
+ * Group line items into per-period buckets keyed by line-item key.
+ * Items without a fiscal year (columns whose heading gave no year) are
+ * left out: nothing says which column of another table they line up with.
+ *
+ * @param {object} financials  extractFinancialStatements result
+ * @returns {Map<string, { period: string, fiscalYear: number|null, items: Record<string, object> }>}
+ */
+function bucketByPeriod(financials) {
+  const items = Object.values(financials?.statements || {})
+    .flatMap((statement) => statement.lineItems)
+    .filter((item) => item.fiscalYear);
+  const flowKeys = new Set(
+    items.filter((item) => !DATED_PERIOD.test(item.period)).map((item) => periodKey(item, new Set()))
+  );
+
+  const buckets = new Map();
+  for (const item of items) {
+    const key = periodKey(item, flowKeys);
+    if (!buckets.has(key)) buckets.set(key, { period: key, fiscalYear: item.fiscalYear, items: {} });
+    const bucket = buckets.get(key);
+    // Keep the first occurrence; extraction already ranked duplicates
+    if (!bucket.items[item.key]) bucket.items[item.key] = item;
+  }
+  return buckets;
+}
+
+/**
+ * The bucket for the same period one year earlier, if extracted.
+ */
+function priorBucket(buckets, bucket) {
+  const key = QUARTER_PERIOD.test(bucket.period) || YEAR_TO_DATE_PERIOD.test(bucket.period)
+    ? `${bucket.period.split(' ')[0]} ${bucket.fiscalYear - 1}`
+    : `FY${bucket.fiscalYear - 1}`;
+  return buckets.get(key) || null;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Inputs                                                              */
+/* ------------------------------------------------------------------ */
+
+/** Amount in base units (e.g. dollars), or null if not extracted. */
+function amount(item) {
+  return item ? item.value * (item.multiplier || 1) : null;
+}
+
+function input(name, item) {
+  return {
+    name,
+    period: item.period,
+    value: item.value,
+    scale: item.scale,
+    chunkId: item.chunkId,
+  };
+}
+
+/**
+ * Derived inputs used by several ratios. Each returns
+ * `{ value, inputs }` in base units, or null.
+ */
+const DERIVED = {
+  grossProfit(items) {
+    if (items.grossProfit) return { value: amount(items.grossProfit), inputs: [input('grossProfit', items.grossProfit)] };
+    if (items.revenue && items.costOfRevenue) {
+      return {
+        value: amount(items.revenue) - Math.abs(amount(items.costOfRevenue)),
+        inputs: [input('revenue', items.revenue), input('costOfRevenue', items.costOfRevenue)],
+      };
+    }
+    return null;
+  },
+
+  totalDebt(items) {
+    if (items.totalDebt) return { value: amount(items.totalDebt), inputs: [input('totalDebt', items.totalDebt)] };
+    const parts = ['shortTermDebt', 'longTermDebt'].filter((k) => items[k]);
+    if (parts.length === 0) return null;
+    return {
+      value: parts.reduce((sum, k) => sum + amount(items[k]), 0),
+      inputs: parts.map((k) => input(k, items[k])),
+    };
+  },
+
+  quickAssets(items) {
+    if (items.currentAssets && items.inventory) {
+      return {
+        value: amount(items.currentAssets) - amount(items.inventory),
+        inputs: [input('currentAssets', items.currentAssets), input('inventory', items.inventory)],
+      };
+    }
+    const parts = ['cash', 'shortTermInvestments', 'accountsReceivable'].filter((k) => items[k]);
+    if (!items.cash || parts.length < 2) return null;
+    return {
+      value: parts.reduce((sum, k) => sum + amount(items[k]), 0),
+      inputs: parts.map((k) => input(k, items[k])),
+    };
+  },
+};
+
+function single(items, key) {
+  return items[key] ? { value: amount(items[key]), inputs: [input(key, items[key])] } : null;
+}
+
+function resolve(items, key) {
+  return DERIVED[key] ? DERIVED[key](items) : single(items, key);
+}
+
+/** Average of the opening and closing balance, or the closing balance alone. */
+function average(items, prior, key) {
+  const closing = resolve(items, key);
+  if (!closing) return null;
+  const opening = prior && resolve(prior, key);
+  if (!opening) return { ...closing, averaged: false };
+  return {
+    value: (closing.value + opening.value) / 2,
+    inputs: [...closing.inputs, ...opening.inputs],
+    averaged: true,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Ratio definitions                                                   */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Each definition computes `{ value, inputs }` for one period or returns
+ * null when an input is missing. Percentages are expressed in percent.
+ * `better` says which direction ranks a company ahead of its peers; null
+ * where neither does (a long payables period is not plainly good or bad).
+ */
+const RATIOS = [
+  {
+    key: 'grossMargin', label: 'Gross Margin', unit: '%', category: 'profitability', better: 'higher',
+    formula: 'grossProfit / revenue',
+    compute: ({ items }) => ratio(resolve(items, 'grossProfit'), resolve(items, 'revenue'), 100),
+  },
+  {
+    key: 'operatingMargin', label: 'Operating Margin', unit: '%', category: 'profitability', better: 'higher',
+    formula: 'operatingIncome / revenue',
+    compute: ({ items }) => ratio(resolve(items, 'operatingIncome'), resolve(items, 'revenue'), 100),
+  },
+  {
+    key: 'netMargin', label: 'Net Margin', unit: '%', category: 'profitability', better: 'higher',
+    formula: 'netIncome / revenue',
+    compute: ({ items }) => ratio(resolve(items, 'netIncome'), resolve(items, 'revenue'), 100),
+  },
+  {
+    key: 'revenueGrowth', label: 'Revenue Growth (YoY)', unit: '%', category: 'growth', better: 'higher',
+    formula: 'revenue / revenue[prior year] - 1',
+    compute: ({ items, prior }) => growth(resolve(items, 'revenue'), prior && resolve(prior, 'revenue')),
+  },
+  {
+    key: 'operatingIncomeGrowth', label: 'Operating Income Growth (YoY)', unit: '%', category: 'growth', better: 'higher',
+    formula: 'operatingIncome / operatingIncome[prior year] - 1',
+    compute: ({ items, prior }) => growth(resolve(items, 'operatingIncome'), prior && resolve(prior, 'operatingIncome')),
+  },
+  {
+    key: 'netIncomeGrowth', label: 'Net Income Growth (YoY)', unit: '%', category: 'growth', better: 'higher',
+    formula: 'netIncome / netIncome[prior year] - 1',
+    compute: ({ items, prior }) => growth(resolve(items, 'netIncome'), prior && resolve(prior, 'netIncome')),
+  },
+  {
+    key: 'currentRatio', label: 'Current Ratio', unit: 'x', category: 'liquidity', better: 'higher',
+    formula: 'currentAssets / currentLiabilities',
+    compute: ({ items }) => ratio(resolve(items, 'currentAssets'), resolve(items, 'currentLiabilities')),
+  },
+  {
+    key: 'quickRatio', label: 'Quick Ratio', unit: 'x', category: 'liquidity', better: 'higher',
+    formula: '(currentAssets - inventory) / currentLiabilities',
+    compute: ({ items }) => ratio(resolve(items, 'quickAssets'), resolve(items, 'currentLiabilities')),
+  },
+  {
+    key: 'debtToEquity', label: 'Debt to Equity', unit: 'x', category: 'leverage', better: 'lower',
+    formula: '(shortTermDebt + longTermDebt) / totalEquity',
+    compute: ({ items }) => ratio(resolve(items, 'totalDebt'), resolve(items, 'totalEquity')),
+  },
+  {
+    key: 'interestCoverage', label: 'Interest Coverage', unit: 'x', category: 'leverage', better: 'higher',
+    formula: 'operatingIncome / |interestExpense|',
+    compute: ({ items }) => ratio(resolve(items, 'operatingIncome'), absolute(resolve(items, 'interestExpense'))),
+  },
+  {
+    key: 'freeCashFlow', label: 'Free Cash Flow', unit: 'amount', category: 'cashFlow', better: 'higher',
+    formula: 'operatingCashFlow - |capitalExpenditures|',
+    compute: ({ items }) => {
+      const cfo = resolve(items, 'operatingCashFlow');
+      const capex = resolve(items, 'capitalExpenditures');
+      if (!cfo || !capex) return null;
+      return { value: cfo.value - Math.abs(capex.value), inputs: [...cfo.inputs, ...capex.inputs] };
+    },
+  },
+  {
+    key: 'returnOnEquity', label: 'Return on Equity', unit: '%', category: 'returns', better: 'higher',
+    formula: 'netIncome / average(totalEquity)',
+    compute: ({ items, prior }) => ratio(resolve(items, 'netIncome'), average(items, prior, 'totalEquity'), 100),
+  },
+  {
+    key: 'returnOnAssets', label: 'Return on Assets', unit: '%', category: 'returns', better: 'higher',
+    formula: 'netIncome / average(totalAssets)',
+    compute: ({ items, prior }) => ratio(resolve(items, 'netIncome'), average(items, prior, 'totalAssets'), 100),
+  },
+  {
+    key: 'daysSalesOutstanding', label: 'Days Sales Outstanding', unit: 'days', category: 'efficiency', better: 'lower',
+    formula: 'accountsReceivable / revenue × days',
+    compute: ({ items, days }) => ratio(resolve(items, 'accountsReceivable'), resolve(items, 'revenue'), days),
+  },
+  {
+    key: 'daysInventoryOutstanding', label: 'Days Inventory Outstanding', unit: 'days', category: 'efficiency', better: 'lower',
+    formula: 'inventory / costOfRevenue × days',
+    compute: ({ items, days }) => ratio(resolve(items, 'inventory'), absolute(resolve(items, 'costOfRevenue')), days),
+  },
+  {
+    key: 'daysPayablesOutstanding', label: 'Days Payables Outstanding', unit: 'days', category: 'efficiency', better: null,
+    formula: 'accountsPayable / costOfRevenue × days',
+    compute: ({ items, days }) => ratio(resolve(items, 'accountsPayable'), absolute(resolve(items, 'costOfRevenue')), days),
+  },
+];
+
+function ratio(numerator, denominator, factor = 1) {
+  if (!numerator || !denominator || !denominator.value) return null;
+  return {
+    value: (numerator.value / denominator.value) * factor,
+    inputs: [...numerator.inputs, ...denominator.inputs],
+  };
+}
+
+function growth(current, previous) {
+  // Growth off a negative or zero base is not meaningful
+  if (!current || !previous || previous.value <= 0) return null;
+  return {
+    value: (current.value / previous.value - 1) * 100,
+    inputs: [...current.inputs, ...previous.inputs],
+  };
+}
+
+function absolute(operand) {
+  return operand && { ...operand, value: Math.abs(operand.value) };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Public API                                                          */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Compute every ratio the extracted statements support.
+ *
+ * Ratio values are rounded to two decimals; `freeCashFlow` is returned in
+ * base units (`unit: 'amount'`) with the currency in `currency`.
+ *
+ * @param {object} financials  extractFinancialStatements result
+ * @returns {{ key: string, label: string, category: string, period: string, value: number,
+ *   unit: string, currency: string|null, formula: string, inputs: object[] }[]}
+ *   Most recent period first; of periods ending together, the longer first
+ *   (a 10-Q's "9M 2023" before its "Q3 2023")
+ */
+function computeRatios(financials) {
+  const buckets = bucketByPeriod(financials);
+  const ordered = [...buckets.values()].sort(byRecency);
+  const results = [];
+
+  for (const bucket of ordered) {
+    const prior = priorBucket(buckets, bucket);
+    const days = periodDays(bucket.period);
+    const currency = Object.values(bucket.items).find((i) => !i.unit?.endsWith('/share'))?.unit || null;
+
+    for (const def of RATIOS) {
+      const result = def.compute({ items: bucket.items, prior: prior?.items, days });
+      if (!result || !Number.isFinite(result.value)) continue;
+
+      results.push({
+        key: def.key,
+        label: def.label,
+        category: def.category,
+        period: bucket.period,
+        value: Math.round(result.value * 100) / 100,
+        unit: def.unit,
+        currency: def.unit === 'amount' ? currency : null,
+        formula: def.formula,
+        inputs: result.inputs,
+      });
+    }
+  }
+
+  return results;
+}
+
+function formatAmount(value, currency) {
+  const abs = Math.abs(value);
+  const [divisor, suffix] =
+    abs >= 1e9 ? [1e9, 'B'] : abs >= 1e6 ? [1e6, 'M'] : abs >= 1e3 ? [1e3, 'K'] : [1, ''];
+  const symbol = currency === 'USD' ? '$' : currency ? `${currency} ` : '';
+  return `${value < 0 ? '-' : ''}${symbol}${(abs / divisor).toFixed(2)}${suffix}`;
+}
+
+/**
+ * Human-readable value: "40.80%", "1.25x", "45.6 days", "$2.10B".
+ *
+ * @param {{ value: number, unit: string, currency?: string|null }} ratio
+ */
+function formatRatioValue({ value, unit, currency }) {
+  switch (unit) {
+    case '%': return `${value.toFixed(2)}%`;
+    case 'x': return `${value.toFixed(2)}x`;
+    case 'days': return `${value.toFixed(1)} days`;
+    default: return formatAmount(value, currency);
+  }
+}
+
+/**
+ * Prompt block listing computed ratios, grouped by period, for the
+ * financial highlights section. Empty string when nothing was computed.
+ *
+ * @param {object[]} ratios  computeRatios result
+ * @returns {string}
+ */
+function formatRatiosForPrompt(ratios) {
+  if (!ratios?.length) return '';
+
+  const byPeriod = new Map();
+  for (const r of ratios) {
+    if (!byPeriod.has(r.period)) byPeriod.set(r.period, []);
+    byPeriod.get(r.period).push(`- ${r.label}: ${formatRatioValue(r)} (${r.formula})`);
+  }
+
+  return [...byPeriod.entries()]
+    .map(([period, lines]) => `${period}\n${lines.join('\n')}`)
+    .join('\n\n');
+}
+
+/* ------------------------------------------------------------------ */
+/*  Peer comparison                                                     */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Each peer's most recent value of every ratio side by side, ranked
+ * within the group where the ratio has a direction (rank 1 is best; ties
+ * share a rank).
+ *
+ * Peers need not share a fiscal calendar, so every cell keeps its own
+ * period. Amounts are only ranked when all peers report one currency, and
+ * negative values of "lower is better" ratios (debt to equity with
+ * negative equity) are left unranked rather than counted as best.
+ *
+ * @param {{ id: string, companyName: string, ratios: object[] }[]} peers
+ * @returns {{ peers: { id: string, companyName: string }[], rows: { key: string, label: string,
+ *   category: string, unit: string, better: string|null,
+ *   cells: ({ period: string, value: number, currency: string|null, display: string, rank: number|null }|null)[] }[] }}
+ *   One cell per peer, in peer order; null where the peer lacks the ratio
+ */
+function peerMatrix(peers) {
+  const rows = [];
+
+  for (const def of RATIOS) {
+    const cells = peers.map(({ ratios = [] }) => {
+      // computeRatios lists the most recent period first
+      const latest = ratios.find((r) => r.key === def.key);
+      return latest
+        ? { period: latest.period, value: latest.value, currency: latest.currency, display: formatRatioValue(latest), rank: null }
+        : null;
+    });
+    const present = cells.filter(Boolean);
+    if (present.length === 0) continue;
+
+    const rankable = present.filter((cell) => def.better !== 'lower' || cell.value >= 0);
+    const oneCurrency = new Set(present.map((cell) => cell.currency)).size === 1;
+    if (def.better && rankable.length > 1 && (def.unit !== 'amount' || oneCurrency)) {
+      const order = rankable.map((cell) => cell.value).sort((a, b) => (def.better === 'higher' ? b - a : a - b));
+      for (const cell of rankable) cell.rank = order.indexOf(cell.value) + 1;
+    }
+
+    rows.push({ key: def.key, label: def.label, category: def.category, unit: def.unit, better: def.better, cells });
+  }
+
+  return { peers: peers.map(({ id, companyName }) => ({ id, companyName })), rows };
+}
+
+/**
+ * Prompt block with the peer matrix as a markdown table. Empty string
+ * when no peer has any computed ratio.
+ *
+ * @param {ReturnType<typeof peerMatrix>} matrix
+ * @param {string[]} [labels]  Column headings, one per peer (defaults to company names)
+ * @returns {string}
+ */
+function formatPeerMatrixForPrompt(matrix, labels = matrix.peers.map((p) => p.companyName)) {
+  if (matrix.rows.length === 0) return '';
+
+  const header = `| Metric | ${labels.join(' | ')} |\n|---|${labels.map(() => '---').join('|')}|`;
+  const rows = matrix.rows.map(({ label, better, cells }) => {
+    const direction = better ? ` (${better} is better)` : '';
+    const values = cells.map((cell) => (cell ? `${cell.display} (${cell.period}${cell.rank ? `, #${cell.rank}` : ''})` : 'n/a'));
+    return `| ${label}${direction} | ${values.join(' | ')} |`;
+  });
+  return [header, ...rows].join('\n');
+}
+
+module.exports = {
+  bucketByPeriod,
+  computeRatios,
+  formatRatiosForPrompt,
+  formatRatioValue,
+  peerMatrix,
+  formatPeerMatrixForPrompt,
+  RATIOS,
+};
@@ -0,0 +1,924 @@
+/**
+ * Report export to PDF, DOCX, self-contained HTML and Markdown.
+ *
+ * A report (or a comparison) is first turned into a format-neutral
+ * document: a title, a few detail lines, sections of parsed markdown with
+ * their chart specs, the computed ratio table and a sources appendix. Each
+ * format renders that document; charts go through chartSvg.js, so they
+ * come out as static SVG (drawn as vectors in PDF).
+ *
+ * Citation links in section markdown (`[2](#cite-chunk_41)`) point at the
+ * matching entry of the sources appendix in every format.
+ */
+
+const PDFDocument = require('pdfkit');
+const docx = require('docx');
+const { extractCharts, layoutChart, chartToSvg, formatChartValue } = require('./chartSvg');
+const { formatRatioValue } = require('./ratioEngine');
+const { filterVerifiedCharts } = require('./figureVerifier');
+
+const EXPORT_FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+};
+
+/** Sections of reports saved before templates existed. */
+const LEGACY_SECTIONS = [
+  { key: 'overview', title: 'Overview' },
+  { key: 'financialHighlights', title: 'Financials' },
+  { key: 'keyRisks', title: 'Risks' },
+  { key: 'managementCommentary', title: 'Management' },
+];
+
+const EXCERPT_LENGTH = 300;
+
+/* ------------------------------------------------------------------ */
+/*  Markdown parsing                                                    */
+/* ------------------------------------------------------------------ */
+
+const INLINE_REGEX = /\*\*(.+?)\*\*|\[(\d+)\]\(#cite-([^)\s]+)\)|\[([^\]]+)\]\(([^)\s]+)\)|(?<![*\w])\*(?!\s)(.+?)\*(?!\*)|`([^`]+)`/g;
+
+/**
+ * Inline markdown as styled runs: `{ text, bold?, italic?, cite? }`, where
+ * `cite` is the appendix anchor of a citation marker.
+ */
+function parseInline(text, citePrefix, style = {}) {
+  const runs = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE_REGEX)) {
+    if (match.index > last) runs.push({ ...style, text: text.slice(last, match.index) });
+    const [, bold, citeLabel, citeId, linkText, , italic, code] = match;
+    if (bold !== undefined) runs.push(...parseInline(bold, citePrefix, { ...style, bold: true }));
+    else if (citeLabel !== undefined) runs.push({ ...style, text: `[${citeLabel}]`, cite: `${citePrefix}${citeId}` });
+    else if (linkText !== undefined) runs.push({ ...style, text: linkText });
+    else if (italic !== undefined) runs.push(...parseInline(italic, citePrefix, { ...style, italic: true }));
+    else runs.push({ ...style, text: code });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) runs.push({ ...style, text: text.slice(last) });
+  return runs;
+}
+
+function splitTableRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map((cell) => cell.trim());
+}
+
+/**
+ * Block-level markdown: headings, bullet and numbered lists, pipe tables
+ * and paragraphs — what section prompts ask the model to produce.
+ *
+ * @returns {object[]} `{ type: 'heading', level, runs }`, `{ type: 'list', ordered, items: runs[] }`,
+ *   `{ type: 'table', header: runs[], rows: runs[][] }` or `{ type: 'paragraph', runs }`
+ */
+function parseMarkdown(markdown, citePrefix = '') {
+  const lines = (markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) blocks.push({ type: 'paragraph', runs: parseInline(paragraph.join(' '), citePrefix) });
+    paragraph = [];
+    list = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const trimmed = line.trim();
+
+    if (!trimmed || /^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+      flush();
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, runs: parseInline(heading[2], citePrefix) });
+      continue;
+    }
+
+    if (trimmed.startsWith('|') && /^\|?\s*:?-{2,}/.test(lines[i + 1]?.trim() || '')) {
+      flush();
+      const header = splitTableRow(trimmed).map((cell) => parseInline(cell, citePrefix));
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim().startsWith('|')) {
+        rows.push(splitTableRow(lines[i]).map((cell) => parseInline(cell, citePrefix)));
+        i++;
+      }
+      i--;
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+    if (item) {
+      if (paragraph.length > 0) flush();
+      const ordered = /\d/.test(item[1]);
+      if (!list || list.ordered !== ordered) {
+        list = { type: 'list', ordered, items: [] };
+        blocks.push(list);
+      }
+      list.items.push(parseInline(item[2], citePrefix));
+      continue;
+    }
+
+    // Wrapped continuation of the previous list item
+    if (list && /^\s+/.test(line)) {
+      const runs = list.items[list.items.length - 1];
+      runs.push(...parseInline(` ${trimmed}`, citePrefix));
+      continue;
+    }
+
+    list = null;
+    paragraph.push(trimmed);
+  }
+  flush();
+  return blocks;
+}
+
+function runsText(runs) {
+  return runs.map((run) => run.text).join('');
+}
+
+/* ------------------------------------------------------------------ */
+/*  Export document                                                     */
+/* ------------------------------------------------------------------ */
+
+function describeSource(source) {
+  const pages = source.page == null
+    ? null
+    : source.pageEnd != null && source.pageEnd !== source.page
+      ? `pp. ${source.page}–${source.pageEnd}`
+      : `p. ${source.page}`;
+  const rows = source.sheet
+    ? [source.sheet, source.cell || (source.rowRange ? `rows ${source.rowRange[0]}–${source.rowRange[1]}` : null)].filter(Boolean).join(' ')
+    : null;
+  return [source.sectionLabel, pages, rows].filter(Boolean).join(', ');
+}
+
+/** Up to three periods of computed ratios as a table, or null. */
+function ratioTable(ratios) {
+  if (!ratios?.length) return null;
+  const periods = [...new Set(ratios.map((r) => r.period))].slice(0, 3);
+  const rows = new Map();
+  for (const r of ratios) {
+    if (!periods.includes(r.period)) continue;
+    if (!rows.has(r.label)) rows.set(r.label, {});
+    rows.get(r.label)[r.period] = formatRatioValue(r);
+  }
+  return {
+    header: ['Metric', ...periods],
+    rows: [...rows.entries()].map(([label, values]) => [label, ...periods.map((p) => values[p] ?? '—')]),
+  };
+}
+
+/**
+ * The credit scorecard's factors as a table under a one-line rating
+ * summary, and the risk flags with the sentence that raised each; null
+ * without a scorecard.
+ */
+function scorecardTable(scorecard) {
+  if (!scorecard?.factors?.length) return null;
+  const summary = scorecard.rating
+    ? `${scorecard.rating.grade} — ${scorecard.rating.label} (score ${scorecard.score.toFixed(1)} / 100; ${scorecard.model.name}${scorecard.model.version ? ` ${scorecard.model.version}` : ''})`
+    : scorecard.note || 'Not rated';
+  const flagged = scorecard.factors.flatMap((f) => f.flags || []);
+  return {
+    summary,
+    header: ['Factor', 'Value', 'Band', 'Score', 'Weight', 'Points'],
+    rows: scorecard.factors.map((f) => [
+      f.label,
+      f.kind === 'flags'
+        ? f.score == null ? '—' : `${f.flags.length} flag${f.flags.length === 1 ? '' : 's'}`
+        : f.metric.display ? `${f.metric.display} (${f.metric.period})` : '—',
+      f.kind === 'flags' ? f.flags.map((flag) => `${flag.label} (-${flag.penalty})`).join('; ') || 'None' : f.band || f.missing || '—',
+      f.score == null ? '—' : String(f.score),
+      `${(f.share * 100).toFixed(0)}%`,
+      f.contribution == null ? '—' : f.contribution.toFixed(1),
+    ]),
+    flags: flagged.length > 0
+      ? { header: ['Evidence', 'Risk flag', 'Penalty'], rows: flagged.map((flag) => [flag.evidence, flag.label, `-${flag.penalty}`]) }
+      : null,
+  };
+}
+
+function reportSectionList(report) {
+  return report.template?.sections || LEGACY_SECTIONS;
+}
+
+/** Chart values the section's verification marked unverified are left out, as in the report view. */
+function toExportSections(sections, contents, level, citePrefix, verification = {}) {
+  return sections
+    .filter(({ key }) => contents?.[key])
+    .map(({ key, title }) => {
+      const extracted = extractCharts(contents[key]);
+      const { charts } = filterVerifiedCharts(extracted.charts, verification?.[key]);
+      return { title, level, markdown: extracted.markdown, blocks: parseMarkdown(extracted.markdown, citePrefix), charts, citePrefix };
+    });
+}
+
+function toSourceGroup(title, sources, citePrefix) {
+  return {
+    title,
+    sources: (sources || []).map((source) => {
+      const text = source.text.replace(/\s+/g, ' ').trim();
+      return {
+        anchor: `${citePrefix}${source.id}`,
+        id: source.id,
+        where: describeSource(source),
+        excerpt: text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}…` : text,
+      };
+    }),
+  };
+}
+
+/**
+ * Export document for one analyzed report.
+ *
+ * @param {object} report
+ * @param {string} report.companyName
+ * @param {string|null} [report.documentType]  Document type label
+ * @param {string} report.generatedAt
+ * @param {object|null} [report.template]  Template layout (reportTemplates.js templateLayout)
+ * @param {Record<string, string>} report.sections  Section markdown by key
+ * @param {Record<string, object>} [report.verification]  verifyFigures result by section key
+ * @param {object[]} [report.sources]
+ * @param {object[]} [report.ratios]
+ * @param {object|null} [report.scorecard]  scoreCredit result
+ */
+function reportDocument(report) {
+  return {
+    title: `${report.companyName || 'Company'} — Financial Analysis`,
+    details: [
+      ['Company', report.companyName || '—'],
+      report.documentType ? ['Document type', report.documentType] : null,
+      report.template && !report.template.id.startsWith('auto:') ? ['Template', report.template.name] : null,
+      ['Generated', report.generatedAt],
+    ].filter(Boolean),
+    sections: toExportSections(reportSectionList(report), report.sections, 1, '', report.verification),
+    ratios: ratioTable(report.ratios),
+    scorecard: scorecardTable(report.scorecard),
+    sourceGroups: [toSourceGroup('Sources', report.sources, '')].filter((g) => g.sources.length > 0),
+  };
+}
+
+/**
+ * The peer matrix as a ratio table: one column per company, each value
+ * with its period and the company's rank in the group.
+ */
+function peerMatrixTable(matrix) {
+  if (!matrix?.rows?.length) return null;
+  return {
+    header: ['Metric', ...matrix.peers.map((p) => p.companyName)],
+    rows: matrix.rows.map(({ label, cells }) => [
+      label,
+      ...cells.map((cell) => (cell ? `${cell.display} (${cell.period}${cell.rank ? `, #${cell.rank}` : ''})` : '—')),
+    ]),
+  };
+}
+
+/**
+ * Export document for a comparison: the comparative sections, then each
+ * company's own report. Citation anchors are prefixed per company, since
+ * every report numbers its chunks the same way.
+ *
+ * @param {object} result
+ * @param {{ companyName: string, report: { sections: Record<string, string>, template?: object, sources?: object[], documentType?: string,
+ *   verification?: Record<string, object> } }[]} result.peers
+ * @param {Record<string, string>} result.comparison  Comparative section markdown by key
+ * @param {object|null} [result.matrix]  peerMatrix of the group's ratios
+ * @param {string} result.generatedAt
+ */
+function comparisonDocument(result) {
+  const { peers } = result;
+  const heading = (title) => ({ title, level: 1, markdown: '', blocks: [], charts: [], citePrefix: '' });
+  const prefix = (i) => `p${i + 1}-`;
+  const names = peers.map((p) => p.companyName);
+
+  return {
+    title: `${names.length === 2 ? names.join(' vs ') : `Peer Group: ${names.join(', ')}`} — Comparative Analysis`,
+    details: [
+      ...peers.map(({ companyName, report }, i) => [
+        `Company ${i + 1}`,
+        report.documentType ? `${companyName} (${report.documentType})` : companyName,
+      ]),
+      ['Generated', result.generatedAt],
+    ],
+    sections: [
+      heading('Comparative Analysis'),
+      ...toExportSections(LEGACY_SECTIONS, result.comparison, 2, ''),
+      ...peers.flatMap(({ companyName, report }, i) => [
+        heading(companyName),
+        ...toExportSections(reportSectionList(report), report.sections, 2, prefix(i), report.verification),
+      ]),
+    ],
+    ratios: peerMatrixTable(result.matrix),
+    sourceGroups: peers
+      .map(({ companyName, report }, i) => toSourceGroup(`Sources — ${companyName}`, report.sources, prefix(i)))
+      .filter((g) => g.sources.length > 0),
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Markdown                                                            */
+/* ------------------------------------------------------------------ */
+
+function markdownTable(header, rows) {
+  const escape = (cell) => String(cell).replace(/\|/g, '\\|');
+  return [
+    `| ${header.map(escape).join(' | ')} |`,
+    `|${header.map((_, i) => (i === 0 ? '---' : '---:')).join('|')}|`,
+    ...rows.map((row) => `| ${row.map(escape).join(' | ')} |`),
+  ].join('\n');
+}
+
+function renderMarkdown(doc) {
+  const parts = [
+    `# ${doc.title}`,
+    doc.details.map(([label, value]) => `- **${label}:** ${value}`).join('\n'),
+  ];
+
+  for (const section of doc.sections) {
+    const hashes = '#'.repeat(section.level + 1);
+    const body = section.markdown
+      // Section prompts use "##" headings; nest them below the section title
+      .replace(/^(#{1,4})\s/gm, (_, h) => `${'#'.repeat(Math.min(6, h.length + section.level))} `)
+      .replace(/\]\(#cite-/g, `](#cite-${section.citePrefix}`);
+    const charts = section.charts.map((chart) =>
+      `**${chart.title}**\n\n${markdownTable(['', chart.unit ? `Value (${chart.unit})` : 'Value'], chart.data.map((p) => [p.name, formatChartValue(p.value)]))}`
+    );
+    parts.push([`${hashes} ${section.title}`, body, ...charts].filter(Boolean).join('\n\n'));
+  }
+
+  if (doc.ratios) parts.push(`## Computed Ratios\n\n${markdownTable(doc.ratios.header, doc.ratios.rows)}`);
+  if (doc.scorecard) {
+    parts.push(`## Credit Scorecard\n\n${doc.scorecard.summary}\n\n${markdownTable(doc.scorecard.header, doc.scorecard.rows)}`);
+    if (doc.scorecard.flags) parts.push(markdownTable(doc.scorecard.flags.header, doc.scorecard.flags.rows));
+  }
+
+  for (const group of doc.sourceGroups) {
+    const lines = group.sources.map((s) =>
+      `- <a id="cite-${s.anchor}"></a>**${s.id}**${s.where ? ` (${s.where})` : ''}: ${s.excerpt}`
+    );
+    parts.push(`## ${group.title}\n\n${lines.join('\n')}`);
+  }
+
+  return `${parts.join('\n\n').trim()}\n`;
+}
+
+/* ------------------------------------------------------------------ */
+/*  HTML                                                                */
+/* ------------------------------------------------------------------ */
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+function htmlRuns(runs) {
+  return runs.map((run) => {
+    let html = escapeHtml(run.text);
+    if (run.cite) return `<a class="cite" href="#cite-${escapeHtml(run.cite)}">${html}</a>`;
+    if (run.italic) html = `<em>${html}</em>`;
+    if (run.bold) html = `<strong>${html}</strong>`;
+    return html;
+  }).join('');
+}
+
+function htmlTable(header, rows) {
+  const cells = (row, tag) => row.map((cell) => `<${tag}>${typeof cell === 'string' ? escapeHtml(cell) : htmlRuns(cell)}</${tag}>`).join('');
+  return `<table><thead><tr>${cells(header, 'th')}</tr></thead><tbody>${rows.map((row) => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody></table>`;
+}
+
+function htmlBlocks(blocks, level) {
+  return blocks.map((block) => {
+    switch (block.type) {
+      case 'heading': {
+        const tag = `h${Math.min(6, block.level + level)}`;
+        return `<${tag}>${htmlRuns(block.runs)}</${tag}>`;
+      }
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        return `<${tag}>${block.items.map((runs) => `<li>${htmlRuns(runs)}</li>`).join('')}</${tag}>`;
+      }
+      case 'table':
+        return htmlTable(block.header, block.rows);
+      default:
+        return `<p>${htmlRuns(block.runs)}</p>`;
+    }
+  }).join('\n');
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #171717; max-width: 760px; margin: 40px auto; padding: 0 24px; line-height: 1.6; font-size: 14px; }
+h1 { font-size: 24px; margin-bottom: 8px; }
+h2 { font-size: 19px; border-bottom: 1px solid #e5e7eb; padding-bottom: 6px; margin-top: 36px; }
+h3 { font-size: 16px; margin-top: 24px; }
+h4, h5, h6 { font-size: 14px; margin-top: 18px; }
+.details { list-style: none; padding: 0; color: #6b7280; }
+table { border-collapse: collapse; margin: 12px 0; font-size: 13px; }
+th, td { border: 1px solid #e5e7eb; padding: 4px 10px; text-align: left; }
+td + td, th + th { text-align: right; }
+figure { margin: 16px 0; }
+figure svg { max-width: 100%; height: auto; }
+a.cite { color: #6b7280; text-decoration: none; font-size: 11px; vertical-align: super; }
+.sources li { color: #374151; font-size: 12px; margin-bottom: 6px; }
+.sources li:target { background: #fef9c3; }
+`;
+
+function renderHtml(doc) {
+  const body = [
+    `<h1>${escapeHtml(doc.title)}</h1>`,
+    `<ul class="details">${doc.details.map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`).join('')}</ul>`,
+  ];
+
+  for (const section of doc.sections) {
+    const tag = `h${section.level + 1}`;
+    body.push(`<section>\n<${tag}>${escapeHtml(section.title)}</${tag}>`);
+    body.push(htmlBlocks(section.blocks, section.level));
+    for (const chart of section.charts) body.push(`<figure>${chartToSvg(chart).replace(/^<svg /, '<svg role="img" ')}</figure>`);
+    body.push('</section>');
+  }
+
+  if (doc.ratios) body.push(`<h2>Computed Ratios</h2>\n${htmlTable(doc.ratios.header, doc.ratios.rows)}`);
+  if (doc.scorecard) {
+    body.push(`<h2>Credit Scorecard</h2>\n<p>${escapeHtml(doc.scorecard.summary)}</p>\n${htmlTable(doc.scorecard.header, doc.scorecard.rows)}`);
+    if (doc.scorecard.flags) body.push(htmlTable(doc.scorecard.flags.header, doc.scorecard.flags.rows));
+  }
+
+  for (const group of doc.sourceGroups) {
+    const items = group.sources.map((s) =>
+      `<li id="cite-${escapeHtml(s.anchor)}"><strong>${escapeHtml(s.id)}</strong>${s.where ? ` (${escapeHtml(s.where)})` : ''}: ${escapeHtml(s.excerpt)}</li>`
+    );
+    body.push(`<h2>${escapeHtml(group.title)}</h2>\n<ul class="sources">${items.join('\n')}</ul>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(doc.title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/* ------------------------------------------------------------------ */
+/*  PDF                                                                 */
+/* ------------------------------------------------------------------ */
+
+const PDF_FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique',
+  boldItalic: 'Helvetica-BoldOblique',
+};
+const PDF_HEADING_SIZES = [20, 15, 12.5, 11, 10.5, 10];
+const PDF_BODY_SIZE = 10;
+
+/**
+ * The standard fonts only carry WinAnsi glyphs, so anything else prints as
+ * garbage. Common symbols get an ASCII spelling; other characters fall back
+ * to their compatibility decomposition without accents, or "?".
+ */
+const WIN_ANSI = /[^\n\t\x20-\x7e\xa0-\xff€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ]/g;
+const PDF_ASCII = {
+  '−': '-', '‐': '-', '‑': '-', '‒': '-', '―': '-',
+  '≥': '>=', '≤': '<=', '≠': '!=', '≈': '~',
+  '→': '->', '←': '<-', '↔': '<->', '⇒': '=>',
+  '▲': '^', '▼': 'v', '✓': 'v', '✔': 'v', '✗': 'x', '✘': 'x',
+  '′': "'", '″': '"', '\u2007': ' ', '\u2009': ' ', '\u202f': ' ', '\u200b': '',
+};
+
+function winAnsi(text) {
+  return String(text).replace(WIN_ANSI, (ch) => {
+    if (ch in PDF_ASCII) return PDF_ASCII[ch];
+    const plain = ch.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    return plain && !plain.match(WIN_ANSI) ? plain : '?';
+  });
+}
+
+function pdfFont(run) {
+  if (run.bold && run.italic) return PDF_FONTS.boldItalic;
+  if (run.bold) return PDF_FONTS.bold;
+  if (run.italic) return PDF_FONTS.italic;
+  return PDF_FONTS.regular;
+}
+
+/** Write styled runs as one flowing paragraph at the current position. */
+function pdfRuns(pdf, runs, { x, width, size = PDF_BODY_SIZE, color = '#171717' } = {}) {
+  const parts = runs.filter((run) => run.text);
+  if (parts.length === 0) return;
+  parts.forEach((run, i) => {
+    const options = { width, continued: i < parts.length - 1, lineGap: 2 };
+    if (run.cite) options.goTo = run.cite;
+    pdf.font(pdfFont(run)).fontSize(size).fillColor(run.cite ? '#6b7280' : color);
+    if (i === 0 && x != null) pdf.text(winAnsi(run.text), x, pdf.y, options);
+    else pdf.text(winAnsi(run.text), options);
+  });
+}
+
+function ensureSpace(pdf, height) {
+  if (pdf.y + height > pdf.page.height - pdf.page.margins.bottom) pdf.addPage();
+}
+
+function pdfTable(pdf, header, rows) {
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - left - pdf.page.margins.right;
+  const columns = header.length;
+  const firstWidth = columns > 1 ? Math.max(width * 0.4, width / columns) : width;
+  const otherWidth = columns > 1 ? (width - firstWidth) / (columns - 1) : 0;
+  const colX = (i) => left + (i === 0 ? 0 : firstWidth + otherWidth * (i - 1));
+  const colW = (i) => (i === 0 ? firstWidth : otherWidth);
+  const text = (cell) => winAnsi(typeof cell === 'string' ? cell : runsText(cell));
+
+  const drawRow = (cells, bold) => {
+    pdf.font(bold ? PDF_FONTS.bold : PDF_FONTS.regular).fontSize(9);
+    const height = Math.max(...cells.map((cell, i) => pdf.heightOfString(text(cell), { width: colW(i) - 8 }))) + 6;
+    ensureSpace(pdf, height);
+    const y = pdf.y;
+    cells.forEach((cell, i) => {
+      pdf.fillColor('#171717').text(text(cell), colX(i) + 4, y + 3, { width: colW(i) - 8, align: i === 0 ? 'left' : 'right' });
+    });
+    pdf.moveTo(left, y + height).lineTo(left + width, y + height).lineWidth(0.5).stroke('#e5e7eb');
+    pdf.x = left;
+    pdf.y = y + height;
+  };
+
+  drawRow(header, true);
+  for (const row of rows) drawRow(row, false);
+  pdf.moveDown(0.8);
+}
+
+function pdfChart(pdf, spec) {
+  const { width, height, shapes } = layoutChart(spec);
+  const available = pdf.page.width - pdf.page.margins.left - pdf.page.margins.right;
+  const scale = Math.min(1, available / width);
+  ensureSpace(pdf, height * scale + 12);
+
+  const originY = pdf.y;
+  pdf.save();
+  pdf.translate(pdf.page.margins.left, originY).scale(scale);
+  for (const shape of shapes) {
+    switch (shape.type) {
+      case 'rect':
+        pdf.rect(shape.x, shape.y, shape.width, shape.height).fill(shape.fill);
+        break;
+      case 'path':
+        pdf.path(shape.d);
+        if (shape.fill === 'none') pdf.lineWidth(shape.strokeWidth || 1).stroke(shape.stroke);
+        else if (shape.stroke) pdf.lineWidth(shape.strokeWidth || 1).fillAndStroke(shape.fill, shape.stroke);
+        else pdf.fill(shape.fill);
+        break;
+      case 'line':
+        pdf.moveTo(shape.x1, shape.y1).lineTo(shape.x2, shape.y2).lineWidth(1).stroke(shape.stroke);
+        break;
+      case 'circle':
+        pdf.circle(shape.cx, shape.cy, shape.r).fill(shape.fill);
+        break;
+      case 'text': {
+        pdf.font(shape.size >= 12 ? PDF_FONTS.bold : PDF_FONTS.regular).fontSize(shape.size);
+        const label = winAnsi(shape.text);
+        const textWidth = pdf.widthOfString(label);
+        const x = shape.anchor === 'middle' ? shape.x - textWidth / 2 : shape.anchor === 'end' ? shape.x - textWidth : shape.x;
+        pdf.fillColor(shape.fill).text(label, x, shape.y - shape.size * 0.8, { lineBreak: false });
+        break;
+      }
+    }
+  }
+  pdf.restore();
+
+  pdf.x = pdf.page.margins.left;
+  pdf.y = originY + height * scale + 12;
+}
+
+function pdfBlocks(pdf, blocks, level) {
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - left - pdf.page.margins.right;
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'heading': {
+        const size = PDF_HEADING_SIZES[Math.min(5, block.level + level - 1)];
+        ensureSpace(pdf, size * 3);
+        pdf.moveDown(0.4);
+        pdfRuns(pdf, block.runs.map((run) => ({ ...run, bold: true })), { x: left, width, size });
+        pdf.moveDown(0.3);
+        break;
+      }
+      case 'list':
+        block.items.forEach((runs, i) => {
+          ensureSpace(pdf, PDF_BODY_SIZE * 2);
+          const y = pdf.y;
+          pdf.font(PDF_FONTS.regular).fontSize(PDF_BODY_SIZE).fillColor('#6b7280')
+            .text(block.ordered ? `${i + 1}.` : '•', left + 4, y, { width: 14, lineBreak: false });
+          pdf.y = y;
+          pdfRuns(pdf, runs, { x: left + 18, width: width - 18 });
+          pdf.moveDown(0.2);
+        });
+        pdf.x = left;
+        pdf.moveDown(0.4);
+        break;
+      case 'table':
+        pdfTable(pdf, block.header, block.rows);
+        break;
+      default:
+        ensureSpace(pdf, PDF_BODY_SIZE * 2);
+        pdfRuns(pdf, block.runs, { x: left, width });
+        pdf.moveDown(0.6);
+    }
+  }
+}
+
+function renderPdf(doc) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'LETTER', margin: 56, bufferPages: true, info: { Title: doc.title } });
+    const chunks = [];
+    pdf.on('data', (chunk) => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    const left = pdf.page.margins.left;
+    const width = pdf.page.width - left - pdf.page.margins.right;
+
+    pdf.font(PDF_FONTS.bold).fontSize(PDF_HEADING_SIZES[0]).fillColor('#171717').text(winAnsi(doc.title), { width });
+    pdf.moveDown(0.4);
+    for (const [label, value] of doc.details) {
+      pdfRuns(pdf, [{ text: `${label}: `, bold: true }, { text: String(value) }], { x: left, width, size: 9.5, color: '#6b7280' });
+    }
+
+    for (const section of doc.sections) {
+      const size = PDF_HEADING_SIZES[section.level];
+      ensureSpace(pdf, size * 4);
+      pdf.moveDown(1);
+      pdf.font(PDF_FONTS.bold).fontSize(size).fillColor('#171717').text(winAnsi(section.title), left, pdf.y, { width });
+      pdf.moveTo(left, pdf.y + 2).lineTo(left + width, pdf.y + 2).lineWidth(0.5).stroke('#e5e7eb');
+      pdf.moveDown(0.6);
+      pdfBlocks(pdf, section.blocks, section.level);
+      for (const chart of section.charts) pdfChart(pdf, chart);
+    }
+
+    if (doc.ratios) {
+      pdf.addPage();
+      pdf.font(PDF_FONTS.bold).fontSize(PDF_HEADING_SIZES[1]).fillColor('#171717').text('Computed Ratios', left, pdf.y, { width });
+      pdf.moveDown(0.6);
+      pdfTable(pdf, doc.ratios.header, doc.ratios.rows);
+    }
+
+    if (doc.scorecard) {
+      if (doc.ratios) pdf.moveDown(1);
+      else pdf.addPage();
+      ensureSpace(pdf, 80);
+      pdf.font(PDF_FONTS.bold).fontSize(PDF_HEADING_SIZES[1]).fillColor('#171717').text('Credit Scorecard', left, pdf.y, { width });
+      pdf.moveDown(0.4);
+      pdf.font(PDF_FONTS.regular).fontSize(PDF_BODY_SIZE).fillColor('#374151').text(winAnsi(doc.scorecard.summary), { width });
+      pdf.moveDown(0.6);
+      pdfTable(pdf, doc.scorecard.header, doc.scorecard.rows);
+      if (doc.scorecard.flags) {
+        pdf.moveDown(0.6);
+        pdfTable(pdf, doc.scorecard.flags.header, doc.scorecard.flags.rows);
+      }
+    }
+
+    doc.sourceGroups.forEach((group, i) => {
+      if (i === 0) pdf.addPage();
+      else pdf.moveDown(1);
+      pdf.font(PDF_FONTS.bold).fontSize(PDF_HEADING_SIZES[1]).fillColor('#171717').text(winAnsi(group.title), left, pdf.y, { width });
+      pdf.moveDown(0.6);
+      for (const source of group.sources) {
+        ensureSpace(pdf, 40);
+        pdf.font(PDF_FONTS.bold).fontSize(8.5).fillColor('#171717')
+          .text(winAnsi(`${source.id}${source.where ? ` (${source.where})` : ''}`), left, pdf.y, { width, destination: source.anchor });
+        pdf.font(PDF_FONTS.regular).fontSize(8.5).fillColor('#374151').text(winAnsi(source.excerpt), { width });
+        pdf.moveDown(0.5);
+      }
+    });
+
+    // Page numbers, written into the bottom margin of every buffered page
+    const { start, count } = pdf.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+      pdf.switchToPage(i);
+      const bottom = pdf.page.margins.bottom;
+      pdf.page.margins.bottom = 0;
+      pdf.font(PDF_FONTS.regular).fontSize(8).fillColor('#9ca3af')
+        .text(winAnsi(`${doc.title}  ·  ${i + 1} / ${count}`), left, pdf.page.height - bottom / 2, { width, align: 'center', lineBreak: false });
+      pdf.page.margins.bottom = bottom;
+    }
+
+    pdf.end();
+  });
+}
+
+/* ------------------------------------------------------------------ */
+/*  DOCX                                                                */
+/* ------------------------------------------------------------------ */
+
+const DOCX_HEADINGS = [
+  docx.HeadingLevel.HEADING_1,
+  docx.HeadingLevel.HEADING_2,
+  docx.HeadingLevel.HEADING_3,
+  docx.HeadingLevel.HEADING_4,
+  docx.HeadingLevel.HEADING_5,
+  docx.HeadingLevel.HEADING_6,
+];
+
+/**
+ * Word requires a raster fallback next to an SVG image for versions that
+ * cannot draw SVG (before Office 2016); those show this blank pixel.
+ */
+const BLANK_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/x8AAwMCAO+ip1sAAAAASUVORK5CYII=',
+  'base64'
+);
+
+/** Word bookmark names: a letter, then up to 39 letters, digits or underscores. */
+function bookmarkId(anchor) {
+  return `c_${anchor.replace(/[^A-Za-z0-9_]/g, '_')}`.slice(0, 40);
+}
+
+function docxRuns(runs) {
+  return runs.filter((run) => run.text).map((run) => {
+    if (run.cite) {
+      return new docx.InternalHyperlink({
+        anchor: bookmarkId(run.cite),
+        children: [new docx.TextRun({ text: run.text, style: 'Hyperlink', superScript: true })],
+      });
+    }
+    return new docx.TextRun({ text: run.text, bold: run.bold, italics: run.italic });
+  });
+}
+
+function docxTable(header, rows) {
+  const cell = (content, i, bold) => new docx.TableCell({
+    children: [new docx.Paragraph({
+      alignment: i === 0 ? docx.AlignmentType.LEFT : docx.AlignmentType.RIGHT,
+      children: typeof content === 'string'
+        ? [new docx.TextRun({ text: content, bold })]
+        : docxRuns(bold ? content.map((run) => ({ ...run, bold: true })) : content),
+    })],
+  });
+  return new docx.Table({
+    width: { size: 100, type: docx.WidthType.PERCENTAGE },
+    rows: [
+      new docx.TableRow({ tableHeader: true, children: header.map((content, i) => cell(content, i, true)) }),
+      ...rows.map((row) => new docx.TableRow({ children: row.map((content, i) => cell(content, i, false)) })),
+    ],
+  });
+}
+
+function docxBlocks(blocks, level, listCounter) {
+  const out = [];
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'heading':
+        out.push(new docx.Paragraph({ heading: DOCX_HEADINGS[Math.min(5, Math.max(0, block.level + level - 2))], children: docxRuns(block.runs) }));
+        break;
+      case 'list': {
+        const instance = listCounter.next++;
+        for (const runs of block.items) {
+          out.push(new docx.Paragraph({
+            children: docxRuns(runs),
+            ...(block.ordered
+              ? { numbering: { reference: 'ordered', level: 0, instance } }
+              : { bullet: { level: 0 } }),
+          }));
+        }
+        break;
+      }
+      case 'table':
+        out.push(docxTable(block.header, block.rows), new docx.Paragraph({}));
+        break;
+      default:
+        out.push(new docx.Paragraph({ children: docxRuns(block.runs), spacing: { after: 120 } }));
+    }
+  }
+  return out;
+}
+
+function docxChart(spec) {
+  const { width, height } = layoutChart(spec);
+  return new docx.Paragraph({
+    children: [new docx.ImageRun({
+      type: 'svg',
+      data: Buffer.from(chartToSvg(spec)),
+      transformation: { width, height },
+      fallback: { type: 'png', data: BLANK_PNG },
+      altText: { name: spec.title, title: spec.title, description: spec.title },
+    })],
+    spacing: { before: 120, after: 120 },
+  });
+}
+
+function renderDocx(doc) {
+  const listCounter = { next: 1 };
+  const children = [
+    new docx.Paragraph({ heading: docx.HeadingLevel.TITLE, children: [new docx.TextRun(doc.title)] }),
+    ...doc.details.map(([label, value]) => new docx.Paragraph({
+      children: [new docx.TextRun({ text: `${label}: `, bold: true }), new docx.TextRun(String(value))],
+    })),
+  ];
+
+  for (const section of doc.sections) {
+    children.push(new docx.Paragraph({ heading: DOCX_HEADINGS[section.level - 1], children: [new docx.TextRun(section.title)] }));
+    children.push(...docxBlocks(section.blocks, section.level, listCounter));
+    children.push(...section.charts.map(docxChart));
+  }
+
+  if (doc.ratios) {
+    children.push(
+      new docx.Paragraph({ heading: docx.HeadingLevel.HEADING_1, pageBreakBefore: true, children: [new docx.TextRun('Computed Ratios')] }),
+      docxTable(doc.ratios.header, doc.ratios.rows)
+    );
+  }
+
+  if (doc.scorecard) {
+    children.push(
+      new docx.Paragraph({ heading: docx.HeadingLevel.HEADING_1, pageBreakBefore: !doc.ratios, children: [new docx.TextRun('Credit Scorecard')] }),
+      new docx.Paragraph({ children: [new docx.TextRun(doc.scorecard.summary)] }),
+      docxTable(doc.scorecard.header, doc.scorecard.rows)
+    );
+    if (doc.scorecard.flags) {
+      children.push(new docx.Paragraph({ children: [] }), docxTable(doc.scorecard.flags.header, doc.scorecard.flags.rows));
+    }
+  }
+
+  doc.sourceGroups.forEach((group, i) => {
+    children.push(new docx.Paragraph({ heading: docx.HeadingLevel.HEADING_1, pageBreakBefore: i === 0, children: [new docx.TextRun(group.title)] }));
+    for (const source of group.sources) {
+      children.push(new docx.Paragraph({
+        spacing: { after: 120 },
+        children: [
+          new docx.Bookmark({
+            id: bookmarkId(source.anchor),
+            children: [new docx.TextRun({ text: `${source.id}${source.where ? ` (${source.where})` : ''}: `, bold: true, size: 17 })],
+          }),
+          new docx.TextRun({ text: source.excerpt, size: 17 }),
+        ],
+      }));
+    }
+  });
+
+  const document = new docx.Document({
+    title: doc.title,
+    numbering: {
+      config: [{
+        reference: 'ordered',
+        levels: [{ level: 0, format: docx.LevelFormat.DECIMAL, text: '%1.', alignment: docx.AlignmentType.START }],
+      }],
+    },
+    sections: [{ children }],
+  });
+  return docx.Packer.toBuffer(document);
+}
+
+/* ------------------------------------------------------------------ */
+/*  Entry points                                                        */
+/* ------------------------------------------------------------------ */
+
+const RENDERERS = {
+  pdf: renderPdf,
+  docx: renderDocx,
+  html: renderHtml,
+  md: renderMarkdown,
+};
+
+async function render(doc, format) {
+  const target = EXPORT_FORMATS[format];
+  if (!target) throw new Error(`Unsupported export format "${format}".`);
+  const body = await RENDERERS[format](doc);
+  return { body, ...target };
+}
+
+/**
+ * Render one report.
+ * @param {object} report  See reportDocument
+ * @param {'pdf'|'docx'|'html'|'md'} format
+ * @returns {Promise<{ body: Buffer|string, contentType: string, extension: string }>}
+ */
+function exportReport(report, format) {
+  return render(reportDocument(report), format);
+}
+
+/**
+ * Render a comparison.
+ * @param {object} result  See comparisonDocument
+ * @param {'pdf'|'docx'|'html'|'md'} format
+ * @returns {Promise<{ body: Buffer|string, contentType: string, extension: string }>}
+ */
+function exportComparison(result, format) {
+  return render(comparisonDocument(result), format);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportReport,
+  exportComparison,
+  parseMarkdown,
+};
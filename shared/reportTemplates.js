@@ -0,0 +1,742 @@
+/**
+ * Report templates.
+ *
+ * A template declares the sections of a generated report. Each section
+ * carries everything the pipeline needs to write it:
+ *
+ *   {
+ *     key: 'liquidity',                 // section id in results and events
+ *     title: 'Liquidity & Covenants',
+ *     description: 'Funding, maturities and covenant headroom',
+ *     prompt: 'Assess the liquidity of **{company}** ...',
+ *     queries: ['{company} liquidity revolver maturities', ...],
+ *     preferredSections: ['mda', 'financials'],   // chunk sectionName filter
+ *     speakerRoles: ['cfo'],                      // transcripts chunked by speaker turn
+ *     focusAreas: ['financials'],                 // document-type focus areas it covers
+ *     chunkBudget: 8,                             // excerpts after reranking
+ *     computedMetrics: true,                      // prompt gets the ratio engine's output
+ *     charts: false,                              // ask for a ~~~chartdata block
+ *   }
+ *
+ * `{company}` in prompts and queries is replaced with the company name.
+ *
+ * The built-in "default" template holds the four standard sections and
+ * cannot be changed. User templates are stored as one JSON file each.
+ *
+ * Reports generated without a template get the sections their document
+ * type lists (see sectionsForDocument), and every section is tailored to
+ * the document type's prompt context and focus areas.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const { FOCUS_AREAS } = require('./documentClassifier');
+
+/* ------------------------------------------------------------------ */
+/*  Section library                                                     */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Built-in sections. The default template uses the first four; the
+ * others are picked by document type (documentClassifier.js
+ * `reportSections`) when a report is generated without a template.
+ */
+const SECTION_LIBRARY = Object.fromEntries(
+  [
+    {
+      key: 'overview',
+      title: 'Overview',
+      description: 'Business model and strategic positioning',
+      prompt: `Provide a structured overview of **{company}**'s business model and strategic positioning based on the financial document provided.
+
+Structure your analysis under these headings:
+
+## Core Business
+- What the company does, primary revenue streams and business segments
+
+## Strategic Position
+- Competitive advantages, market position, and economic moat
+
+## Key Initiatives
+- Current strategic priorities, growth drivers, and recent developments
+
+Requirements:
+- Use **bold** for key terms, product names, and segment names
+- Each bullet should be a concise, specific insight (1-2 sentences)
+- Cite specific data from the document where available
+- Do NOT include financial numbers or performance metrics (those belong in Financials)
+- Do NOT include risk factors (those belong in Risks)`,
+      queries: [
+        '{company} business model operations products services revenue streams',
+        '{company} competitive advantage market position strategy moat',
+      ],
+      preferredSections: ['business_overview', 'executive_summary', 'preamble'],
+      focusAreas: ['business_overview', 'strategy'],
+    },
+    {
+      key: 'financialHighlights',
+      title: 'Financials',
+      description: 'Key metrics and performance indicators',
+      prompt: `Extract and analyze the key financial metrics and performance data for **{company}** from the provided financial document.
+
+Structure your analysis under these headings:
+
+## Revenue & Growth
+- Revenue figures, growth rates, segment breakdowns
+
+## Profitability
+- Net income, margins (gross, operating, net), EBITDA
+
+## Key Operational Metrics
+- Segment-specific KPIs, efficiency ratios, per-unit economics
+
+## Balance Sheet Highlights
+- Cash position, debt levels, key financial ratios
+
+Requirements:
+- Use **bold** for all numbers, percentages, and financial terms
+- Describe trends: "**Revenue** grew from **$X** to **$Y**, a **Z%** increase"
+- Compare periods (YoY, QoQ) where the document provides data
+- One metric per bullet — do not combine multiple facts
+- Only include data explicitly found in the document`,
+      queries: [
+        '{company} revenue profit net income financial results performance',
+        '{company} margins EBITDA earnings growth operating cash flow',
+      ],
+      preferredSections: ['financials', 'selected_financial', 'mda', 'balance_sheet'],
+      focusAreas: ['financials', 'mda'],
+      computedMetrics: true,
+      charts: true,
+    },
+    {
+      key: 'keyRisks',
+      title: 'Risks',
+      description: 'Business and market risk factors',
+      prompt: `Identify and categorize the key risks facing **{company}** based on the provided financial document.
+
+Group risks under applicable categories (skip a category if no relevant risks are found):
+
+## Market & Industry Risks
+- Competition, market dynamics, demand shifts
+
+## Operational Risks
+- Supply chain, technology, execution, talent
+
+## Financial Risks
+- Debt, liquidity, currency, interest-rate exposure
+
+## Regulatory & Legal Risks
+- Compliance, litigation, policy changes
+
+## Company-Specific Risks
+- Concentration risks, key dependencies, strategic risks
+
+Requirements:
+- Use **bold** for specific risk factors and key terms
+- Each bullet should name the risk and briefly explain its potential impact
+- Prioritize by significance (most critical first within each category)
+- Source from "Risk Factors" or "Risk Management" sections when available
+- Do NOT include mitigation strategies`,
+      queries: [
+        '{company} risk factors challenges threats vulnerabilities',
+        '{company} regulatory compliance litigation market operational risks',
+      ],
+      preferredSections: ['risk_factors', 'market_risk', 'legal'],
+      focusAreas: ['risk_factors'],
+    },
+    {
+      key: 'managementCommentary',
+      title: 'Management',
+      description: 'Executive insights and outlook',
+      prompt: `Summarize the forward-looking statements and strategic priorities from **{company}**'s management based on the provided financial document.
+
+Structure your analysis:
+
+## Strategic Outlook
+- Management's vision, long-term goals, and market outlook
+
+## Growth Plans
+- Expansion initiatives, new products/markets, investment priorities
+
+## Operational Focus
+- Efficiency programs, technology investments, organizational changes
+
+## Guidance & Expectations
+- Any forward-looking financial guidance or performance expectations
+
+Requirements:
+- Use **bold** for key initiatives, targets, and strategic terms
+- Focus on direct management statements and forward-looking commentary
+- Source from "Management Discussion & Analysis", CEO letters, or executive commentary
+- Do NOT repeat financial results already covered in other sections
+- Do NOT include risk factors already identified`,
+      queries: [
+        '{company} management outlook strategy future plans guidance',
+        '{company} growth initiatives investment expansion priorities',
+      ],
+      preferredSections: ['mda', 'executive_summary'],
+      speakerRoles: ['ceo', 'cfo', 'coo', 'executive'],
+      focusAreas: ['mda', 'guidance', 'strategy'],
+    },
+    {
+      key: 'governance',
+      title: 'Governance',
+      description: 'Governance structure and shareholder rights',
+      prompt: `Assess the corporate governance of **{company}** based on the provided document.
+
+Structure your analysis under these headings:
+
+## Governance Structure
+- Board leadership (chair/CEO roles, lead independent director), committee structure
+
+## Shareholder Rights
+- Voting standards, proxy access, takeover defenses, dual-class or controlled-company status
+
+## Proposals & Votes
+- Items up for shareholder vote and the board's recommendation on each
+
+## Governance Concerns
+- Related-party transactions, auditor matters, policies that depart from common practice
+
+Requirements:
+- Use **bold** for policies, committees, and proposal names
+- Attribute recommendations to the board or the proposing shareholder
+- Only include practices the document describes
+- Do NOT cover individual directors or pay amounts (those belong in Board and Executive Compensation)`,
+      queries: [
+        '{company} corporate governance board leadership structure committees',
+        '{company} shareholder proposals voting rights annual meeting',
+      ],
+      preferredSections: ['governance', 'preamble'],
+      focusAreas: ['governance'],
+    },
+    {
+      key: 'board',
+      title: 'Board of Directors',
+      description: 'Director nominees, independence and skills',
+      prompt: `Summarize the board of directors of **{company}** based on the provided document.
+
+Structure your analysis under these headings:
+
+## Nominees
+- Each director nominee: name, tenure, principal occupation, committee memberships
+
+## Independence & Composition
+- Share of independent directors, diversity, tenure mix, overboarding
+
+## Skills & Oversight
+- Expertise the board highlights and how it oversees risk, strategy and succession
+
+Requirements:
+- Use **bold** for director names and committee names
+- One director per bullet under Nominees
+- Only include directors and facts named in the document`,
+      queries: [
+        '{company} director nominees biography experience committees',
+        '{company} board independence composition tenure diversity',
+      ],
+      preferredSections: ['board', 'governance'],
+      focusAreas: ['governance'],
+    },
+    {
+      key: 'executiveCompensation',
+      title: 'Executive Compensation',
+      description: 'Pay levels, structure and alignment with performance',
+      prompt: `Analyze executive compensation at **{company}** based on the provided document.
+
+Structure your analysis under these headings:
+
+## Pay Levels
+- Total compensation of each named executive officer and the change from the prior year
+
+## Pay Structure
+- Mix of salary, annual bonus and long-term equity; performance metrics and their weights
+
+## Pay for Performance
+- How payouts tracked the performance metrics; CEO pay ratio; say-on-pay results
+
+## Notable Practices
+- Severance and change-in-control terms, clawbacks, perquisites, one-time awards
+
+Requirements:
+- Use **bold** for all amounts, percentages, and executive names
+- One executive or one plan feature per bullet
+- Only include figures explicitly found in the document`,
+      queries: [
+        '{company} summary compensation table named executive officers total',
+        '{company} annual incentive long-term equity performance metrics payout',
+        '{company} say-on-pay CEO pay ratio severance change in control',
+      ],
+      preferredSections: ['compensation'],
+      focusAreas: ['compensation'],
+      charts: true,
+    },
+    {
+      key: 'guidance',
+      title: 'Guidance',
+      description: 'Outlook and financial targets given on the call',
+      prompt: `Summarize the forward-looking guidance **{company}**'s management gave, based on the provided document.
+
+Structure your analysis under these headings:
+
+## Financial Guidance
+- Revenue, margin, earnings and cash-flow targets, with the period each covers
+
+## Changes from Prior Guidance
+- Whether each target was raised, lowered, reaffirmed or newly introduced, and why
+
+## Assumptions & Drivers
+- Demand, pricing, cost and macro assumptions management tied the outlook to
+
+Requirements:
+- Use **bold** for every figure, range and period
+- Attribute each statement to the executive who made it where the document names them
+- Only include guidance stated in the document; do NOT estimate or extrapolate`,
+      queries: [
+        '{company} guidance outlook expects full year next quarter range',
+        '{company} raised lowered reaffirmed guidance assumptions',
+      ],
+      preferredSections: ['prepared_remarks', 'mda'],
+      speakerRoles: ['ceo', 'cfo', 'coo', 'executive'],
+      focusAreas: ['guidance', 'financials'],
+    },
+    {
+      key: 'analystConcerns',
+      title: 'Analyst Concerns',
+      description: 'What analysts pressed on and how management answered',
+      prompt: `Identify the main concerns analysts raised with **{company}**'s management, based on the provided document.
+
+For each recurring theme, use a heading:
+
+## <Theme>
+- The analyst's question or concern (name the analyst and firm if given)
+- Management's answer, and whether it addressed the concern directly
+
+Requirements:
+- Use **bold** for theme names, figures, and named speakers
+- Group related questions under one theme; order themes by how much attention they received
+- Note questions management declined to answer or deferred
+- Only include exchanges found in the document`,
+      queries: [
+        '{company} analyst question concern pressure',
+        '{company} management response to analyst question',
+      ],
+      preferredSections: ['qa_session'],
+      focusAreas: ['guidance', 'financials', 'strategy'],
+    },
+    {
+      key: 'strategySlides',
+      title: 'Strategy',
+      description: 'Strategic pillars, targets and capital allocation',
+      prompt: `Summarize the strategy **{company}** presents, based on the provided document.
+
+Structure your analysis under these headings:
+
+## Strategic Pillars
+- The priorities the company organizes its strategy around
+
+## Targets & Milestones
+- Medium- and long-term financial or operating targets, with their time frames
+
+## Capital Allocation
+- Investment, M&A, dividend and buyback plans
+
+## Market Opportunity
+- Addressable market sizes, growth rates and share claims the company makes
+
+Requirements:
+- Use **bold** for pillars, targets, and figures
+- Present slide claims as the company's own ("the company targets…"), not as fact
+- Only include content found in the document`,
+      queries: [
+        '{company} strategic priorities pillars growth strategy',
+        '{company} medium-term targets capital allocation addressable market',
+      ],
+      preferredSections: ['page', 'executive_summary', 'preamble'],
+      focusAreas: ['strategy', 'business_overview'],
+    },
+  ]
+    .map(normalizeSection)
+    .map((section) => [section.key, section])
+);
+
+/* ------------------------------------------------------------------ */
+/*  Built-in template                                                   */
+/* ------------------------------------------------------------------ */
+
+const DEFAULT_TEMPLATE_ID = 'default';
+
+const DEFAULT_TEMPLATE = {
+  id: DEFAULT_TEMPLATE_ID,
+  name: 'Standard analysis',
+  description: 'Overview, financials, risks and management commentary.',
+  builtIn: true,
+  sections: ['overview', 'financialHighlights', 'keyRisks', 'managementCommentary'].map((key) => SECTION_LIBRARY[key]),
+};
+
+/**
+ * Company timelines (see companyTimeline.js) have one section, written
+ * across all of a company's filings. Its excerpts come from every filing
+ * and its prompt gets the aligned metrics; the line charts are built from
+ * those metrics rather than asked of the model.
+ */
+const TIMELINE_TEMPLATE = {
+  id: 'timeline',
+  name: 'Company timeline',
+  description: 'Multi-period trends across one company\'s filings.',
+  builtIn: true,
+  sections: [
+    {
+      key: 'trend',
+      title: 'Trend Analysis',
+      description: 'Trajectory, guidance and risk changes across filings',
+      prompt: `Analyze how **{company}** has changed across the filings provided, from the earliest period to the latest.
+
+Structure your analysis under these headings:
+
+## Revenue & Margin Trajectory
+- The multi-period direction of revenue, margins and cash flow, with the turning points and what drove them
+
+## Guidance Changes
+- How outlook, targets and guidance moved from one filing to the next, and whether earlier guidance was met
+
+## Risk Factor Changes
+- **Added:** risks that appear in later filings but not earlier ones
+- **Dropped:** risks from earlier filings that no longer appear
+- **Escalated:** risks whose wording or emphasis became more severe
+
+Requirements:
+- Use **bold** for all numbers, percentages and period labels
+- Take metric values from the aligned metrics table where they are given; do not recalculate them
+- Name the period or filing for every point; never merge facts from different periods into one statement
+- Only call a risk added or dropped when the excerpts show it; otherwise say the excerpts do not cover it`,
+      queries: [
+        '{company} revenue growth margin results of operations',
+        '{company} outlook guidance expects targets',
+        '{company} risk factors',
+      ],
+      preferredSections: ['mda', 'risk_factors', 'prepared_remarks'],
+      charts: true,
+    },
+  ].map(normalizeSection),
+};
+
+/* ------------------------------------------------------------------ */
+/*  Validation                                                          */
+/* ------------------------------------------------------------------ */
+
+const TEMPLATE_ID_REGEX = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const SECTION_KEY_REGEX = /^[A-Za-z][A-Za-z0-9_]{0,39}$/;
+const MAX_QUERIES = 6;
+const MAX_CHUNK_BUDGET = 20;
+
+/**
+ * Keys that sit next to the sections in report payloads
+ * (`{ ...sections, sources, ratios, ... }`), so no section may use them.
+ */
+const RESERVED_SECTION_KEYS = new Set([
+  'companyName', 'sources', 'verification', 'ratios', 'tone', 'scorecard', 'documentType', 'documentFormat',
+  'template', 'generatedAt', 'sections',
+]);
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string' && item.trim());
+}
+
+function normalizeSection(section) {
+  return {
+    key: section.key,
+    title: section.title.trim(),
+    description: section.description?.trim() || '',
+    prompt: section.prompt.trim(),
+    queries: section.queries.map((q) => q.trim()),
+    preferredSections: section.preferredSections || [],
+    speakerRoles: section.speakerRoles || [],
+    focusAreas: section.focusAreas || [],
+    chunkBudget: section.chunkBudget || null,
+    computedMetrics: section.computedMetrics === true,
+    charts: section.charts === true,
+  };
+}
+
+/**
+ * Check a template submitted by a user.
+ *
+ * @param {object} input  Request body
+ * @returns {{ template: object|null, errors: string[] }}  `template` is the
+ *   normalized template (without id or timestamps) when there are no errors
+ */
+function validateTemplate(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object') return { template: null, errors: ['Template must be a JSON object.'] };
+
+  const { name, description, sections } = input;
+  if (typeof name !== 'string' || !name.trim()) errors.push('name is required.');
+  if (description != null && typeof description !== 'string') errors.push('description must be a string.');
+
+  if (!Array.isArray(sections) || sections.length === 0) {
+    errors.push('sections must be a non-empty array.');
+  } else if (sections.length > config.templates.maxSections) {
+    errors.push(`A template can have at most ${config.templates.maxSections} sections.`);
+  } else {
+    const keys = new Set();
+    sections.forEach((section, i) => {
+      const at = `sections[${i}]`;
+      if (!section || typeof section !== 'object') {
+        errors.push(`${at} must be an object.`);
+        return;
+      }
+      if (typeof section.key !== 'string' || !SECTION_KEY_REGEX.test(section.key)) {
+        errors.push(`${at}.key must start with a letter and contain only letters, digits and underscores.`);
+      } else if (RESERVED_SECTION_KEYS.has(section.key)) {
+        errors.push(`${at}.key "${section.key}" is reserved.`);
+      } else if (keys.has(section.key)) {
+        errors.push(`${at}.key "${section.key}" is used more than once.`);
+      }
+      keys.add(section.key);
+
+      if (typeof section.title !== 'string' || !section.title.trim()) errors.push(`${at}.title is required.`);
+      if (section.description != null && typeof section.description !== 'string') errors.push(`${at}.description must be a string.`);
+      if (typeof section.prompt !== 'string' || !section.prompt.trim()) errors.push(`${at}.prompt is required.`);
+      if (!isStringList(section.queries) || section.queries.length === 0 || section.queries.length > MAX_QUERIES) {
+        errors.push(`${at}.queries must be a list of 1–${MAX_QUERIES} non-empty strings.`);
+      }
+      for (const field of ['preferredSections', 'speakerRoles', 'focusAreas']) {
+        if (section[field] != null && !isStringList(section[field])) errors.push(`${at}.${field} must be a list of strings.`);
+      }
+      if (
+        section.chunkBudget != null &&
+        !(Number.isInteger(section.chunkBudget) && section.chunkBudget >= 1 && section.chunkBudget <= MAX_CHUNK_BUDGET)
+      ) {
+        errors.push(`${at}.chunkBudget must be an integer from 1 to ${MAX_CHUNK_BUDGET}.`);
+      }
+      for (const field of ['computedMetrics', 'charts']) {
+        if (section[field] != null && typeof section[field] !== 'boolean') errors.push(`${at}.${field} must be true or false.`);
+      }
+    });
+  }
+
+  if (errors.length > 0) return { template: null, errors };
+  return {
+    template: {
+      name: name.trim(),
+      description: description?.trim() || '',
+      sections: sections.map(normalizeSection),
+    },
+    errors,
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Helpers                                                             */
+/* ------------------------------------------------------------------ */
+
+/** Replace `{company}` in a prompt or query. */
+function fillPlaceholders(text, companyName) {
+  return text.replace(/\{company\}/g, companyName);
+}
+
+/**
+ * What a client needs to lay out a report: section keys, titles and
+ * rendering hints, without prompts or retrieval settings.
+ */
+function templateLayout(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    sections: template.sections.map(({ key, title, description, computedMetrics, charts }) => ({
+      key,
+      title,
+      description,
+      computedMetrics,
+      charts,
+    })),
+  };
+}
+
+/**
+ * The sections to generate for a classified document, tailored to its type.
+ *
+ * With no template, the document type's `reportSections` are taken from
+ * SECTION_LIBRARY. Each section's prompt is prefixed with the type's
+ * `promptContext` and the focus areas it shares with the section, and
+ * the queries of those focus areas are added to its own (up to
+ * MAX_QUERIES).
+ *
+ * @param {object|null} template  Chosen template, or null for automatic
+ * @param {object} docClassification  classifyDocument result
+ * @returns {object} a template to generate; its layout is what clients see
+ */
+function sectionsForDocument(template, docClassification) {
+  const docType = docClassification?.config;
+  if (!docType) return template || DEFAULT_TEMPLATE;
+
+  const base = template || {
+    id: `auto:${docClassification.type}`,
+    name: docClassification.label,
+    description: `Sections chosen for ${docClassification.label}.`,
+    builtIn: true,
+    sections: docType.reportSections.map((key) => SECTION_LIBRARY[key]).filter(Boolean),
+  };
+
+  return { ...base, sections: base.sections.map((section) => tailorSection(section, docType)) };
+}
+
+function tailorSection(section, docType) {
+  const areas = docType.focusAreas.filter((area) => section.focusAreas.includes(area) && FOCUS_AREAS[area]);
+
+  const preamble = [];
+  if (docType.promptContext) preamble.push(`The document is ${docType.promptContext}.`);
+  if (areas.length > 0) preamble.push(`Concentrate on its ${areas.map((area) => FOCUS_AREAS[area].label).join(', ')}.`);
+
+  const queries = [...section.queries];
+  for (const query of areas.flatMap((area) => FOCUS_AREAS[area].queries)) {
+    if (queries.length >= MAX_QUERIES) break;
+    if (!queries.includes(query)) queries.push(query);
+  }
+
+  return {
+    ...section,
+    prompt: preamble.length > 0 ? `${preamble.join(' ')}\n\n${section.prompt}` : section.prompt,
+    queries,
+  };
+}
+
+/** Lowercase slug for a template name: "Credit Review (v2)" → "credit-review-v2". */
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 64) || 'template';
+}
+
+/* ------------------------------------------------------------------ */
+/*  Store                                                               */
+/* ------------------------------------------------------------------ */
+
+/**
+ * User templates, persisted as `<id>.json` under `dir`. The built-in
+ * default template is always listed first and is read-only.
+ */
+class TemplateStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir=config.templates.dir]
+   */
+  constructor({ dir = config.templates.dir } = {}) {
+    this.dir = dir;
+
+    /** @type {Map<string, object>} */
+    this.templates = new Map();
+
+    fs.mkdirSync(dir, { recursive: true });
+    this._restore();
+  }
+
+  isBuiltIn(id) {
+    return id === DEFAULT_TEMPLATE_ID;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {object|null}
+   */
+  get(id) {
+    if (this.isBuiltIn(id)) return DEFAULT_TEMPLATE;
+    return this.templates.get(id) || null;
+  }
+
+  /** All templates, built-in first, then by name. */
+  list() {
+    const user = [...this.templates.values()].sort((a, b) => a.name.localeCompare(b.name));
+    return [DEFAULT_TEMPLATE, ...user];
+  }
+
+  /**
+   * Store a validated template (see validateTemplate).
+   * @param {object} template
+   * @param {string} [id]  Requested id; defaults to a slug of the name
+   * @returns {object|null} the stored template, or null when the id is taken or invalid
+   */
+  create(template, id = slugify(template.name)) {
+    if (!TEMPLATE_ID_REGEX.test(id) || this.isBuiltIn(id) || this.templates.has(id)) return null;
+
+    const now = new Date().toISOString();
+    const stored = { id, ...template, builtIn: false, createdAt: now, updatedAt: now };
+    this.templates.set(id, stored);
+    this._persist(stored);
+    return stored;
+  }
+
+  /**
+   * Replace a user template's name, description and sections.
+   * @returns {object|null} null when the template does not exist or is built in
+   */
+  update(id, template) {
+    const existing = this.templates.get(id);
+    if (!existing) return null;
+
+    const stored = { ...existing, ...template, updatedAt: new Date().toISOString() };
+    this.templates.set(id, stored);
+    this._persist(stored);
+    return stored;
+  }
+
+  /** @returns {boolean} whether a user template was deleted */
+  delete(id) {
+    if (!this.templates.delete(id)) return false;
+    fs.rmSync(path.join(this.dir, `${id}.json`), { force: true });
+    return true;
+  }
+
+  /* ---------------------------------------------------------------- */
+  /*  Internals                                                         */
+  /* ---------------------------------------------------------------- */
+
+  _persist(template) {
+    fs.writeFileSync(path.join(this.dir, `${template.id}.json`), JSON.stringify(template, null, 2));
+  }
+
+  _restore() {
+    for (const entry of fs.readdirSync(this.dir)) {
+      if (!entry.endsWith('.json')) continue;
+      try {
+        const raw = JSON.parse(fs.readFileSync(path.join(this.dir, entry), 'utf-8'));
+        const id = path.basename(entry, '.json');
+        const { template, errors } = validateTemplate(raw);
+        if (!template || this.isBuiltIn(id)) {
+          console.error(`[Templates] Skipping invalid template ${entry}: ${errors.join(' ') || 'reserved id'}`);
+          continue;
+        }
+        const now = new Date().toISOString();
+        this.templates.set(id, {
+          id,
+          ...template,
+          builtIn: false,
+          createdAt: raw.createdAt || now,
+          updatedAt: raw.updatedAt || now,
+        });
+      } catch (err) {
+        console.error(`[Templates] Skipping unreadable template file ${entry}:`, err.message);
+      }
+    }
+  }
+}
+
+/* ------------------------------------------------------------------ */
+/*  Exports                                                            */
+/* ------------------------------------------------------------------ */
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  DEFAULT_TEMPLATE_ID,
+  TIMELINE_TEMPLATE,
+  SECTION_LIBRARY,
+  TemplateStore,
+  sectionsForDocument,
+  validateTemplate,
+  templateLayout,
+  fillPlaceholders,
+};
@@ -0,0 +1,298 @@
+/**
+ * Management tone from a finance-specific word list.
+ *
+ * General-purpose sentiment lists misread filings: "liability", "tax" and
+ * "cost" are not negative in a 10-K, and "may" or "approximately" signal
+ * uncertainty rather than nothing. Following Loughran & McDonald, words
+ * are counted in five categories — positive, negative, uncertainty,
+ * litigious and constraining — and a positive word within three words
+ * after a negation ("not", "no", "never") is not counted. Tone is net:
+ *
+ *   (positive − negative) / (positive + negative), from −1 to +1
+ *
+ * Chunks are scored on their own (tables are skipped) and rolled up for
+ * the whole document, per section, per transcript speaker, and for
+ * management's voice — the MD&A of a filing, the executives of a call.
+ */
+
+const config = require('./config');
+
+/* ------------------------------------------------------------------ */
+/*  Lexicon                                                             */
+/* ------------------------------------------------------------------ */
+
+/** Base forms; inflections (-s, -ed, -ing, -ly, ...) are matched too, except NOT_INFLECTIONS */
+const LEXICON = {
+  positive: `
+    achieve accomplish advance advantage advantageous attain attractive benefit beneficial best better boost
+    breakthrough collaborate confident constructive delight dependable easy efficient efficiency
+    empower enable encourage enhance enjoy enthusiastic excellent exceed exceptional excited exciting
+    favorable gain good great happy highest honor ideal impressive improve improvement incredible innovate
+    innovative insightful leadership leading lucrative momentum opportunity optimistic outperform outstanding
+    perfect pleasant pleased pleasure popular positive premier prestigious proactive proficient profitable
+    profitability progress prosper rebound receptive record resolve reward robust satisfaction satisfactory
+    satisfied smooth solid stability stable strength strengthen strong stronger strongest succeed success
+    successful superior surpass tremendous unmatched unparalleled upturn valuable versatile vibrant win`,
+  negative: `
+    abandon adverse adversely against bankrupt bankruptcy breach burden challenge challenging closure
+    concern critical damage decline decrease default deficiency deficit degrade delay delinquent deplete
+    deteriorate deterioration detrimental difficult difficulty diminish disappoint disappointing disrupt
+    disruption dispute doubtful downgrade downturn drop erode erosion error exacerbate fail failure
+    fraud harm harmful headwind hurt impair impairment inability inadequate incorrect ineffective
+    insolvency insolvent instability insufficient interrupt interruption lag layoff lose loss
+    misconduct misstatement negative neglect obsolete obsolescence penalty poor problem recession recall
+    restate restatement restructure restructuring severe shortage shortfall shut slowdown slow slump
+    strain stress suffer suspend suspension terminate termination threat threaten turmoil unable
+    uncollectible underperform unfavorable unprofitable unsuccessful violate violation
+    weak weaken weakness worse worsen worst writedown writeoff`,
+  uncertainty: `
+    almost ambiguity anticipate apparent appear approximate approximately assume assumption believe
+    conceivable conditional confuse contingency contingent could depend dependence dependent deviate
+    doubt estimate exposure fluctuate fluctuation hidden hypothetical imprecise indefinite indicate
+    likelihood may maybe might nearly nonassessable occasionally pending perhaps possible possibility
+    possibly precaution predict prediction preliminary presumably probable probability random reassess
+    recalculate reconsider revise risk risky roughly seem seldom sometime sometimes speculate speculative
+    sudden suggest susceptible tentative turbulence uncertain uncertainty unclear unconfirmed undecided
+    undefined unestimable unforeseen unknown unpredictable unproven unquantifiable unsettled unusual
+    variability variable variation vary volatile volatility`,
+  litigious: `
+    adjudicate allegation allege amicus appeal appellant appellate arbitration arbitrator attorney
+    claimant complainant counterclaim court courtroom defendant deposition indict indictment
+    infringe infringement injunction judge judgment judicial jurisdiction jury lawful lawsuit lawyer
+    legal legality legislation legislative liable litigant litigate litigation plaintiff plead prosecute
+    prosecution regulator remand ruling settle settlement statute statutory subpoena sue testify
+    testimony tort tribunal verdict`,
+  constraining: `
+    bound commit commitment compel compliance comply constrain constraint covenant encumber encumbrance
+    entail forbid impose imposition indenture limit limitation mandate mandatory necessitate obligate
+    obligation oblige pledge preclude prevent prohibit prohibition require requirement restrain restrict
+    restriction stipulate stipulation`,
+};
+
+const CATEGORIES = Object.keys(LEXICON);
+
+const WORDS = new Map();
+for (const [category, list] of Object.entries(LEXICON)) {
+  for (const word of list.trim().split(/\s+/)) {
+    if (!WORDS.has(word)) WORDS.set(word, []);
+    WORDS.get(word).push(category);
+  }
+}
+
+const NEGATIONS = new Set(['no', 'not', 'none', 'neither', 'never', 'nobody', "isn't", "wasn't", "aren't", "don't", "didn't", "won't", 'cannot']);
+
+/** Words that look like an inflection of a listed word but are not: "cost of goods sold" is not good news */
+const NOT_INFLECTIONS = new Set(['goods']);
+
+/** Base forms a word may be an inflection of, the word itself first */
+function baseForms(word) {
+  const forms = [word];
+  if (NOT_INFLECTIONS.has(word)) return forms;
+  if (word.endsWith('ies')) forms.push(`${word.slice(0, -3)}y`);
+  if (word.endsWith('ied')) forms.push(`${word.slice(0, -3)}y`);
+  if (word.endsWith('ing')) forms.push(word.slice(0, -3), `${word.slice(0, -3)}e`);
+  if (word.endsWith('ed')) forms.push(word.slice(0, -2), word.slice(0, -1));
+  if (word.endsWith('es')) forms.push(word.slice(0, -2));
+  if (word.endsWith('s')) forms.push(word.slice(0, -1));
+  if (word.endsWith('ly')) forms.push(word.slice(0, -2));
+  return forms;
+}
+
+function categoriesOf(word) {
+  for (const form of baseForms(word)) {
+    const categories = WORDS.get(form);
+    if (categories) return { form, categories };
+  }
+  return null;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Scoring                                                             */
+/* ------------------------------------------------------------------ */
+
+const emptyCounts = () => Object.fromEntries(CATEGORIES.map((c) => [c, 0]));
+
+/**
+ * Count the lexicon's words in a text.
+ *
+ * @returns {{ words: number, counts: Record<string, number>, terms: Map<string, Map<string, number>> }}
+ *   `terms`: matched base forms and their counts, by category
+ */
+function countText(text) {
+  const tokens = text.toLowerCase().match(/[a-z][a-z'-]*/g) || [];
+  const counts = emptyCounts();
+  const terms = new Map(CATEGORIES.map((c) => [c, new Map()]));
+  let lastNegation = -Infinity;
+
+  tokens.forEach((token, i) => {
+    if (NEGATIONS.has(token)) {
+      lastNegation = i;
+      return;
+    }
+    const match = categoriesOf(token);
+    if (!match) return;
+    for (const category of match.categories) {
+      if (category === 'positive' && i - lastNegation <= 3) continue;
+      counts[category]++;
+      terms.get(category).set(match.form, (terms.get(category).get(match.form) || 0) + 1);
+    }
+  });
+
+  return { words: tokens.length, counts, terms };
+}
+
+/**
+ * Rates and net tone of summed counts.
+ *
+ * @returns {{ words: number, counts: Record<string, number>, rates: Record<string, number>, tone: number|null }}
+ *   `rates`: percent of words in each category; `tone`: null when no positive or negative word was found
+ */
+function toScore(words, counts) {
+  const polar = counts.positive + counts.negative;
+  return {
+    words,
+    counts,
+    rates: Object.fromEntries(CATEGORIES.map((c) => [c, words > 0 ? +((100 * counts[c]) / words).toFixed(2) : 0])),
+    tone: polar > 0 ? +((counts.positive - counts.negative) / polar).toFixed(3) : null,
+  };
+}
+
+/** Score a single text. */
+function scoreText(text) {
+  const { words, counts } = countText(text);
+  return toScore(words, counts);
+}
+
+function rollUp(counted) {
+  const counts = emptyCounts();
+  let words = 0;
+  for (const c of counted) {
+    words += c.words;
+    for (const category of CATEGORIES) counts[category] += c.counts[category];
+  }
+  return toScore(words, counts);
+}
+
+function topTerms(counted, limit = 5) {
+  return Object.fromEntries(CATEGORIES.map((category) => {
+    const totals = new Map();
+    for (const c of counted) {
+      for (const [term, n] of c.terms.get(category)) totals.set(term, (totals.get(term) || 0) + n);
+    }
+    return [category, [...totals].sort((a, b) => b[1] - a[1]).slice(0, limit).map(([term, count]) => ({ term, count }))];
+  }));
+}
+
+const MANAGEMENT_ROLES = new Set(['ceo', 'cfo', 'coo', 'ir', 'executive']);
+const MANAGEMENT_SECTIONS = new Set(['mda', 'executive_summary', 'prepared_remarks']);
+const SECTION_LABELS = { prepared_remarks: 'Prepared Remarks', qa_session: 'Q&A Session' };
+
+/** Chunks written in management's voice: executive turns of a call, or the MD&A */
+function isManagement(metadata) {
+  return metadata.speaker ? MANAGEMENT_ROLES.has(metadata.role) : MANAGEMENT_SECTIONS.has(metadata.sectionName);
+}
+
+/**
+ * Score a document's chunks and roll the scores up.
+ *
+ * @param {import('langchain/document').Document[]} chunks  In document order
+ * @returns {{ overall: object, management: object|null, sections: object[], speakers: object[],
+ *   terms: Record<string, { term: string, count: number }[]> }}
+ *   Sections in document order and speakers by words spoken, each with its score
+ *   (see toScore); groups under `config.sentiment.minWords` words are left out
+ */
+function scoreDocumentTone(chunks) {
+  const { minWords } = config.sentiment;
+  const counted = chunks
+    .filter((chunk) => chunk.metadata?.contentType !== 'table')
+    .map((chunk) => ({ metadata: chunk.metadata || {}, ...countText(chunk.pageContent) }));
+
+  const sections = new Map();
+  const speakers = new Map();
+  for (const c of counted) {
+    const key = c.metadata.sectionName || 'document';
+    if (!sections.has(key)) sections.set(key, { key, label: SECTION_LABELS[key] || c.metadata.sectionLabel || key, chunks: [] });
+    sections.get(key).chunks.push(c);
+
+    if (c.metadata.speaker) {
+      if (!speakers.has(c.metadata.speaker)) {
+        speakers.set(c.metadata.speaker, { speaker: c.metadata.speaker, role: c.metadata.role || null, firm: c.metadata.firm || null, chunks: [] });
+      }
+      speakers.get(c.metadata.speaker).chunks.push(c);
+    }
+  }
+
+  const management = counted.filter((c) => isManagement(c.metadata));
+  const managementScore = rollUp(management);
+
+  return {
+    overall: rollUp(counted),
+    management: managementScore.words >= minWords ? managementScore : null,
+    sections: [...sections.values()]
+      .map(({ chunks: group, ...section }) => ({ ...section, ...rollUp(group) }))
+      .filter((section) => section.words >= minWords),
+    speakers: [...speakers.values()]
+      .map(({ chunks: group, ...speaker }) => ({ ...speaker, ...rollUp(group) }))
+      .filter((speaker) => speaker.words >= minWords)
+      .sort((a, b) => b.words - a.words),
+    terms: topTerms(counted),
+  };
+}
+
+/* ------------------------------------------------------------------ */
+/*  Comparison                                                          */
+/* ------------------------------------------------------------------ */
+
+const formatTone = (tone) => (tone > 0 ? `+${tone.toFixed(2)}` : tone.toFixed(2));
+
+const TONE_ROWS = [
+  { key: 'tone', label: 'Net tone', value: (t) => t.overall.tone, display: formatTone },
+  { key: 'managementTone', label: 'Management net tone', value: (t) => t.management?.tone ?? null, display: formatTone },
+  ...['negative', 'uncertainty', 'litigious', 'constraining'].map((category) => ({
+    key: category,
+    label: `${category[0].toUpperCase()}${category.slice(1)} words`,
+    value: (t) => (t.overall.words > 0 ? t.overall.rates[category] : null),
+    display: (rate) => `${rate.toFixed(2)}%`,
+  })),
+];
+
+/**
+ * Tone side by side, one cell per column (a peer or a period; null where
+ * there is no document).
+ *
+ * @param {(object|null)[]} tones  scoreDocumentTone results
+ * @returns {{ key: string, label: string, cells: ({ value: number, display: string }|null)[] }[]}
+ *   Rows with no value at all are left out
+ */
+function toneRows(tones) {
+  return TONE_ROWS
+    .map(({ key, label, value, display }) => ({
+      key,
+      label,
+      cells: tones.map((tone) => {
+        const v = tone ? value(tone) : null;
+        return v == null ? null : { value: v, display: display(v) };
+      }),
+    }))
+    .filter((row) => row.cells.some(Boolean));
+}
+
+/**
+ * Excerpts for the model's tone read: management's chunks (all narrative
+ * chunks when there are none), spread evenly over the document.
+ */
+function toneExcerpts(chunks, limit) {
+  const narrative = chunks.filter((chunk) => chunk.metadata?.contentType !== 'table');
+  const management = narrative.filter((chunk) => isManagement(chunk.metadata || {}));
+  const pool = management.length > 0 ? management : narrative;
+  if (pool.length <= limit) return pool;
+  return Array.from({ length: limit }, (_, i) => pool[Math.floor((i * pool.length) / limit)]);
+}
+
+module.exports = {
+  CATEGORIES,
+  scoreText,
+  scoreDocumentTone,
+  toneRows,
+  toneExcerpts,
+};
@@ -0,0 +1,173 @@
+/**
+ * Typed spreadsheet tables (CSV / Excel).
+ *
+ * documentProcessor keeps every sheet as a typed table:
+ *
+ *   { name: 'Summary', headers: ['Metric', 'Q3 2023', ...], firstColumn: 0,
+ *     rows: [{ row: 5, cells: ['Revenue', 1234, ...] }, ...] }
+ *
+ * This module renders row groups of those tables for chunking, and
+ * answers "what was Q3 2023 revenue in the Summary sheet" by looking the
+ * cell up directly: the question is matched against row labels, column
+ * headers and sheet names, so the value comes from the table itself
+ * rather than from whichever chunk retrieval happens to rank first.
+ */
+
+const config = require('./config');
+
+/* ------------------------------------------------------------------ */
+/*  Addresses and formatting                                            */
+/* ------------------------------------------------------------------ */
+
+/** Spreadsheet column letters for a 0-based index: 0 → A, 27 → AB. */
+function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/** A1-style address of a cell of a sheet. */
+function cellAddress(sheet, row, col) {
+  return `${columnLetter((sheet.firstColumn || 0) + col)}${row}`;
+}
+
+/** Display text of a typed cell. */
+function formatCell(value) {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'number') return value.toLocaleString('en-US', { maximumFractionDigits: 6 });
+  return String(value);
+}
+
+/**
+ * Column holding the row labels: the first column whose cells are mostly
+ * text ("Revenue", "Q3 2023").
+ */
+function labelColumn(sheet) {
+  const width = Math.max(sheet.headers.length, ...sheet.rows.map((r) => r.cells.length));
+  for (let col = 0; col < width; col++) {
+    const filled = sheet.rows.map((r) => r.cells[col]).filter((c) => c !== null && c !== undefined);
+    const text = filled.filter((c) => typeof c === 'string');
+    if (filled.length > 0 && text.length / filled.length >= 0.5) return col;
+  }
+  return 0;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Row groups (chunking)                                               */
+/* ------------------------------------------------------------------ */
+
+/**
+ * Split each sheet into groups of consecutive rows, at most
+ * `config.chunks.rowsPerChunk` rows and roughly `config.chunks.size`
+ * characters each. Every group repeats the header row, so it reads as a
+ * table on its own.
+ *
+ * @param {object[]} sheets
+ * @returns {{ sheet: string, sheetIndex: number, rowRange: [number, number], columns: string[], table: string }[]}
+ */
+function sheetRowGroups(sheets) {
+  const groups = [];
+  sheets.forEach((sheet, sheetIndex) => {
+    const headerLine = `| ${sheet.headers.map((h) => h || '—').join(' | ')} |`;
+    let rows = [];
+    let size = headerLine.length;
+
+    const flush = () => {
+      if (rows.length === 0) return;
+      groups.push({
+        sheet: sheet.name,
+        sheetIndex,
+        rowRange: [rows[0].row, rows[rows.length - 1].row],
+        columns: sheet.headers,
+        table: [headerLine, ...rows.map((r) => r.line)].join('\n'),
+      });
+      rows = [];
+      size = headerLine.length;
+    };
+
+    for (const { row, cells } of sheet.rows) {
+      const width = Math.max(sheet.headers.length, cells.length);
+      const line = `| ${Array.from({ length: width }, (_, i) => formatCell(cells[i])).join(' | ')} |`;
+      if (rows.length >= config.chunks.rowsPerChunk || (rows.length > 0 && size + line.length > config.chunks.size)) flush();
+      rows.push({ row, line });
+      size += line.length + 1;
+    }
+    flush();
+  });
+  return groups;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Cell lookup                                                         */
+/* ------------------------------------------------------------------ */
+
+function normalize(text) {
+  return String(text ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/** Whether `phrase` occurs in the normalized question as whole words. */
+function mentions(question, phrase) {
+  return phrase.length > 0 && ` ${question} `.includes(` ${phrase} `);
+}
+
+/**
+ * Cells the question points at: the row label and the column header both
+ * appear in the question. When the question names a sheet, only that
+ * sheet is searched.
+ *
+ * Each hit is scored by how much of the question its labels cover, so
+ * "Q3 2023" beats a "2023" column for "Q3 2023 revenue".
+ *
+ * @param {object[]} sheets
+ * @param {string} question
+ * @returns {{ sheet: string, sheetIndex: number, address: string, row: number,
+ *   rowLabel: string, column: string, value: number|string, score: number }[]}  best first
+ */
+function lookupCells(sheets, question) {
+  if (!sheets?.length) return [];
+  const q = normalize(question);
+
+  const named = sheets.filter((s) => mentions(q, normalize(s.name)));
+  const candidates = named.length > 0 ? named : sheets;
+
+  const hits = [];
+  for (const sheet of candidates) {
+    const labelCol = labelColumn(sheet);
+    const columns = sheet.headers
+      .map((header, col) => ({ header, col, key: normalize(header) }))
+      .filter(({ col, key }) => col !== labelCol && mentions(q, key));
+    if (columns.length === 0) continue;
+
+    for (const { row, cells } of sheet.rows) {
+      const rowLabel = cells[labelCol];
+      const rowKey = normalize(rowLabel);
+      if (typeof rowLabel !== 'string' || !mentions(q, rowKey)) continue;
+
+      for (const { header, col, key } of columns) {
+        const value = cells[col];
+        if (value === null || value === undefined) continue;
+        hits.push({
+          sheet: sheet.name,
+          sheetIndex: sheets.indexOf(sheet),
+          address: cellAddress(sheet, row, col),
+          row,
+          rowLabel,
+          column: header,
+          value,
+          score: rowKey.length + key.length,
+        });
+      }
+    }
+  }
+
+  return hits.sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  sheetRowGroups,
+  lookupCells,
+  formatCell,
+  columnLetter,
+};
@@ -0,0 +1,264 @@
+/**
+ * Earnings call transcript parsing.
+ *
+ * Splits a transcript into speaker turns so each chunk belongs to one
+ * person and carries who they are:
+ *
+ *   { speaker: 'Luca Maestri', role: 'cfo', title: 'Chief Financial Officer',
+ *     firm: null, part: 'prepared', start: 1840, end: 5210 }
+ *
+ * Roles are 'ceo', 'cfo', 'coo', 'ir', 'executive', 'analyst', 'operator'
+ * or 'unknown'. `firm` is the analyst's bank or broker. `part` tells the
+ * prepared remarks from the Q&A session.
+ *
+ * Speakers are recognised from the common transcript layouts:
+ *  - participant lists ("Tim Cook - Chief Executive Officer" under
+ *    "Corporate Participants", "Erik Woodring - Morgan Stanley" under
+ *    "Conference Call Participants") followed by bare-name speaker lines
+ *  - speaker header lines ("Luca Maestri -- Chief Financial Officer")
+ *  - inline prefixes ("Tim Cook: Thank you." / "Tim Cook (CEO): ...")
+ *  - operator introductions ("Our next question comes from Erik Woodring
+ *    with Morgan Stanley")
+ */
+
+/* ------------------------------------------------------------------ */
+/*  Patterns                                                            */
+/* ------------------------------------------------------------------ */
+
+const NAME = "[A-Z][\\w.'’-]*(?: (?:[A-Z][\\w.'’-]*|de|van|von|der|la|le))*";
+const NAME_ONLY = new RegExp(`^${NAME}$`);
+const HEADER_LINE = new RegExp(`^(${NAME})\\s+(?:-{1,2}|[—–])\\s+(.+)$`);
+const INLINE_SPEAKER = new RegExp(`^(${NAME})(?:\\s*\\(([^)]{1,80})\\))?:\\s*(.*)$`);
+const OPERATOR_INTRO = new RegExp(
+  `(?:question|comes|is)\\s+(?:comes\\s+)?from\\s+(?:the\\s+line\\s+of\\s+)?(${NAME})\\s+(?:with|from|of|at)\\s+([A-Z][\\w&.'’ -]*?)\\s*(?:[.,;]|\\s+(?:please|your line)|$)`,
+  'g'
+);
+
+const COMPANY_LIST = /^(?:corporate|company)\s+participants|^(?:executives|company representatives|management)\s*:?$/i;
+const ANALYST_LIST = /^(?:conference\s+call\s+participants|analysts?)\s*:?$/i;
+const PREPARED_HEADING = /^(?:presentation|prepared\s+remarks)\s*:?$/i;
+const QA_HEADING = /^(?:questions?[- ]and[- ]answers?|q\s*&\s*a)(?:\s+session)?\s*:?$/i;
+const QA_START = /question[- ]and[- ]answer|first question|open (?:the )?(?:call|line|floor|lines) (?:up )?(?:for|to) (?:your )?questions|q&a session/i;
+
+const ROLE_PATTERNS = [
+  ['ceo', /\b(?:chief executive|ceo)\b/i],
+  ['cfo', /\b(?:chief financial|cfo|finance director)\b/i],
+  ['coo', /\b(?:chief operating|coo)\b/i],
+  ['ir', /\b(?:[Ii]nvestor [Rr]elations|IR)\b/],
+  ['analyst', /\banalyst\b/i],
+  ['executive', /\b(?:president|chair(?:man|woman)?|officer|vice president|s?vp|evp|head|director|treasurer|controller|founder|manager)\b/i],
+];
+
+const ROLE_LABELS = {
+  ceo: 'CEO',
+  cfo: 'CFO',
+  coo: 'COO',
+  ir: 'Investor Relations',
+  executive: 'Executive',
+  analyst: 'Analyst',
+  operator: 'Operator',
+  unknown: 'Speaker',
+};
+
+/* ------------------------------------------------------------------ */
+/*  Participants                                                        */
+/* ------------------------------------------------------------------ */
+
+function roleFromTitle(title) {
+  return ROLE_PATTERNS.find(([, pattern]) => pattern.test(title))?.[0] || null;
+}
+
+/**
+ * Speaker details from the text after a name: "Chief Financial Officer",
+ * "Morgan Stanley - Analyst", "Analyst, Goldman Sachs".
+ *
+ * @param {string} rest
+ * @param {'company'|'analysts'|null} list  participant list the line is in
+ */
+function describeSpeaker(rest, list) {
+  const parts = rest.split(/\s+(?:-{1,2}|[—–])\s+|,\s*/).map((p) => p.trim()).filter(Boolean);
+  const isAnalyst = list === 'analysts' || parts.some((p) => /^(?:research )?analyst$/i.test(p));
+
+  if (isAnalyst) {
+    const firm = parts.filter((p) => !/analyst/i.test(p)).join(', ') || null;
+    return { role: 'analyst', title: 'Analyst', firm };
+  }
+  const title = parts.join(', ');
+  return { role: roleFromTitle(title) || (list === 'company' ? 'executive' : 'unknown'), title: title || null, firm: null };
+}
+
+/**
+ * Better-informed of two descriptions of the same speaker.
+ */
+function mergeSpeaker(known, found) {
+  if (!known) return found;
+  return {
+    role: known.role !== 'unknown' ? known.role : found.role,
+    title: known.title || found.title,
+    firm: known.firm || found.firm,
+  };
+}
+
+/**
+ * First pass: everyone the transcript names, from participant lists,
+ * header lines, inline prefixes and operator introductions.
+ *
+ * @param {string[]} lines
+ * @returns {Map<string, { role: string, title: string|null, firm: string|null }>}
+ */
+function collectParticipants(lines) {
+  const participants = new Map();
+  const inlineCounts = new Map();
+  const add = (name, info) => participants.set(name, mergeSpeaker(participants.get(name), info));
+  let list = null;
+
+  for (const line of lines) {
+    if (COMPANY_LIST.test(line)) { list = 'company'; continue; }
+    if (ANALYST_LIST.test(line)) { list = 'analysts'; continue; }
+
+    const header = line.length <= 120 && !/[.?!]$/.test(line) && line.match(HEADER_LINE);
+    // "Gross Margin -- 45%" is a figure, not a speaker
+    if (header && header[1].includes(' ') && !/^[\d$€£(+-]/.test(header[2])) {
+      add(header[1], describeSpeaker(header[2], list));
+      continue;
+    }
+    if (list && NAME_ONLY.test(line) && line.includes(' ')) {
+      add(line, describeSpeaker('', list));
+      continue;
+    }
+    list = null;
+
+    const inline = line.match(INLINE_SPEAKER);
+    if (inline && inline[1].includes(' ') && inline[1].split(' ').length <= 4) {
+      if (inline[2]) add(inline[1], describeSpeaker(inline[2], null));
+      else inlineCounts.set(inline[1], (inlineCounts.get(inline[1]) || 0) + 1);
+    }
+
+    for (const [, name, firm] of line.matchAll(OPERATOR_INTRO)) {
+      add(name, { role: 'analyst', title: 'Analyst', firm: firm.trim() });
+    }
+  }
+
+  // A name used as a prefix more than once is a speaker, not a heading
+  for (const [name, count] of inlineCounts) {
+    if (count >= 2) add(name, { role: 'unknown', title: null, firm: null });
+  }
+  return participants;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Turns                                                               */
+/* ------------------------------------------------------------------ */
+
+/**
+ * The speaker a line introduces, if any.
+ * @returns {{ name: string, info: object|null, inlineText: string } | null}
+ */
+function matchSpeakerLine(line, participants) {
+  if (/^operator:?$/i.test(line)) return { name: 'Operator', info: null, inlineText: '' };
+  const operator = line.match(/^operator:\s*(.+)$/i);
+  if (operator) return { name: 'Operator', info: null, inlineText: operator[1] };
+
+  if (participants.has(line)) return { name: line, info: null, inlineText: '' };
+
+  const header = line.length <= 120 && !/[.?!]$/.test(line) && line.match(HEADER_LINE);
+  if (header && participants.has(header[1])) return { name: header[1], info: describeSpeaker(header[2], null), inlineText: '' };
+
+  const inline = line.match(INLINE_SPEAKER);
+  if (inline && participants.has(inline[1])) {
+    return { name: inline[1], info: inline[2] ? describeSpeaker(inline[2], null) : null, inlineText: inline[3] };
+  }
+  return null;
+}
+
+/**
+ * Split a transcript into speaker turns.
+ *
+ * Lines that name a speaker but have no text after them (participant
+ * list entries) do not become turns.
+ *
+ * @param {string} text  Cleaned transcript text
+ * @returns {{ turns: object[], participants: Map<string, object> }}
+ */
+function parseTranscript(text) {
+  const lineStarts = [];
+  const lines = [];
+  let offset = 0;
+  for (const raw of text.split('\n')) {
+    lineStarts.push(offset);
+    lines.push(raw.trim());
+    offset += raw.length + 1;
+  }
+
+  const participants = collectParticipants(lines);
+  const markers = [];
+  let qaHeadingAt = -1;
+  lines.forEach((line, i) => {
+    if (!line) return;
+    if (QA_HEADING.test(line)) {
+      markers.push({ line: i, heading: true });
+      if (qaHeadingAt === -1) qaHeadingAt = i;
+      return;
+    }
+    if (PREPARED_HEADING.test(line) || COMPANY_LIST.test(line) || ANALYST_LIST.test(line)) {
+      markers.push({ line: i, heading: true });
+      return;
+    }
+    const speaker = matchSpeakerLine(line, participants);
+    if (speaker) markers.push({ line: i, ...speaker });
+  });
+
+  const turns = [];
+  let part = 'prepared';
+  markers.forEach((marker, m) => {
+    if (marker.heading) return;
+    const endLine = m + 1 < markers.length ? markers[m + 1].line : lines.length;
+    const body = [marker.inlineText, ...lines.slice(marker.line + 1, endLine)].filter(Boolean).join('\n');
+    if (!body) return;
+
+    const info = marker.name === 'Operator'
+      ? { role: 'operator', title: null, firm: null }
+      : mergeSpeaker(participants.get(marker.name), marker.info || { role: 'unknown', title: null, firm: null });
+
+    if (
+      part === 'prepared' &&
+      ((qaHeadingAt !== -1 && marker.line > qaHeadingAt) ||
+        info.role === 'analyst' ||
+        (info.role === 'operator' && QA_START.test(body)))
+    ) {
+      part = 'qa';
+    }
+
+    turns.push({
+      speaker: marker.name,
+      role: info.role,
+      title: info.title,
+      firm: info.firm,
+      part,
+      start: lineStarts[marker.line],
+      end: endLine < lines.length ? lineStarts[endLine] : text.length,
+    });
+  });
+
+  return { turns, participants };
+}
+
+/**
+ * Label used as the chunk's sectionLabel:
+ * "Q&A — Erik Woodring (Analyst, Morgan Stanley)".
+ */
+function describeTurn(turn) {
+  const details = turn.role === 'analyst'
+    ? ['Analyst', turn.firm]
+    : [turn.title || ROLE_LABELS[turn.role]];
+  const who = turn.role === 'operator'
+    ? 'Operator'
+    : `${turn.speaker} (${details.filter(Boolean).join(', ')})`;
+  return `${turn.part === 'qa' ? 'Q&A' : 'Prepared Remarks'} — ${who}`;
+}
+
+module.exports = {
+  parseTranscript,
+  describeTurn,
+  ROLE_LABELS,
+};
@@ -0,0 +1,259 @@
+/**
+ * Excel workbook export of an analysis's structured data.
+ *
+ * One sheet per kind of data, so the numbers behind a report can be
+ * reworked without retyping them:
+ *
+ *   Summary     – company, document, generation time, sheet index
+ *   Charts      – every chartdata series point, with its figure check
+ *   Tables      – tables parsed from the document's table chunks (parseTable)
+ *   Line Items  – extracted financial statement line items
+ *   Ratios      – computed ratios with their formulas and inputs
+ *   Q&A         – every chat session's questions and answers
+ *   Sources     – the chunks referenced above: section, page and excerpt
+ *
+ * Every value row carries the chunk it came from in an adjacent
+ * "Source chunk" column; those ids are listed on the Sources sheet.
+ */
+
+const { parseTable } = require('./tableExtractor');
+const { extractCharts } = require('./chartSvg');
+const { citedChunkIds } = require('./citations');
+
+const WORKBOOK_FORMAT = {
+  contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  extension: 'xlsx',
+};
+
+const EXCERPT_LENGTH = 300;
+
+/* ------------------------------------------------------------------ */
+/*  Sheet contents                                                      */
+/* ------------------------------------------------------------------ */
+
+/** Table chunks keep the text they were parsed from after this marker. */
+function rawTableText(pageContent) {
+  const marker = '[Raw table data]\n';
+  const index = pageContent.indexOf(marker);
+  return index === -1 ? pageContent : pageContent.slice(index + marker.length);
+}
+
+/** Numeric cells as numbers, so they can be summed in Excel. */
+function cellValue(text) {
+  const trimmed = String(text ?? '').trim();
+  if (!/^\(?-?[$€£¥]?\s?[\d,]*\.?\d+\)?%?$/.test(trimmed)) return trimmed;
+  const negative = /^\(.*\)$/.test(trimmed) || trimmed.includes('-');
+  const value = Number(trimmed.replace(/[^\d.]/g, ''));
+  if (!Number.isFinite(value)) return trimmed;
+  return trimmed.endsWith('%') ? trimmed : negative ? -value : value;
+}
+
+function chartRows(sections, titles, verification) {
+  const rows = [['Section', 'Chart', 'Type', 'Unit', 'Label', 'Value', 'Check', 'Source chunk']];
+  for (const [key, content] of Object.entries(sections || {})) {
+    const { charts } = extractCharts(content);
+    charts.forEach((chart, i) => {
+      const checked = verification?.[key]?.charts?.[i]?.points || [];
+      for (const point of chart.data) {
+        const check = checked.find((p) => p.name === point.name && p.value === point.value);
+        rows.push([
+          titles[key] || key,
+          chart.title,
+          chart.type,
+          chart.unit || '',
+          point.name,
+          point.value,
+          check?.status || '',
+          check?.source || '',
+        ]);
+      }
+    });
+  }
+  return rows;
+}
+
+function tableRows(chunks) {
+  const rows = [];
+  let count = 0;
+  for (const chunk of chunks) {
+    if (chunk.metadata?.contentType !== 'table') continue;
+    const parsed = parseTable(rawTableText(chunk.pageContent));
+    if (!parsed || parsed.rows.length === 0) continue;
+
+    count++;
+    const where = [chunk.metadata.sectionLabel, chunk.metadata.sheet, chunk.metadata.pageStart != null ? `p. ${chunk.metadata.pageStart}` : null]
+      .filter(Boolean).join(', ');
+    if (rows.length > 0) rows.push([]);
+    rows.push([`Table ${count}${where ? ` — ${where}` : ''}`]);
+    rows.push(['Source chunk', ...parsed.headers]);
+    for (const row of parsed.rows) rows.push([chunk.metadata.id, ...row.map(cellValue)]);
+  }
+  return rows.length > 0 ? rows : [['No tables were found in this document.']];
+}
+
+function lineItemRows(financials) {
+  const rows = [[
+    'Statement', 'Line item', 'Label in document', 'Period', 'Fiscal year', 'Value', 'Unit', 'Scale', 'Value (units)', 'From', 'Source chunk', 'Page',
+  ]];
+  for (const [type, statement] of Object.entries(financials?.statements || {})) {
+    for (const item of statement.lineItems) {
+      rows.push([
+        statement.label || type,
+        item.label,
+        item.rawLabel || '',
+        item.period,
+        item.fiscalYear ?? '',
+        item.value,
+        item.unit || '',
+        item.scale || '',
+        item.value * (item.multiplier || 1),
+        item.source,
+        item.chunkId || '',
+        item.page ?? '',
+      ]);
+    }
+  }
+  return rows;
+}
+
+function ratioRows(ratios) {
+  const rows = [['Category', 'Ratio', 'Period', 'Value', 'Unit', 'Currency', 'Formula', 'Inputs', 'Source chunks']];
+  for (const ratio of ratios || []) {
+    rows.push([
+      ratio.category,
+      ratio.label,
+      ratio.period,
+      ratio.value,
+      ratio.unit,
+      ratio.currency || '',
+      ratio.formula,
+      ratio.inputs.map((input) => `${input.name} ${input.period} = ${input.value}${input.scale ? ` ${input.scale}` : ''}`).join('; '),
+      [...new Set(ratio.inputs.map((input) => input.chunkId).filter(Boolean))].join(', '),
+    ]);
+  }
+  return rows;
+}
+
+function qaRows(sessions) {
+  const rows = [['Session', 'Turn', 'Asked', 'Question', 'Interpreted as', 'Answer', 'Source chunks']];
+  for (const session of sessions || []) {
+    session.turns.forEach((turn, i) => {
+      rows.push([
+        session.id,
+        i + 1,
+        turn.createdAt,
+        turn.question,
+        turn.standaloneQuestion || '',
+        turn.answer.replace(/\[(\d+)\]\(#cite-[^)\s]+\)/g, '[$1]'),
+        citedChunkIds(turn.answer).join(', '),
+      ]);
+    });
+  }
+  return rows;
+}
+
+/** Chunk ids in any "Source chunk(s)" column of the given sheets. */
+function referencedChunks(sheets) {
+  const ids = new Set();
+  for (const [, rows] of sheets) {
+    let columns = [];
+    for (const row of rows) {
+      // Tables repeat their header row per table
+      if (row.some((cell) => /^Source chunks?$/.test(cell))) {
+        columns = row.flatMap((cell, i) => (/^Source chunks?$/.test(cell) ? [i] : []));
+        continue;
+      }
+      for (const i of columns) {
+        String(row[i] ?? '').split(', ').filter(Boolean).forEach((id) => ids.add(id));
+      }
+    }
+  }
+  return ids;
+}
+
+function sourceRows(chunks, referenced) {
+  const rows = [['Source chunk', 'Section', 'Page', 'Sheet / rows', 'Excerpt']];
+  for (const chunk of chunks) {
+    const meta = chunk.metadata || {};
+    if (!referenced.has(meta.id)) continue;
+    const pages = meta.pageStart == null ? '' : meta.pageEnd != null && meta.pageEnd !== meta.pageStart ? `${meta.pageStart}–${meta.pageEnd}` : meta.pageStart;
+    const rowRange = meta.sheet ? [meta.sheet, meta.rowRange ? `rows ${meta.rowRange[0]}–${meta.rowRange[1]}` : null].filter(Boolean).join(' ') : '';
+    rows.push([meta.id, meta.sectionLabel || '', pages, rowRange, chunk.pageContent.replace(/\s+/g, ' ').trim().slice(0, EXCERPT_LENGTH)]);
+  }
+  return rows;
+}
+
+/* ------------------------------------------------------------------ */
+/*  Workbook                                                            */
+/* ------------------------------------------------------------------ */
+
+/** Column widths from the longest cell, capped so long text wraps. */
+function columnWidths(rows) {
+  const widths = [];
+  for (const row of rows) {
+    row.forEach((cell, i) => {
+      widths[i] = Math.max(widths[i] || 8, Math.min(60, String(cell ?? '').length + 2));
+    });
+  }
+  return widths.map((wch) => ({ wch }));
+}
+
+/**
+ * Build the workbook for one stored analysis.
+ *
+ * @param {object} analysis
+ * @param {string} analysis.companyName
+ * @param {string} analysis.documentName  Original file name
+ * @param {string|null} [analysis.documentType]  Document type label
+ * @param {string} analysis.generatedAt
+ * @param {{ key: string, title: string }[]} [analysis.sectionTitles]  Section layout, for sheet labels
+ * @param {Record<string, string>} analysis.sections  Section markdown by key
+ * @param {object} [analysis.verification]  Figure checks by section
+ * @param {import('langchain/document').Document[]} analysis.chunks  Stored chunks
+ * @param {object|null} analysis.financials  extractFinancialStatements result
+ * @param {object[]} analysis.ratios  computeRatios result
+ * @param {object[]} analysis.sessions  Chat sessions with their turns
+ * @returns {Buffer} .xlsx file contents
+ */
+function buildWorkbook(analysis) {
+  let XLSX;
+  try {
+    XLSX = require('xlsx');
+  } catch {
+    throw new Error('Workbook export requires the "xlsx" package. Install it: npm install xlsx');
+  }
+
+  const titles = Object.fromEntries((analysis.sectionTitles || []).map(({ key, title }) => [key, title]));
+  const sheets = [
+    ['Charts', chartRows(analysis.sections, titles, analysis.verification)],
+    ['Tables', tableRows(analysis.chunks)],
+    ['Line Items', lineItemRows(analysis.financials)],
+    ['Ratios', ratioRows(analysis.ratios)],
+    ['Q&A', qaRows(analysis.sessions)],
+  ];
+
+  sheets.push(['Sources', sourceRows(analysis.chunks, referencedChunks(sheets))]);
+
+  const summary = [
+    ['Company', analysis.companyName || ''],
+    ['Document', analysis.documentName],
+    ['Document type', analysis.documentType || ''],
+    ['Generated', analysis.generatedAt],
+    [],
+    ['Sheet', 'Rows'],
+    ...sheets.map(([name, rows]) => [name, Math.max(0, rows.length - 1)]),
+  ];
+
+  const workbook = XLSX.utils.book_new();
+  for (const [name, rows] of [['Summary', summary], ...sheets]) {
+    const sheet = XLSX.utils.aoa_to_sheet(rows);
+    sheet['!cols'] = columnWidths(rows);
+    XLSX.utils.book_append_sheet(workbook, sheet, name);
+  }
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  WORKBOOK_FORMAT,
+  buildWorkbook,
+};
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { companyKey, groupByCompany, latestPerPeriod } = require('../shared/companyTimeline');
+
+const filing = (id, companyName, period, createdAt) => ({ id, companyName, period, createdAt });
+
+test('groups documents by company name without legal suffixes', () => {
+  assert.equal(companyKey('The Acme Corp.'), 'acme');
+  assert.equal(companyKey('ACME Corporation'), 'acme');
+  const groups = groupByCompany([
+    filing('a', 'Acme Corp.', 'FY2023', '2024-02-01'),
+    filing('b', 'ACME Corporation', 'FY2022', '2024-01-01'),
+    filing('c', 'Beta Inc', 'FY2023', '2024-01-01'),
+  ]);
+  assert.deepEqual(groups.map((g) => [g.companyName, g.documents.map((d) => d.id)]), [
+    ['Acme Corp.', ['b', 'a']],
+    ['Beta Inc', ['c']],
+  ]);
+});
+
+test('keeps the latest filing of each period', () => {
+  const [group] = groupByCompany([
+    filing('10-k/a', 'Acme', 'FY2023', '2024-04-01'),
+    filing('10-k', 'Acme', 'FY2023', '2024-02-01'),
+    filing('prior', 'Acme', 'FY2022', '2023-02-01'),
+  ]);
+  assert.deepEqual(group.documents.map((d) => d.id), ['prior', '10-k', '10-k/a']);
+  assert.deepEqual(latestPerPeriod(group.documents).map((d) => d.id), ['prior', '10-k/a']);
+});
+
+test('a re-upload of one period leaves a single filing', () => {
+  const [group] = groupByCompany([filing('first', 'Acme', 'FY2023', '2024-02-01'), filing('again', 'Acme', 'FY2023', '2024-03-01')]);
+  assert.deepEqual(latestPerPeriod(group.documents).map((d) => d.id), ['again']);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateScorecardModel, loadScorecardModel, scoreCredit } = require('../shared/creditScorecard');
+
+const ratio = (key, value, unit = 'x') => ({ key, period: 'FY2023', value, unit, currency: null, formula: '' });
+
+test('the shipped scorecard file is valid', () => {
+  const model = loadScorecardModel();
+  assert.equal(model.factors.length, 4);
+  assert.ok(model.riskFlags.flags.every((flag) => flag.regex instanceof RegExp));
+});
+
+test('scores ratio bands and weights them into a rating', () => {
+  const scorecard = scoreCredit({
+    ratios: [ratio('debtToEquity', 0.8), ratio('interestCoverage', 9), ratio('currentRatio', 1.6), ratio('operatingMargin', 14, '%')],
+    sections: { keyRisks: '- Demand for our products is cyclical.' },
+  });
+  const byKey = Object.fromEntries(scorecard.factors.map((f) => [f.key, f]));
+  assert.equal(byKey.leverage.score, 80);
+  assert.equal(byKey.leverage.band, 'at most 1.00x');
+  assert.equal(byKey.coverage.score, 85);
+  assert.equal(byKey.liquidity.score, 80);
+  assert.equal(byKey.profitability.score, 80);
+  assert.equal(byKey.riskFlags.score, 100);
+  // (25·80 + 25·85 + 15·80 + 20·80 + 15·100) / 100
+  assert.equal(scorecard.score, 84.3);
+  assert.equal(scorecard.rating.grade, 'CR2');
+  assert.equal(scorecard.factors.reduce((sum, f) => sum + f.share, 0), 1);
+});
+
+test('leaves out factors that cannot be scored and rescales the rest', () => {
+  const scorecard = scoreCredit({ ratios: [ratio('debtToEquity', -2), ratio('interestCoverage', 0.5)], sections: {} });
+  const byKey = Object.fromEntries(scorecard.factors.map((f) => [f.key, f]));
+  assert.equal(byKey.leverage.band, 'negative');
+  assert.equal(byKey.leverage.score, 0);
+  assert.equal(byKey.coverage.band, 'below 1.00x');
+  assert.match(byKey.liquidity.missing, /could not be computed/);
+  assert.match(byKey.riskFlags.missing, /no risk section/);
+  assert.equal(byKey.leverage.share, 0.5);
+  assert.equal(scorecard.rating.grade, 'CR6');
+});
+
+test('does not rate a report with too few ratios', () => {
+  const scorecard = scoreCredit({ ratios: [ratio('currentRatio', 2.5)], sections: {} });
+  assert.equal(scorecard.score, null);
+  assert.equal(scorecard.rating, null);
+  assert.match(scorecard.note, /^Not rated: 1 of the 4 ratio factors/);
+});
+
+test('reports every problem in an invalid model', () => {
+  const { model, errors } = validateScorecardModel({
+    factors: [{ key: 'leverage', label: 'Leverage', ratio: 'debtToEquity', weight: 10, bands: [{ max: 1, score: 100 }, { min: 2, score: 50 }] }],
+    ratings: [],
+  });
+  assert.equal(model, null);
+  assert.ok(errors.includes('name is required.'));
+  assert.ok(errors.some((e) => e.includes('must all use "min"')));
+  assert.ok(errors.some((e) => e.includes('is the last band')));
+});
+
+test('does not raise flags for negated risks', () => {
+  const scorecard = scoreCredit({
+    ratios: [],
+    sections: {
+      keyRisks: 'Auditors raised no going concern doubt and the company is in compliance with all covenants. No material weakness was identified. Interest accrues by default at the base rate.',
+    },
+  });
+  const flags = scorecard.factors.find((f) => f.kind === 'flags');
+  assert.deepEqual(flags.flags, []);
+  assert.equal(flags.score, 100);
+});
+
+test('raises hedged risks with the sentence that raised them', () => {
+  const scorecard = scoreCredit({
+    ratios: [],
+    sections: {
+      keyRisks: '## Liquidity\n\n- **Covenants:** Revenue fell 20%. There can be no assurance that we will remain in compliance with our covenants [1](#cite-chunk_3).\n- We did not identify a material weakness, but we may not be able to refinance our 2026 notes.',
+    },
+  });
+  const flags = scorecard.factors.find((f) => f.kind === 'flags');
+  assert.deepEqual(flags.flags.map((f) => [f.key, f.evidence]), [
+    ['covenant', 'There can be no assurance that we will remain in compliance with our covenants.'],
+    ['refinancing', 'We did not identify a material weakness, but we may not be able to refinance our 2026 notes.'],
+  ]);
+  assert.equal(flags.score, 65);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Document } = require('langchain/document');
+const { parseFigures, verifyFigures } = require('../shared/figureVerifier');
+
+const values = (text) => parseFigures(text).map((f) => f.value);
+
+test('parses currencies, scales and percentages', () => {
+  assert.deepEqual(values('Revenue was $1.2B, up 4.5% from USD 1,150 million.'), [1.2e9, 4.5, 1.15e9]);
+  assert.deepEqual(parseFigures('€3bn and 12 percent').map((f) => f.kind), ['currency', 'percent']);
+});
+
+test('skips numbers glued to letters', () => {
+  assert.deepEqual(values('In Q3 of FY2023 we reported 7 segments.'), [7]);
+});
+
+test('reads accounting parentheses as negative', () => {
+  assert.deepEqual(values('Other expense was (35).'), [-35]);
+});
+
+test('keeps the currency and scale around accounting parentheses', () => {
+  assert.deepEqual(values('Operating loss was $(35) million.'), [-35e6]);
+  assert.deepEqual(values('Operating loss was ($35) million.'), [-35e6]);
+  assert.deepEqual(values('Free cash flow was $(1.2)B.'), [-1.2e9]);
+  assert.deepEqual(parseFigures('$(1.2)B').map((f) => [f.text, f.kind]), [['$(1.2)B', 'currency']]);
+});
+
+test('leaves a stray closing parenthesis and what follows it to the sentence', () => {
+  assert.deepEqual(parseFigures('(see note 35) million').map((f) => [f.text, f.value]), [['35', 35]]);
+});
+
+test('verifies figures against excerpts and flags the rest', () => {
+  const chunks = [new Document({ pageContent: 'Net sales were $12,500 million in 2023.', metadata: { id: 'chunk_1' } })];
+  const { figures, summary } = verifyFigures('Net sales reached $12.5 billion, while margins hit 31%.', { chunks });
+  assert.equal(figures[0].status, 'verified');
+  assert.equal(figures[0].source, 'chunk_1');
+  assert.equal(figures[1].status, 'unverified');
+  assert.deepEqual(summary, { total: 2, verified: 1, derived: 0, unverified: 1 });
+});
+
+test('does not scale bare prose numbers into amounts', () => {
+  const chunks = [new Document({
+    pageContent: 'Item 7. Management’s Discussion. We operate 4 segments and 12 plants. Net sales were $2,345 million.',
+    metadata: { id: 'chunk_1' },
+  })];
+  const { figures } = verifyFigures('Net sales of $2.3 billion came from $7 billion of capacity and $12 million of plant costs.', { chunks });
+  assert.deepEqual(figures.map((f) => [f.text, f.status]), [
+    ['$2.3 billion', 'verified'],
+    ['$7 billion', 'unverified'],
+    ['$12 million', 'unverified'],
+  ]);
+});
+
+test('scales table figures by the scale their heading gives', () => {
+  const chunks = [new Document({
+    pageContent: 'CONSOLIDATED STATEMENTS OF OPERATIONS\n(in millions)\n2023 2022\nRevenue 4,120 3,870\nOperating income 615 540\nNet income 410 365',
+    metadata: { id: 'chunk_2', contentType: 'table' },
+  })];
+  const { figures } = verifyFigures('Revenue reached $4.12 billion and net income $410 million; 615 employees joined.', { chunks });
+  assert.deepEqual(figures.map((f) => [f.text, f.status]), [
+    ['$4.12 billion', 'verified'],
+    ['$410 million', 'verified'],
+    ['615', 'verified'],
+  ]);
+  assert.equal(verifyFigures('Net income was $410 billion.', { chunks }).figures[0].status, 'unverified');
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sectionText, splitItems, alignItems, diffWords } = require('../shared/filingDiff');
+
+const OLDER = `Risks Related to Our Business
+
+We face intense competition, which could adversely affect our business.
+
+Our competitors include large firms with more resources than we have. If we fail to compete, our revenue in fiscal 2022 could decline materially.
+
+Our reliance on a single supplier exposes us to supply disruption risk.
+
+We buy most chips from one supplier. A disruption would halt production for several months.
+
+Changes in interest rates could increase our borrowing costs.
+
+We have $500 million of floating-rate debt maturing in 2026.`;
+
+const NEWER = `Risks Related to Our Business
+
+We face intense and growing competition, which could adversely affect our business.
+
+Our competitors include large firms with more resources than we have. If we fail to compete, our revenue in fiscal 2023 could decline materially.
+
+Cybersecurity incidents could harm our reputation and operations.
+
+Attackers increasingly target our systems with ransomware; a breach could expose customer data and lead to fines.
+
+Changes in interest rates could increase our borrowing costs.
+
+We have $500 million of floating-rate debt maturing in 2027.`;
+
+test('sectionText cuts a section to the next known header', () => {
+  const text = 'Item 1A. Risk Factors\nRisk text.\nItem 7. MD&A\nDiscussion.';
+  const detected = [
+    { name: 'risk_factors', startIndex: 0 },
+    { name: 'mda', startIndex: text.indexOf('Item 7') },
+  ];
+  assert.equal(sectionText(text, detected, 'risk_factors'), 'Risk text.');
+  assert.equal(sectionText(text, detected, 'legal'), null);
+});
+
+test('splits headed risk factors into one item each', () => {
+  const items = splitItems(NEWER, { riskFactors: true });
+  assert.equal(items.length, 3);
+  assert.deepEqual(items.map((i) => i.category), Array(3).fill('Risks Related to Our Business'));
+  assert.equal(items[1].heading, 'Cybersecurity incidents could harm our reputation and operations.');
+});
+
+test('aligns added, removed, reworded and date-only changes', () => {
+  const { items, counts } = alignItems(splitItems(OLDER, { riskFactors: true }), splitItems(NEWER, { riskFactors: true }));
+  assert.deepEqual(counts, { added: 1, removed: 1, reworded: 1, unchanged: 1 });
+  assert.equal(items.find((i) => i.status === 'added').heading, 'Cybersecurity incidents could harm our reputation and operations.');
+  assert.match(items.find((i) => i.status === 'removed').heading, /single supplier/);
+});
+
+test('diffWords marks inserted and deleted words', () => {
+  assert.deepEqual(diffWords('We face intense competition.', 'We face intense and growing competition.'), [
+    { op: 'equal', text: 'We face intense' },
+    { op: 'insert', text: 'and growing' },
+    { op: 'equal', text: 'competition.' },
+  ]);
+});
+
+// pdf-parse output: lines wrapped at the page margin, no blank lines between paragraphs
+const PDF_OLDER = `Risks Related to Our Business
+We face intense competition in each of our markets, which could reduce our margins.
+Competitors may offer lower prices or better products than we do. Some of them have longer
+operating histories, greater name recognition and substantially larger sales and marketing
+budgets, and new entrants continue to appear in several regions.
+Our indebtedness could limit our flexibility in operating our business.
+We have significant borrowings under our credit facility. Servicing this debt requires a
+substantial portion of our cash flow from operations, and the agreements governing it
+restrict our ability to pay dividends or make acquisitions.
+We depend on a limited number of suppliers for key components.
+A disruption at any supplier could delay shipments to our customers. Several components
+are available from a single source, and qualifying an alternative supplier could take many
+months and increase our costs.`;
+
+const PDF_NEWER = `Risks Related to Our Business
+We face intense competition in each of our markets, which could reduce our margins and
+market share.
+Competitors may offer substantially lower prices or better products than we do. Some of
+them have longer operating histories, greater name recognition and substantially larger
+sales and marketing budgets, and new entrants continue to appear in several regions.
+Our indebtedness could limit our flexibility in operating our business.
+We have significant borrowings under our credit facility. Servicing this debt requires a
+substantial portion of our cash flow from operations, and the agreements governing it
+restrict our ability to pay dividends or make acquisitions.
+
+\f
+
+Cybersecurity incidents could disrupt our operations and expose us to significant
+liability.
+Attackers may gain access to our systems and the data of our customers. Ransomware,
+phishing and other attacks are increasingly sophisticated, and a breach could lead to
+regulatory fines, litigation and lasting harm to our reputation.`;
+
+test('splits hard-wrapped PDF text at risk headings', () => {
+  const items = splitItems(PDF_NEWER, { riskFactors: true });
+  assert.deepEqual(items.map((i) => i.heading), [
+    'We face intense competition in each of our markets, which could reduce our margins and\nmarket share.',
+    'Our indebtedness could limit our flexibility in operating our business.',
+    'Cybersecurity incidents could disrupt our operations and expose us to significant\nliability.',
+  ]);
+  assert.match(items[1].text, /make acquisitions\.$/);
+});
+
+test('aligns risk factors from PDF text', () => {
+  const { items, counts } = alignItems(splitItems(PDF_OLDER, { riskFactors: true }), splitItems(PDF_NEWER, { riskFactors: true }));
+  assert.deepEqual(counts, { added: 1, removed: 1, reworded: 1, unchanged: 1 });
+  assert.match(items.find((i) => i.status === 'added').heading, /^Cybersecurity incidents/);
+  assert.match(items.find((i) => i.status === 'removed').heading, /^We depend on a limited number of suppliers/);
+  assert.match(items.find((i) => i.status === 'reworded').heading, /^We face intense competition/);
+});
+
+test('splits wrapped MD&A text at lines that stop short', () => {
+  const mda = `Net sales increased 12% to $12.5 billion, driven by higher volumes in every region and
+price increases taken early in the year.
+Gross margin declined to 41% as input costs rose faster than prices in the second half of
+the year.`;
+  assert.equal(splitItems(mda).length, 2);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Document } = require('langchain/document');
+const { extractFinancialStatements } = require('../shared/financialStatements');
+const { computeRatios } = require('../shared/ratioEngine');
+
+const table = (id, text) => new Document({ pageContent: text, metadata: { id, contentType: 'table' } });
+
+// A 10-Q: quarter and year-to-date columns under group headings, balance sheet at quarter end
+const QUARTERLY = [
+  table('chunk_1', `CONDENSED CONSOLIDATED STATEMENTS OF OPERATIONS
+(in millions)
+Three Months Ended Nine Months Ended
+September 30, September 30,
+2023 2022 2023 2022
+Revenue 1,000 900 2,900 2,600
+Cost of revenue 600 560 1,750 1,600
+Operating income 150 120 420 350
+Net income 100 80 300 240`),
+  table('chunk_2', `CONDENSED CONSOLIDATED BALANCE SHEETS
+(in millions)
+September 30, 2023 December 31, 2022
+Accounts receivable 500 450
+Total current assets 2,000 1,900
+Total current liabilities 1,000 950
+Total stockholders' equity 2,500 2,400
+Total assets 5,500 5,300`),
+];
+
+const ANNUAL = [
+  table('chunk_1', `CONSOLIDATED STATEMENTS OF OPERATIONS
+(in millions)
+Year Ended December 31,
+2023 2022
+Revenue 4,000 3,600
+Operating income 600 500
+Net income 400 320`),
+  table('chunk_2', `CONSOLIDATED BALANCE SHEETS
+December 31, 2023 2022
+Accounts receivable 500 450
+Total assets 5,500 5,300`),
+];
+
+const value = (financials, key, period) =>
+  financials.statements.incomeStatement.lineItems.find((i) => i.key === key && i.period === period)?.value;
+
+test('reads quarter and year-to-date columns of an interim statement', () => {
+  const financials = extractFinancialStatements(QUARTERLY);
+  assert.deepEqual(financials.periods.filter((p) => !/^\d{4}-/.test(p)), ['Q3 2023', '9M 2023', 'Q3 2022', '9M 2022']);
+  assert.equal(value(financials, 'revenue', 'Q3 2023'), 1000);
+  assert.equal(value(financials, 'revenue', '9M 2023'), 2900);
+  assert.equal(value(financials, 'revenue', '9M 2022'), 2600);
+});
+
+test('computes quarterly ratios over the quarter', () => {
+  const ratios = computeRatios(extractFinancialStatements(QUARTERLY));
+  const find = (key, period) => ratios.find((r) => r.key === key && r.period === period)?.value;
+  // Year to date and quarter end together, the longer first; the year-end balance sheet is FY2022
+  assert.deepEqual([...new Set(ratios.map((r) => r.period))], ['9M 2023', 'Q3 2023', 'FY2022', '9M 2022', 'Q3 2022']);
+  // 500 / 1,000 × 91 days, with the quarter-end balance sheet
+  assert.equal(find('daysSalesOutstanding', 'Q3 2023'), 45.5);
+  assert.equal(find('revenueGrowth', 'Q3 2023'), 11.11);
+  assert.equal(find('revenueGrowth', '9M 2023'), 11.54);
+  assert.equal(find('daysSalesOutstanding', '9M 2023'), undefined);
+  assert.ok(!ratios.some((r) => r.period === 'FY2023'));
+});
+
+test('keeps annual statements and year-end balance sheets in fiscal years', () => {
+  const financials = extractFinancialStatements(ANNUAL);
+  assert.equal(value(financials, 'revenue', 'FY2023'), 4000);
+  const ratios = computeRatios(financials);
+  // 500 / 4,000 × 365 days
+  assert.equal(ratios.find((r) => r.key === 'daysSalesOutstanding' && r.period === 'FY2023').value, 45.63);
+});
+
+test('reads figures on loss-labelled rows as losses', () => {
+  const financials = extractFinancialStatements([
+    table('chunk_1', `CONSOLIDATED STATEMENTS OF OPERATIONS
+(in millions)
+Year Ended December 31,
+2023 2022
+Revenue 4,000 3,600
+Loss from operations 600 (50)
+Loss before income taxes 620 30
+Net loss 400 (20)`),
+  ]);
+  assert.equal(value(financials, 'operatingIncome', 'FY2023'), -600);
+  assert.equal(value(financials, 'pretaxIncome', 'FY2023'), -620);
+  assert.equal(value(financials, 'netIncome', 'FY2023'), -400);
+  // Bracketed figures keep their sign
+  assert.equal(value(financials, 'operatingIncome', 'FY2022'), -50);
+  assert.equal(value(financials, 'netIncome', 'FY2022'), -20);
+
+  const ratios = computeRatios(financials);
+  const find = (key) => ratios.find((r) => r.key === key && r.period === 'FY2023').value;
+  assert.equal(find('operatingMargin'), -15);
+  assert.equal(find('netMargin'), -10);
+});
+
+test('leaves income (loss) rows signed by their brackets', () => {
+  const financials = extractFinancialStatements([
+    table('chunk_1', `CONSOLIDATED STATEMENTS OF OPERATIONS
+(in millions)
+Year Ended December 31,
+2023 2022
+Revenue 4,000 3,600
+Operating income (loss) 600 (50)
+Net income (loss) 400 (20)`),
+  ]);
+  assert.equal(value(financials, 'operatingIncome', 'FY2023'), 600);
+  assert.equal(value(financials, 'operatingIncome', 'FY2022'), -50);
+  assert.equal(value(financials, 'netIncome', 'FY2023'), 400);
+});
@@ -0,0 +1,51 @@
+/**
+ * The report pipeline end to end on the mock provider: an inline XBRL
+ * filing is extracted, chunked, embedded, analysed and queried without a
+ * network call. `npm test` sets LLM_PROVIDER=mock.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { processDocument } = require('../shared/documentProcessor');
+const { extractCompanyName, generateReportSections, answerQuestion } = require('../shared/aiProcessor');
+const { getProvider, requiresApiKey } = require('../shared/llmProvider');
+
+const FILING = path.join(__dirname, 'fixtures', 'acme-2023.htm');
+
+test('runs on the mock provider without an API key', () => {
+  assert.equal(getProvider().name, 'mock');
+  assert.equal(requiresApiKey(), false);
+});
+
+test('generates, scores and answers a report offline', async () => {
+  const { text, format, facts } = await processDocument(fs.readFileSync(FILING), { filename: 'acme-2023.htm' });
+  assert.equal(format, 'html');
+  assert.ok(facts.length > 0, 'inline XBRL facts are read');
+
+  const companyName = await extractCompanyName(text, null);
+  assert.ok(companyName);
+
+  const report = await generateReportSections(text, companyName, null, { facts });
+  assert.equal(report.template.id, 'auto:10-K');
+  for (const { key } of report.template.sections) {
+    assert.equal(typeof report.sections[key], 'string');
+    assert.ok(report.sections[key].length > 0, `${key} is written`);
+    assert.ok(report.verification[key], `${key} is verified`);
+  }
+
+  const operatingMargin = report.ratios.find((r) => r.key === 'operatingMargin' && r.period === 'FY2023');
+  assert.ok(operatingMargin);
+  assert.equal(operatingMargin.value.toFixed(1), '18.4');
+
+  assert.ok(report.tone.overall.words > 0);
+  assert.equal(report.scorecard.model.name, 'Internal credit scorecard');
+  assert.equal(report.scorecard.factors.find((f) => f.key === 'profitability').score, 80);
+
+  const answer = await answerQuestion(report.vectorStore, 'What were net sales in 2023?', companyName, null, report.bm25Index, {
+    fullText: report.cleanedText,
+  });
+  assert.equal(typeof answer.answer, 'string');
+  assert.ok(answer.answer.length > 0);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeRatios, peerMatrix } = require('../shared/ratioEngine');
+const { LINE_ITEMS } = require('../shared/financialStatements');
+
+const STATEMENT = Object.fromEntries(LINE_ITEMS.map((item) => [item.key, item.statement]));
+
+/** Line items of one table: `{ key: [value per column] }` over `periods` ([period, fiscalYear] pairs) */
+function table(chunkId, periods, rows) {
+  return Object.entries(rows).flatMap(([key, values]) => values.map((value, col) => ({
+    statement: STATEMENT[key], key, period: periods[col][0], fiscalYear: periods[col][1],
+    value, unit: 'USD', scale: 'millions', multiplier: 1e6, chunkId,
+  })));
+}
+
+function financials(...tables) {
+  const statements = { incomeStatement: { lineItems: [] }, balanceSheet: { lineItems: [] }, cashFlowStatement: { lineItems: [] } };
+  for (const item of tables.flat()) statements[item.statement].lineItems.push(item);
+  return { statements };
+}
+
+const ratio = (ratios, key, period) => ratios.find((r) => r.key === key && r.period === period);
+
+test('never pairs undated columns of different tables', () => {
+  const undated = [['column1', null], ['column2', null]];
+  const ratios = computeRatios(financials(
+    table('chunk_1', undated, { revenue: [1000, 900], costOfRevenue: [600, 560], netIncome: [100, 80] }),
+    table('chunk_2', undated, { currentAssets: [500, 450], totalAssets: [2000, 1900] }),
+    table('chunk_3', undated, { currentLiabilities: [250, 240] }),
+  ));
+  assert.deepEqual(ratios, []);
+});
+
+/* ------------------------------------------------------------------ */
+
+const YEARS = [['FY2023', 2023], ['FY2022', 2022]];
+const YEAR_ENDS = [['2023-12-31', 2023], ['2022-12-31', 2022]];
+
+// In millions; every expectation below is worked out by hand from these
+const ANNUAL = financials(
+  table('chunk_1', YEARS, {
+    revenue: [1000, 800], costOfRevenue: [600, 500], operatingIncome: [150, 120],
+    interestExpense: [25], netIncome: [100, 80],
+  }),
+  table('chunk_2', YEAR_ENDS, {
+    accountsReceivable: [120, 100], inventory: [100], currentAssets: [500, 420], totalAssets: [2000, 1800],
+    accountsPayable: [90, 80], currentLiabilities: [250, 240], shortTermDebt: [50, 40], longTermDebt: [250, 260],
+    totalEquity: [600, 400],
+  }),
+  table('chunk_3', YEARS, { operatingCashFlow: [180, 150], capitalExpenditures: [-70, -60] }),
+);
+
+test('computes every ratio from its formula', () => {
+  const ratios = computeRatios(ANNUAL);
+  const values = Object.fromEntries(ratios.filter((r) => r.period === 'FY2023').map((r) => [r.key, r.value]));
+  assert.deepEqual(values, {
+    grossMargin: 40, // (1,000 − 600) / 1,000
+    operatingMargin: 15, // 150 / 1,000
+    netMargin: 10, // 100 / 1,000
+    revenueGrowth: 25, // 1,000 / 800 − 1
+    operatingIncomeGrowth: 25, // 150 / 120 − 1
+    netIncomeGrowth: 25, // 100 / 80 − 1
+    currentRatio: 2, // 500 / 250
+    quickRatio: 1.6, // (500 − 100) / 250
+    debtToEquity: 0.5, // (50 + 250) / 600
+    interestCoverage: 6, // 150 / 25
+    freeCashFlow: 110e6, // 180 − |−70|, in dollars
+    returnOnEquity: 20, // 100 / ((600 + 400) / 2)
+    returnOnAssets: 5.26, // 100 / ((2,000 + 1,800) / 2)
+    daysSalesOutstanding: 43.8, // 120 / 1,000 × 365
+    daysInventoryOutstanding: 60.83, // 100 / 600 × 365
+    daysPayablesOutstanding: 54.75, // 90 / 600 × 365
+  });
+  assert.equal(ratio(ratios, 'freeCashFlow', 'FY2023').currency, 'USD');
+});
+
+test('joins a balance sheet to its fiscal year and records every input', () => {
+  const current = ratio(computeRatios(ANNUAL), 'currentRatio', 'FY2023');
+  assert.equal(current.formula, 'currentAssets / currentLiabilities');
+  assert.deepEqual(current.inputs.map((i) => [i.name, i.period, i.value, i.chunkId]), [
+    ['currentAssets', '2023-12-31', 500, 'chunk_2'],
+    ['currentLiabilities', '2023-12-31', 250, 'chunk_2'],
+  ]);
+});
+
+test('gives no ratio when an input is missing', () => {
+  const ratios = computeRatios(ANNUAL);
+  // No FY2022 interest expense or inventory, and no FY2021 for growth
+  for (const key of ['interestCoverage', 'daysInventoryOutstanding', 'revenueGrowth']) {
+    assert.equal(ratio(ratios, key, 'FY2022'), undefined, key);
+  }
+  // Without an opening balance the closing one stands alone: 80 / 400
+  assert.equal(ratio(ratios, 'returnOnEquity', 'FY2022').value, 20);
+  // Without inventory, quick assets need cash and another liquid asset
+  assert.equal(ratio(ratios, 'quickRatio', 'FY2022'), undefined);
+});
+
+test('orders quarter, year-to-date and full-year columns of one year', () => {
+  const ratios = computeRatios(financials(
+    table('chunk_1', [['Q3 2023', 2023], ['9M 2023', 2023], ['FY2023', 2023], ['FY2022', 2022]], {
+      revenue: [300, 850, 1200, 1000], accountsReceivable: [91, 91, 91],
+    }),
+  ));
+  assert.deepEqual([...new Set(ratios.map((r) => r.period))], ['FY2023', '9M 2023', 'Q3 2023']);
+  // Each column's receivables days run over its own length: 365, 274 and 91 days
+  assert.equal(ratio(ratios, 'daysSalesOutstanding', 'FY2023').value, 27.68);
+  assert.equal(ratio(ratios, 'daysSalesOutstanding', '9M 2023').value, 29.33);
+  assert.equal(ratio(ratios, 'daysSalesOutstanding', 'Q3 2023').value, 27.6);
+  assert.equal(ratio(ratios, 'revenueGrowth', 'FY2023').value, 20);
+  assert.equal(peerMatrix([{ id: 'a', companyName: 'A', ratios }]).rows
+    .find((row) => row.key === 'daysSalesOutstanding').cells[0].period, 'FY2023');
+});
+
+test('ranks peers on their latest ratios', () => {
+  const peer = (id, values, currency = 'USD') => ({
+    id,
+    companyName: id.toUpperCase(),
+    ratios: Object.entries(values).map(([key, value]) => ({
+      key, period: 'FY2023', value, unit: key === 'freeCashFlow' ? 'amount' : key === 'debtToEquity' ? 'x' : '%',
+      currency: key === 'freeCashFlow' ? currency : null,
+    })),
+  });
+  const matrix = peerMatrix([
+    peer('a', { grossMargin: 40, debtToEquity: 0.5, daysPayablesOutstanding: 50, freeCashFlow: 1e8 }),
+    peer('b', { grossMargin: 55, debtToEquity: -1.2, daysPayablesOutstanding: 70, freeCashFlow: 2e8 }, 'EUR'),
+    peer('c', { grossMargin: 40, debtToEquity: 0.9 }),
+  ]);
+  const ranks = (key) => matrix.rows.find((row) => row.key === key).cells.map((cell) => cell?.rank ?? null);
+  assert.deepEqual(ranks('grossMargin'), [2, 1, 2]); // higher is better; ties share a rank
+  assert.deepEqual(ranks('debtToEquity'), [1, null, 2]); // lower is better; negative equity is not ranked
+  assert.deepEqual(ranks('daysPayablesOutstanding'), [null, null, null]); // no direction
+  assert.deepEqual(ranks('freeCashFlow'), [null, null, null]); // two currencies
+  assert.equal(matrix.rows.some((row) => row.key === 'quickRatio'), false);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('node:zlib');
+const { exportReport } = require('../shared/reportExport');
+
+// WinAnsi codes the test text uses above Latin-1's printable range
+const WIN_ANSI_PUNCTUATION = { 0x93: '“', 0x94: '”', 0x96: '–', 0x97: '—' };
+
+/** Text drawn on the pages: the hex strings of each TJ operator, decoded as WinAnsi. */
+function drawnText(pdf) {
+  const lines = [];
+  for (const [, stream] of pdf.toString('latin1').matchAll(/stream\r?\n([\s\S]*?)\r?\nendstream/g)) {
+    let content;
+    try {
+      content = zlib.inflateSync(Buffer.from(stream, 'latin1')).toString('latin1');
+    } catch {
+      continue;
+    }
+    for (const [, array] of content.matchAll(/\[([^\]]*)\] TJ/g)) {
+      const bytes = [...array.matchAll(/<([0-9a-f]*)>/g)].flatMap(([, hex]) => [...Buffer.from(hex, 'hex')]);
+      lines.push(bytes.map((b) => WIN_ANSI_PUNCTUATION[b] ?? String.fromCharCode(b)).join(''));
+    }
+  }
+  return lines.join('\n');
+}
+
+test('spells symbols outside the PDF fonts in ASCII', async () => {
+  const report = {
+    companyName: 'Acme → Holdings',
+    generatedAt: '2024-01-01T00:00:00.000Z',
+    template: { id: 'custom', name: 'Credit memo', sections: [{ key: 'risks', title: 'Risks' }] },
+    sections: {
+      risks: 'Net margin moved −2.1 pts; leverage ≥ 3.0x and coverage ≤ 1.5x.\n\n| Metric | Change |\n| --- | --- |\n| Margin | −2.1 |\n\nCafé “quotes” stay — as do en–dashes',
+    },
+  };
+  const { body, contentType } = await exportReport(report, 'pdf');
+  assert.equal(contentType, 'application/pdf');
+  const text = drawnText(body);
+  assert.match(text, /Acme -> Holdings/);
+  assert.match(text, /moved -2\.1 pts; leverage >= 3\.0x and coverage <= 1\.5x\./);
+  assert.match(text, /^-2\.1$/m);
+  assert.match(text, /Café “quotes” stay — as do en–dashes/);
+});
+
+test('leaves unverified chart values out of exports', async () => {
+  const chart = { type: 'bar', title: 'Revenue', unit: '$B', data: [{ name: 'FY2021', value: 3.1 }, { name: 'FY2022', value: 3.6 }, { name: 'FY2023', value: 9.9 }] };
+  const point = (name, value, status) => ({ name, value, status });
+  const report = {
+    companyName: 'Acme',
+    generatedAt: '2024-01-01T00:00:00.000Z',
+    template: { id: 'custom', name: 'Credit memo', sections: [{ key: 'highlights', title: 'Highlights' }] },
+    sections: { highlights: `Revenue grew.\n\n~~~chartdata\n${JSON.stringify({ charts: [chart] })}\n~~~` },
+    verification: {
+      highlights: {
+        figures: [],
+        charts: [{ title: 'Revenue', points: [point('FY2021', 3.1, 'verified'), point('FY2022', 3.6, 'derived'), point('FY2023', 9.9, 'unverified')] }],
+      },
+    },
+  };
+  const { body } = await exportReport(report, 'md');
+  assert.match(body, /FY2022/);
+  assert.doesNotMatch(body, /FY2023|9\.9/);
+
+  // A chart left with one point is dropped
+  report.verification.highlights.charts[0].points[1].status = 'unverified';
+  assert.doesNotMatch((await exportReport(report, 'md')).body, /FY2021/);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreText } = require('../shared/sentiment');
+
+test('matches inflections of listed words', () => {
+  const score = scoreText('Margins improved and demand strengthened, though shipments were delayed.');
+  assert.deepEqual([score.counts.positive, score.counts.negative], [2, 1]);
+});
+
+test('does not read goods as good', () => {
+  const score = scoreText('Cost of goods sold increased 12%. Net loss widened.');
+  assert.equal(score.counts.positive, 0);
+  assert.equal(score.tone, -1);
+});
+
+test('skips positive words just after a negation', () => {
+  assert.equal(scoreText('Results were not good and the outlook is weak.').tone, -1);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTranscript, describeTurn } = require('../shared/transcriptParser');
+
+const TRANSCRIPT = `Corporate Participants
+Jane Doe - Chief Executive Officer
+John Roe - Chief Financial Officer
+
+Conference Call Participants
+Erik Woodring - Morgan Stanley
+
+Presentation
+Operator
+Good afternoon and welcome to the call.
+Jane Doe
+Thank you. We had a record quarter.
+John Roe
+Revenue grew 8% year over year.
+
+Question-and-Answer Session
+Operator
+Our first question comes from Erik Woodring with Morgan Stanley.
+Erik Woodring
+How should we think about margins?
+Jane Doe: We expect them to hold steady.`;
+
+test('splits a transcript into speaker turns with roles', () => {
+  const { turns } = parseTranscript(TRANSCRIPT);
+  assert.deepEqual(
+    turns.map((t) => [t.speaker, t.role, t.part]),
+    [
+      ['Operator', 'operator', 'prepared'],
+      ['Jane Doe', 'ceo', 'prepared'],
+      ['John Roe', 'cfo', 'prepared'],
+      ['Operator', 'operator', 'qa'],
+      ['Erik Woodring', 'analyst', 'qa'],
+      ['Jane Doe', 'ceo', 'qa'],
+    ]
+  );
+  const cfo = turns[2];
+  assert.equal(TRANSCRIPT.slice(cfo.start, cfo.end).trim(), 'John Roe\nRevenue grew 8% year over year.');
+});
+
+test('labels turns by part and speaker', () => {
+  const { turns } = parseTranscript(TRANSCRIPT);
+  assert.equal(describeTurn(turns[4]), 'Q&A — Erik Woodring (Analyst, Morgan Stanley)');
+  assert.equal(describeTurn(turns[0]), 'Prepared Remarks — Operator');
+});